@@ -0,0 +1,536 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch
+} = require('firebase/firestore');
+
+// Run with `npm run test:rules`, which starts the Firestore emulator first
+
+const OWNER = 'owner-shop';
+const OTHER_OWNER = 'other-shop';
+const MANAGER = 'staff-manager';
+const CASHIER = 'staff-cashier';
+const FORMER_CASHIER = 'staff-former';
+const ADMIN = 'admin-user';
+const REVIEWER = 'admin-reviewer';
+const SUPPORT = 'admin-support';
+const FORMER_ADMIN = 'admin-former';
+const PENDING_SHOP = 'pending-shop';
+
+let testEnv;
+
+const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+
+// Change a shop's status the way the admin panel does, with its audit log entry
+const changeShopStatus = (db, { shopId, adminId, adminRole, action, previousStatus, newStatus, logged = true }) => {
+  const batch = writeBatch(db);
+  const logRef = doc(collection(db, 'adminAuditLog'));
+  batch.update(doc(db, 'shops', shopId), {
+    status: newStatus,
+    lastStatusChange: '2025-01-01T10:00:00.000Z',
+    statusLogId: logRef.id
+  });
+  if (logged) {
+    batch.set(logRef, {
+      action,
+      adminId,
+      adminEmail: `${adminId}@example.com`,
+      adminRole,
+      shopId,
+      previousStatus,
+      newStatus,
+      timestamp: '2025-01-01T10:00:00.000Z'
+    });
+  }
+  return batch.commit();
+};
+
+const receipt = (shopId, extra = {}) => ({
+  shopId,
+  transactionId: 'TXN-1',
+  items: [{ name: 'Tea', quantity: 1, price: 100 }],
+  totalAmount: 100,
+  timestamp: '2025-01-01T10:00:00.000Z',
+  ...extra
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-billing-system',
+    firestore: {
+      rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8')
+    }
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    // Admin documents from before roles have none, and count as super admins
+    await setDoc(doc(db, 'admins', ADMIN), { email: 'admin@example.com' });
+    await setDoc(doc(db, 'admins', REVIEWER), { email: 'reviewer@example.com', role: 'reviewer', active: true });
+    await setDoc(doc(db, 'admins', SUPPORT), { email: 'support@example.com', role: 'support', active: true });
+    await setDoc(doc(db, 'admins', FORMER_ADMIN), { email: 'former@example.com', role: 'super-admin', active: false });
+    await setDoc(doc(db, 'shops', PENDING_SHOP), { shopName: 'New Store', status: 'pending' });
+    await setDoc(doc(db, 'shops', OWNER), {
+      shopName: 'Corner Store',
+      status: 'approved',
+      rolePermissions: { manager: ['manage-settings'] }
+    });
+    await setDoc(doc(db, 'shops', OTHER_OWNER), { shopName: 'Other Store', status: 'approved' });
+    await setDoc(doc(db, 'staff', MANAGER), {
+      shopId: OWNER, name: 'Maria', email: 'maria@example.com', role: 'manager', active: true
+    });
+    await setDoc(doc(db, 'staff', CASHIER), {
+      shopId: OWNER, name: 'Ali', email: 'ali@example.com', role: 'cashier', active: true
+    });
+    await setDoc(doc(db, 'staff', FORMER_CASHIER), {
+      shopId: OWNER, name: 'Sara', email: 'sara@example.com', role: 'cashier', active: false
+    });
+    await setDoc(doc(db, 'receipts', 'receipt-1'), receipt(OWNER));
+    await setDoc(doc(db, 'receipts', 'other-receipt'), receipt(OTHER_OWNER));
+  });
+});
+
+describe('shops', () => {
+  test('owners and their staff can read the shop, others cannot', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(OWNER), 'shops', OWNER)));
+    await assertSucceeds(getDoc(doc(dbFor(CASHIER), 'shops', OWNER)));
+    await assertFails(getDoc(doc(dbFor(FORMER_CASHIER), 'shops', OWNER)));
+    await assertFails(getDoc(doc(dbFor(OTHER_OWNER), 'shops', OWNER)));
+    await assertFails(getDoc(doc(anonymousDb(), 'shops', OWNER)));
+  });
+
+  test('new shops wait for approval', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('new-shop'), 'shops', 'new-shop'), { shopName: 'New', status: 'pending' }));
+    await assertFails(setDoc(doc(dbFor('new-shop-2'), 'shops', 'new-shop-2'), { shopName: 'New', status: 'approved' }));
+    // Shops without a status count as approved, so new ones must have one
+    await assertFails(setDoc(doc(dbFor('new-shop-3'), 'shops', 'new-shop-3'), { shopName: 'New', authProvider: 'google' }));
+    await assertFails(setDoc(doc(dbFor(OTHER_OWNER), 'shops', 'someone-else'), { shopName: 'New' }));
+  });
+
+  test('owners can change their details but not their status', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(OWNER), 'shops', OWNER), { shopName: 'Corner Store 2' }));
+    await assertFails(updateDoc(doc(dbFor(OWNER), 'shops', OWNER), { status: 'pending' }));
+  });
+
+  test('owners are kept out of their shop\'s data until it\'s approved, but can see its status', async () => {
+    const db = dbFor(PENDING_SHOP);
+    await assertSucceeds(getDoc(doc(db, 'shops', PENDING_SHOP)));
+    await assertSucceeds(updateDoc(doc(db, 'shops', PENDING_SHOP), { lastLoginAt: '2025-01-01T10:00:00.000Z' }));
+    await assertFails(updateDoc(doc(db, 'shops', PENDING_SHOP), { shopName: 'Renamed' }));
+    await assertFails(setDoc(doc(db, 'receipts', 'receipt-2'), receipt(PENDING_SHOP)));
+    await assertFails(setDoc(doc(db, 'staff', 'new-staff'), {
+      shopId: PENDING_SHOP, name: 'Bilal', email: 'bilal@example.com', role: 'cashier', active: true
+    }));
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), 'shops', OWNER), { status: 'frozen' });
+    });
+    await assertFails(getDoc(doc(dbFor(OWNER), 'receipts', 'receipt-1')));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'receipts', 'receipt-2'), receipt(OWNER)));
+  });
+
+  test('nobody else can write to a shop, even leaving its status alone', async () => {
+    await assertFails(updateDoc(doc(dbFor(OTHER_OWNER), 'shops', OWNER), { shopName: 'Taken' }));
+    await assertFails(updateDoc(doc(dbFor(OTHER_OWNER), 'shops', OWNER), { shopName: 'Taken', status: 'approved' }));
+  });
+
+  test('admins can see every shop', async () => {
+    await assertSucceeds(getDocs(collection(dbFor(SUPPORT), 'shops')));
+    await assertFails(getDocs(collection(dbFor(FORMER_ADMIN), 'shops')));
+  });
+
+  test('staff allowed to manage settings can change them, but not roles', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(MANAGER), 'shops', OWNER), { shopName: 'Renamed' }));
+    await assertFails(updateDoc(doc(dbFor(MANAGER), 'shops', OWNER), { rolePermissions: {} }));
+    await assertFails(updateDoc(doc(dbFor(CASHIER), 'shops', OWNER), { shopName: 'Renamed' }));
+  });
+});
+
+describe('admins', () => {
+  const approval = {
+    shopId: PENDING_SHOP, action: 'approve-shop', previousStatus: 'pending', newStatus: 'approved'
+  };
+  const freeze = {
+    shopId: OWNER, action: 'freeze-shop', previousStatus: 'approved', newStatus: 'frozen'
+  };
+
+  test('reviewers approve registrations but cannot freeze shops', async () => {
+    const db = dbFor(REVIEWER);
+    await assertFails(changeShopStatus(db, { ...freeze, adminId: REVIEWER, adminRole: 'reviewer' }));
+    await assertSucceeds(changeShopStatus(db, { ...approval, adminId: REVIEWER, adminRole: 'reviewer' }));
+  });
+
+  test('support can freeze shops but not approve them', async () => {
+    const db = dbFor(SUPPORT);
+    await assertFails(changeShopStatus(db, { ...approval, adminId: SUPPORT, adminRole: 'support' }));
+    await assertSucceeds(changeShopStatus(db, { ...freeze, adminId: SUPPORT, adminRole: 'support' }));
+  });
+
+  test('status changes must be written to the audit log', async () => {
+    const db = dbFor(ADMIN);
+    await assertFails(updateDoc(doc(db, 'shops', OWNER), { status: 'frozen' }));
+    await assertFails(changeShopStatus(db, { ...freeze, adminId: ADMIN, adminRole: 'super-admin', logged: false }));
+    await assertFails(changeShopStatus(db, { ...freeze, adminId: REVIEWER, adminRole: 'super-admin' }));
+    await assertSucceeds(changeShopStatus(db, { ...freeze, adminId: ADMIN, adminRole: 'super-admin' }));
+  });
+
+  test('roles can come from a custom claim', async () => {
+    const db = testEnv.authenticatedContext('claims-admin', { adminRole: 'support' }).firestore();
+    await assertSucceeds(changeShopStatus(db, { ...freeze, adminId: 'claims-admin', adminRole: 'support' }));
+  });
+
+  test('deactivated admins and shop owners are not admins', async () => {
+    await assertFails(changeShopStatus(dbFor(FORMER_ADMIN), { ...freeze, adminId: FORMER_ADMIN, adminRole: 'super-admin' }));
+    await assertFails(changeShopStatus(dbFor(OTHER_OWNER), { ...freeze, adminId: OTHER_OWNER, adminRole: 'super-admin' }));
+    await assertFails(changeShopStatus(dbFor(PENDING_SHOP), {
+      ...approval, adminId: PENDING_SHOP, adminRole: 'super-admin'
+    }));
+  });
+
+  test('the audit log can be read by super admins and never changed', async () => {
+    await changeShopStatus(dbFor(SUPPORT), { ...freeze, adminId: SUPPORT, adminRole: 'support' });
+    await assertFails(getDocs(collection(dbFor(SUPPORT), 'adminAuditLog')));
+    const snapshot = await assertSucceeds(getDocs(collection(dbFor(ADMIN), 'adminAuditLog')));
+    const entryRef = doc(dbFor(ADMIN), 'adminAuditLog', snapshot.docs[0].id);
+    await assertFails(updateDoc(entryRef, { adminId: ADMIN }));
+    await assertFails(deleteDoc(entryRef));
+  });
+
+  test('only super admins manage admins', async () => {
+    const newAdmin = { name: 'Zara', email: 'zara@example.com', role: 'support', active: true };
+    await assertFails(setDoc(doc(dbFor(REVIEWER), 'admins', 'new-admin'), newAdmin));
+    await assertFails(updateDoc(doc(dbFor(REVIEWER), 'admins', REVIEWER), { role: 'super-admin' }));
+    await assertFails(setDoc(doc(dbFor(ADMIN), 'admins', 'new-admin'), { ...newAdmin, role: 'owner' }));
+    await assertSucceeds(setDoc(doc(dbFor(ADMIN), 'admins', 'new-admin'), newAdmin));
+    await assertSucceeds(updateDoc(doc(dbFor(REVIEWER), 'admins', REVIEWER), { lastLoginAt: '2025-01-01' }));
+  });
+
+  test('anyone signed in can check whether they are an admin', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(OWNER), 'admins', OWNER)));
+    await assertFails(getDoc(doc(dbFor(OWNER), 'admins', ADMIN)));
+    await assertFails(getDocs(collection(dbFor(REVIEWER), 'admins')));
+  });
+});
+
+describe('staff', () => {
+  const newStaff = {
+    shopId: OWNER, name: 'Bilal', email: 'bilal@example.com', role: 'cashier', active: true
+  };
+
+  test('only the owner can add staff to their shop', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'staff', 'new-staff'), newStaff));
+    await assertFails(setDoc(doc(dbFor(MANAGER), 'staff', 'new-staff'), newStaff));
+    await assertFails(setDoc(doc(dbFor(OTHER_OWNER), 'staff', 'new-staff'), newStaff));
+  });
+
+  test('staff roles must be known', async () => {
+    await assertFails(setDoc(doc(dbFor(OWNER), 'staff', 'new-staff'), { ...newStaff, role: 'owner' }));
+  });
+
+  test('staff cannot change their own role or move shops', async () => {
+    await assertFails(updateDoc(doc(dbFor(CASHIER), 'staff', CASHIER), { role: 'manager' }));
+    await assertFails(updateDoc(doc(dbFor(FORMER_CASHIER), 'staff', FORMER_CASHIER), { active: true }));
+    await assertFails(updateDoc(doc(dbFor(OWNER), 'staff', CASHIER), { shopId: OTHER_OWNER }));
+    await assertSucceeds(updateDoc(doc(dbFor(CASHIER), 'staff', CASHIER), { lastPasswordChange: '2025-01-01' }));
+  });
+
+  test('staff are kept out of a shop that isn\'t approved, but can see its status', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), 'shops', OWNER), { status: 'frozen' });
+    });
+    await assertSucceeds(getDoc(doc(dbFor(CASHIER), 'shops', OWNER)));
+    await assertFails(getDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-1')));
+    await assertFails(setDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-2'), receipt(OWNER)));
+    await assertFails(updateDoc(doc(dbFor(MANAGER), 'shops', OWNER), { shopName: 'Renamed' }));
+  });
+
+  test('the owner can list their staff, and staff can read their own account', async () => {
+    await assertSucceeds(getDocs(query(collection(dbFor(OWNER), 'staff'), where('shopId', '==', OWNER))));
+    await assertSucceeds(getDoc(doc(dbFor(FORMER_CASHIER), 'staff', FORMER_CASHIER)));
+    await assertFails(getDoc(doc(dbFor(CASHIER), 'staff', MANAGER)));
+    await assertFails(getDocs(query(collection(dbFor(OTHER_OWNER), 'staff'), where('shopId', '==', OWNER))));
+  });
+});
+
+describe('staff permissions', () => {
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'salaries', 'salary-1'), { shopId: OWNER, employeeId: 'employee-1', amount: 30000 });
+      await setDoc(doc(db, 'expenses', 'expense-1'), { shopId: OWNER, amount: 1200 });
+      await setDoc(doc(db, 'stock', 'item-1'), { shopId: OWNER, name: 'Tea', quantity: 5 });
+    });
+  });
+
+  test('cashiers sell and see stock, but not salaries, expenses or stock edits', async () => {
+    const db = dbFor(CASHIER);
+    await assertSucceeds(getDoc(doc(db, 'stock', 'item-1')));
+    await assertFails(updateDoc(doc(db, 'stock', 'item-1'), { price: 1 }));
+    await assertFails(updateDoc(doc(db, 'stock', 'item-1'), { quantity: 4, name: 'Green Tea' }));
+    await assertFails(setDoc(doc(db, 'stock', 'item-2'), { shopId: OWNER, name: 'Sugar', quantity: 5 }));
+    await assertFails(deleteDoc(doc(db, 'stock', 'item-1')));
+    await assertFails(getDoc(doc(db, 'salaries', 'salary-1')));
+    await assertFails(getDocs(query(collection(db, 'employees'), where('shopId', '==', OWNER))));
+    await assertFails(getDoc(doc(db, 'expenses', 'expense-1')));
+  });
+
+  test('a role only has the permissions the shop gives it', async () => {
+    // The shop gives managers nothing but its settings
+    await assertFails(getDoc(doc(dbFor(MANAGER), 'receipts', 'receipt-1')));
+    await assertFails(setDoc(doc(dbFor(MANAGER), 'receipts', 'receipt-2'), receipt(OWNER)));
+    await assertFails(getDoc(doc(dbFor(MANAGER), 'stock', 'item-1')));
+  });
+
+  test('permissions the shop adds to a role are honoured', async () => {
+    await assertFails(getDoc(doc(dbFor(CASHIER), 'expenses', 'expense-1')));
+    await updateDoc(doc(dbFor(OWNER), 'shops', OWNER), {
+      rolePermissions: { manager: ['manage-settings'], cashier: ['make-sales', 'manage-expenses'] }
+    });
+    await assertSucceeds(getDoc(doc(dbFor(CASHIER), 'expenses', 'expense-1')));
+    await assertFails(getDocs(query(collection(dbFor(CASHIER), 'stockMovements'), where('shopId', '==', OWNER))));
+  });
+
+  test('the owner can do everything', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(OWNER), 'salaries', 'salary-1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(OWNER), 'stock', 'item-1')));
+  });
+});
+
+describe('receipts', () => {
+  test('the shop\'s owner and active staff can record and read sales', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'receipts', 'receipt-2'), receipt(OWNER)));
+    await assertSucceeds(setDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-3'), receipt(OWNER)));
+    await assertSucceeds(getDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-1')));
+    await assertSucceeds(getDocs(query(collection(dbFor(CASHIER), 'receipts'), where('shopId', '==', OWNER))));
+  });
+
+  test('other shops and deactivated staff are kept out', async () => {
+    await assertFails(getDoc(doc(dbFor(OTHER_OWNER), 'receipts', 'receipt-1')));
+    await assertFails(getDoc(doc(dbFor(FORMER_CASHIER), 'receipts', 'receipt-1')));
+    await assertFails(setDoc(doc(dbFor(FORMER_CASHIER), 'receipts', 'receipt-2'), receipt(OWNER)));
+    await assertFails(setDoc(doc(dbFor(OTHER_OWNER), 'receipts', 'receipt-2'), receipt(OWNER)));
+    await assertFails(getDocs(query(collection(dbFor(OWNER), 'receipts'))));
+    await assertFails(getDoc(doc(anonymousDb(), 'receipts', 'receipt-1')));
+  });
+
+  test('receipts cannot be moved to another shop or deleted', async () => {
+    await assertFails(updateDoc(doc(dbFor(OWNER), 'receipts', 'receipt-1'), { shopId: OTHER_OWNER }));
+    await assertFails(deleteDoc(doc(dbFor(OWNER), 'receipts', 'receipt-1')));
+  });
+
+  test('voided and credited receipts cannot be changed again', async () => {
+    const db = dbFor(OWNER);
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), { status: 'void' }));
+    await assertSucceeds(updateDoc(doc(db, 'receipts', 'receipt-1'), {
+      status: 'void',
+      voidInfo: { reason: 'Rung up twice', voidedBy: 'owner@example.com' }
+    }));
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), { returns: [] }));
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), { status: 'credited', creditNoteInfo: {} }));
+  });
+
+  test('each kind of change only touches its own fields', async () => {
+    const db = dbFor(OWNER);
+    const returns = [{ returnNumber: 1, returnedItems: [{ name: 'Tea', quantity: 1 }], refundAmount: 100 }];
+    await assertSucceeds(updateDoc(doc(db, 'receipts', 'receipt-1'), { returns }));
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), { returns: [], totalAmount: 0 }));
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), { status: 'void', voidInfo: {}, returns: [] }));
+    // A credit note needs its document written alongside
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), {
+      status: 'credited',
+      creditNoteInfo: { creditNoteId: 'note-missing' }
+    }));
+  });
+
+  test('an edit takes the next revision and saves it alongside', async () => {
+    const db = dbFor(OWNER);
+    const edit = (revision) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'receipts', 'receipt-1'), {
+        totalAmount: 90,
+        revision,
+        lastEditedBy: 'owner@example.com',
+        lastEditedAt: '2025-01-02T10:00:00.000Z'
+      });
+      batch.set(doc(db, 'receiptRevisions', `receipt-1_${revision}`), {
+        shopId: OWNER,
+        receiptId: 'receipt-1',
+        revision
+      });
+      return batch.commit();
+    };
+    await assertFails(edit(2));
+    await assertFails(updateDoc(doc(db, 'receipts', 'receipt-1'), {
+      totalAmount: 90,
+      revision: 1,
+      lastEditedBy: 'owner@example.com',
+      lastEditedAt: '2025-01-02T10:00:00.000Z'
+    }));
+    await assertSucceeds(edit(1));
+    // Cashiers can return items but not edit receipts
+    await assertFails(updateDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-1'), {
+      totalAmount: 80,
+      revision: 2,
+      lastEditedBy: 'cashier@example.com',
+      lastEditedAt: '2025-01-03T10:00:00.000Z'
+    }));
+    await assertSucceeds(updateDoc(doc(dbFor(CASHIER), 'receipts', 'receipt-1'), {
+      pendingReturns: [{ offlineId: 'return-1', returnedItems: [{ name: 'Tea', quantity: 1 }] }],
+      returnSyncStatus: 'pending'
+    }));
+  });
+
+  test('receipts need their items', async () => {
+    await assertFails(setDoc(doc(dbFor(OWNER), 'receipts', 'receipt-2'), receipt(OWNER, { items: 'Tea' })));
+  });
+
+  test('each revision is saved once under its own number', async () => {
+    const db = dbFor(OWNER);
+    const revision = { shopId: OWNER, receiptId: 'receipt-1', revision: 1, before: {}, after: {} };
+    await assertFails(setDoc(doc(db, 'receiptRevisions', 'receipt-1_2'), revision));
+    await assertSucceeds(setDoc(doc(db, 'receiptRevisions', 'receipt-1_1'), revision));
+    await assertFails(setDoc(doc(db, 'receiptRevisions', 'receipt-1_1'), revision));
+  });
+
+  test('credit notes need a reason and cannot be changed', async () => {
+    const db = dbFor(OWNER);
+    const creditNote = { shopId: OWNER, receiptId: 'receipt-1', reason: 'Wrong item' };
+    await assertFails(setDoc(doc(db, 'creditNotes', 'note-1'), { ...creditNote, reason: '' }));
+    await assertSucceeds(setDoc(doc(db, 'creditNotes', 'note-1'), creditNote));
+    await assertFails(updateDoc(doc(db, 'creditNotes', 'note-1'), { reason: 'Changed' }));
+  });
+
+  test('invoice counters can be looked up before the first sale', async () => {
+    const db = dbFor(CASHIER);
+    await assertSucceeds(getDoc(doc(db, 'invoiceCounters', OWNER)));
+    await assertSucceeds(setDoc(doc(db, 'invoiceCounters', OWNER), { shopId: OWNER, lastNumber: 1 }));
+    await assertFails(setDoc(doc(db, 'invoiceCounters', OTHER_OWNER), { shopId: OWNER, lastNumber: 1 }));
+    await assertFails(getDoc(doc(dbFor(OTHER_OWNER), 'invoiceCounters', OWNER)));
+  });
+
+  test('invoice numbers are taken one at a time', async () => {
+    const counterRef = doc(dbFor(CASHIER), 'invoiceCounters', OWNER);
+    await assertSucceeds(setDoc(counterRef, { shopId: OWNER, year: 2025, lastNumber: 1 }));
+    await assertFails(setDoc(counterRef, { shopId: OWNER, year: 2025, lastNumber: 3 }));
+    await assertFails(setDoc(counterRef, { shopId: OWNER, year: 2025, lastNumber: 1 }));
+    await assertFails(setDoc(counterRef, { shopId: OTHER_OWNER, year: 2025, lastNumber: 2 }));
+    await assertSucceeds(setDoc(counterRef, { shopId: OWNER, year: 2025, lastNumber: 2 }));
+    // A new year starts again at 1
+    await assertSucceeds(setDoc(counterRef, { shopId: OWNER, year: 2026, lastNumber: 1 }));
+    await assertFails(setDoc(counterRef, { shopId: OWNER, year: 2025, lastNumber: 1 }));
+  });
+
+  test('sales summaries are kept under their shop\'s ID', async () => {
+    const summary = { shopId: OWNER, period: 'day', key: '2025-01-01', sales: 100 };
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'salesSummaries', `${OWNER}_day_2025-01-01`), summary));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'salesSummaries', `${OTHER_OWNER}_day_2025-01-01`), summary));
+  });
+});
+
+describe('stock', () => {
+  test('items need a name', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'stock', 'item-1'), { shopId: OWNER, name: 'Tea', quantity: 5 }));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'stock', 'item-2'), { shopId: OWNER, name: '', quantity: 5 }));
+  });
+
+  test('sales staff move quantities and costs, but only stock staff change the item', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'stock', 'item-1'), {
+        shopId: OWNER, name: 'Tea', quantity: 5, price: 150, costPrice: 100
+      });
+    });
+    const sale = { quantity: 4, costBatches: [{ quantity: 4, unitCost: 100 }], averageCost: 100, updatedAt: '2025-01-01' };
+    await assertSucceeds(updateDoc(doc(dbFor(CASHIER), 'stock', 'item-1'), sale));
+    await assertFails(updateDoc(doc(dbFor(CASHIER), 'stock', 'item-1'), { costPrice: 1 }));
+    await assertFails(updateDoc(doc(dbFor(CASHIER), 'stock', 'item-1'), { reorderLevel: 0 }));
+    await assertSucceeds(updateDoc(doc(dbFor(OWNER), 'stock', 'item-1'), { price: 160 }));
+  });
+
+  test('stock movements must add up and are never changed', async () => {
+    const db = dbFor(CASHIER);
+    const movement = { shopId: OWNER, stockItemId: 'item-1', quantityBefore: 5, quantityAfter: 3, change: -2 };
+    await assertFails(setDoc(doc(db, 'stockMovements', 'movement-1'), { ...movement, change: 10 }));
+    await assertSucceeds(setDoc(doc(db, 'stockMovements', 'movement-1'), movement));
+    await assertFails(updateDoc(doc(db, 'stockMovements', 'movement-1'), { reason: 'Changed' }));
+    await assertFails(deleteDoc(doc(db, 'stockMovements', 'movement-1')));
+  });
+});
+
+describe('customers', () => {
+  test('customer balances are numbers', async () => {
+    const customer = { shopId: OWNER, name: 'Hamza', balance: 0, loyaltyPoints: 0 };
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'customers', 'customer-1'), customer));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'customers', 'customer-2'), { ...customer, balance: '100' }));
+  });
+
+  test('sales staff move balances and points, but can\'t change the customer', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'customers', 'customer-1'), {
+        shopId: OWNER, name: 'Hamza', balance: 0, loyaltyPoints: 0, creditLimit: 5000
+      });
+    });
+    const db = dbFor(CASHIER);
+    await assertSucceeds(updateDoc(doc(db, 'customers', 'customer-1'), { balance: 300, loyaltyPoints: 3, updatedAt: '2025-01-01' }));
+    await assertFails(updateDoc(doc(db, 'customers', 'customer-1'), { creditLimit: 100000 }));
+    await assertFails(updateDoc(doc(db, 'customers', 'customer-1'), { name: 'Someone Else' }));
+  });
+
+  test('a points entry can be looked for before it exists, but never changed', async () => {
+    const entryRef = doc(dbFor(OWNER), 'loyaltyTransactions', 'customer-1_expired_entry-1');
+    const entry = { shopId: OWNER, customerId: 'customer-1', type: 'expire', points: -20 };
+    await assertSucceeds(getDoc(entryRef));
+    await assertSucceeds(setDoc(entryRef, entry));
+    await assertFails(setDoc(entryRef, entry));
+    await assertFails(getDoc(doc(dbFor(OTHER_OWNER), 'loyaltyTransactions', 'customer-1_expired_entry-1')));
+  });
+
+  test('payments must be for more than nothing', async () => {
+    const payment = { shopId: OWNER, customerId: 'customer-1', amount: 500 };
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'customerPayments', 'payment-1'), payment));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'customerPayments', 'payment-2'), { ...payment, amount: 0 }));
+  });
+});
+
+describe('employees and expenses', () => {
+  test('employees need a name and a salary', async () => {
+    const employee = { shopId: OWNER, name: 'Usman', salary: 30000 };
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'employees', 'employee-1'), employee));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'employees', 'employee-2'), { ...employee, salary: '30000' }));
+    await assertFails(setDoc(doc(dbFor(OTHER_OWNER), 'employees', 'employee-3'), employee));
+  });
+
+  test('salary payments and expenses need a positive amount', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'salaries', 'salary-1'), { shopId: OWNER, employeeId: 'employee-1', amount: 30000 }));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'salaries', 'salary-2'), { shopId: OWNER, employeeId: 'employee-1', amount: -1 }));
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'expenses', 'expense-1'), { shopId: OWNER, amount: 1200 }));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'expenses', 'expense-2'), { shopId: OWNER, amount: '1200' }));
+  });
+
+  test('attendance records say who, when and what', async () => {
+    const record = { shopId: OWNER, employeeId: 'employee-1', date: '2025-01-01', status: 'present' };
+    await assertSucceeds(setDoc(doc(dbFor(OWNER), 'attendance', 'record-1'), record));
+    await assertFails(setDoc(doc(dbFor(OWNER), 'attendance', 'record-2'), { ...record, date: '' }));
+  });
+});
@@ -6,6 +6,7 @@ import { LanguageProvider } from './contexts/LanguageContext';
 import { useLanguage } from './contexts/LanguageContext';
 import PrivateRoute from './components/PrivateRoute';
 import AdminPrivateRoute from './components/AdminPrivateRoute';
+import OfflineSync from './components/OfflineSync';
 import ErrorBoundary from './components/ErrorBoundary';
 import Login from './pages/Login';
 import Register from './pages/Register';
@@ -18,6 +19,20 @@ import ReturnProducts from './pages/ReturnProducts';
 import ViewStock from './pages/ViewStock';
 import AddStockItem from './pages/AddStockItem';
 import EditStockItem from './pages/EditStockItem';
+import StockItemHistory from './pages/StockItemHistory';
+import ReorderSuggestions from './pages/ReorderSuggestions';
+import TaxReport from './pages/TaxReport';
+import VoidsReport from './pages/VoidsReport';
+import Promotions from './pages/Promotions';
+import PurchaseOrders from './pages/PurchaseOrders';
+import AddPurchaseOrder from './pages/AddPurchaseOrder';
+import ViewPurchaseOrder from './pages/ViewPurchaseOrder';
+import Suppliers from './pages/Suppliers';
+import ViewSupplier from './pages/ViewSupplier';
+import Customers from './pages/Customers';
+import CustomerStatement from './pages/CustomerStatement';
+import Shifts from './pages/Shifts';
+import ShiftReport from './pages/ShiftReport';
 import Employees from './pages/Employees';
 import AddEmployee from './pages/AddEmployee';
 import EditEmployee from './pages/EditEmployee';
@@ -29,6 +44,8 @@ import AdminLogin from './pages/AdminLogin';
 import AdminDashboard from './pages/AdminDashboard';
 import AdminPendingUsers from './pages/AdminPendingUsers';
 import AdminManageUsers from './pages/AdminManageUsers';
+import AdminManageAdmins from './pages/AdminManageAdmins';
+import AdminAuditLog from './pages/AdminAuditLog';
 import SalesAnalytics from './pages/SalesAnalytics';
 import SalaryManagement from './pages/SalaryManagement';
 import AddSalaryPayment from './pages/AddSalaryPayment';
@@ -38,6 +55,9 @@ import Expenses from './pages/Expenses';
 import AddExpense from './pages/AddExpense';
 import EditExpense from './pages/EditExpense';
 import ExpenseCategories from './pages/ExpenseCategories';
+import Staff from './pages/Staff';
+import { PERMISSIONS } from './utils/staffUtils';
+import { ADMIN_PERMISSIONS } from './utils/adminUtils';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 
@@ -51,6 +71,7 @@ function AppContent() {
   return (
     <Router>
       <div className={`App ${isRTL ? 'rtl' : ''}`}>
+        <OfflineSync />
         <Routes>
           {/* User Routes */}
           <Route path="/login" element={
@@ -72,35 +93,35 @@ function AppContent() {
           } />
           <Route path="/new-receipt" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MAKE_SALES}>
                 <NewReceipt />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/receipts" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MAKE_SALES}>
                 <ViewReceipts />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/receipt/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MAKE_SALES}>
                 <ViewReceipt />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/edit-receipt/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.EDIT_RECEIPTS}>
                 <EditReceipt />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/return-products/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.PROCESS_RETURNS}>
                 <ReturnProducts />
               </PrivateRoute>
             </ErrorBoundary>
@@ -108,51 +129,152 @@ function AppContent() {
           {/* Sales Analytics Route */}
           <Route path="/sales-analytics" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_PROFIT}>
                 <SalesAnalytics />
               </PrivateRoute>
             </ErrorBoundary>
           } />
+          <Route path="/tax-report" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
+                <TaxReport />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/voids" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
+                <VoidsReport />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/promotions" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_PROMOTIONS}>
+                <Promotions />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          {/* Customer Routes */}
+          <Route path="/customers" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_CUSTOMERS}>
+                <Customers />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/customer/:id" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_CUSTOMERS}>
+                <CustomerStatement />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          {/* Cash Drawer Routes */}
+          <Route path="/shifts" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MAKE_SALES}>
+                <Shifts />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/shift/:id" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MAKE_SALES}>
+                <ShiftReport />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
           {/* Stock Management Routes */}
           <Route path="/stock" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_STOCK}>
                 <ViewStock />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/add-stock" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
                 <AddStockItem />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/edit-stock/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
                 <EditStockItem />
               </PrivateRoute>
             </ErrorBoundary>
           } />
+          <Route path="/stock/:id/history" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.VIEW_STOCK}>
+                <StockItemHistory />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/reorder-suggestions" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <ReorderSuggestions />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          {/* Purchasing Routes */}
+          <Route path="/purchase-orders" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <PurchaseOrders />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/add-purchase-order" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <AddPurchaseOrder />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/purchase-order/:id" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <ViewPurchaseOrder />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/suppliers" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <Suppliers />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/supplier/:id" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.EDIT_STOCK}>
+                <ViewSupplier />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
           {/* Employee Management Routes */}
           <Route path="/employees" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <Employees />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/add-employee" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <AddEmployee />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/edit-employee/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <EditEmployee />
               </PrivateRoute>
             </ErrorBoundary>
@@ -160,28 +282,28 @@ function AppContent() {
           {/* Salary Management Routes */}
           <Route path="/salary-management" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <SalaryManagement />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/add-salary-payment" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <AddSalaryPayment />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/edit-salary-payment/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <EditSalaryPayment />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/salary-reports" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <SalaryReports />
               </PrivateRoute>
             </ErrorBoundary>
@@ -189,21 +311,21 @@ function AppContent() {
           {/* Attendance Management Routes */}
           <Route path="/attendance" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <Attendance />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/mark-attendance" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <MarkAttendance />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/attendance-report" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EMPLOYEES}>
                 <AttendanceReport />
               </PrivateRoute>
             </ErrorBoundary>
@@ -212,37 +334,46 @@ function AppContent() {
           {/* Expense Management Routes */}
           <Route path="/expenses" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EXPENSES}>
                 <Expenses />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/add-expense" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EXPENSES}>
                 <AddExpense />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/edit-expense/:id" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EXPENSES}>
                 <EditExpense />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           <Route path="/expense-categories" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_EXPENSES}>
                 <ExpenseCategories />
               </PrivateRoute>
             </ErrorBoundary>
           } />
           
+          {/* Staff Route */}
+          <Route path="/staff" element={
+            <ErrorBoundary>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_STAFF}>
+                <Staff />
+              </PrivateRoute>
+            </ErrorBoundary>
+          } />
+          
           {/* Settings Route */}
           <Route path="/settings" element={
             <ErrorBoundary>
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_SETTINGS}>
                 <Settings />
               </PrivateRoute>
             </ErrorBoundary>
@@ -275,6 +406,20 @@ function AppContent() {
               </AdminPrivateRoute>
             </ErrorBoundary>
           } />
+          <Route path="/admin/admins" element={
+            <ErrorBoundary>
+              <AdminPrivateRoute permission={ADMIN_PERMISSIONS.MANAGE_ADMINS}>
+                <AdminManageAdmins />
+              </AdminPrivateRoute>
+            </ErrorBoundary>
+          } />
+          <Route path="/admin/audit-log" element={
+            <ErrorBoundary>
+              <AdminPrivateRoute permission={ADMIN_PERMISSIONS.VIEW_AUDIT_LOG}>
+                <AdminAuditLog />
+              </AdminPrivateRoute>
+            </ErrorBoundary>
+          } />
           
           <Route path="/" element={<Navigate replace to="/login" />} />
           <Route path="/admin" element={<Navigate replace to="/admin/login" />} />
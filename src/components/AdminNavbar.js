@@ -5,9 +5,10 @@ import { useAdmin } from '../contexts/AdminContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import LanguageToggle from './LanguageToggle';
 import Translate from './Translate';
+import { ADMIN_PERMISSIONS, ADMIN_ROLE_LABELS } from '../utils/adminUtils';
 
 const AdminNavbar = () => {
-  const { adminUser, adminLogout } = useAdmin();
+  const { adminUser, adminLogout, hasPermission } = useAdmin();
   const navigate = useNavigate();
   const location = useLocation();
   const [showSidebar, setShowSidebar] = useState(false);
@@ -47,6 +48,11 @@ const AdminNavbar = () => {
           
           <div className="d-none d-lg-flex align-items-center">
             <LanguageToggle />
+            {adminUser && (
+              <Navbar.Text className="ms-3">
+                {adminUser.email} ({ADMIN_ROLE_LABELS[adminUser.role] || adminUser.role})
+              </Navbar.Text>
+            )}
             {adminUser && (
               <Button variant="outline-light" onClick={handleLogout} className="ms-2">
                 <Translate textKey="logout" />
@@ -87,6 +93,26 @@ const AdminNavbar = () => {
             >
               <Translate textKey="manageUsers" fallback="Manage Users" />
             </Nav.Link>
+            {hasPermission(ADMIN_PERMISSIONS.MANAGE_ADMINS) && (
+              <Nav.Link 
+                as={Link} 
+                to="/admin/admins" 
+                className={isActive('/admin/admins') ? 'active' : ''}
+                onClick={handleClose}
+              >
+                <Translate textKey="admins" fallback="Admins" />
+              </Nav.Link>
+            )}
+            {hasPermission(ADMIN_PERMISSIONS.VIEW_AUDIT_LOG) && (
+              <Nav.Link 
+                as={Link} 
+                to="/admin/audit-log" 
+                className={isActive('/admin/audit-log') ? 'active' : ''}
+                onClick={handleClose}
+              >
+                <Translate textKey="auditLog" fallback="Audit Log" />
+              </Nav.Link>
+            )}
             <hr className="bg-secondary" />
             <div className="d-flex mt-3">
               <LanguageToggle />
@@ -129,6 +155,24 @@ const AdminNavbar = () => {
           >
             <i className="bi bi-people me-2"></i> <Translate textKey="manageUsers" fallback="Manage Users" />
           </Nav.Link>
+          {hasPermission(ADMIN_PERMISSIONS.MANAGE_ADMINS) && (
+            <Nav.Link 
+              as={Link} 
+              to="/admin/admins" 
+              className={`rounded py-2 ${isActive('/admin/admins') ? 'active bg-primary text-white' : ''}`}
+            >
+              <i className="bi bi-shield-lock me-2"></i> <Translate textKey="admins" fallback="Admins" />
+            </Nav.Link>
+          )}
+          {hasPermission(ADMIN_PERMISSIONS.VIEW_AUDIT_LOG) && (
+            <Nav.Link 
+              as={Link} 
+              to="/admin/audit-log" 
+              className={`rounded py-2 ${isActive('/admin/audit-log') ? 'active bg-primary text-white' : ''}`}
+            >
+              <i className="bi bi-journal-text me-2"></i> <Translate textKey="auditLog" fallback="Audit Log" />
+            </Nav.Link>
+          )}
         </Nav>
       </div>
     </>
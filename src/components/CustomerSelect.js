@@ -0,0 +1,48 @@
+import React from 'react';
+import { Form } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import Select from 'react-select';
+import { formatCurrency } from '../utils/receiptUtils';
+import '../styles/select.css';
+
+/**
+ * Searchable picker for one of the shop's customers
+ * @param {Object} props
+ * @param {Array} props.customers - The shop's customers
+ * @param {string} props.value - Selected customer ID
+ * @param {Function} props.onChange - Called with the selected customer object, or null for none
+ */
+function CustomerSelect({ customers, value, onChange }) {
+  const options = customers.map(customer => ({
+    value: customer.id,
+    label: customer.phone ? `${customer.name} (${customer.phone})` : customer.name,
+    customer
+  }));
+
+  return (
+    <>
+      <Select
+        value={options.find(option => option.value === value) || null}
+        onChange={(option) => onChange(option ? option.customer : null)}
+        options={options}
+        placeholder="Walk-in customer"
+        isClearable
+        isSearchable
+        className="basic-single"
+        classNamePrefix="select"
+        formatOptionLabel={(option, { context }) => (
+          context === 'menu' && option.customer.balance > 0
+            ? <>{option.label} <span className="text-danger small">owes {formatCurrency(option.customer.balance)}</span></>
+            : option.label
+        )}
+      />
+      {customers.length === 0 && (
+        <Form.Text className="text-muted">
+          No customers yet. <Link to="/customers">Add a customer</Link>
+        </Form.Text>
+      )}
+    </>
+  );
+}
+
+export default CustomerSelect;
@@ -5,9 +5,10 @@ import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import LanguageToggle from './LanguageToggle';
 import Translate from './Translate';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/staffUtils';
 
 const MainNavbar = () => {
-  const { currentUser, logout, shopData } = useAuth();
+  const { currentUser, logout, shopData, staffMember, hasPermission } = useAuth();
   const { language } = useLanguage();
   const navigate = useNavigate();
 
@@ -33,39 +34,81 @@ const MainNavbar = () => {
             {currentUser && (
               <>
                 <Nav.Link as={Link} to="/dashboard"><Translate textKey="dashboard" /></Nav.Link>
-                <Nav.Link as={Link} to="/new-receipt"><Translate textKey="newReceipt" /></Nav.Link>
-                <Nav.Link as={Link} to="/receipts"><Translate textKey="receipts" /></Nav.Link>
-                <Nav.Link as={Link} to="/sales-analytics"><Translate textKey="salesAnalytics" fallback="Sales Analytics" /></Nav.Link>
-                <Nav.Link as={Link} to="/stock"><Translate textKey="inventory" /></Nav.Link>
+                {hasPermission(PERMISSIONS.MAKE_SALES) && (
+                  <>
+                    <Nav.Link as={Link} to="/new-receipt"><Translate textKey="newReceipt" /></Nav.Link>
+                    <Nav.Link as={Link} to="/receipts"><Translate textKey="receipts" /></Nav.Link>
+                    <Nav.Link as={Link} to="/shifts"><Translate textKey="shifts" fallback="Shifts" /></Nav.Link>
+                  </>
+                )}
+                {hasPermission(PERMISSIONS.VIEW_PROFIT) && (
+                  <Nav.Link as={Link} to="/sales-analytics"><Translate textKey="salesAnalytics" fallback="Sales Analytics" /></Nav.Link>
+                )}
+                {hasPermission(PERMISSIONS.MANAGE_PROMOTIONS) && (
+                  <Nav.Link as={Link} to="/promotions"><Translate textKey="promotions" fallback="Promotions" /></Nav.Link>
+                )}
+                {hasPermission(PERMISSIONS.MANAGE_CUSTOMERS) && (
+                  <Nav.Link as={Link} to="/customers"><Translate textKey="customers" fallback="Customers" /></Nav.Link>
+                )}
+                
+                {/* Inventory Management Dropdown */}
+                {hasPermission(PERMISSIONS.VIEW_STOCK) && (
+                  <NavDropdown title={<Translate textKey="inventory" />} id="inventory-nav-dropdown">
+                    <NavDropdown.Item as={Link} to="/stock"><Translate textKey="stockInventory" /></NavDropdown.Item>
+                    {hasPermission(PERMISSIONS.EDIT_STOCK) && (
+                      <>
+                        <NavDropdown.Item as={Link} to="/reorder-suggestions"><Translate textKey="reorderSuggestions" fallback="Reorder Suggestions" /></NavDropdown.Item>
+                        <NavDropdown.Item as={Link} to="/purchase-orders"><Translate textKey="purchaseOrders" fallback="Purchase Orders" /></NavDropdown.Item>
+                        <NavDropdown.Item as={Link} to="/suppliers"><Translate textKey="suppliers" fallback="Suppliers" /></NavDropdown.Item>
+                      </>
+                    )}
+                  </NavDropdown>
+                )}
                 
                 {/* Employee Management Dropdown */}
-                <NavDropdown title={<Translate textKey="employees" />} id="employee-nav-dropdown">
-                  <NavDropdown.Item as={Link} to="/employees"><Translate textKey="viewEmployees" /></NavDropdown.Item>
-                  <NavDropdown.Item as={Link} to="/add-employee"><Translate textKey="addEmployee" /></NavDropdown.Item>
-                </NavDropdown>
+                {hasPermission(PERMISSIONS.MANAGE_EMPLOYEES) && (
+                  <NavDropdown title={<Translate textKey="employees" />} id="employee-nav-dropdown">
+                    <NavDropdown.Item as={Link} to="/employees"><Translate textKey="viewEmployees" /></NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/add-employee"><Translate textKey="addEmployee" /></NavDropdown.Item>
+                  </NavDropdown>
+                )}
                 
                 {/* Expense Management Dropdown */}
-                <NavDropdown title={<Translate textKey="expenses" fallback="Expenses" />} id="expense-nav-dropdown">
-                  <NavDropdown.Item as={Link} to="/expenses"><Translate textKey="viewExpenses" fallback="View Expenses" /></NavDropdown.Item>
-                  <NavDropdown.Item as={Link} to="/add-expense"><Translate textKey="addExpense" fallback="Add Expense" /></NavDropdown.Item>
-                  <NavDropdown.Item as={Link} to="/expense-categories"><Translate textKey="expenseCategories" fallback="Expense Categories" /></NavDropdown.Item>
-                </NavDropdown>
+                {hasPermission(PERMISSIONS.MANAGE_EXPENSES) && (
+                  <NavDropdown title={<Translate textKey="expenses" fallback="Expenses" />} id="expense-nav-dropdown">
+                    <NavDropdown.Item as={Link} to="/expenses"><Translate textKey="viewExpenses" fallback="View Expenses" /></NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/add-expense"><Translate textKey="addExpense" fallback="Add Expense" /></NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/expense-categories"><Translate textKey="expenseCategories" fallback="Expense Categories" /></NavDropdown.Item>
+                  </NavDropdown>
+                )}
                 
                 {/* Attendance Management Dropdown */}
-                <NavDropdown title={<Translate textKey="attendance" />} id="attendance-nav-dropdown">
-                  <NavDropdown.Item as={Link} to="/attendance"><Translate textKey="viewAttendance" /></NavDropdown.Item>
-                  <NavDropdown.Item as={Link} to="/mark-attendance"><Translate textKey="markAttendance" /></NavDropdown.Item>
-                  <NavDropdown.Item as={Link} to="/attendance-report"><Translate textKey="attendanceReport" /></NavDropdown.Item>
-                </NavDropdown>
+                {hasPermission(PERMISSIONS.MANAGE_EMPLOYEES) && (
+                  <NavDropdown title={<Translate textKey="attendance" />} id="attendance-nav-dropdown">
+                    <NavDropdown.Item as={Link} to="/attendance"><Translate textKey="viewAttendance" /></NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/mark-attendance"><Translate textKey="markAttendance" /></NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/attendance-report"><Translate textKey="attendanceReport" /></NavDropdown.Item>
+                  </NavDropdown>
+                )}
                 
-                {/* Settings */}
-                <Nav.Link as={Link} to="/settings"><Translate textKey="settings" /></Nav.Link>
+                {/* Staff and Settings */}
+                {hasPermission(PERMISSIONS.MANAGE_STAFF) && (
+                  <Nav.Link as={Link} to="/staff"><Translate textKey="staff" fallback="Staff" /></Nav.Link>
+                )}
+                {hasPermission(PERMISSIONS.MANAGE_SETTINGS) && (
+                  <Nav.Link as={Link} to="/settings"><Translate textKey="settings" /></Nav.Link>
+                )}
               </>
             )}
           </Nav>
           <Nav>
             {currentUser ? (
               <>
+                {staffMember && (
+                  <Navbar.Text className="me-2">
+                    {staffMember.name} ({ROLE_LABELS[staffMember.role]})
+                  </Navbar.Text>
+                )}
                 <Button variant="outline-light" onClick={handleLogout}><Translate textKey="logout" /></Button>
                 <LanguageToggle />
               </>
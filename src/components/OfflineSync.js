@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Alert } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  syncPendingChanges,
+  isOffline,
+  getRejectedOfflineWrites,
+  clearRejectedOfflineWrites,
+  subscribeToRejectedOfflineWrites
+} from '../utils/receiptUtils';
+
+/**
+ * Syncs sales and returns saved offline when the app starts and whenever the
+ * connection comes back, and shows a banner while the till is offline. Offline
+ * changes the server refused are listed until dismissed, since they weren't saved.
+ */
+function OfflineSync() {
+  const { currentUser, shopId } = useAuth();
+  const [offline, setOffline] = useState(isOffline());
+  const [message, setMessage] = useState(null);
+  const [rejectedWrites, setRejectedWrites] = useState(getRejectedOfflineWrites());
+
+  const syncChanges = useCallback(() => {
+    if (!shopId || isOffline()) return;
+
+    syncPendingChanges(shopId)
+      .then(result => {
+        const sales = result.synced + result.conflicts;
+        if (sales === 0 && result.returns === 0 && result.failed === 0) return;
+
+        const parts = [];
+        if (sales > 0) parts.push(`${sales} offline sale${sales === 1 ? '' : 's'}`);
+        if (result.returns > 0) parts.push(`${result.returns} offline return${result.returns === 1 ? '' : 's'}`);
+        setMessage({
+          variant: result.conflicts > 0 || result.failed > 0 ? 'warning' : 'success',
+          text: [
+            parts.length > 0 && `Synced ${parts.join(' and ')}.`,
+            result.conflicts > 0 && `${result.conflicts} sold more than was in stock; check the receipts marked "Stock conflict".`,
+            result.failed > 0 && `${result.failed} could not sync yet and will be tried again.`
+          ].filter(Boolean).join(' ')
+        });
+      })
+      .catch(error => {
+        console.error('Error syncing offline changes:', error);
+      });
+  }, [shopId]);
+
+  useEffect(() => {
+    syncChanges();
+
+    const handleOnline = () => {
+      setOffline(false);
+      syncChanges();
+    };
+    const handleOffline = () => setOffline(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncChanges]);
+
+  useEffect(() => subscribeToRejectedOfflineWrites(setRejectedWrites), []);
+
+  if (!currentUser || (!offline && !message && rejectedWrites.length === 0)) return null;
+
+  return (
+    <div style={{ position: 'fixed', bottom: '1rem', left: '1rem', right: '1rem', zIndex: 1050 }}>
+      {rejectedWrites.length > 0 && (
+        <Alert variant="danger" className="shadow-sm" dismissible onClose={clearRejectedOfflineWrites}>
+          <p className="mb-1">
+            These changes were made offline but refused by the server, so they were not saved. Record them again:
+          </p>
+          <ul className="mb-0">
+            {rejectedWrites.map((write, index) => (
+              <li key={index}>{write.description} ({write.error})</li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+      {offline ? (
+        <Alert variant="warning" className="mb-0 shadow-sm">
+          You are offline. Sales and returns are saved on this device and will sync when the connection is back.
+        </Alert>
+      ) : message && (
+        <Alert variant={message.variant} className="mb-0 shadow-sm" dismissible onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+    </div>
+  );
+}
+
+export default OfflineSync;
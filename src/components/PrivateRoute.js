@@ -1,15 +1,38 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
+import { Container, Alert } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from './Navbar';
+
+/**
+ * Only show a page to someone signed in, and if it needs a permission, only to
+ * an owner or staff member whose role has it
+ * @param {Object} props
+ * @param {string} props.permission - One of PERMISSIONS, if the page needs one
+ */
+const PrivateRoute = ({ children, permission }) => {
+  const { currentUser, shopId, hasPermission } = useAuth();
 
-const PrivateRoute = ({ children }) => {
-  const { currentUser } = useAuth();
-  
   if (!currentUser) {
     return <Navigate to="/login" />;
   }
   
+  if (!shopId || (permission && !hasPermission(permission))) {
+    return (
+      <>
+        <MainNavbar />
+        <Container>
+          <Alert variant="warning">
+            {shopId
+              ? 'Your role doesn\'t allow access to this page. Ask the shop owner if you need it.'
+              : 'This account isn\'t linked to an approved shop, or has been deactivated.'}
+          </Alert>
+        </Container>
+      </>
+    );
+  }
+  
   return children;
 };
 
-export default PrivateRoute; 
\ No newline at end of file
+export default PrivateRoute;
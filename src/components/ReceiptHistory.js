@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, Badge, Spinner, Table } from 'react-bootstrap';
+import { formatCurrency, formatDate, formatTime } from '../utils/receiptUtils';
+import { getReceiptRevisions, RECEIPT_REVISION_FIELDS, LINE_CHANGE_TYPES } from '../utils/receiptRevisionUtils';
+
+const LINE_CHANGE_BADGES = {
+  [LINE_CHANGE_TYPES.ADDED]: { bg: 'success', label: 'Added' },
+  [LINE_CHANGE_TYPES.REMOVED]: { bg: 'danger', label: 'Removed' },
+  [LINE_CHANGE_TYPES.CHANGED]: { bg: 'info', label: 'Changed' }
+};
+
+// Money fields are shown as currency, the rest as they are
+const MONEY_FIELDS = ['discount', 'taxTotal', 'totalAmount'];
+
+const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  return MONEY_FIELDS.includes(field) ? formatCurrency(value) : String(value);
+};
+
+const describeLine = (values) => values
+  ? `${values.quantity} × ${formatCurrency(values.price)}${values.discountAmount > 0 ? ` -${formatCurrency(values.discountAmount)}` : ''}`
+  : '-';
+
+/**
+ * Every saved edit of a receipt, newest first, with what each one changed
+ * @param {Object} props
+ * @param {Object} props.receipt - The receipt, with its id and shopId
+ */
+function ReceiptHistory({ receipt }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getReceiptRevisions(receipt.shopId, receipt.id)
+      .then(setRevisions)
+      .catch(error => {
+        setError('Failed to load receipt history: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [receipt.shopId, receipt.id, receipt.revision]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <Alert variant="danger">{error}</Alert>;
+  }
+
+  return (
+    <>
+      {revisions.map(revision => (
+        <div key={revision.id} className="mb-4">
+          <h6>
+            Revision {revision.revision}
+            <small className="text-muted ms-2">
+              {formatDate(revision.editedAt)} {formatTime(revision.editedAt)} by {revision.editedBy || 'unknown'}
+            </small>
+          </h6>
+          {revision.reason && <p className="small mb-2">Reason: {revision.reason}</p>}
+
+          {revision.fieldChanges.length > 0 && (
+            <Table size="sm" bordered className="mb-2">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {revision.fieldChanges.map(change => (
+                  <tr key={change.field}>
+                    <td>{RECEIPT_REVISION_FIELDS[change.field] || change.field}</td>
+                    <td>{formatFieldValue(change.field, change.from)}</td>
+                    <td>{formatFieldValue(change.field, change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {revision.lineChanges.length > 0 && (
+            <Table size="sm" bordered className="mb-2">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th></th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {revision.lineChanges.map((change, index) => (
+                  <tr key={index}>
+                    <td>{change.name}</td>
+                    <td>
+                      <Badge bg={LINE_CHANGE_BADGES[change.type].bg}>{LINE_CHANGE_BADGES[change.type].label}</Badge>
+                    </td>
+                    <td>{describeLine(change.before)}</td>
+                    <td>{describeLine(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {revision.fieldChanges.length === 0 && revision.lineChanges.length === 0 && (
+            <p className="small text-muted">Saved without changes to the totals or items.</p>
+          )}
+        </div>
+      ))}
+
+      <p className="small text-muted mb-0">
+        Revision 0: created {formatDate(receipt.timestamp)} {formatTime(receipt.timestamp)}
+        {receipt.cashierName ? ` by ${receipt.cashierName}` : ''}.
+        {revisions.length === 0 && ' This receipt has not been edited.'}
+      </p>
+    </>
+  );
+}
+
+export default ReceiptHistory;
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { Form } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getShopSuppliers } from '../utils/supplierUtils';
+
+/**
+ * Dropdown for picking one of the shop's suppliers
+ * @param {Object} props
+ * @param {string} props.value - Selected supplier ID
+ * @param {Function} props.onChange - Called with the selected supplier object, or null for none
+ * @param {boolean} props.required - Whether a supplier must be picked
+ */
+function SupplierSelect({ value, onChange, required = false }) {
+  const { shopId } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+
+  useEffect(() => {
+    if (!shopId) return;
+
+    getShopSuppliers(shopId)
+      .then(setSuppliers)
+      .catch(error => {
+        console.error('Error loading suppliers:', error);
+      });
+  }, [shopId]);
+
+  const handleChange = (e) => {
+    const supplier = suppliers.find(item => item.id === e.target.value);
+    onChange(supplier || null);
+  };
+
+  return (
+    <>
+      <Form.Select
+        value={value || ''}
+        onChange={handleChange}
+        required={required}
+      >
+        <option value="">{required ? 'Select supplier' : 'No supplier'}</option>
+        {suppliers.map(supplier => (
+          <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+        ))}
+      </Form.Select>
+      {suppliers.length === 0 && (
+        <Form.Text className="text-muted">
+          No suppliers yet. <Link to="/suppliers">Add a supplier</Link>
+        </Form.Text>
+      )}
+    </>
+  );
+}
+
+export default SupplierSelect;
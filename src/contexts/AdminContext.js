@@ -5,25 +5,37 @@ import {
   onAuthStateChanged
 } from 'firebase/auth';
 import { 
-  doc, 
-  getDoc, 
   getDocs, 
   collection, 
   query, 
-  where, 
-  updateDoc,
-  orderBy
+  where
 } from 'firebase/firestore';
 import { auth, db } from '../firebase/config';
+import { getAdminUser, changeShopStatus, hasAdminPermission, ADMIN_ACTIONS } from '../utils/adminUtils';
 
-// Admin email from environment variables
-const ADMIN_EMAIL = process.env.REACT_APP_ADMIN_EMAIL || "";
-
-// In a production environment, admin users should be managed through Firebase Authentication
-// with custom claims or a separate admin collection in Firestore
+// Admins sign in with Firebase Authentication like everyone else; what makes
+// them an admin is an `adminRole` custom claim or their document in the admins
+// collection (see adminUtils)
 
 const AdminContext = createContext();
 
+// A shop as the admin panel lists it, with the email it registered with
+const toShopUser = (shopDoc) => {
+  const data = shopDoc.data();
+  return {
+    id: shopDoc.id,
+    email: data.userEmail || data.email || 'No email available',
+    ...data
+  };
+};
+
+// Newest registrations first
+const sortShopUsers = (users) => users.sort((a, b) => {
+  if (!a.createdAt) return 1;
+  if (!b.createdAt) return -1;
+  return new Date(b.createdAt) - new Date(a.createdAt);
+});
+
 export function useAdmin() {
   return useContext(AdminContext);
 }
@@ -37,114 +49,40 @@ export function AdminProvider({ children }) {
   function adminLogin(email, password) {
     // First authenticate with Firebase
     return signInWithEmailAndPassword(auth, email, password)
-      .then(userCredential => {
-        // Check if the user is in the admins collection
-        return getDoc(doc(db, 'admins', userCredential.user.uid))
-          .then(adminDoc => {
-            if (!adminDoc.exists()) {
-              // If the user is not in the admins collection, check if it's the designated admin email
-              if (email.toLowerCase() === ADMIN_EMAIL.toLowerCase()) {
-                // This is the designated admin email from environment variables
-                const adminUser = {
-                  ...userCredential.user,
-                  isAdmin: true
-                };
-                setAdminUser(adminUser);
-                return adminUser;
-              } else {
-                // Not an admin, log them out
-                signOut(auth);
-                throw new Error('Invalid admin credentials');
-              }
-            }
-            
-            // User exists in admin collection
-            const adminUser = {
-              ...userCredential.user,
-              ...adminDoc.data(),
-              isAdmin: true
-            };
-            
-            // Set the admin user in state
-            setAdminUser(adminUser);
-            return adminUser;
-          });
+      .then(userCredential => getAdminUser(userCredential.user))
+      .then(async (adminUser) => {
+        if (!adminUser) {
+          // Not an admin, log them out
+          await signOut(auth);
+          throw new Error('Invalid admin credentials');
+        }
+        
+        setAdminUser(adminUser);
+        return adminUser;
       });
   }
 
   // Admin logout
   function adminLogout() {
-    // Clear the admin session from localStorage
-    localStorage.removeItem('adminSession');
-    // Clear the admin user from state
     setAdminUser(null);
-    // Sign out from Firebase Auth
     return signOut(auth);
   }
+  
+  // Check whether the signed-in admin's role allows something
+  function hasPermission(permission) {
+    return hasAdminPermission(adminUser, permission);
+  }
 
   // Get pending user registrations
   async function getPendingUsers() {
     try {
-      console.log("Starting getPendingUsers function");
-      
-      // Mock data for testing - useful when database is empty
-      const useMockData = false; // Set to false to use real data from Firebase
-      
-      if (useMockData) {
-        console.log("Using mock data for pending users");
-        return [
-          {
-            id: 'mock-user-1',
-            shopName: 'Test Shop 1',
-            email: 'testshop1@example.com',
-            address: '123 Test Street',
-            phoneNumber: '123-456-7890',
-            status: 'pending',
-            createdAt: new Date().toISOString()
-          },
-          {
-            id: 'mock-user-2',
-            shopName: 'Test Shop 2',
-            email: 'testshop2@example.com',
-            address: '456 Test Avenue',
-            phoneNumber: '098-765-4321',
-            status: 'pending',
-            createdAt: new Date(Date.now() - 86400000).toISOString() // 1 day ago
-          }
-        ];
-      }
-      
-      // Real data from Firestore
-      const usersRef = collection(db, 'shops');
-      console.log("Created collection reference to shops");
-      
       const q = query(
-        usersRef, 
+        collection(db, 'shops'),
         where('status', '==', 'pending')
       );
-      console.log("Created query for pending status");
       
       const snapshot = await getDocs(q);
-      console.log(`Query returned ${snapshot.docs.length} documents`);
-      
-      const users = snapshot.docs
-        .map(doc => {
-          const data = doc.data();
-          console.log(`Processing document: ${doc.id}`, data);
-          return {
-            id: doc.id,
-            email: data.userEmail || data.email || 'No email available',
-            ...data
-          };
-        })
-        .sort((a, b) => {
-          if (!a.createdAt) return 1;
-          if (!b.createdAt) return -1;
-          return new Date(b.createdAt) - new Date(a.createdAt);
-        });
-      
-      console.log("Processed and sorted users:", users);
-      return users;
+      return sortShopUsers(snapshot.docs.map(toShopUser));
     } catch (error) {
       console.error('Error fetching pending users:', error);
       console.error('Error details:', error.code, error.message);
@@ -156,78 +94,8 @@ export function AdminProvider({ children }) {
   // Get all users
   async function getAllUsers() {
     try {
-      console.log("Starting getAllUsers function");
-      
-      // Mock data for testing - useful when database is empty
-      const useMockData = false; // Set to false to use real data from Firebase
-      
-      if (useMockData) {
-        console.log("Using mock data for all users");
-        return [
-          {
-            id: 'mock-user-1',
-            shopName: 'Active Shop',
-            email: 'activeshop@example.com',
-            address: '123 Active Street',
-            phoneNumber: '123-456-7890',
-            status: 'approved',
-            createdAt: new Date().toISOString()
-          },
-          {
-            id: 'mock-user-2',
-            shopName: 'Pending Shop',
-            email: 'pendingshop@example.com',
-            address: '456 Pending Avenue',
-            phoneNumber: '098-765-4321',
-            status: 'pending',
-            createdAt: new Date(Date.now() - 86400000).toISOString() // 1 day ago
-          },
-          {
-            id: 'mock-user-3',
-            shopName: 'Frozen Shop',
-            email: 'frozenshop@example.com',
-            address: '789 Frozen Lane',
-            phoneNumber: '555-123-4567',
-            status: 'frozen',
-            createdAt: new Date(Date.now() - 172800000).toISOString() // 2 days ago
-          },
-          {
-            id: 'mock-user-4',
-            shopName: 'Rejected Shop',
-            email: 'rejectedshop@example.com',
-            address: '321 Rejected Road',
-            phoneNumber: '111-222-3333',
-            status: 'rejected',
-            createdAt: new Date(Date.now() - 259200000).toISOString() // 3 days ago
-          }
-        ];
-      }
-      
-      // Real data from Firestore
-      const usersRef = collection(db, 'shops');
-      console.log("Created collection reference to shops");
-      
-      const snapshot = await getDocs(usersRef);
-      console.log(`Query returned ${snapshot.docs.length} documents`);
-      
-      const users = snapshot.docs
-        .map(doc => {
-          const data = doc.data();
-          console.log(`Processing document: ${doc.id}`, data);
-          return {
-            id: doc.id,
-            email: data.userEmail || data.email || 'No email available',
-            ...data
-          };
-        })
-        .sort((a, b) => {
-          if (!a.createdAt) return 1;
-          if (!b.createdAt) return -1;
-          return new Date(b.createdAt) - new Date(a.createdAt);
-        });
-      
-      console.log("Processed and sorted all users:", users);
-      return users;
+      const snapshot = await getDocs(collection(db, 'shops'));
+      return sortShopUsers(snapshot.docs.map(toShopUser));
     } catch (error) {
       console.error('Error fetching all users:', error);
       console.error('Error details:', error.code, error.message);
@@ -237,110 +105,37 @@ export function AdminProvider({ children }) {
   }
 
   // Approve user registration
-  async function approveUser(userId) {
-    try {
-      await updateDoc(doc(db, 'shops', userId), {
-        status: 'approved',
-        approvedAt: new Date().toISOString()
-      });
-      return true;
-    } catch (error) {
-      console.error('Error approving user:', error);
-      throw error;
-    }
+  function approveUser(userId) {
+    return changeShopStatus(userId, ADMIN_ACTIONS.APPROVE_SHOP, adminUser);
   }
 
   // Reject user registration
-  async function rejectUser(userId) {
-    try {
-      await updateDoc(doc(db, 'shops', userId), {
-        status: 'rejected',
-        rejectedAt: new Date().toISOString()
-      });
-      return true;
-    } catch (error) {
-      console.error('Error rejecting user:', error);
-      throw error;
-    }
+  function rejectUser(userId) {
+    return changeShopStatus(userId, ADMIN_ACTIONS.REJECT_SHOP, adminUser);
   }
 
   // Freeze/unfreeze user account
-  async function toggleUserFreeze(userId, freeze) {
-    try {
-      await updateDoc(doc(db, 'shops', userId), {
-        status: freeze ? 'frozen' : 'approved',
-        lastStatusChange: new Date().toISOString()
-      });
-      return true;
-    } catch (error) {
-      console.error(`Error ${freeze ? 'freezing' : 'unfreezing'} user:`, error);
-      throw error;
-    }
+  function toggleUserFreeze(userId, freeze) {
+    return changeShopStatus(userId, freeze ? ADMIN_ACTIONS.FREEZE_SHOP : ADMIN_ACTIONS.UNFREEZE_SHOP, adminUser);
   }
 
-  // Listen for auth state changes
+  // Listen for auth state changes. Admin status is checked against Firebase
+  // every time, never remembered in the browser.
   useEffect(() => {
-    // Check if we have a stored admin session in localStorage
-    const storedAdmin = localStorage.getItem('adminSession');
-    if (storedAdmin) {
-      try {
-        const adminData = JSON.parse(storedAdmin);
-        // Verify if the stored admin is valid
-        if (adminData && adminData.email === ADMIN_EMAIL) {
-          setAdminUser(adminData);
-          setLoading(false);
-          return; // Skip Firebase auth check
-        }
-      } catch (e) {
-        // Invalid stored data, clear it
-        localStorage.removeItem('adminSession');
-      }
-    }
-
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       if (user) {
-        // Special case for our admin account
-        if (user.email.toLowerCase() === ADMIN_EMAIL.toLowerCase()) {
-          const adminUser = {
-            ...user,
-            isAdmin: true
-          };
-          setAdminUser(adminUser);
-          // Store admin session
-          localStorage.setItem('adminSession', JSON.stringify(adminUser));
-          setLoading(false);
-          return;
-        }
-        
-        // Otherwise check if the user is in the admins collection
-        getDoc(doc(db, 'admins', user.uid))
-          .then(adminDoc => {
-            if (adminDoc.exists()) {
-              const adminUser = {
-                ...user,
-                isAdmin: true,
-                ...adminDoc.data()
-              };
-              setAdminUser(adminUser);
-              // Store admin session
-              localStorage.setItem('adminSession', JSON.stringify(adminUser));
-            } else {
-              setAdminUser(null);
-              localStorage.removeItem('adminSession');
-            }
-          })
+        getAdminUser(user)
+          .then(setAdminUser)
           .catch(error => {
             console.error('Error checking admin status:', error);
             setError('Failed to verify admin credentials');
             setAdminUser(null);
-            localStorage.removeItem('adminSession');
           })
           .finally(() => {
             setLoading(false);
           });
       } else {
         setAdminUser(null);
-        localStorage.removeItem('adminSession');
         setLoading(false);
       }
     });
@@ -354,15 +149,14 @@ export function AdminProvider({ children }) {
     adminUser,
     adminLogin,
     adminLogout,
+    hasPermission,
     getPendingUsers,
     getAllUsers,
     approveUser,
     rejectUser,
     toggleUserFreeze,
     error,
-    setError,
-    // Debug props
-    isDebugMode: true
+    setError
   };
 
   return (
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
 import { 
   createUserWithEmailAndPassword, 
   signInWithEmailAndPassword,
@@ -11,6 +11,7 @@ import {
 import { doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs } from 'firebase/firestore';
 import { auth, db } from '../firebase/config';
 import { validatePassword } from '../utils/passwordPolicy';
+import { getStaffMember, getOwnerStaffMember, isShopApproved, hasPermission as staffHasPermission } from '../utils/staffUtils';
 
 const AuthContext = createContext();
 
@@ -21,7 +22,17 @@ export function useAuth() {
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
   const [shopData, setShopData] = useState(null);
+  // Whether the signed-in account owns its shop, or else its staff account
+  const [ownsShop, setOwnsShop] = useState(false);
+  const [staffAccount, setStaffAccount] = useState(null);
   const [loading, setLoading] = useState(true);
+  
+  // The signed-in owner or staff member, and the shop they work in
+  const staffMember = useMemo(() => {
+    if (currentUser && ownsShop) return getOwnerStaffMember(currentUser, shopData);
+    return staffAccount;
+  }, [currentUser, ownsShop, shopData, staffAccount]);
+  const shopId = staffMember ? staffMember.shopId : null;
 
   // Register new shop with password validation
   function registerShop(email, password, shopDetails) {
@@ -43,7 +54,10 @@ export function AuthProvider({ children }) {
           createdAt: new Date().toISOString(),
           lastPasswordChange: new Date().toISOString(),
           accountStatus: 'active'
-        }).then(() => user);
+        })
+          // The sign-in was seen before the shop existed, so look again
+          .then(() => loadSignedInUser(user))
+          .then(() => user);
       });
   }
 
@@ -57,7 +71,14 @@ export function AuthProvider({ children }) {
         const userRef = doc(db, 'shops', user.uid);
         const userDoc = await getDoc(userRef);
         
-        if (userDoc.exists()) {
+        if (!userDoc.exists()) {
+          // Staff sign in with their own accounts, which can be switched off
+          const staff = await getStaffMember(user.uid);
+          if (staff && staff.active === false) {
+            await signOut(auth);
+            throw new Error('This staff account has been deactivated. Please ask the shop owner.');
+          }
+        } else {
           const userData = userDoc.data();
           
           // If user has failed attempts, reset them
@@ -135,11 +156,40 @@ export function AuthProvider({ children }) {
       });
   }
   
+  // Work out who has signed in: a shop's owner, whose uid is the shop's ID, or
+  // a member of its staff
+  async function loadSignedInUser(user) {
+    const ownShopDoc = await getDoc(doc(db, 'shops', user.uid));
+    if (ownShopDoc.exists()) {
+      setShopData(ownShopDoc.data());
+      setStaffAccount(null);
+      setOwnsShop(true);
+      return;
+    }
+    
+    const staff = await getStaffMember(user.uid);
+    const shopDoc = staff && staff.active !== false ? await getDoc(doc(db, 'shops', staff.shopId)) : null;
+    // Staff of a pending, frozen or rejected shop are kept out, as at sign-in
+    if (shopDoc && shopDoc.exists() && isShopApproved(shopDoc.data())) {
+      setShopData(shopDoc.data());
+      setStaffAccount(staff);
+    } else {
+      setShopData(null);
+      setStaffAccount(null);
+    }
+    setOwnsShop(false);
+  }
+  
+  // Check whether the signed-in owner or staff member may do something
+  function hasPermission(permission) {
+    return staffHasPermission(staffMember, permission, shopData);
+  }
+  
   // Update shop data
   function updateShopData(updatedData) {
-    if (!currentUser) return Promise.reject(new Error('No user logged in'));
+    if (!shopId) return Promise.reject(new Error('No user logged in'));
     
-    return updateDoc(doc(db, 'shops', currentUser.uid), updatedData)
+    return updateDoc(doc(db, 'shops', shopId), updatedData)
       .then(() => {
         // Update local state with new data
         setShopData(prevData => ({
@@ -155,12 +205,17 @@ export function AuthProvider({ children }) {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setCurrentUser(user);
       if (user) {
-        getShopData(user.uid)
+        loadSignedInUser(user)
+          .catch(error => {
+            console.error('Error loading signed-in user:', error);
+          })
           .finally(() => {
             setLoading(false);
           });
       } else {
         setShopData(null);
+        setOwnsShop(false);
+        setStaffAccount(null);
         setLoading(false);
       }
     });
@@ -182,7 +237,8 @@ export function AuthProvider({ children }) {
     return updatePassword(currentUser, newPassword)
       .then(() => {
         // Update password change timestamp in Firestore
-        return updateDoc(doc(db, 'shops', currentUser.uid), {
+        const isOwner = shopId === currentUser.uid;
+        return updateDoc(doc(db, isOwner ? 'shops' : 'staff', currentUser.uid), {
           lastPasswordChange: new Date().toISOString()
         });
       });
@@ -207,8 +263,10 @@ export function AuthProvider({ children }) {
             createdAt: new Date().toISOString(),
             lastLoginAt: new Date().toISOString(),
             accountStatus: 'active',
-            authProvider: 'google'
+            authProvider: 'google',
+            status: 'pending' // Wait for admin approval, as with email registration
           });
+          await loadSignedInUser(user);
         } else {
           // Update last login time
           await updateDoc(userRef, {
@@ -223,6 +281,9 @@ export function AuthProvider({ children }) {
   const value = {
     currentUser,
     shopData,
+    shopId,
+    staffMember,
+    hasPermission,
     registerShop,
     login,
     logout,
@@ -1,6 +1,6 @@
 import { initializeApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getAuth, initializeAuth, inMemoryPersistence } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
 
 // Firebase configuration using environment variables
@@ -19,6 +19,16 @@ const app = initializeApp(firebaseConfig);
 
 // Initialize Firebase services
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+// Keep a copy of the shop's data in IndexedDB so the till keeps working, and
+// queues its writes, when the internet drops
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 export const storage = getStorage(app);
+// Signing up a new account signs it in, so staff and admin accounts are created
+// through a second app whose session is never saved; whoever creates them stays
+// signed in on `auth`
+export const accountsAuth = initializeAuth(initializeApp(firebaseConfig, 'new-accounts'), {
+  persistence: inMemoryPersistence
+});
 export default app;
\ No newline at end of file
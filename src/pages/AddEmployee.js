@@ -8,7 +8,7 @@ import MainNavbar from '../components/Navbar';
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const AddEmployee = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   // Get translations for attributes
@@ -52,7 +52,7 @@ const AddEmployee = () => {
         ...formData,
         salary: parseFloat(formData.salary) || 0,
         joiningDate: formData.joiningDate || new Date().toISOString().split('T')[0],
-        shopId: currentUser.uid,
+        shopId,
         createdAt: new Date().toISOString()
       });
       
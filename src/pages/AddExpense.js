@@ -7,7 +7,7 @@ import { Translate } from '../utils';
 import { addExpense, getExpenseCategories, addExpenseCategory } from '../utils/expenseUtils';
 
 const AddExpense = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   const [formData, setFormData] = useState({
@@ -33,13 +33,13 @@ const AddExpense = () => {
   // Fetch expense categories
   useEffect(() => {
     const fetchCategories = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       setLoading(true);
       setError('');
       
       try {
-        const categoriesData = await getExpenseCategories(currentUser.uid);
+        const categoriesData = await getExpenseCategories(shopId);
         setCategories(categoriesData);
       } catch (error) {
         console.error('Error fetching expense categories:', error);
@@ -50,7 +50,7 @@ const AddExpense = () => {
     };
     
     fetchCategories();
-  }, [currentUser]);
+  }, [shopId]);
   
   // Handle form input changes
   const handleChange = (e) => {
@@ -74,7 +74,7 @@ const AddExpense = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!currentUser) return;
+    if (!shopId) return;
     
     // Validate form
     if (!formData.description.trim()) {
@@ -100,7 +100,7 @@ const AddExpense = () => {
       const expenseData = {
         ...formData,
         amount: parseFloat(formData.amount),
-        shopId: currentUser.uid,
+        shopId,
         timestamp: new Date().toISOString()
       };
       
@@ -136,7 +136,7 @@ const AddExpense = () => {
   const handleAddCategory = async (e) => {
     e.preventDefault();
     
-    if (!currentUser) return;
+    if (!shopId) return;
     
     // Validate category name
     if (!newCategory.name.trim()) {
@@ -151,7 +151,7 @@ const AddExpense = () => {
       // Prepare category data
       const categoryData = {
         ...newCategory,
-        shopId: currentUser.uid,
+        shopId,
         timestamp: new Date().toISOString()
       };
       
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Form, Button, Row, Col, Card, Alert } from 'react-bootstrap';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Select from 'react-select';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import SupplierSelect from '../components/SupplierSelect';
+import { getShopStock } from '../utils/stockUtils';
+import { addPurchaseOrder, generatePurchaseOrderNumber, calculateLinesCost } from '../utils/purchaseUtils';
+import { formatCurrency } from '../utils/receiptUtils';
+import '../styles/select.css';
+
+const emptyLine = () => ({ stockItemId: '', name: '', quantityOrdered: '1', unitCost: '' });
+
+const AddPurchaseOrder = () => {
+  const { shopId } = useAuth();
+  // Reorder suggestions open this page with the supplier and lines filled in
+  const { state: prefill } = useLocation();
+  const [stockItems, setStockItems] = useState([]);
+  const [supplier, setSupplier] = useState(prefill?.supplier || '');
+  const [supplierId, setSupplierId] = useState(prefill?.supplierId || '');
+  const [orderDate, setOrderDate] = useState(new Date().toISOString().split('T')[0]);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState(prefill?.lines?.length ? prefill.lines : [emptyLine()]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  
+  useEffect(() => {
+    if (shopId) {
+      getShopStock(shopId).then(setStockItems);
+    }
+  }, [shopId]);
+  
+  // Pick a stock item for a line and default its cost to the current cost price
+  const handleItemSelect = (index, option) => {
+    const newLines = [...lines];
+    const stockItem = option ? stockItems.find(item => item.id === option.value) : null;
+    
+    newLines[index] = {
+      ...newLines[index],
+      stockItemId: stockItem ? stockItem.id : '',
+      name: stockItem ? stockItem.name : '',
+      unitCost: stockItem && stockItem.costPrice ? stockItem.costPrice.toString() : newLines[index].unitCost
+    };
+    
+    // Default the supplier from the first item picked
+    if (stockItem && stockItem.supplierId && !supplierId) {
+      setSupplierId(stockItem.supplierId);
+      setSupplier(stockItem.supplier || '');
+    }
+    
+    setLines(newLines);
+  };
+  
+  const handleLineChange = (index, field, value) => {
+    const newLines = [...lines];
+    newLines[index] = { ...newLines[index], [field]: value };
+    setLines(newLines);
+  };
+  
+  const removeLine = (index) => {
+    if (lines.length <= 1) return;
+    setLines(lines.filter((_, lineIndex) => lineIndex !== index));
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!supplierId) {
+      setError('Supplier is required');
+      return;
+    }
+    
+    for (const line of lines) {
+      if (!line.stockItemId) {
+        setError('Select a stock item for every line');
+        return;
+      }
+      if (isNaN(parseFloat(line.quantityOrdered)) || parseFloat(line.quantityOrdered) <= 0) {
+        setError('Quantities must be greater than zero');
+        return;
+      }
+      if (isNaN(parseFloat(line.unitCost)) || parseFloat(line.unitCost) < 0) {
+        setError('Unit cost must be a valid number');
+        return;
+      }
+    }
+    
+    const stockItemIds = lines.map(line => line.stockItemId);
+    if (new Set(stockItemIds).size !== stockItemIds.length) {
+      setError('Each stock item can only appear once on a purchase order');
+      return;
+    }
+    
+    setLoading(true);
+    
+    addPurchaseOrder({
+      shopId,
+      poNumber: generatePurchaseOrderNumber(),
+      supplierId,
+      supplier,
+      orderDate,
+      expectedDate,
+      notes: notes.trim(),
+      items: lines.map(line => {
+        const stockItem = stockItems.find(item => item.id === line.stockItemId);
+        return {
+          stockItemId: line.stockItemId,
+          name: line.name,
+          quantityUnit: stockItem ? stockItem.quantityUnit || 'units' : 'units',
+          quantityOrdered: line.quantityOrdered,
+          unitCost: line.unitCost
+        };
+      })
+    })
+      .then(orderId => {
+        navigate(`/purchase-order/${orderId}`);
+      })
+      .catch(error => {
+        setError('Failed to create purchase order: ' + error.message);
+        setLoading(false);
+      });
+  };
+  
+  const stockOptions = stockItems.map(item => ({ value: item.id, label: item.name }));
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2>New Purchase Order</h2>
+          <Button
+            variant="outline-secondary"
+            onClick={() => navigate('/purchase-orders')}
+          >
+            Back to Purchase Orders
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Card>
+          <Card.Body>
+            <Form onSubmit={handleSubmit}>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Supplier*</Form.Label>
+                    <SupplierSelect
+                      value={supplierId}
+                      onChange={(selected) => {
+                        setSupplierId(selected ? selected.id : '');
+                        setSupplier(selected ? selected.name : '');
+                      }}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Order Date*</Form.Label>
+                    <Form.Control
+                      type="date"
+                      required
+                      value={orderDate}
+                      onChange={(e) => setOrderDate(e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Expected Delivery</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={expectedDate}
+                      onChange={(e) => setExpectedDate(e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              <h5 className="mt-3 mb-3">Items</h5>
+              
+              {lines.map((line, index) => (
+                <Row key={index} className="mb-3 align-items-end">
+                  <Col sm={5}>
+                    <Form.Group>
+                      <Form.Label>Stock Item</Form.Label>
+                      <Select
+                        value={line.stockItemId ? { value: line.stockItemId, label: line.name } : null}
+                        onChange={(option) => handleItemSelect(index, option)}
+                        options={stockOptions}
+                        placeholder="Select item"
+                        isClearable
+                        isSearchable
+                        className="basic-single"
+                        classNamePrefix="select"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col sm={2}>
+                    <Form.Group>
+                      <Form.Label>Qty</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        required
+                        value={line.quantityOrdered}
+                        onChange={(e) => handleLineChange(index, 'quantityOrdered', e.target.value)}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col sm={3}>
+                    <Form.Group>
+                      <Form.Label>Unit Cost (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        required
+                        value={line.unitCost}
+                        onChange={(e) => handleLineChange(index, 'unitCost', e.target.value)}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col sm={2} className="d-flex justify-content-end">
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => removeLine(index)}
+                      disabled={lines.length <= 1}
+                      className="mt-1"
+                    >
+                      Remove
+                    </Button>
+                  </Col>
+                </Row>
+              ))}
+              
+              <div className="d-flex justify-content-between align-items-center mb-4">
+                <Button
+                  variant="outline-primary"
+                  onClick={() => setLines([...lines, emptyLine()])}
+                >
+                  Add Item
+                </Button>
+                <strong>Total: {formatCurrency(calculateLinesCost(lines, 'quantityOrdered'))}</strong>
+              </div>
+              
+              <Form.Group className="mb-3">
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Optional"
+                />
+              </Form.Group>
+              
+              <div className="d-flex mt-4">
+                <Button
+                  variant="primary"
+                  type="submit"
+                  disabled={loading}
+                  className="me-2"
+                >
+                  Create Purchase Order
+                </Button>
+                <Button
+                  variant="outline-secondary"
+                  onClick={() => navigate('/purchase-orders')}
+                  disabled={loading}
+                >
+                  Cancel
+                </Button>
+              </div>
+            </Form>
+          </Card.Body>
+        </Card>
+      </Container>
+    </>
+  );
+};
+
+export default AddPurchaseOrder;
@@ -9,7 +9,7 @@ import { addSalaryPayment } from '../utils/salaryUtils';
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const AddSalaryPayment = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   // Get translations for attributes
@@ -32,12 +32,12 @@ const AddSalaryPayment = () => {
   // Fetch employees for the shop
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         setEmployeesLoading(true);
         const employeesRef = collection(db, 'employees');
-        const employeesQuery = query(employeesRef, where('shopId', '==', currentUser.uid));
+        const employeesQuery = query(employeesRef, where('shopId', '==', shopId));
         const snapshot = await getDocs(employeesQuery);
         
         const employeesList = snapshot.docs.map(doc => ({
@@ -66,7 +66,7 @@ const AddSalaryPayment = () => {
     };
     
     fetchEmployees();
-  }, [currentUser]);
+  }, [shopId]);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -115,7 +115,7 @@ const AddSalaryPayment = () => {
       await addSalaryPayment({
         ...formData,
         amount: parseFloat(formData.amount),
-        shopId: currentUser.uid
+        shopId
       });
       
       navigate('/salary-management');
@@ -3,10 +3,12 @@ import { Container, Form, Button, Row, Col, Card, Alert } from 'react-bootstrap'
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
+import SupplierSelect from '../components/SupplierSelect';
 import { addStockItem as addStockItemToFirestore } from '../utils/stockUtils';
+import { parseTaxRate } from '../utils/taxUtils';
 
 const AddStockItem = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [category, setCategory] = useState('');
@@ -15,7 +17,11 @@ const AddStockItem = () => {
   const [quantityUnit, setQuantityUnit] = useState('units'); // Default to units
   const [costPrice, setCostPrice] = useState('');
   const [supplier, setSupplier] = useState('');
+  const [supplierId, setSupplierId] = useState('');
   const [sku, setSku] = useState('');
+  const [reorderLevel, setReorderLevel] = useState('');
+  const [reorderQuantity, setReorderQuantity] = useState('');
+  const [taxRate, setTaxRate] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
@@ -52,6 +58,19 @@ const AddStockItem = () => {
       return;
     }
     
+    if ((reorderLevel && (isNaN(parseFloat(reorderLevel)) || parseFloat(reorderLevel) < 0)) ||
+        (reorderQuantity && (isNaN(parseFloat(reorderQuantity)) || parseFloat(reorderQuantity) < 0))) {
+      setError('Reorder level and quantity must be valid numbers');
+      setLoading(false);
+      return;
+    }
+    
+    if (taxRate && (parseTaxRate(taxRate) === null || parseTaxRate(taxRate) > 100)) {
+      setError('Tax rate must be a percentage between 0 and 100');
+      setLoading(false);
+      return;
+    }
+    
     // Create stock item data
     const itemData = {
       name: name.trim(),
@@ -61,12 +80,16 @@ const AddStockItem = () => {
       quantity: parseFloat(quantity), // Changed to parseFloat to support decimal values for kg
       quantityUnit: quantityUnit, // Store the unit (kg or units)
       costPrice: costPrice ? parseFloat(costPrice) : null,
+      supplierId: supplierId || null,
       supplier: supplier.trim(),
-      sku: sku.trim()
+      sku: sku.trim(),
+      reorderLevel: reorderLevel ? parseFloat(reorderLevel) : null,
+      reorderQuantity: reorderQuantity ? parseFloat(reorderQuantity) : null,
+      taxRate: parseTaxRate(taxRate)
     };
     
     // Save to Firestore
-    addStockItemToFirestore(currentUser.uid, itemData)
+    addStockItemToFirestore(shopId, itemData)
       .then(() => {
         navigate('/stock');
       })
@@ -193,11 +216,12 @@ const AddStockItem = () => {
                 <Col md={6}>
                   <Form.Group className="mb-3">
                     <Form.Label>Supplier</Form.Label>
-                    <Form.Control
-                      type="text"
-                      value={supplier}
-                      onChange={(e) => setSupplier(e.target.value)}
-                      placeholder="Optional"
+                    <SupplierSelect
+                      value={supplierId}
+                      onChange={(selected) => {
+                        setSupplierId(selected ? selected.id : '');
+                        setSupplier(selected ? selected.name : '');
+                      }}
                     />
                   </Form.Group>
                 </Col>
@@ -214,6 +238,61 @@ const AddStockItem = () => {
                 </Col>
               </Row>
               
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Reorder Level</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step={quantityUnit === 'kg' ? '0.01' : '1'}
+                      value={reorderLevel}
+                      onChange={(e) => setReorderLevel(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      The item is flagged as low stock once its quantity falls to this level.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Reorder Quantity</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step={quantityUnit === 'kg' ? '0.01' : '1'}
+                      value={reorderQuantity}
+                      onChange={(e) => setReorderQuantity(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      How much to order when restocking. Leave blank to use recent sales.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Tax Rate (%)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={taxRate}
+                      onChange={(e) => setTaxRate(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      Leave blank to use the rate set for the item's category in Settings.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
               <div className="d-flex mt-4">
                 <Button 
                   variant="success" 
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Card, Badge, Alert, Spinner } from 'react-bootstrap';
+import { format } from 'date-fns';
+import AdminNavbar from '../components/AdminNavbar';
+import { getAdminAuditLog, ADMIN_ACTIONS, ADMIN_ACTION_LABELS, ADMIN_ROLE_LABELS } from '../utils/adminUtils';
+
+// What an entry changed, in words
+const describeEntry = (entry) => {
+  if (entry.shopId) {
+    return `${entry.shopName || entry.shopId}: ${entry.previousStatus} → ${entry.newStatus}`;
+  }
+  if (entry.action === ADMIN_ACTIONS.ADD_ADMIN) {
+    return `${entry.targetAdminEmail} as ${ADMIN_ROLE_LABELS[entry.newRole] || entry.newRole}`;
+  }
+  
+  const changes = Object.entries(entry.changes || {})
+    .map(([field, value]) => `${field}: ${field === 'role' ? ADMIN_ROLE_LABELS[value] || value : String(value)}`)
+    .join(', ');
+  return `${entry.targetAdminEmail}${changes ? ` (${changes})` : ''}`;
+};
+
+const AdminAuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  
+  useEffect(() => {
+    getAdminAuditLog()
+      .then(setEntries)
+      .catch(error => {
+        setError('Failed to load the audit log: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, []);
+  
+  // For content padding with sidebar
+  const contentStyle = {
+    marginLeft: '250px',
+    padding: '20px',
+    transition: 'all 0.3s'
+  };
+  
+  // For mobile view
+  const mobileContentStyle = {
+    padding: '20px'
+  };
+  
+  const content = (
+    <Container fluid>
+      <h2 className="mb-4">Audit Log</h2>
+      
+      {error && <Alert variant="danger">{error}</Alert>}
+      
+      <Card className="border-0 shadow-sm">
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" role="status" variant="primary">
+                <span className="visually-hidden">Loading...</span>
+              </Spinner>
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="text-center text-muted py-5 mb-0">No admin actions have been recorded yet.</p>
+          ) : (
+            <div className="table-responsive">
+              <Table hover size="sm">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Admin</th>
+                    <th>Action</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id}>
+                      <td className="text-nowrap">{format(new Date(entry.timestamp), 'MMM dd, yyyy HH:mm')}</td>
+                      <td>
+                        {entry.adminEmail}
+                        <div>
+                          <Badge bg="secondary">{ADMIN_ROLE_LABELS[entry.adminRole] || entry.adminRole}</Badge>
+                        </div>
+                      </td>
+                      <td>{ADMIN_ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td>{describeEntry(entry)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+  
+  return (
+    <>
+      <AdminNavbar />
+      <div className="d-none d-lg-block" style={contentStyle}>
+        {content}
+      </div>
+      
+      {/* Mobile view */}
+      <div className="d-block d-lg-none" style={mobileContentStyle}>
+        {content}
+      </div>
+    </>
+  );
+};
+
+export default AdminAuditLog;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Card, Badge, Alert, Spinner, Button, Modal, Form } from 'react-bootstrap';
+import { format } from 'date-fns';
+import { useAdmin } from '../contexts/AdminContext';
+import AdminNavbar from '../components/AdminNavbar';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import {
+  getAdmins,
+  createAdmin,
+  updateAdmin,
+  getAdminRolePermissions,
+  ADMIN_ROLES,
+  ADMIN_ROLE_LABELS,
+  ADMIN_PERMISSION_LABELS
+} from '../utils/adminUtils';
+
+const emptyAdmin = {
+  id: '',
+  name: '',
+  email: '',
+  password: '',
+  role: ADMIN_ROLES.REVIEWER
+};
+
+const AdminManageAdmins = () => {
+  const { adminUser } = useAdmin();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  
+  // Add/edit admin form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyAdmin);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+  
+  useEffect(() => {
+    getAdmins()
+      .then(setAdmins)
+      .catch(error => {
+        setError('Failed to load admins: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, []);
+  
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  const handleAddClick = () => {
+    setFormData(emptyAdmin);
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  const handleEditClick = (admin) => {
+    setFormData({
+      ...emptyAdmin,
+      id: admin.id,
+      name: admin.name || '',
+      email: admin.email || '',
+      role: admin.role || ADMIN_ROLES.SUPER_ADMIN
+    });
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  // Handle add/edit admin form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    setFormLoading(true);
+    setFormError('');
+    
+    try {
+      if (formData.id) {
+        const admin = admins.find(existingAdmin => existingAdmin.id === formData.id);
+        const updatedData = { name: formData.name.trim(), role: formData.role };
+        await updateAdmin(admin, updatedData, adminUser);
+        setAdmins(prev => prev.map(existingAdmin =>
+          existingAdmin.id === formData.id ? { ...existingAdmin, ...updatedData } : existingAdmin
+        ));
+      } else {
+        const newAdmin = await createAdmin(formData, adminUser);
+        setAdmins(prev => [...prev, newAdmin]);
+        setSuccessMessage(`${newAdmin.name} can now sign in to the admin panel with ${newAdmin.email}.`);
+      }
+      
+      setShowForm(false);
+    } catch (error) {
+      setFormError(error.code === 'auth/email-already-in-use'
+        ? 'That email already has an account. Use a different email for each admin.'
+        : 'Failed to save admin: ' + error.message);
+    } finally {
+      setFormLoading(false);
+    }
+  };
+  
+  // Switch an admin's access off or back on
+  const handleToggleActive = async (admin) => {
+    setError('');
+    try {
+      const active = admin.active === false;
+      await updateAdmin(admin, { active }, adminUser);
+      setAdmins(prev => prev.map(existingAdmin =>
+        existingAdmin.id === admin.id ? { ...existingAdmin, active } : existingAdmin
+      ));
+    } catch (error) {
+      setError('Failed to update admin: ' + error.message);
+    }
+  };
+  
+  // For content padding with sidebar
+  const contentStyle = {
+    marginLeft: '250px',
+    padding: '20px',
+    transition: 'all 0.3s'
+  };
+  
+  // For mobile view
+  const mobileContentStyle = {
+    padding: '20px'
+  };
+  
+  const content = (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">Admins</h2>
+        <Button variant="primary" onClick={handleAddClick}>
+          Add Admin
+        </Button>
+      </div>
+      
+      {error && <Alert variant="danger">{error}</Alert>}
+      {successMessage && (
+        <Alert variant="success" onClose={() => setSuccessMessage('')} dismissible>{successMessage}</Alert>
+      )}
+      
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" role="status" variant="primary">
+                <span className="visually-hidden">Loading...</span>
+              </Spinner>
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Last Sign-in</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {admins.map(admin => (
+                    <tr key={admin.id}>
+                      <td>{admin.name || 'N/A'}</td>
+                      <td>{admin.email || 'N/A'}</td>
+                      <td>{ADMIN_ROLE_LABELS[admin.role || ADMIN_ROLES.SUPER_ADMIN] || admin.role}</td>
+                      <td>
+                        {typeof admin.lastLoginAt === 'string'
+                          ? format(new Date(admin.lastLoginAt), 'MMM dd, yyyy HH:mm')
+                          : 'N/A'}
+                      </td>
+                      <td>
+                        {admin.active === false
+                          ? <Badge bg="secondary">Deactivated</Badge>
+                          : <Badge bg="success">Active</Badge>}
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => handleEditClick(admin)}
+                        >
+                          Edit
+                        </Button>
+                        {admin.id !== adminUser.uid && (
+                          <Button
+                            variant={admin.active === false ? 'outline-success' : 'outline-danger'}
+                            size="sm"
+                            className="mb-1"
+                            onClick={() => handleToggleActive(admin)}
+                          >
+                            {admin.active === false ? 'Reactivate' : 'Deactivate'}
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+          <p className="small text-muted mb-0">
+            Admins given an adminRole custom claim with the Firebase Admin SDK aren't listed here, and their
+            claim decides their role.
+          </p>
+        </Card.Body>
+      </Card>
+      
+      <Card className="border-0 shadow-sm">
+        <Card.Header>
+          <h5 className="mb-0">What Each Role Can Do</h5>
+        </Card.Header>
+        <Card.Body>
+          <p className="small text-muted">Every admin can see the dashboard and the list of shops.</p>
+          {Object.values(ADMIN_ROLES).map(role => (
+            <div key={role} className="mb-2">
+              <strong>{ADMIN_ROLE_LABELS[role]}:</strong>{' '}
+              {getAdminRolePermissions(role).map(permission => ADMIN_PERMISSION_LABELS[permission]).join(', ')}
+            </div>
+          ))}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+  
+  return (
+    <>
+      <AdminNavbar />
+      <div className="d-none d-lg-block" style={contentStyle}>
+        {content}
+      </div>
+      
+      {/* Mobile view */}
+      <div className="d-block d-lg-none" style={mobileContentStyle}>
+        {content}
+      </div>
+      
+      {/* Add/Edit Admin Modal */}
+      <Modal show={showForm} onHide={() => setShowForm(false)} centered>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{formData.id ? 'Edit Admin' : 'Add Admin'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>Name*</Form.Label>
+              <Form.Control name="name" value={formData.name} onChange={handleFormChange} required />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Email*</Form.Label>
+              <Form.Control
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleFormChange}
+                disabled={!!formData.id}
+                required
+              />
+            </Form.Group>
+            {!formData.id && (
+              <Form.Group className="mb-3">
+                <Form.Label>Password*</Form.Label>
+                <Form.Control
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleFormChange}
+                  required
+                />
+                <PasswordStrengthMeter password={formData.password} />
+              </Form.Group>
+            )}
+            <Form.Group className="mb-3">
+              <Form.Label>Role</Form.Label>
+              <Form.Select
+                name="role"
+                value={formData.role}
+                onChange={handleFormChange}
+                disabled={formData.id === adminUser.uid}
+              >
+                {Object.values(ADMIN_ROLES).map(role => (
+                  <option key={role} value={role}>{ADMIN_ROLE_LABELS[role]}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={formLoading}>
+              {formLoading ? <Spinner animation="border" size="sm" /> : 'Save'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </>
+  );
+};
+
+export default AdminManageAdmins;
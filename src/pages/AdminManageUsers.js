@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Table, Card, Badge, Alert, Spinner, Button } from 'react-bootstrap';
 import { useAdmin } from '../contexts/AdminContext';
 import AdminNavbar from '../components/AdminNavbar';
+import { ADMIN_PERMISSIONS } from '../utils/adminUtils';
 import { db, auth } from '../firebase/config';
 import { getDoc, doc } from 'firebase/firestore';
 import { getAuth, listUsers } from 'firebase/auth';
@@ -47,7 +48,8 @@ const MOCK_USERS = [
 ];
 
 const AdminManageUsers = () => {
-  const { getAllUsers, toggleUserFreeze } = useAdmin();
+  const { getAllUsers, toggleUserFreeze, hasPermission } = useAdmin();
+  const canFreeze = hasPermission(ADMIN_PERMISSIONS.FREEZE_SHOPS);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -195,7 +197,7 @@ const AdminManageUsers = () => {
                             <td>{user.phoneNumber || 'N/A'}</td>
                             <td>{getStatusBadge(user.status)}</td>
                             <td>
-                              {user.status !== 'pending' && user.status !== 'rejected' && (
+                              {canFreeze && user.status !== 'pending' && user.status !== 'rejected' && (
                                 <Button
                                   variant={user.status === 'frozen' ? 'outline-success' : 'outline-secondary'}
                                   size="sm"
@@ -261,7 +263,7 @@ const AdminManageUsers = () => {
                         <p className="mb-1">{user.address || 'No address'}</p>
                         <p className="mb-1">{user.phoneNumber || 'No phone'}</p>
                         
-                        {user.status !== 'pending' && user.status !== 'rejected' && (
+                        {canFreeze && user.status !== 'pending' && user.status !== 'rejected' && (
                           <Button
                             variant={user.status === 'frozen' ? 'outline-success' : 'outline-secondary'}
                             size="sm"
@@ -3,9 +3,11 @@ import { Container, Table, Button, Card, Badge, Alert, Spinner, Modal } from 're
 import { format } from 'date-fns';
 import { useAdmin } from '../contexts/AdminContext';
 import AdminNavbar from '../components/AdminNavbar';
+import { ADMIN_PERMISSIONS } from '../utils/adminUtils';
 
 const AdminPendingUsers = () => {
-  const { getPendingUsers, approveUser, rejectUser } = useAdmin();
+  const { getPendingUsers, approveUser, rejectUser, hasPermission } = useAdmin();
+  const canReview = hasPermission(ADMIN_PERMISSIONS.APPROVE_SHOPS);
   const [pendingUsers, setPendingUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -212,37 +214,43 @@ const AdminPendingUsers = () => {
                             <Badge bg="warning">Pending</Badge>
                           </td>
                           <td>
-                            <Button
-                              variant="success"
-                              size="sm"
-                              className="me-2"
-                              onClick={() => openConfirmModal(user, 'approve')}
-                              disabled={processingUserId === user.id}
-                            >
-                              {processingUserId === user.id ? (
-                                <>
-                                  <Spinner
-                                    as="span"
-                                    animation="border"
-                                    size="sm"
-                                    role="status"
-                                    aria-hidden="true"
-                                    className="me-1"
-                                  />
-                                  Processing...
-                                </>
-                              ) : (
-                                'Approve'
-                              )}
-                            </Button>
-                            <Button
-                              variant="danger"
-                              size="sm"
-                              onClick={() => openConfirmModal(user, 'reject')}
-                              disabled={processingUserId === user.id}
-                            >
-                              Reject
-                            </Button>
+                            {canReview ? (
+                              <>
+                                <Button
+                                  variant="success"
+                                  size="sm"
+                                  className="me-2"
+                                  onClick={() => openConfirmModal(user, 'approve')}
+                                  disabled={processingUserId === user.id}
+                                >
+                                  {processingUserId === user.id ? (
+                                    <>
+                                      <Spinner
+                                        as="span"
+                                        animation="border"
+                                        size="sm"
+                                        role="status"
+                                        aria-hidden="true"
+                                        className="me-1"
+                                      />
+                                      Processing...
+                                    </>
+                                  ) : (
+                                    'Approve'
+                                  )}
+                                </Button>
+                                <Button
+                                  variant="danger"
+                                  size="sm"
+                                  onClick={() => openConfirmModal(user, 'reject')}
+                                  disabled={processingUserId === user.id}
+                                >
+                                  Reject
+                                </Button>
+                              </>
+                            ) : (
+                              <span className="text-muted small">Needs a reviewer</span>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -293,26 +301,28 @@ const AdminPendingUsers = () => {
                         format(new Date(user.createdAt), 'MMM dd, yyyy') : 
                         'N/A'}
                     </p>
-                    <div className="d-flex">
-                      <Button
-                        variant="success"
-                        size="sm"
-                        className="me-2 flex-grow-1"
-                        onClick={() => openConfirmModal(user, 'approve')}
-                        disabled={processingUserId === user.id}
-                      >
-                        {processingUserId === user.id ? 'Processing...' : 'Approve'}
-                      </Button>
-                      <Button
-                        variant="danger"
-                        size="sm"
-                        className="flex-grow-1"
-                        onClick={() => openConfirmModal(user, 'reject')}
-                        disabled={processingUserId === user.id}
-                      >
-                        Reject
-                      </Button>
-                    </div>
+                    {canReview && (
+                      <div className="d-flex">
+                        <Button
+                          variant="success"
+                          size="sm"
+                          className="me-2 flex-grow-1"
+                          onClick={() => openConfirmModal(user, 'approve')}
+                          disabled={processingUserId === user.id}
+                        >
+                          {processingUserId === user.id ? 'Processing...' : 'Approve'}
+                        </Button>
+                        <Button
+                          variant="danger"
+                          size="sm"
+                          className="flex-grow-1"
+                          onClick={() => openConfirmModal(user, 'reject')}
+                          disabled={processingUserId === user.id}
+                        >
+                          Reject
+                        </Button>
+                      </div>
+                    )}
                   </Card.Body>
                 </Card>
               ))}
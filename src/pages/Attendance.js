@@ -9,7 +9,7 @@ import "./Attendance.css";  // Import the CSS file for responsive styles
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const Attendance = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   // Get translations for attributes
@@ -26,13 +26,13 @@ const Attendance = () => {
   
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         const employeesRef = collection(db, 'employees');
         const employeesQuery = query(
           employeesRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(employeesQuery);
@@ -48,11 +48,11 @@ const Attendance = () => {
     };
     
     fetchEmployees();
-  }, [currentUser, getTranslatedAttr]);
+  }, [shopId, getTranslatedAttr]);
   
   useEffect(() => {
     const fetchAttendance = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         setLoading(true);
@@ -61,7 +61,7 @@ const Attendance = () => {
         // Modified approach: Query by shopId only, then filter in memory
         const attendanceQuery = query(
           attendanceRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(attendanceQuery);
@@ -99,7 +99,7 @@ const Attendance = () => {
     if (employees.length > 0) {
       fetchAttendance();
     }
-  }, [currentUser, selectedDate, selectedEmployee, employees, getTranslatedAttr]);
+  }, [shopId, selectedDate, selectedEmployee, employees, getTranslatedAttr]);
   
   // Translate status
   const getTranslatedStatus = (status) => {
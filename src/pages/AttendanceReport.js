@@ -1,18 +1,16 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Container, Card, Table, Button, Form, Row, Col, Alert, Tabs, Tab } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import { createPdfDocument } from '../utils/pdfUtils';
 import './AttendanceReport.css'; // Import the CSS for responsive styles
 
 const AttendanceReport = () => {
-  const { currentUser, shopData } = useAuth();
+  const { shopId, shopData } = useAuth();
   const navigate = useNavigate();
-  const reportRef = useRef(null);
   
   const [employees, setEmployees] = useState([]);
   const [attendance, setAttendance] = useState([]);
@@ -36,13 +34,13 @@ const AttendanceReport = () => {
   // Fetch employees
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         const employeesRef = collection(db, 'employees');
         const employeesQuery = query(
           employeesRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(employeesQuery);
@@ -58,12 +56,12 @@ const AttendanceReport = () => {
     };
     
     fetchEmployees();
-  }, [currentUser]);
+  }, [shopId]);
   
   // Generate attendance report when filters change
   useEffect(() => {
     const generateReport = async () => {
-      if (!currentUser || employees.length === 0) return;
+      if (!shopId || employees.length === 0) return;
       
       try {
         setLoading(true);
@@ -88,7 +86,7 @@ const AttendanceReport = () => {
         const attendanceRef = collection(db, 'attendance');
         const attendanceQuery = query(
           attendanceRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(attendanceQuery);
@@ -169,7 +167,7 @@ const AttendanceReport = () => {
     };
     
     generateReport();
-  }, [currentUser, employees, selectedMonth, selectedYear, selectedEmployee, reportType, startDate, endDate, selectedEmployeeRange]);
+  }, [shopId, employees, selectedMonth, selectedYear, selectedEmployee, reportType, startDate, endDate, selectedEmployeeRange]);
   
   const months = [
     'January', 'February', 'March', 'April', 'May', 'June',
@@ -190,24 +188,34 @@ const AttendanceReport = () => {
   };
   
   const handleGeneratePDF = async () => {
-    if (!reportRef.current) return;
-    
     try {
       setGeneratingPdf(true);
       
-      const reportElement = reportRef.current;
-      const canvas = await html2canvas(reportElement, { scale: 2 });
-      const imgData = canvas.toDataURL('image/png');
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const pdfWidth = pdf.internal.pageSize.getWidth();
-      const pdfHeight = pdf.internal.pageSize.getHeight();
-      const imgWidth = canvas.width;
-      const imgHeight = canvas.height;
-      const ratio = Math.min(pdfWidth / imgWidth, pdfHeight / imgHeight);
-      const imgX = (pdfWidth - imgWidth * ratio) / 2;
-      const imgY = 20;
-      
-      pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth * ratio, imgHeight * ratio);
+      const period = reportType === 'monthly'
+        ? `${months[selectedMonth]} ${selectedYear}`
+        : `From ${startDate} to ${endDate}`;
+      const doc = await createPdfDocument({ title: 'Attendance Report', shopName: shopData?.shopName || 'Shop' });
+      doc.heading(shopData?.shopName || 'Shop');
+      doc.text('Attendance Report', { align: 'center', bold: true, size: 12 });
+      doc.text(period, { align: 'center' });
+      doc.space();
+      doc.table([
+        { header: 'Employee', width: 3 },
+        { header: 'Working Days', width: 1.5, align: 'center' },
+        { header: 'Present', width: 1.2, align: 'center' },
+        { header: 'Absent', width: 1.2, align: 'center' },
+        { header: 'Half Day', width: 1.2, align: 'center' },
+        { header: 'Leave', width: 1.2, align: 'center' },
+        { header: 'Attendance %', width: 1.5, align: 'center' }
+      ], attendance.map(record => [
+        record.name,
+        record.totalDays,
+        record.present,
+        record.absent,
+        record.halfDay,
+        record.leave,
+        `${record.attendancePercentage}%`
+      ]));
       
       let pdfName;
       if (reportType === 'monthly') {
@@ -216,7 +224,7 @@ const AttendanceReport = () => {
         pdfName = `Attendance_Report_${startDate}_to_${endDate}.pdf`;
       }
       
-      pdf.save(pdfName);
+      doc.save(pdfName);
       
       setGeneratingPdf(false);
     } catch (err) {
@@ -337,7 +345,7 @@ const AttendanceReport = () => {
           </Card.Body>
         </Card>
         
-        <div ref={reportRef}>
+        <div>
           <Card>
             <Card.Body>
               <div className="text-center mb-4">
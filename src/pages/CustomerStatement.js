@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Alert, Badge } from 'react-bootstrap';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import {
+  getCustomerById,
+  getCustomerPayments,
+  getCustomerReceipts,
+  recordCustomerPayment,
+  buildCustomerStatement
+} from '../utils/customerUtils';
+import { getLoyaltyTransactions, expireLoyaltyPoints } from '../utils/loyaltyUtils';
+import { PAYMENT_METHODS, CASH, ON_ACCOUNT, LOYALTY_POINTS, needsPaymentReference } from '../utils/paymentUtils';
+import { addCashMovementToOpenShift, CASH_MOVEMENT_TYPES } from '../utils/shiftUtils';
+import { formatCurrency, formatDate } from '../utils/receiptUtils';
+
+const CustomerStatement = () => {
+  const { id } = useParams();
+  const { shopId } = useAuth();
+  const navigate = useNavigate();
+  
+  const [customer, setCustomer] = useState(null);
+  const [statement, setStatement] = useState([]);
+  const [pointsLedger, setPointsLedger] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  
+  // Repayment form
+  const [payment, setPayment] = useState({
+    amount: '',
+    paymentMethod: CASH,
+    reference: '',
+    notes: ''
+  });
+  const [paying, setPaying] = useState(false);
+  
+  const fetchCustomer = useCallback(async () => {
+    if (!shopId || !id) return;
+    
+    try {
+      let customerData = await getCustomerById(id);
+      if (customerData.shopId !== shopId) {
+        throw new Error('You do not have permission to view this customer');
+      }
+      
+      // Expire out-of-date points before showing the balance
+      const expired = await expireLoyaltyPoints(customerData);
+      if (expired > 0) {
+        customerData = { ...customerData, loyaltyPoints: (parseInt(customerData.loyaltyPoints) || 0) - expired };
+      }
+      
+      const [receipts, payments, ledger] = await Promise.all([
+        getCustomerReceipts(shopId, id),
+        getCustomerPayments(shopId, id),
+        getLoyaltyTransactions(shopId, id)
+      ]);
+      
+      setCustomer(customerData);
+      setStatement(buildCustomerStatement(customerData, receipts, payments));
+      setPointsLedger(ledger);
+    } catch (error) {
+      setError('Failed to load customer: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, shopId]);
+  
+  useEffect(() => {
+    fetchCustomer();
+  }, [fetchCustomer]);
+  
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  // Record money the customer paid towards what they owe
+  const handlePayment = async (e) => {
+    e.preventDefault();
+    setError('');
+    setPaying(true);
+    
+    try {
+      await recordCustomerPayment(customer, payment);
+      // Cash received goes into the open shift's drawer
+      if (payment.paymentMethod === CASH) {
+        await addCashMovementToOpenShift(customer.shopId, {
+          type: CASH_MOVEMENT_TYPES.IN,
+          amount: payment.amount,
+          reason: `Payment from ${customer.name}`
+        });
+      }
+      setSuccess(`Payment of ${formatCurrency(payment.amount)} received from ${customer.name}`);
+      setTimeout(() => setSuccess(''), 3000);
+      setPayment(prev => ({ ...prev, amount: '', reference: '', notes: '' }));
+      await fetchCustomer();
+    } catch (error) {
+      setError('Failed to record payment: ' + error.message);
+    } finally {
+      setPaying(false);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="text-center mt-5">
+          <p>Loading customer...</p>
+        </Container>
+      </>
+    );
+  }
+  
+  if (!customer) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="mt-4">
+          <Alert variant="danger">{error || 'Customer not found'}</Alert>
+          <Button variant="primary" onClick={() => navigate('/customers')}>
+            Back to Customers
+          </Button>
+        </Container>
+      </>
+    );
+  }
+  
+  const totals = statement.reduce((sums, entry) => ({
+    sales: sums.sales + entry.saleAmount,
+    charges: sums.charges + entry.charge,
+    credits: sums.credits + entry.credit
+  }), { sales: 0, charges: 0, credits: 0 });
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2>{customer.name}</h2>
+          <Button variant="outline-secondary" onClick={() => navigate('/customers')}>
+            Back to Customers
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        
+        <Row>
+          <Col lg={6}>
+            <Card className="mb-4">
+              <Card.Body>
+                <p className="mb-1"><strong>Phone:</strong> {customer.phone || '-'}</p>
+                <p className="mb-1"><strong>Email:</strong> {customer.email || '-'}</p>
+                <p className="mb-1"><strong>Address:</strong> {customer.address || '-'}</p>
+                <p className="mb-1">
+                  <strong>Credit Limit:</strong> {customer.creditLimit > 0 ? formatCurrency(customer.creditLimit) : 'No limit'}
+                </p>
+                {customer.notes && <p className="mb-1"><strong>Notes:</strong> {customer.notes}</p>}
+                <h4 className="mt-3 mb-0">
+                  Owes us: <Badge bg={customer.balance > 0 ? 'danger' : 'success'}>
+                    {formatCurrency(customer.balance || 0)}
+                  </Badge>
+                </h4>
+                <p className="mt-2 mb-0"><strong>Loyalty Points:</strong> {customer.loyaltyPoints || 0}</p>
+              </Card.Body>
+            </Card>
+          </Col>
+          
+          <Col lg={6}>
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">Receive Payment</h5>
+              </Card.Header>
+              <Card.Body>
+                <Form onSubmit={handlePayment}>
+                  <Row>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Amount (RS)*</Form.Label>
+                        <Form.Control
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          name="amount"
+                          required
+                          value={payment.amount}
+                          onChange={handlePaymentChange}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Payment Method</Form.Label>
+                        <Form.Select name="paymentMethod" value={payment.paymentMethod} onChange={handlePaymentChange}>
+                          {PAYMENT_METHODS.filter(method => method.value !== ON_ACCOUNT && method.value !== LOYALTY_POINTS).map(method => (
+                            <option key={method.value} value={method.value}>{method.label}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  {needsPaymentReference(payment.paymentMethod) && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Reference</Form.Label>
+                      <Form.Control
+                        name="reference"
+                        value={payment.reference}
+                        onChange={handlePaymentChange}
+                        placeholder="Slip number or transaction ID"
+                      />
+                    </Form.Group>
+                  )}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Notes</Form.Label>
+                    <Form.Control name="notes" value={payment.notes} onChange={handlePaymentChange} placeholder="Optional" />
+                  </Form.Group>
+                  <Button variant="success" type="submit" disabled={paying}>
+                    {paying ? 'Saving...' : 'Record Payment'}
+                  </Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+        
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Statement</h5>
+          </Card.Header>
+          <Card.Body>
+            <Table responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Details</th>
+                  <th className="text-end">Sale Total</th>
+                  <th className="text-end">On Account</th>
+                  <th className="text-end">Paid / Credited</th>
+                  <th className="text-end">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>{formatDate(customer.createdAt)}</td>
+                  <td>Opening balance</td>
+                  <td></td>
+                  <td></td>
+                  <td></td>
+                  <td className="text-end">{formatCurrency(customer.openingBalance || 0)}</td>
+                </tr>
+                {statement.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{formatDate(entry.date)}</td>
+                    <td>
+                      {entry.receiptId
+                        ? <Link to={`/receipt/${entry.receiptId}`}>{entry.description}</Link>
+                        : entry.description}
+                    </td>
+                    <td className="text-end">{entry.saleAmount ? formatCurrency(entry.saleAmount) : ''}</td>
+                    <td className="text-end">{entry.charge ? formatCurrency(entry.charge) : ''}</td>
+                    <td className="text-end">{entry.credit ? formatCurrency(entry.credit) : ''}</td>
+                    <td className="text-end">{formatCurrency(entry.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th colSpan="2">Totals</th>
+                  <th className="text-end">{formatCurrency(totals.sales)}</th>
+                  <th className="text-end">{formatCurrency(totals.charges)}</th>
+                  <th className="text-end">{formatCurrency(totals.credits)}</th>
+                  <th className="text-end">{formatCurrency(customer.balance || 0)}</th>
+                </tr>
+              </tfoot>
+            </Table>
+            {statement.length === 0 && (
+              <p className="text-center mb-0">No receipts or payments for this customer yet.</p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        {pointsLedger.length > 0 && (
+          <Card className="mt-4">
+            <Card.Header>
+              <h5 className="mb-0">Loyalty Points</h5>
+            </Card.Header>
+            <Card.Body>
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Details</th>
+                    <th className="text-end">Points</th>
+                    <th>Expires</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pointsLedger.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{formatDate(entry.timestamp)}</td>
+                      <td>
+                        {entry.receiptId
+                          ? <Link to={`/receipt/${entry.receiptId}`}>{entry.description}</Link>
+                          : entry.description}
+                      </td>
+                      <td className={`text-end ${entry.points < 0 ? 'text-danger' : 'text-success'}`}>
+                        {entry.points > 0 ? `+${entry.points}` : entry.points}
+                      </td>
+                      <td>{entry.expiresAt ? formatDate(entry.expiresAt) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default CustomerStatement;
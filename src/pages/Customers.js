@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Spinner, Alert, Modal } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { Translate } from '../utils';
+import { getShopCustomers, addCustomer, updateCustomer, deleteCustomer } from '../utils/customerUtils';
+import { formatCurrency } from '../utils/receiptUtils';
+
+const emptyCustomer = {
+  id: '',
+  name: '',
+  phone: '',
+  email: '',
+  address: '',
+  ntn: '',
+  strn: '',
+  creditLimit: '0',
+  openingBalance: '0',
+  notes: ''
+};
+
+const Customers = () => {
+  const { shopId } = useAuth();
+  const navigate = useNavigate();
+  
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showOwingOnly, setShowOwingOnly] = useState(false);
+  
+  // Add/edit customer form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyCustomer);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+  
+  // Delete confirmation
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [customerToDelete, setCustomerToDelete] = useState(null);
+  
+  // Fetch customers
+  useEffect(() => {
+    const fetchCustomers = async () => {
+      if (!shopId) return;
+      
+      setLoading(true);
+      setError('');
+      
+      try {
+        const customersData = await getShopCustomers(shopId);
+        setCustomers(customersData);
+      } catch (error) {
+        console.error('Error fetching customers:', error);
+        setError('Failed to load customers. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchCustomers();
+  }, [shopId]);
+  
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  const handleAddClick = () => {
+    setFormData(emptyCustomer);
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  const handleEditClick = (customer) => {
+    setFormData({
+      ...emptyCustomer,
+      ...customer,
+      creditLimit: (customer.creditLimit || 0).toString()
+    });
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  // Handle add/edit customer form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!formData.name.trim()) {
+      setFormError('Customer name is required');
+      return;
+    }
+    
+    setFormLoading(true);
+    setFormError('');
+    
+    const { id, ...details } = formData;
+    const customerData = {
+      ...details,
+      name: details.name.trim(),
+      phone: details.phone.trim(),
+      email: details.email.trim(),
+      address: details.address.trim(),
+      ntn: (details.ntn || '').trim(),
+      strn: (details.strn || '').trim(),
+      notes: details.notes.trim()
+    };
+    
+    try {
+      if (id) {
+        await updateCustomer(id, customerData);
+        setCustomers(prev => prev.map(customer =>
+          customer.id === id
+            ? { ...customer, ...customerData, creditLimit: parseFloat(customerData.creditLimit) || 0, balance: customer.balance, loyaltyPoints: customer.loyaltyPoints }
+            : customer
+        ));
+      } else {
+        const newData = { ...customerData, shopId };
+        const customerId = await addCustomer(newData);
+        setCustomers(prev => [...prev, {
+          id: customerId,
+          ...newData,
+          creditLimit: parseFloat(newData.creditLimit) || 0,
+          balance: parseFloat(newData.openingBalance) || 0,
+          loyaltyPoints: 0
+        }]);
+      }
+      
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      setFormError('Failed to save customer. Please try again.');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+  
+  const handleDeleteClick = (customer) => {
+    setCustomerToDelete(customer);
+    setShowDeleteModal(true);
+  };
+  
+  const confirmDelete = async () => {
+    if (!customerToDelete) return;
+    
+    try {
+      await deleteCustomer(customerToDelete.id);
+      setCustomers(prev => prev.filter(customer => customer.id !== customerToDelete.id));
+      setShowDeleteModal(false);
+      setCustomerToDelete(null);
+    } catch (error) {
+      console.error('Error deleting customer:', error);
+      setError('Failed to delete customer. Please try again.');
+    }
+  };
+  
+  const filteredCustomers = customers.filter(customer =>
+    (!showOwingOnly || customer.balance > 0) &&
+    (!searchTerm ||
+      customer.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (customer.phone || '').includes(searchTerm))
+  );
+  
+  const totalOwed = customers.reduce((total, customer) => total + (parseFloat(customer.balance) || 0), 0);
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2><Translate textKey="customers" fallback="Customers" /></h2>
+          <Button variant="success" onClick={handleAddClick}>
+            <Translate textKey="addCustomer" fallback="Add Customer" />
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Row className="mb-4 align-items-center">
+          <Col md={5}>
+            <Form.Control
+              type="text"
+              placeholder="Search by name or phone"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </Col>
+          <Col md={3} className="mt-2 mt-md-0">
+            <Form.Check
+              type="checkbox"
+              id="owing-only"
+              label="Only customers who owe"
+              checked={showOwingOnly}
+              onChange={(e) => setShowOwingOnly(e.target.checked)}
+            />
+          </Col>
+          <Col md={4} className="text-md-end mt-2 mt-md-0">
+            <strong>Total owed by customers: {formatCurrency(totalOwed)}</strong>
+          </Col>
+        </Row>
+        
+        <Card>
+          <Card.Body>
+            {loading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" />
+              </div>
+            ) : filteredCustomers.length > 0 ? (
+              <Table responsive hover>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Phone</th>
+                    <th className="text-end">Credit Limit</th>
+                    <th className="text-end">Balance Owed</th>
+                    <th className="text-end">Points</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredCustomers.map(customer => (
+                    <tr key={customer.id}>
+                      <td>{customer.name}</td>
+                      <td>{customer.phone || '-'}</td>
+                      <td className="text-end">{customer.creditLimit > 0 ? formatCurrency(customer.creditLimit) : 'No limit'}</td>
+                      <td className={`text-end ${customer.balance > 0 ? 'text-danger' : ''}`}>
+                        {formatCurrency(customer.balance || 0)}
+                      </td>
+                      <td className="text-end">{customer.loyaltyPoints || 0}</td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => navigate(`/customer/${customer.id}`)}
+                        >
+                          <Translate textKey="statement" fallback="Statement" />
+                        </Button>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => handleEditClick(customer)}
+                        >
+                          <Translate textKey="edit" />
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          className="mb-1"
+                          onClick={() => handleDeleteClick(customer)}
+                        >
+                          <Translate textKey="delete" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">
+                {customers.length > 0 ? 'No customers match your search.' : 'No customers yet. Add your first customer!'}
+              </p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        {/* Add/Edit Customer Modal */}
+        <Modal show={showForm} onHide={() => setShowForm(false)} size="lg">
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{formData.id ? 'Edit Customer' : 'Add Customer'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Name*</Form.Label>
+                    <Form.Control name="name" value={formData.name} onChange={handleFormChange} required />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Phone</Form.Label>
+                    <Form.Control name="phone" value={formData.phone} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control type="email" name="email" value={formData.email} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Address</Form.Label>
+                    <Form.Control name="address" value={formData.address} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>NTN</Form.Label>
+                    <Form.Control name="ntn" value={formData.ntn} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>STRN</Form.Label>
+                    <Form.Control name="strn" value={formData.strn} onChange={handleFormChange} />
+                    <Form.Text className="text-muted">Printed on tax invoices for registered buyers</Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Credit Limit (RS)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      name="creditLimit"
+                      value={formData.creditLimit}
+                      onChange={handleFormChange}
+                    />
+                    <Form.Text className="text-muted">0 means no limit</Form.Text>
+                  </Form.Group>
+                </Col>
+                {!formData.id && (
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Opening Balance Owed (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        step="0.01"
+                        name="openingBalance"
+                        value={formData.openingBalance}
+                        onChange={handleFormChange}
+                      />
+                    </Form.Group>
+                  </Col>
+                )}
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Label>Notes</Form.Label>
+                <Form.Control as="textarea" rows={2} name="notes" value={formData.notes} onChange={handleFormChange} />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowForm(false)}>
+                <Translate textKey="cancel" />
+              </Button>
+              <Button variant="primary" type="submit" disabled={formLoading}>
+                {formLoading ? <Spinner animation="border" size="sm" /> : <Translate textKey="save" />}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        </Modal>
+        
+        {/* Delete Confirmation Modal */}
+        <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
+          <Modal.Header closeButton>
+            <Modal.Title><Translate textKey="confirmDelete" /></Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>Are you sure you want to delete this customer? Their receipts keep the customer's name.</p>
+            {customerToDelete && <p><strong>{customerToDelete.name}</strong></p>}
+            {customerToDelete && customerToDelete.balance > 0 && (
+              <Alert variant="warning" className="mb-0">
+                This customer still owes {formatCurrency(customerToDelete.balance)}. Deleting them removes the balance.
+              </Alert>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowDeleteModal(false)}>
+              <Translate textKey="cancel" />
+            </Button>
+            <Button variant="danger" onClick={confirmDelete}>
+              <Translate textKey="delete" />
+            </Button>
+          </Modal.Footer>
+        </Modal>
+      </Container>
+    </>
+  );
+};
+
+export default Customers;
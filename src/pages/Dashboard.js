@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Stack, Spinner } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Stack, Spinner, Badge } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../firebase/config';
@@ -7,16 +7,24 @@ import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
 import { Translate, TranslateData } from '../utils';
 import useTranslatedData from '../hooks/useTranslatedData';
-import { formatCurrency } from '../utils/receiptUtils';
+import { formatCurrency, getReceiptCount, getRecentReceipts } from '../utils/receiptUtils';
 import { getDailySalesAndProfit } from '../utils/salesUtils';
+import { getShopStock, getLowStockItems } from '../utils/stockUtils';
+import { PERMISSIONS } from '../utils/staffUtils';
 
 const Dashboard = () => {
-  const { currentUser, shopData } = useAuth();
+  const { shopId, shopData, hasPermission } = useAuth();
+  const canViewProfit = hasPermission(PERMISSIONS.VIEW_PROFIT);
+  // Only load what the role may see; the security rules refuse the rest
+  const canMakeSales = hasPermission(PERMISSIONS.MAKE_SALES);
+  const canViewStock = hasPermission(PERMISSIONS.VIEW_STOCK);
+  const canManageEmployees = hasPermission(PERMISSIONS.MANAGE_EMPLOYEES);
   const [receiptCount, setReceiptCount] = useState(0);
   const [recentReceipts, setRecentReceipts] = useState([]);
   const [employeeCount, setEmployeeCount] = useState(0);
   const [todayAttendance, setTodayAttendance] = useState({ present: 0, absent: 0, total: 0 });
   const [todaySales, setTodaySales] = useState(null);
+  const [lowStockItems, setLowStockItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [salesLoading, setSalesLoading] = useState(true);
   const navigate = useNavigate();
@@ -30,12 +38,16 @@ const Dashboard = () => {
 
   // Fetch daily sales and profit data
   useEffect(() => {
-    if (!currentUser) return;
+    if (!shopId) return;
+    if (!canMakeSales && !canViewProfit) {
+      setSalesLoading(false);
+      return;
+    }
 
     setSalesLoading(true);
     
     // Adding error handling and more informative console messages
-    getDailySalesAndProfit(currentUser.uid)
+    getDailySalesAndProfit(shopId)
       .then(data => {
         setTodaySales(data);
       })
@@ -46,49 +58,52 @@ const Dashboard = () => {
       .finally(() => {
         setSalesLoading(false);
       });
-  }, [currentUser]);
+  }, [shopId, canMakeSales, canViewProfit]);
+
+  // Fetch items that have fallen to their reorder level
+  useEffect(() => {
+    if (!shopId || !canViewStock) return;
+    
+    getShopStock(shopId)
+      .then(stockItems => {
+        setLowStockItems(getLowStockItems(stockItems));
+      })
+      .catch(error => {
+        console.error("Error fetching low stock items:", error.message || error);
+      });
+  }, [shopId, canViewStock]);
 
   useEffect(() => {
     // Convert to non-async function
     const fetchDashboardData = () => {
-      if (!currentUser) return;
+      if (!shopId) return;
 
       try {
-        // Create a simple query without ordering
-        const receiptRef = collection(db, 'receipts');
-        const receiptQuery = query(
-          receiptRef,
-          where("shopId", "==", currentUser.uid)
-        );
-        
-        getDocs(receiptQuery)
-          .then(receiptSnapshot => {
-            // Set the count
-            setReceiptCount(receiptSnapshot.size);
-            
-            // Get all receipts and sort them client-side
-            const receipts = receiptSnapshot.docs.map(doc => ({
-              id: doc.id,
-              ...doc.data()
-            }));
-            
-            // Sort receipts by timestamp
-            receipts.sort((a, b) => {
-              return new Date(b.timestamp) - new Date(a.timestamp);
+        // Count on the server and fetch only the latest receipts
+        if (canMakeSales) {
+          getReceiptCount(shopId)
+            .then(setReceiptCount)
+            .catch(error => {
+              console.error("Error fetching receipt count:", error);
             });
-            
-            // Get just the first 5
-            setRecentReceipts(receipts.slice(0, 5));
-          })
-          .catch(error => {
-            console.error("Error fetching dashboard data:", error);
-          });
+          
+          getRecentReceipts(shopId, 5)
+            .then(setRecentReceipts)
+            .catch(error => {
+              console.error("Error fetching dashboard data:", error);
+            });
+        }
+
+        if (!canManageEmployees) {
+          setLoading(false);
+          return;
+        }
 
         // Fetch employee count
         const employeesRef = collection(db, 'employees');
         const employeesQuery = query(
           employeesRef,
-          where("shopId", "==", currentUser.uid)
+          where("shopId", "==", shopId)
         );
         
         getDocs(employeesQuery)
@@ -100,7 +115,7 @@ const Dashboard = () => {
             const attendanceRef = collection(db, 'attendance');
             const attendanceQuery = query(
               attendanceRef,
-              where("shopId", "==", currentUser.uid),
+              where("shopId", "==", shopId),
               where("date", "==", today)
             );
             
@@ -138,7 +153,7 @@ const Dashboard = () => {
     };
 
     fetchDashboardData();
-  }, [currentUser]);
+  }, [shopId, canMakeSales, canManageEmployees]);
 
   return (
     <>
@@ -173,25 +188,36 @@ const Dashboard = () => {
                     <h5><Translate textKey="sales" fallback="Sales" /></h5>
                     <h3>{formatCurrency(todaySales.sales)}</h3>
                   </Col>
-                  <Col xs={6} md={3} className="text-center mb-3">
-                    <h5><Translate textKey="profit" fallback="Profit" /></h5>
-                    <h3>{formatCurrency(todaySales.profit)}</h3>
-                  </Col>
+                  {canViewProfit && (
+                    <Col xs={6} md={3} className="text-center mb-3">
+                      <h5><Translate textKey="profit" fallback="Profit" /></h5>
+                      <h3>{formatCurrency(todaySales.profit)}</h3>
+                    </Col>
+                  )}
                   <Col xs={6} md={3} className="text-center mb-3">
                     <h5><Translate textKey="transactions" fallback="Transactions" /></h5>
                     <h3>{todaySales.transactionCount}</h3>
                   </Col>
-                  <Col xs={6} md={3} className="text-center mb-3">
-                    <h5><Translate textKey="profitMargin" fallback="Profit Margin" /></h5>
-                    <h3>
-                      {todaySales.sales > 0 
-                        ? `${((todaySales.profit / todaySales.sales) * 100).toFixed(2)}%` 
-                        : '0%'}
-                    </h3>
-                    <small className="text-muted">
-                      {formatCurrency(todaySales.profit)} / {formatCurrency(todaySales.sales)}
-                    </small>
-                  </Col>
+                  {canViewProfit && (
+                    <Col xs={6} md={3} className="text-center mb-3">
+                      <h5><Translate textKey="profitMargin" fallback="Profit Margin" /></h5>
+                      <h3>
+                        {todaySales.costedSales > 0 
+                          ? `${((todaySales.profit / todaySales.costedSales) * 100).toFixed(2)}%` 
+                          : '0%'}
+                      </h3>
+                      <small className="text-muted">
+                        {formatCurrency(todaySales.profit)} / {formatCurrency(todaySales.costedSales)}
+                      </small>
+                    </Col>
+                  )}
+                  {canViewProfit && todaySales.missingCost.lines > 0 && (
+                    <Col xs={12} className="text-center">
+                      <small className="text-warning">
+                        {formatCurrency(todaySales.missingCost.sales)} of today's sales had no cost price and are left out of profit.
+                      </small>
+                    </Col>
+                  )}
                 </>
               ) : (
                 <Col xs={12} className="text-center py-3">
@@ -199,246 +225,312 @@ const Dashboard = () => {
                 </Col>
               )}
             </Row>
-            <div className="text-center mt-2">
-              <Button 
-                variant="primary" 
-                onClick={() => navigate('/sales-analytics')}
-                size="sm"
-              >
-                <Translate textKey="viewDetailedAnalytics" fallback="View Detailed Analytics" />
-              </Button>
-            </div>
+            {canViewProfit && (
+              <div className="text-center mt-2">
+                <Button 
+                  variant="primary" 
+                  onClick={() => navigate('/sales-analytics')}
+                  size="sm"
+                >
+                  <Translate textKey="viewDetailedAnalytics" fallback="View Detailed Analytics" />
+                </Button>
+              </div>
+            )}
           </Card.Body>
         </Card>
         
-        <Row className="g-3">
-          <Col xs={12} md={6} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body className="d-flex flex-column">
-                <Card.Title><Translate textKey="receipts" /></Card.Title>
-                <Card.Text className="mb-4">
-                  <TranslateData 
-                    data={{
-                      message: "You have generated {count} receipt(s) so far.",
-                      count: receiptCount
-                    }}
+        {/* Low stock alert */}
+        {hasPermission(PERMISSIONS.VIEW_STOCK) && lowStockItems.length > 0 && (
+          <Card className="mb-4 shadow-sm border-warning">
+            <Card.Body>
+              <Card.Title>
+                <Translate textKey="lowStock" fallback="Low Stock" />{' '}
+                <Badge bg="warning" text="dark">{lowStockItems.length}</Badge>
+              </Card.Title>
+              <div className="table-responsive small-table">
+                <table className="table table-sm mb-2">
+                  <thead>
+                    <tr>
+                      <th><Translate textKey="itemName" /></th>
+                      <th><Translate textKey="quantity" /></th>
+                      <th><Translate textKey="reorderLevel" fallback="Reorder Level" /></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lowStockItems.slice(0, 5).map(item => (
+                      <tr key={item.id}>
+                        <td>{item.name}</td>
+                        <td className={item.quantity <= 0 ? 'text-danger' : ''}>
+                          {item.quantity} {item.quantityUnit === 'kg' ? 'KG' : 'Units'}
+                        </td>
+                        <td>{item.reorderLevel}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+                <Button 
+                  variant="outline-primary" 
+                  size="sm"
+                  onClick={() => navigate('/stock', { state: { stockLevelFilter: 'low' } })}
+                >
+                  <Translate textKey="viewAllLowStock" fallback="View All Low Stock" />
+                </Button>
+                {hasPermission(PERMISSIONS.EDIT_STOCK) && (
+                  <Button 
+                    variant="warning" 
+                    size="sm"
+                    onClick={() => navigate('/reorder-suggestions')}
                   >
-                    {(data) => (
-                      <>
-                        {data.message.replace('{count}', data.count)}
-                      </>
-                    )}
-                  </TranslateData>
-                </Card.Text>
-                <div className="mt-auto">
-                  <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
-                    <Button 
-                      variant="primary" 
-                      onClick={() => navigate('/receipts')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="view" />
-                    </Button>
-                    <Button 
-                      variant="success" 
-                      onClick={() => navigate('/new-receipt')}
-                      className="flex-grow-1"
+                    <Translate textKey="reorderSuggestions" fallback="Reorder Suggestions" />
+                  </Button>
+                )}
+              </Stack>
+            </Card.Body>
+          </Card>
+        )}
+        
+        <Row className="g-3">
+          {hasPermission(PERMISSIONS.MAKE_SALES) && (
+            <Col xs={12} md={6} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body className="d-flex flex-column">
+                  <Card.Title><Translate textKey="receipts" /></Card.Title>
+                  <Card.Text className="mb-4">
+                    <TranslateData 
+                      data={{
+                        message: "You have generated {count} receipt(s) so far.",
+                        count: receiptCount
+                      }}
                     >
-                      <Translate textKey="add" />
-                    </Button>
-                  </Stack>
-                </div>
-              </Card.Body>
-            </Card>
-          </Col>
+                      {(data) => (
+                        <>
+                          {data.message.replace('{count}', data.count)}
+                        </>
+                      )}
+                    </TranslateData>
+                  </Card.Text>
+                  <div className="mt-auto">
+                    <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+                      <Button 
+                        variant="primary" 
+                        onClick={() => navigate('/receipts')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="view" />
+                      </Button>
+                      <Button 
+                        variant="success" 
+                        onClick={() => navigate('/new-receipt')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="add" />
+                      </Button>
+                    </Stack>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
           
-          <Col xs={12} md={6} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body className="d-flex flex-column">
-                <Card.Title><Translate textKey="employees" /></Card.Title>
-                <Card.Text className="mb-4">
-                  <TranslateData 
-                    data={{
-                      message: "You have {count} employee(s) registered.",
-                      count: employeeCount
-                    }}
-                  >
-                    {(data) => (
-                      <>
-                        {data.message.replace('{count}', data.count)}
-                      </>
-                    )}
-                  </TranslateData>
+          {hasPermission(PERMISSIONS.MANAGE_EMPLOYEES) && (
+            <Col xs={12} md={6} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body className="d-flex flex-column">
+                  <Card.Title><Translate textKey="employees" /></Card.Title>
+                  <Card.Text className="mb-4">
+                    <TranslateData 
+                      data={{
+                        message: "You have {count} employee(s) registered.",
+                        count: employeeCount
+                      }}
+                    >
+                      {(data) => (
+                        <>
+                          {data.message.replace('{count}', data.count)}
+                        </>
+                      )}
+                    </TranslateData>
                   
-                  {todayAttendance.total > 0 && (
-                    <div className="mt-2">
-                      <div><Translate textKey="todaysAttendance" fallback="Today's Attendance:" /></div>
-                      <div className="d-flex justify-content-between pe-5 mt-1">
-                        <span><Translate textKey="present" fallback="Present" />:</span> 
-                        <span>{translatedAttendance.present}</span>
-                      </div>
-                      <div className="d-flex justify-content-between pe-5">
-                        <span><Translate textKey="absent" fallback="Absent" />:</span> 
-                        <span>{translatedAttendance.absent}</span>
+                    {todayAttendance.total > 0 && (
+                      <div className="mt-2">
+                        <div><Translate textKey="todaysAttendance" fallback="Today's Attendance:" /></div>
+                        <div className="d-flex justify-content-between pe-5 mt-1">
+                          <span><Translate textKey="present" fallback="Present" />:</span> 
+                          <span>{translatedAttendance.present}</span>
+                        </div>
+                        <div className="d-flex justify-content-between pe-5">
+                          <span><Translate textKey="absent" fallback="Absent" />:</span> 
+                          <span>{translatedAttendance.absent}</span>
+                        </div>
                       </div>
-                    </div>
-                  )}
-                </Card.Text>
-                <div className="mt-auto">
-                  <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
-                    <Button 
-                      variant="primary" 
-                      onClick={() => navigate('/employees')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="viewEmployees" />
-                    </Button>
-                    <Button 
-                      variant="success" 
-                      onClick={() => navigate('/mark-attendance')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="markAttendance" />
-                    </Button>
-                  </Stack>
-                </div>
-              </Card.Body>
-            </Card>
-          </Col>
+                    )}
+                  </Card.Text>
+                  <div className="mt-auto">
+                    <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+                      <Button 
+                        variant="primary" 
+                        onClick={() => navigate('/employees')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="viewEmployees" />
+                      </Button>
+                      <Button 
+                        variant="success" 
+                        onClick={() => navigate('/mark-attendance')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="markAttendance" />
+                      </Button>
+                    </Stack>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
           
           {/* New Salary Management Card */}
-          <Col xs={12} md={6} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body className="d-flex flex-column">
-                <Card.Title><Translate textKey="salaryManagement" fallback="Salary Management" /></Card.Title>
-                <Card.Text className="mb-4">
-                  <Translate 
-                    textKey="salaryManagementDescription" 
-                    fallback="Manage employee salary payments, track expenses, and generate detailed salary reports."
-                  />
-                </Card.Text>
-                <div className="mt-auto">
-                  <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
-                    <Button 
-                      variant="primary" 
-                      onClick={() => navigate('/salary-management')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="manageSalaries" fallback="Manage Salaries" />
-                    </Button>
-                    <Button 
-                      variant="success" 
-                      onClick={() => navigate('/add-salary-payment')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="addPayment" fallback="Add Payment" />
-                    </Button>
-                  </Stack>
-                </div>
-              </Card.Body>
-            </Card>
-          </Col>
+          {hasPermission(PERMISSIONS.MANAGE_EMPLOYEES) && (
+            <Col xs={12} md={6} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body className="d-flex flex-column">
+                  <Card.Title><Translate textKey="salaryManagement" fallback="Salary Management" /></Card.Title>
+                  <Card.Text className="mb-4">
+                    <Translate 
+                      textKey="salaryManagementDescription" 
+                      fallback="Manage employee salary payments, track expenses, and generate detailed salary reports."
+                    />
+                  </Card.Text>
+                  <div className="mt-auto">
+                    <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+                      <Button 
+                        variant="primary" 
+                        onClick={() => navigate('/salary-management')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="manageSalaries" fallback="Manage Salaries" />
+                      </Button>
+                      <Button 
+                        variant="success" 
+                        onClick={() => navigate('/add-salary-payment')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="addPayment" fallback="Add Payment" />
+                      </Button>
+                    </Stack>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
           
           {/* Expense Management Card */}
-          <Col xs={12} md={6} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body className="d-flex flex-column">
-                <Card.Title><Translate textKey="expenseManagement" fallback="Expense Management" /></Card.Title>
-                <Card.Text className="mb-4">
-                  <Translate 
-                    textKey="expenseManagementDescription" 
-                    fallback="Track and manage business expenses, categorize spending, and monitor expense trends."
-                  />
-                </Card.Text>
-                <div className="mt-auto">
-                  <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+          {hasPermission(PERMISSIONS.MANAGE_EXPENSES) && (
+            <Col xs={12} md={6} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body className="d-flex flex-column">
+                  <Card.Title><Translate textKey="expenseManagement" fallback="Expense Management" /></Card.Title>
+                  <Card.Text className="mb-4">
+                    <Translate 
+                      textKey="expenseManagementDescription" 
+                      fallback="Track and manage business expenses, categorize spending, and monitor expense trends."
+                    />
+                  </Card.Text>
+                  <div className="mt-auto">
+                    <Stack direction="horizontal" gap={2} className="d-flex flex-wrap">
+                      <Button 
+                        variant="primary" 
+                        onClick={() => navigate('/expenses')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="viewExpenses" fallback="View Expenses" />
+                      </Button>
+                      <Button 
+                        variant="success" 
+                        onClick={() => navigate('/add-expense')}
+                        className="flex-grow-1"
+                      >
+                        <Translate textKey="addExpense" fallback="Add Expense" />
+                      </Button>
+                    </Stack>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
+          
+          {hasPermission(PERMISSIONS.VIEW_PROFIT) && (
+            <Col xs={12} md={6} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body className="d-flex flex-column">
+                  <Card.Title><Translate textKey="salesAndProfit" fallback="Sales & Profit" /></Card.Title>
+                  <Card.Text className="mb-4">
+                    <Translate 
+                      textKey="salesAnalyticsDescription" 
+                      fallback="View detailed sales and profit analytics on daily, monthly and yearly basis."
+                    />
+                  </Card.Text>
+                  <div className="mt-auto">
                     <Button 
                       variant="primary" 
-                      onClick={() => navigate('/expenses')}
-                      className="flex-grow-1"
-                    >
-                      <Translate textKey="viewExpenses" fallback="View Expenses" />
-                    </Button>
-                    <Button 
-                      variant="success" 
-                      onClick={() => navigate('/add-expense')}
-                      className="flex-grow-1"
+                      onClick={() => navigate('/sales-analytics')}
+                      className="w-100"
                     >
-                      <Translate textKey="addExpense" fallback="Add Expense" />
+                      <Translate textKey="viewAnalytics" fallback="View Analytics" />
                     </Button>
-                  </Stack>
-                </div>
-              </Card.Body>
-            </Card>
-          </Col>
-          
-          <Col xs={12} md={6} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body className="d-flex flex-column">
-                <Card.Title><Translate textKey="salesAndProfit" fallback="Sales & Profit" /></Card.Title>
-                <Card.Text className="mb-4">
-                  <Translate 
-                    textKey="salesAnalyticsDescription" 
-                    fallback="View detailed sales and profit analytics on daily, monthly and yearly basis."
-                  />
-                </Card.Text>
-                <div className="mt-auto">
-                  <Button 
-                    variant="primary" 
-                    onClick={() => navigate('/sales-analytics')}
-                    className="w-100"
-                  >
-                    <Translate textKey="viewAnalytics" fallback="View Analytics" />
-                  </Button>
-                </div>
-              </Card.Body>
-            </Card>
-          </Col>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
           
-          <Col xs={12} lg={4}>
-            <Card className="h-100 shadow-sm">
-              <Card.Body>
-                <Card.Title><Translate textKey="recentReceipts" fallback="Recent Receipts" /></Card.Title>
-                {recentReceipts.length > 0 ? (
-                  <div className="table-responsive small-table">
-                    <table className="table table-sm table-hover">
-                      <thead>
-                        <tr>
-                          <th><Translate textKey="date" /></th>
-                          <th><Translate textKey="receiptId" fallback="Receipt ID" /></th>
-                          <th><Translate textKey="total" /></th>
-                          <th><Translate textKey="action" /></th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {translatedReceipts.map(receipt => (
-                          <tr key={receipt.id}>
-                            <td>{new Date(receipt.timestamp).toLocaleDateString()}</td>
-                            <td className="text-truncate" style={{maxWidth: "80px"}}>{receipt.id.substring(0, 8)}</td>
-                            <td>RS{receipt.totalAmount}</td>
-                            <td>
-                              <Button 
-                                size="sm" 
-                                variant="outline-primary"
-                                onClick={() => navigate(`/receipt/${receipt.id}`)}
-                              >
-                                <Translate textKey="view" />
-                              </Button>
-                            </td>
+          {hasPermission(PERMISSIONS.MAKE_SALES) && (
+            <Col xs={12} lg={4}>
+              <Card className="h-100 shadow-sm">
+                <Card.Body>
+                  <Card.Title><Translate textKey="recentReceipts" fallback="Recent Receipts" /></Card.Title>
+                  {recentReceipts.length > 0 ? (
+                    <div className="table-responsive small-table">
+                      <table className="table table-sm table-hover">
+                        <thead>
+                          <tr>
+                            <th><Translate textKey="date" /></th>
+                            <th><Translate textKey="receiptId" fallback="Receipt ID" /></th>
+                            <th><Translate textKey="total" /></th>
+                            <th><Translate textKey="action" /></th>
                           </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <p className="text-center mt-4">
-                    {loading ? <Translate textKey="loading" fallback="Loading..." /> : 
-                      <Translate textKey="noReceiptsYet" fallback="No receipts yet. Start creating receipts!" />}
-                  </p>
-                )}
-              </Card.Body>
-            </Card>
-          </Col>
+                        </thead>
+                        <tbody>
+                          {translatedReceipts.map(receipt => (
+                            <tr key={receipt.id}>
+                              <td>{new Date(receipt.timestamp).toLocaleDateString()}</td>
+                              <td className="text-truncate" style={{maxWidth: "80px"}}>{receipt.id.substring(0, 8)}</td>
+                              <td>RS{receipt.totalAmount}</td>
+                              <td>
+                                <Button 
+                                  size="sm" 
+                                  variant="outline-primary"
+                                  onClick={() => navigate(`/receipt/${receipt.id}`)}
+                                >
+                                  <Translate textKey="view" />
+                                </Button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <p className="text-center mt-4">
+                      {loading ? <Translate textKey="loading" fallback="Loading..." /> : 
+                        <Translate textKey="noReceiptsYet" fallback="No receipts yet. Start creating receipts!" />}
+                    </p>
+                  )}
+                </Card.Body>
+              </Card>
+            </Col>
+          )}
         </Row>
       </Container>
 
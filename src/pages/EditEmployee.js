@@ -7,7 +7,7 @@ import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
 
 const EditEmployee = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   const { id } = useParams();
   
@@ -35,7 +35,7 @@ const EditEmployee = () => {
           const employeeData = employeeDoc.data();
           
           // Verify that this employee belongs to the current shop
-          if (employeeData.shopId !== currentUser.uid) {
+          if (employeeData.shopId !== shopId) {
             setError('You do not have permission to edit this employee');
             setFetchLoading(false);
             return;
@@ -62,10 +62,10 @@ const EditEmployee = () => {
       }
     };
     
-    if (id && currentUser) {
+    if (id && shopId) {
       fetchEmployee();
     }
-  }, [id, currentUser]);
+  }, [id, shopId]);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -3,12 +3,14 @@ import { Container, Card, Button, Row, Col, Form, Alert, Table } from 'react-boo
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { getReceiptById, updateReceipt, formatCurrency } from '../utils/receiptUtils';
+import { getReceiptById, editReceipt, formatCurrency } from '../utils/receiptUtils';
+import { calculateReceiptTax, DEFAULT_TAX_NAME } from '../utils/taxUtils';
+import { PAYMENT_METHODS, CASH, ON_ACCOUNT, LOYALTY_POINTS, getPaymentMethod, needsPaymentReference } from '../utils/paymentUtils';
 import './ViewReceipt.css';
 
 const EditReceipt = () => {
   const { id } = useParams();
-  const { currentUser } = useAuth();
+  const { currentUser, shopId } = useAuth();
   const [receipt, setReceipt] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -20,17 +22,19 @@ const EditReceipt = () => {
   const [cashierName, setCashierName] = useState('');
   const [managerName, setManagerName] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('');
+  const [paymentReference, setPaymentReference] = useState('');
   const [discount, setDiscount] = useState(0);
   const [items, setItems] = useState([]);
+  const [editReason, setEditReason] = useState('');
 
   useEffect(() => {
     // Create a non-async function for useEffect
     const fetchReceipt = () => {
-      if (currentUser && id) {
+      if (shopId && id) {
         getReceiptById(id)
           .then(receiptData => {
             // Check if receipt belongs to current user
-            if (receiptData.shopId !== currentUser.uid) {
+            if (receiptData.shopId !== shopId) {
               throw new Error('You do not have permission to edit this receipt');
             }
             
@@ -39,6 +43,7 @@ const EditReceipt = () => {
             setCashierName(receiptData.cashierName || '');
             setManagerName(receiptData.managerName || '');
             setPaymentMethod(receiptData.paymentMethod || '');
+            setPaymentReference(receiptData.payments && receiptData.payments.length === 1 ? receiptData.payments[0].reference || '' : '');
             setDiscount(receiptData.discount || 0);
             setItems(receiptData.items || []);
           })
@@ -53,19 +58,19 @@ const EditReceipt = () => {
     };
 
     fetchReceipt();
-  }, [id, currentUser]);
+  }, [id, shopId]);
 
   // Handle item quantity change
   const handleQuantityChange = (index, value) => {
     const newItems = [...items];
-    newItems[index].quantity = value;
+    newItems[index] = { ...newItems[index], quantity: value };
     setItems(newItems);
   };
 
   // Handle item price change
   const handlePriceChange = (index, value) => {
     const newItems = [...items];
-    newItems[index].price = value;
+    newItems[index] = { ...newItems[index], price: value };
     setItems(newItems);
   };
 
@@ -79,13 +84,21 @@ const EditReceipt = () => {
     return items.reduce((total, item) => total + (parseFloat(item.price) * parseFloat(item.quantity)), 0).toFixed(2);
   };
 
+  // Recalculate tax at each line's original rate
+  const calculateTax = () => {
+    return calculateReceiptTax(items, discount, receipt && receipt.pricesIncludeTax);
+  };
+  
   // Calculate total amount
   const calculateTotal = () => {
-    const subtotal = parseFloat(calculateSubtotal());
-    const discountAmount = parseFloat(discount) || 0;
-    return (subtotal - discountAmount).toFixed(2);
+    return calculateTax().total.toFixed(2);
   };
 
+  // A sale split across payments, or paid with points, keeps its payments; only
+  // single-payment sales can change method
+  const isSplitPayment = !!(receipt && receipt.payments &&
+    (receipt.payments.length > 1 || receipt.payments.some(payment => payment.method === LOYALTY_POINTS)));
+  
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -94,8 +107,16 @@ const EditReceipt = () => {
     setSuccess(false);
 
     try {
+      const receiptTax = calculateTax();
+      const totalAmount = parseFloat(calculateTotal());
+      
+      // Split payments can't be shared out again, so their total must stay the same
+      if (isSplitPayment && Math.abs(totalAmount - parseFloat(receipt.totalAmount || 0)) >= 0.01) {
+        throw new Error('This sale was split across payments or paid with points, so its total cannot change. Return items instead.');
+      }
+      
       // Ensure all items have a category
-      const processedItems = items.map(item => {
+      const processedItems = receiptTax.lines.map(item => {
         if (!item.category) {
           return { ...item, category: 'Uncategorized' };
         }
@@ -106,14 +127,37 @@ const EditReceipt = () => {
       const updatedData = {
         cashierName,
         managerName,
-        paymentMethod,
         discount: parseFloat(discount) || 0,
         items: processedItems,
-        totalAmount: parseFloat(calculateTotal())
+        subtotal: receiptTax.subtotal,
+        lineDiscountTotal: receiptTax.lineDiscountTotal,
+        discountTotal: receiptTax.lineDiscountTotal + receiptTax.discount,
+        taxTotal: receiptTax.taxTotal,
+        taxBreakdown: receiptTax.taxBreakdown,
+        totalAmount
       };
+      
+      // A single payment now pays the new total exactly
+      if (!isSplitPayment) {
+        Object.assign(updatedData, {
+          paymentMethod,
+          payments: [{
+            method: paymentMethod,
+            amount: totalAmount,
+            reference: needsPaymentReference(paymentMethod) ? paymentReference.trim() : ''
+          }],
+          cashGiven: paymentMethod === CASH ? totalAmount : 0,
+          change: 0
+        });
+      }
+      
+      // Points earned follow the new total
+      if (receipt.loyaltyPointsEarned > 0 && parseFloat(receipt.totalAmount) > 0) {
+        updatedData.loyaltyPointsEarned = Math.floor(receipt.loyaltyPointsEarned * totalAmount / parseFloat(receipt.totalAmount));
+      }
 
-      // Update receipt in Firestore
-      await updateReceipt(id, updatedData);
+      // Save the edit as a new revision, moving stock by the change in quantities
+      await editReceipt(id, updatedData, { editedBy: currentUser.email, reason: editReason });
       setSuccess(true);
       setTimeout(() => {
         navigate(`/receipt/${id}`);
@@ -249,21 +293,53 @@ const EditReceipt = () => {
                 </Col>
               </Row>
 
-              <Form.Group className="mb-3">
-                <Form.Label>Payment Method</Form.Label>
-                <Form.Select 
-                  value={paymentMethod} 
-                  onChange={(e) => setPaymentMethod(e.target.value)} 
-                  required
-                >
-                  <option value="">Select Payment Method</option>
-                  <option value="Cash">Cash</option>
-                  <option value="Credit Card">Credit Card</option>
-                  <option value="Debit Card">Debit Card</option>
-                  <option value="Bank Transfer">Bank Transfer</option>
-                  <option value="Mobile Payment">Mobile Payment</option>
-                </Form.Select>
-              </Form.Group>
+              {isSplitPayment ? (
+                <Form.Group className="mb-3">
+                  <Form.Label>Payments</Form.Label>
+                  {receipt.payments.map((payment, index) => (
+                    <div key={index}>
+                      {getPaymentMethod(payment.method).label}: {formatCurrency(payment.amount)}
+                      {payment.reference ? ` (${payment.reference})` : ''}
+                    </div>
+                  ))}
+                  <Form.Text className="text-muted">
+                    This sale was split across payments or paid with points, so its payments and total cannot be changed here.
+                  </Form.Text>
+                </Form.Group>
+              ) : (
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Payment Method</Form.Label>
+                      <Form.Select 
+                        value={paymentMethod} 
+                        onChange={(e) => setPaymentMethod(e.target.value)} 
+                        required
+                      >
+                        <option value="">Select Payment Method</option>
+                        {PAYMENT_METHODS
+                          .filter(method => (method.value !== ON_ACCOUNT || receipt.customerId) && method.value !== LOYALTY_POINTS)
+                          .map(method => (
+                            <option key={method.value} value={method.value}>{method.label}</option>
+                          ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  {needsPaymentReference(paymentMethod) && paymentMethod && (
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Payment Reference</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={paymentReference}
+                          onChange={(e) => setPaymentReference(e.target.value)}
+                          placeholder="Slip number or transaction ID"
+                        />
+                      </Form.Group>
+                    </Col>
+                  )}
+                </Row>
+              )}
 
               <h4 className="mt-4 mb-3">Items</h4>
               <div className="table-responsive">
@@ -309,6 +385,12 @@ const EditReceipt = () => {
                       <th colSpan="3" className="text-end">Subtotal:</th>
                       <th>{formatCurrency(calculateSubtotal())}</th>
                     </tr>
+                    {calculateTax().lineDiscountTotal > 0 && (
+                      <tr>
+                        <th colSpan="3" className="text-end">Item Discounts:</th>
+                        <th>-{formatCurrency(calculateTax().lineDiscountTotal)}</th>
+                      </tr>
+                    )}
                     <tr>
                       <th colSpan="3" className="text-end">Discount:</th>
                       <td>
@@ -321,6 +403,14 @@ const EditReceipt = () => {
                         />
                       </td>
                     </tr>
+                    {calculateTax().taxBreakdown.map(tax => (
+                      <tr key={tax.taxRate}>
+                        <th colSpan="3" className="text-end">
+                          {receipt.pricesIncludeTax ? 'Includes ' : ''}{receipt.taxName || DEFAULT_TAX_NAME} @ {tax.taxRate}%:
+                        </th>
+                        <th>{formatCurrency(tax.taxAmount)}</th>
+                      </tr>
+                    ))}
                     <tr>
                       <th colSpan="3" className="text-end">Total:</th>
                       <th>{formatCurrency(calculateTotal())}</th>
@@ -329,6 +419,20 @@ const EditReceipt = () => {
                 </Table>
               </div>
 
+              <Form.Group className="mt-3">
+                <Form.Label>Reason for Change</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={editReason}
+                  onChange={(e) => setEditReason(e.target.value)}
+                  placeholder="e.g. wrong quantity entered"
+                />
+                <Form.Text className="text-muted">
+                  Every edit is kept in the receipt's history. Changing a quantity moves stock by the difference.
+                  {receipt.revision > 0 && ` This receipt has been edited ${receipt.revision} time${receipt.revision === 1 ? '' : 's'} before.`}
+                </Form.Text>
+              </Form.Group>
+              
               <div className="d-flex justify-content-end mt-4">
                 <Button 
                   variant="secondary" 
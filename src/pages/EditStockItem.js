@@ -3,20 +3,28 @@ import { Container, Form, Button, Row, Col, Card, Alert } from 'react-bootstrap'
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
+import SupplierSelect from '../components/SupplierSelect';
 import { getStockItemById, updateStockItem } from '../utils/stockUtils';
+import { parseTaxRate } from '../utils/taxUtils';
 
 const EditStockItem = () => {
   const { id } = useParams();
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [category, setCategory] = useState('');
   const [price, setPrice] = useState('');
   const [quantity, setQuantity] = useState('');
+  const [originalQuantity, setOriginalQuantity] = useState('');
+  const [adjustmentReason, setAdjustmentReason] = useState('');
   const [quantityUnit, setQuantityUnit] = useState('units'); // Default to units
   const [costPrice, setCostPrice] = useState('');
   const [supplier, setSupplier] = useState('');
+  const [supplierId, setSupplierId] = useState('');
   const [sku, setSku] = useState('');
+  const [reorderLevel, setReorderLevel] = useState('');
+  const [reorderQuantity, setReorderQuantity] = useState('');
+  const [taxRate, setTaxRate] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [itemLoading, setItemLoading] = useState(true);
@@ -24,12 +32,12 @@ const EditStockItem = () => {
 
   // Fetch stock item data
   useEffect(() => {
-    if (!currentUser || !id) return;
+    if (!shopId || !id) return;
     
     getStockItemById(id)
       .then(item => {
         // Check if item belongs to current user
-        if (item.shopId !== currentUser.uid) {
+        if (item.shopId !== shopId) {
           throw new Error('You do not have permission to edit this item');
         }
         
@@ -39,10 +47,15 @@ const EditStockItem = () => {
         setCategory(item.category || '');
         setPrice(item.price?.toString() || '');
         setQuantity(item.quantity?.toString() || '');
+        setOriginalQuantity(item.quantity?.toString() || '');
         setQuantityUnit(item.quantityUnit || 'units'); // Set quantityUnit from item data or default to units
         setCostPrice(item.costPrice?.toString() || '');
         setSupplier(item.supplier || '');
+        setSupplierId(item.supplierId || '');
         setSku(item.sku || '');
+        setReorderLevel(item.reorderLevel?.toString() || '');
+        setReorderQuantity(item.reorderQuantity?.toString() || '');
+        setTaxRate(item.taxRate?.toString() || '');
       })
       .catch(error => {
         setError('Failed to load item: ' + error.message);
@@ -51,7 +64,7 @@ const EditStockItem = () => {
       .finally(() => {
         setItemLoading(false);
       });
-  }, [id, currentUser]);
+  }, [id, shopId]);
 
   // Handle form submission
   const handleSubmit = (e) => {
@@ -85,6 +98,19 @@ const EditStockItem = () => {
       return;
     }
     
+    if ((reorderLevel && (isNaN(parseFloat(reorderLevel)) || parseFloat(reorderLevel) < 0)) ||
+        (reorderQuantity && (isNaN(parseFloat(reorderQuantity)) || parseFloat(reorderQuantity) < 0))) {
+      setError('Reorder level and quantity must be valid numbers');
+      setLoading(false);
+      return;
+    }
+    
+    if (taxRate && (parseTaxRate(taxRate) === null || parseTaxRate(taxRate) > 100)) {
+      setError('Tax rate must be a percentage between 0 and 100');
+      setLoading(false);
+      return;
+    }
+    
     // Create updated item data
     const itemData = {
       name: name.trim(),
@@ -94,12 +120,16 @@ const EditStockItem = () => {
       quantity: parseFloat(quantity), // Changed to parseFloat to support decimal values for kg
       quantityUnit: quantityUnit, // Store the unit (kg or units)
       costPrice: costPrice ? parseFloat(costPrice) : null,
+      supplierId: supplierId || null,
       supplier: supplier.trim(),
-      sku: sku.trim()
+      sku: sku.trim(),
+      reorderLevel: reorderLevel ? parseFloat(reorderLevel) : null,
+      reorderQuantity: reorderQuantity ? parseFloat(reorderQuantity) : null,
+      taxRate: parseTaxRate(taxRate)
     };
     
-    // Update in Firestore
-    updateStockItem(id, itemData)
+    // Update in Firestore, recording why the quantity was changed by hand
+    updateStockItem(id, itemData, { reason: adjustmentReason.trim() })
       .then(() => {
         navigate('/stock');
       })
@@ -112,6 +142,8 @@ const EditStockItem = () => {
       });
   };
 
+  const quantityChanged = parseFloat(quantity) !== parseFloat(originalQuantity);
+  
   if (itemLoading) {
     return (
       <>
@@ -250,16 +282,37 @@ const EditStockItem = () => {
                 </Col>
               </Row>
               
+              {quantityChanged && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Reason for Quantity Change</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={adjustmentReason}
+                    onChange={(e) => setAdjustmentReason(e.target.value)}
+                    placeholder="e.g. Stock count correction, damaged goods"
+                  />
+                  <Form.Text className="text-muted">
+                    Quantity changes are recorded in the item's stock history.
+                  </Form.Text>
+                </Form.Group>
+              )}
+              
               <Row>
                 <Col md={6}>
                   <Form.Group className="mb-3">
                     <Form.Label>Supplier</Form.Label>
-                    <Form.Control
-                      type="text"
-                      value={supplier}
-                      onChange={(e) => setSupplier(e.target.value)}
-                      placeholder="Optional"
+                    <SupplierSelect
+                      value={supplierId}
+                      onChange={(selected) => {
+                        setSupplierId(selected ? selected.id : '');
+                        setSupplier(selected ? selected.name : '');
+                      }}
                     />
+                    {supplier && !supplierId && (
+                      <Form.Text className="text-muted d-block">
+                        Previously entered supplier: {supplier}
+                      </Form.Text>
+                    )}
                   </Form.Group>
                 </Col>
                 <Col md={6}>
@@ -275,6 +328,61 @@ const EditStockItem = () => {
                 </Col>
               </Row>
               
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Reorder Level</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step={quantityUnit === 'kg' ? '0.01' : '1'}
+                      value={reorderLevel}
+                      onChange={(e) => setReorderLevel(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      The item is flagged as low stock once its quantity falls to this level.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Reorder Quantity</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step={quantityUnit === 'kg' ? '0.01' : '1'}
+                      value={reorderQuantity}
+                      onChange={(e) => setReorderQuantity(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      How much to order when restocking. Leave blank to use recent sales.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Tax Rate (%)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={taxRate}
+                      onChange={(e) => setTaxRate(e.target.value)}
+                      placeholder="Optional"
+                    />
+                    <Form.Text className="text-muted">
+                      Leave blank to use the rate set for the item's category in Settings.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
               <div className="d-flex mt-4">
                 <Button 
                   variant="primary" 
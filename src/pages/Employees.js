@@ -9,7 +9,7 @@ import './Employees.css'; // Import the custom CSS
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const Employees = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const [employees, setEmployees] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -20,14 +20,14 @@ const Employees = () => {
 
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
 
       try {
         setLoading(true);
         const employeesRef = collection(db, 'employees');
         const employeesQuery = query(
           employeesRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
 
         const snapshot = await getDocs(employeesQuery);
@@ -46,7 +46,7 @@ const Employees = () => {
     };
 
     fetchEmployees();
-  }, [currentUser]);
+  }, [shopId]);
 
   const handleDelete = async (employeeId) => {
     if (window.confirm(getTranslatedAttr('confirmDeleteEmployee'))) {
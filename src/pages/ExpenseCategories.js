@@ -7,7 +7,7 @@ import { Translate } from '../utils';
 import { getExpenseCategories, addExpenseCategory, updateExpenseCategory, deleteExpenseCategory } from '../utils/expenseUtils';
 
 const ExpenseCategories = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   const [categories, setCategories] = useState([]);
@@ -33,13 +33,13 @@ const ExpenseCategories = () => {
   // Fetch categories
   useEffect(() => {
     const fetchCategories = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       setLoading(true);
       setError('');
       
       try {
-        const categoriesData = await getExpenseCategories(currentUser.uid);
+        const categoriesData = await getExpenseCategories(shopId);
         setCategories(categoriesData);
       } catch (error) {
         console.error('Error fetching expense categories:', error);
@@ -50,7 +50,7 @@ const ExpenseCategories = () => {
     };
     
     fetchCategories();
-  }, [currentUser]);
+  }, [shopId]);
   
   // Handle new category form changes
   const handleNewCategoryChange = (e) => {
@@ -74,7 +74,7 @@ const ExpenseCategories = () => {
   const handleAddCategory = async (e) => {
     e.preventDefault();
     
-    if (!currentUser) return;
+    if (!shopId) return;
     
     // Validate category name
     if (!newCategory.name.trim()) {
@@ -89,7 +89,7 @@ const ExpenseCategories = () => {
       // Prepare category data
       const categoryData = {
         ...newCategory,
-        shopId: currentUser.uid,
+        shopId,
         timestamp: new Date().toISOString()
       };
       
@@ -119,7 +119,7 @@ const ExpenseCategories = () => {
   const handleUpdateCategory = async (e) => {
     e.preventDefault();
     
-    if (!currentUser || !editCategory.id) return;
+    if (!shopId || !editCategory.id) return;
     
     // Validate category name
     if (!editCategory.name.trim()) {
@@ -9,7 +9,7 @@ import { formatCurrency } from '../utils/receiptUtils';
 import './Expenses.css';
 
 const Expenses = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   const [expenses, setExpenses] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -28,22 +28,22 @@ const Expenses = () => {
   // Fetch expenses and categories
   useEffect(() => {
     const fetchData = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       setLoading(true);
       setError('');
       
       try {
         // Fetch expense categories
-        const categoriesData = await getExpenseCategories(currentUser.uid);
+        const categoriesData = await getExpenseCategories(shopId);
         setCategories(categoriesData);
         
         // Fetch all expenses
-        const expensesData = await getShopExpenseRecords(currentUser.uid);
+        const expensesData = await getShopExpenseRecords(shopId);
         setExpenses(expensesData);
         
         // Fetch expense statistics
-        const statsData = await getExpenseStatistics(currentUser.uid);
+        const statsData = await getExpenseStatistics(shopId);
         setStatistics(statsData);
       } catch (error) {
         console.error('Error fetching expense data:', error);
@@ -54,7 +54,7 @@ const Expenses = () => {
     };
     
     fetchData();
-  }, [currentUser]);
+  }, [shopId]);
 
   // Handle category filter change
   const handleCategoryChange = (e) => {
@@ -114,7 +114,7 @@ const Expenses = () => {
       setExpenses(expenses.filter(exp => exp.id !== expenseToDelete.id));
       
       // Update statistics
-      const statsData = await getExpenseStatistics(currentUser.uid);
+      const statsData = await getExpenseStatistics(shopId);
       setStatistics(statsData);
       
       setShowDeleteModal(false);
@@ -4,6 +4,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { doc, getDoc, updateDoc, serverTimestamp, collection, query, where, getDocs, limit } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { getStaffMember } from '../utils/staffUtils';
 import { FcGoogle } from 'react-icons/fc';
 
 const Login = () => {
@@ -52,16 +53,25 @@ const Login = () => {
       
       // Reset failed attempts on successful login
       const userRef = doc(db, 'shops', userCredential.user.uid);
-      const userDoc = await getDoc(userRef);
+      let userDoc = await getDoc(userRef);
       
       if (userDoc.exists()) {
-        const userData = userDoc.data();
-        
         // Reset failed login attempts
         await updateDoc(userRef, {
           failedLoginAttempts: 0,
           lastLoginAt: serverTimestamp()
         });
+      } else {
+        // Staff accounts have no shop of their own; they work in the owner's
+        // shop, and are held to its approval status
+        const staff = await getStaffMember(userCredential.user.uid);
+        if (staff) {
+          userDoc = await getDoc(doc(db, 'shops', staff.shopId));
+        }
+      }
+      
+      if (userDoc.exists()) {
+        const userData = userDoc.data();
         
         // Check if account is pending approval or frozen
         if (userData.status === 'pending') {
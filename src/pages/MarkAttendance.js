@@ -17,7 +17,7 @@ import './MarkAttendance.css'; // Import the CSS for responsive styles
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const MarkAttendance = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const navigate = useNavigate();
   
   // Get translations for attributes
@@ -60,13 +60,13 @@ const MarkAttendance = () => {
   // Fetch employees
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         const employeesRef = collection(db, 'employees');
         const employeesQuery = query(
           employeesRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(employeesQuery);
@@ -82,12 +82,12 @@ const MarkAttendance = () => {
     };
     
     fetchEmployees();
-  }, [currentUser, getTranslatedAttr]);
+  }, [shopId, getTranslatedAttr]);
   
   // Check for existing attendance records for this date
   useEffect(() => {
     const checkExistingAttendance = async () => {
-      if (!currentUser || employees.length === 0) return;
+      if (!shopId || employees.length === 0) return;
       
       try {
         setLoading(true);
@@ -96,7 +96,7 @@ const MarkAttendance = () => {
         // Query all attendance records for this shop
         const attendanceQuery = query(
           attendanceRef,
-          where('shopId', '==', currentUser.uid)
+          where('shopId', '==', shopId)
         );
         
         const snapshot = await getDocs(attendanceQuery);
@@ -137,7 +137,7 @@ const MarkAttendance = () => {
     };
     
     checkExistingAttendance();
-  }, [currentUser, employees, selectedDate, getTranslatedAttr]);
+  }, [shopId, employees, selectedDate, getTranslatedAttr]);
   
   // Handle status change
   const handleStatusChange = (index, value) => {
@@ -172,7 +172,7 @@ const MarkAttendance = () => {
       for (const record of attendanceData) {
         const attendanceRecord = {
           employeeId: record.employeeId,
-          shopId: currentUser.uid,
+          shopId,
           date: selectedDate,
           status: record.status,
           checkIn: record.checkIn,
@@ -1,35 +1,82 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Container, Form, Button, Row, Col, Card, Table, Alert } from 'react-bootstrap';
-import { useNavigate } from 'react-router-dom';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import React, { useState, useEffect } from 'react';
+import { Container, Form, Button, Row, Col, Card, Table, Alert, InputGroup, Modal } from 'react-bootstrap';
+import { useNavigate, Link } from 'react-router-dom';
 import BarcodeReader from 'react-barcode-reader';
 import Select from 'react-select';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { calculateTotal, generateTransactionId, saveReceipt } from '../utils/receiptUtils';
-import { getShopStock, updateStockQuantity } from '../utils/stockUtils';
+import { calculateTotal, generateTransactionId, getReceiptById, saveReceiptWithStockDeduction, saveReceiptOffline, isOffline, isOfflineError } from '../utils/receiptUtils';
+import { getShopStock, STOCK_CHANGED_ERROR } from '../utils/stockUtils';
+import { getTaxSettings, getTaxRate, calculateReceiptTax } from '../utils/taxUtils';
+import { getShopPromotions, findCouponPromotion, applyDiscounts, normalizeCouponCode, DISCOUNT_TYPES } from '../utils/promotionUtils';
+import { PAYMENT_METHODS, CASH, ON_ACCOUNT, LOYALTY_POINTS, createPayment, calculatePayments, describePaymentMethods, needsPaymentReference, getPaymentMethod } from '../utils/paymentUtils';
+import { getShopCustomers, getAvailableCredit } from '../utils/customerUtils';
+import { getLoyaltySettings, calculateSaleLoyalty, expireLoyaltyPoints } from '../utils/loyaltyUtils';
+import { getOpenShift } from '../utils/shiftUtils';
+import { parkCart, getParkedCarts, deleteParkedCart } from '../utils/parkedCartUtils';
+import { getPrinterSettings, isThermalFormat, printThermalReceipt } from '../utils/thermalPrinterUtils';
+import { downloadReceiptPdf } from '../utils/pdfUtils';
+import { getInvoiceSettings, getBuyerFromCustomer, getReceiptNumber, INVOICE_TEMPLATES } from '../utils/invoiceUtils';
+import CustomerSelect from '../components/CustomerSelect';
 import { Translate, TranslateData, useTranslatedData } from '../utils';
 import '../styles/select.css'; // Import custom styles for react-select
 
 const NewReceipt = () => {
-  const { currentUser, shopData } = useAuth();
-  const [items, setItems] = useState([{ name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units', category: 'Uncategorized' }]);
-  const [cashierName, setCashierName] = useState('');
+  const { shopId, shopData, staffMember } = useAuth();
+  const [items, setItems] = useState([{ stockItemId: '', name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units', category: 'Uncategorized', discountType: 'amount', discountValue: '' }]);
   const [managerName, setManagerName] = useState('');
-  const [paymentMethod, setPaymentMethod] = useState('Cash');
+  const [payments, setPayments] = useState([createPayment()]);
   const [transactionId, setTransactionId] = useState(generateTransactionId());
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
   const [savedReceiptId, setSavedReceiptId] = useState(null);
+  const [savedReceipt, setSavedReceipt] = useState(null); // What was saved, for printing and the PDF
   const [stockItems, setStockItems] = useState([]);
   const [stockLoaded, setStockLoaded] = useState(false);
   const [scanSuccess, setScanSuccess] = useState('');
   const [discount, setDiscount] = useState('0'); // Add discount state
-  const [cashGiven, setCashGiven] = useState('0'); // Add cash given state
-  const pdfRef = useRef();
+  const [discountType, setDiscountType] = useState(DISCOUNT_TYPES.AMOUNT);
+  const [promotions, setPromotions] = useState([]);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [customers, setCustomers] = useState([]);
+  const [customer, setCustomer] = useState(null);
+  const [currentShift, setCurrentShift] = useState(undefined); // null once we know no shift is open
+  const [parkedCarts, setParkedCarts] = useState([]);
+  const [showParkModal, setShowParkModal] = useState(false);
+  const [parkLabel, setParkLabel] = useState('');
+  const [showParkedCarts, setShowParkedCarts] = useState(false);
+  // The parked sale on screen, kept parked until it is saved in case it's abandoned
+  const [resumedCartId, setResumedCartId] = useState(null);
+  const [template, setTemplate] = useState(INVOICE_TEMPLATES.RECEIPT);
+  const [buyer, setBuyer] = useState(getBuyerFromCustomer(null)); // Printed on tax invoices
   const navigate = useNavigate();
+  
+  // Tax rates and whether prices already include tax come from Settings
+  const taxSettings = getTaxSettings(shopData);
+  // Line discounts, promotions and the coupon come off before tax is worked out
+  const discountOptions = { couponCode, receiptDiscount: discount, receiptDiscountType: discountType };
+  const discountDetails = applyDiscounts(items, promotions, discountOptions);
+  const taxDetails = calculateReceiptTax(discountDetails.lines, discountDetails.receiptDiscount, taxSettings.pricesIncludeTax);
+  const showTax = taxDetails.lines.some(line => line.taxRate > 0);
+  // A single payment left blank pays the total exactly
+  const tenders = payments.length === 1 && payments[0].amount === ''
+    ? [{ ...payments[0], amount: taxDetails.total }]
+    : payments;
+  const paymentDetails = calculatePayments(tenders, taxDetails.total);
+  const paymentLabel = describePaymentMethods(paymentDetails.payments.length > 0 ? paymentDetails.payments : payments);
+  // Loyalty points spent and earned by the selected customer
+  const loyaltySettings = getLoyaltySettings(shopData);
+  const loyaltyDetails = calculateSaleLoyalty(paymentDetails.payments, taxDetails.total, customer, loyaltySettings);
+  // Shops with a thermal printer print the receipt straight to it after the sale
+  const printerSettings = getPrinterSettings(shopData);
+  const thermalPrinter = isThermalFormat(printerSettings.receiptFormat);
+  // Sales can be printed as a sales tax invoice with the buyer's details
+  const invoiceSettings = getInvoiceSettings(shopData);
+  const isInvoice = template === INVOICE_TEMPLATES.INVOICE;
+  // Parked sales other than the one on screen
+  const waitingCarts = parkedCarts.filter(cart => cart.id !== resumedCartId);
 
   // Translate shop data
   const translatedShopData = useTranslatedData(shopData);
@@ -38,8 +85,8 @@ const NewReceipt = () => {
 
   // Fetch stock items for autocomplete and inventory check
   useEffect(() => {
-    if (currentUser) {
-      getShopStock(currentUser.uid)
+    if (shopId) {
+      getShopStock(shopId)
         .then(items => {
           setStockItems(items);
           setStockLoaded(true);
@@ -47,15 +94,32 @@ const NewReceipt = () => {
         .catch(error => {
           console.error('Error loading inventory items:', error);
         });
+      
+      getShopPromotions(shopId)
+        .then(setPromotions)
+        .catch(error => {
+          console.error('Error loading promotions:', error);
+        });
+      
+      getShopCustomers(shopId)
+        .then(setCustomers)
+        .catch(error => {
+          console.error('Error loading customers:', error);
+        });
+      
+      getOpenShift(shopId)
+        .then(setCurrentShift)
+        .catch(error => {
+          console.error('Error loading shift:', error);
+        });
+      
+      getParkedCarts(shopId)
+        .then(setParkedCarts)
+        .catch(error => {
+          console.error('Error loading parked sales:', error);
+        });
     }
-  }, [currentUser]);
-
-  // Set default cashier name from settings if available
-  useEffect(() => {
-    if (shopData && shopData.cashierNames && shopData.cashierNames.length > 0) {
-      setCashierName(shopData.cashierNames[0]);
-    }
-  }, [shopData]);
+  }, [shopId]);
 
   // Set default manager name from settings if available
   useEffect(() => {
@@ -64,6 +128,11 @@ const NewReceipt = () => {
     }
   }, [shopData]);
 
+  // Start each sale on the shop's default template
+  useEffect(() => {
+    setTemplate(getInvoiceSettings(shopData).defaultTemplate);
+  }, [shopData]);
+  
   // Handle successful barcode scan
   const handleScan = (data) => {
     if (!data) return;
@@ -81,7 +150,7 @@ const NewReceipt = () => {
       if (matchingItem) {
         // Check if item already exists in the receipt
         const existingItemIndex = items.findIndex(item => 
-          item.name.toLowerCase() === matchingItem.name.toLowerCase());
+          item.stockItemId === matchingItem.id);
         
         if (existingItemIndex >= 0) {
           // Increment quantity if item already exists
@@ -92,11 +161,14 @@ const NewReceipt = () => {
         } else {
           // Add as new item with cost price and quantityUnit
           setItems([...items, { 
+            stockItemId: matchingItem.id,
             name: matchingItem.name, 
             price: matchingItem.price.toString(), 
             quantity: '1',
             costPrice: matchingItem.costPrice ? matchingItem.costPrice.toString() : '0',
-            quantityUnit: matchingItem.quantityUnit || 'units' // Add quantityUnit
+            quantityUnit: matchingItem.quantityUnit || 'units', // Add quantityUnit
+            category: matchingItem.category || 'Uncategorized',
+            taxRate: getTaxRate(matchingItem, taxSettings)
           }]);
         }
       } else {
@@ -126,25 +198,155 @@ const NewReceipt = () => {
     setTransactionId(generateTransactionId());
     
     // Reset form state
-    setItems([{ name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units' }]);
+    setItems([{ stockItemId: '', name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units', category: 'Uncategorized', discountType: 'amount', discountValue: '' }]);
     setSuccess('');
     setError('');
     setSavedReceiptId(null);
+    setSavedReceipt(null);
     setDiscount('0'); // Reset discount
-    setCashGiven('0'); // Reset cash given
+    setDiscountType(DISCOUNT_TYPES.AMOUNT);
+    setCouponInput('');
+    setCouponCode('');
+    setCustomer(null);
+    setTemplate(invoiceSettings.defaultTemplate);
+    setBuyer(getBuyerFromCustomer(null));
+    setResumedCartId(null);
     
-    // Set default cashier and manager names if available
-    if (shopData && shopData.cashierNames && shopData.cashierNames.length > 0) {
-      setCashierName(shopData.cashierNames[0]);
-    }
+    // Set default manager name if available
     if (shopData && shopData.managerNames && shopData.managerNames.length > 0) {
       setManagerName(shopData.managerNames[0]);
     }
     
-    // Reset payment method to default
-    setPaymentMethod('Cash');
+    // Reset payments to a single cash payment
+    setPayments([createPayment()]);
+  };
+  
+  // Put the sale on screen on hold so the next customer can be served
+  const handleParkCart = async (e) => {
+    e.preventDefault();
+    
+    if (!items.some(item => item.name.trim())) {
+      setError('Add an item before parking the sale');
+      setShowParkModal(false);
+      return;
+    }
+    
+    try {
+      const cart = {
+        shopId,
+        label: parkLabel,
+        items,
+        discount,
+        discountType,
+        couponCode,
+        customerId: customer ? customer.id : null,
+        customerName: customer ? customer.name : '',
+        managerName,
+        payments,
+        template,
+        buyer
+      };
+      const cartId = await parkCart(cart);
+      // A resumed sale parked again replaces its old parked cart
+      if (resumedCartId) {
+        deleteParkedCart(resumedCartId);
+      }
+      
+      resetForm();
+      setParkedCarts(prev => [
+        ...prev.filter(item => item.id !== resumedCartId),
+        { id: cartId, ...cart, label: parkLabel.trim(), parkedAt: new Date().toISOString() }
+      ]);
+      setShowParkModal(false);
+      setParkLabel('');
+      setSuccess(`Sale parked as "${parkLabel.trim()}"`);
+    } catch (error) {
+      setError('Failed to park sale: ' + error.message);
+      setShowParkModal(false);
+    }
+  };
+  
+  // Bring a parked sale back on screen, replacing whatever is there. It stays
+  // parked until the sale is saved.
+  const handleResumeCart = (cart) => {
+    resetForm();
+    setItems(cart.items);
+    setDiscount(cart.discount || '0');
+    setDiscountType(cart.discountType || DISCOUNT_TYPES.AMOUNT);
+    setCouponInput(cart.couponCode || '');
+    setCouponCode(cart.couponCode || '');
+    setCustomer(customers.find(item => item.id === cart.customerId) || null);
+    if (cart.template) setTemplate(cart.template);
+    if (cart.buyer) setBuyer(cart.buyer);
+    if (cart.managerName) setManagerName(cart.managerName);
+    setPayments(cart.payments && cart.payments.length > 0 ? cart.payments : [createPayment()]);
+    
+    setResumedCartId(cart.id);
+    setShowParkedCarts(false);
+  };
+  
+  // Throw away a parked sale the customer never came back for
+  const handleDiscardCart = async (cart) => {
+    try {
+      await deleteParkedCart(cart.id);
+      setParkedCarts(prev => prev.filter(item => item.id !== cart.id));
+    } catch (error) {
+      setError('Failed to discard parked sale: ' + error.message);
+    }
+  };
+  
+  // Handle a change to one of the payments
+  const handlePaymentChange = (index, field, value) => {
+    setPayments(prev => prev.map((payment, i) => (i === index ? { ...payment, [field]: value } : payment)));
+  };
+  
+  // Add another payment, for the amount still to be paid
+  const addPayment = () => {
+    const balance = calculatePayments(payments, taxDetails.total).balanceDue;
+    const method = payments.some(payment => payment.method === CASH) ? 'Credit Card' : CASH;
+    setPayments(prev => [...prev, createPayment(method, balance > 0 ? balance.toString() : '')]);
+  };
+  
+  // Choose the customer, expiring any of their points that are out of date first
+  const handleCustomerChange = (selected) => {
+    setCustomer(selected);
+    setBuyer(getBuyerFromCustomer(selected));
+    if (!selected || !loyaltySettings.enabled || loyaltySettings.expiryDays <= 0) return;
+    
+    expireLoyaltyPoints(selected)
+      .then(expired => {
+        if (expired > 0) {
+          const updated = { ...selected, loyaltyPoints: (parseInt(selected.loyaltyPoints) || 0) - expired };
+          setCustomer(current => (current && current.id === selected.id ? updated : current));
+          setCustomers(prev => prev.map(item => (item.id === selected.id ? updated : item)));
+        }
+      })
+      .catch(error => {
+        console.error('Error expiring loyalty points:', error);
+      });
+  };
+  
+  // Remove a payment
+  const removePayment = (index) => {
+    setPayments(prev => prev.filter((_, i) => i !== index));
   };
 
+  // Apply the coupon code typed at checkout
+  const applyCoupon = () => {
+    if (!findCouponPromotion(promotions, couponInput)) {
+      setError('That coupon code is not valid or has expired');
+      setTimeout(() => setError(''), 3000);
+      return;
+    }
+    setCouponCode(normalizeCouponCode(couponInput));
+  };
+  
+  // Remove the applied coupon
+  const removeCoupon = () => {
+    setCouponCode('');
+    setCouponInput('');
+  };
+  
   // Handle barcode scanning error
   const handleScanError = (err) => {
     console.error('Barcode scanning error:', err);
@@ -158,13 +360,13 @@ const NewReceipt = () => {
     const newItems = [...items];
     newItems[index][field] = value;
     
-    // If the name field is changed and we have stock data,
-    // auto-populate both price and costPrice from inventory if available
-    if (field === 'name' && stockLoaded) {
-      const matchingItem = stockItems.find(stockItem => 
-        stockItem.name.toLowerCase() === value.toLowerCase());
+    // If a stock item is picked and we have stock data,
+    // auto-populate name, price and costPrice from inventory if available
+    if (field === 'stockItemId' && stockLoaded) {
+      const matchingItem = stockItems.find(stockItem => stockItem.id === value);
       
       if (matchingItem) {
+        newItems[index].name = matchingItem.name;
         newItems[index].price = matchingItem.price.toString();
         // Store the cost price for profit calculation - ensure it's always stored
         newItems[index].costPrice = matchingItem.costPrice ? matchingItem.costPrice.toString() : '0';
@@ -172,6 +374,8 @@ const NewReceipt = () => {
         newItems[index].quantityUnit = matchingItem.quantityUnit || 'units';
         // Store the category for sales analytics
         newItems[index].category = matchingItem.category || 'Uncategorized';
+        // Store the tax rate in force at the time of sale
+        newItems[index].taxRate = getTaxRate(matchingItem, taxSettings);
         
         // Log the matched item and cost price (only in development)
         if (process.env.NODE_ENV === 'development') {
@@ -185,7 +389,7 @@ const NewReceipt = () => {
     // If price is changed and the item uses kg as unit, automatically adjust the quantity
     if (field === 'price' && newItems[index].quantityUnit === 'kg' && stockLoaded) {
       const matchingItem = stockItems.find(stockItem => 
-        stockItem.name.toLowerCase() === newItems[index].name.toLowerCase());
+        stockItem.id === newItems[index].stockItemId);
       
       if (matchingItem && matchingItem.price > 0) {
         // Calculate new quantity based on entered price and per kg price
@@ -208,13 +412,13 @@ const NewReceipt = () => {
   // Handle react-select change for item name
   const handleSelectChange = (selectedOption, index) => {
     if (selectedOption) {
-      handleItemChange(index, 'name', selectedOption.value);
+      handleItemChange(index, 'stockItemId', selectedOption.value);
     }
   };
 
   // Add a new item row
   const addItem = () => {
-    setItems([...items, { name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units', category: 'Uncategorized' }]);
+    setItems([...items, { stockItemId: '', name: '', price: '', quantity: '1', costPrice: '0', quantityUnit: 'units', category: 'Uncategorized', discountType: 'amount', discountValue: '' }]);
   };
 
   // Remove an item row
@@ -227,45 +431,18 @@ const NewReceipt = () => {
 
   // Function to generate and download PDF
   const downloadPdf = () => {
-    const input = pdfRef.current;
-    
-    // Make sure all images are loaded before converting to canvas
-    const images = input.querySelectorAll('img');
-    const imagesLoaded = Array.from(images).map(img => {
-      if (img.complete) {
-        return Promise.resolve();
-      } else {
-        return new Promise(resolve => {
-          img.onload = resolve;
-          img.onerror = resolve; // Continue even if image fails
-        });
-      }
+    downloadReceiptPdf(savedReceipt).catch(error => {
+      setError('Failed to create PDF: ' + error.message);
     });
-    
-    // Wait for all images to load then create PDF
-    Promise.all(imagesLoaded).then(() => {
-      html2canvas(input, {
-        useCORS: true,
-        allowTaint: true,
-        logging: false,
-        scale: 2 // Higher quality
-      }).then((canvas) => {
-        const imgData = canvas.toDataURL('image/png');
-        const pdf = new jsPDF('p', 'mm', 'a4');
-        const pdfWidth = pdf.internal.pageSize.getWidth();
-        const pdfHeight = pdf.internal.pageSize.getHeight();
-        const imgWidth = canvas.width;
-        const imgHeight = canvas.height;
-        const ratio = Math.min(pdfWidth / imgWidth, pdfHeight / imgHeight);
-        const imgX = (pdfWidth - imgWidth * ratio) / 2;
-        const imgY = 30;
+  };
 
-        pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth * ratio, imgHeight * ratio);
-        pdf.save(`receipt-${transactionId}.pdf`);
-      });
+  // Print the saved receipt on the shop's thermal printer
+  const printThermal = () => {
+    printThermalReceipt(savedReceipt, printerSettings).catch(error => {
+      setError('Failed to print receipt: ' + error.message);
     });
   };
-
+  
   // Check if items exist in inventory and have sufficient quantity
   const validateInventory = () => {
     if (!stockLoaded) return { valid: true }; // Skip validation if stock not loaded
@@ -274,7 +451,7 @@ const NewReceipt = () => {
     
     for (const item of items) {
       const matchingStock = stockItems.find(stockItem => 
-        stockItem.name.toLowerCase() === item.name.toLowerCase());
+        stockItem.id === item.stockItemId);
       
       if (!matchingStock) {
         invalidItems.push({
@@ -308,8 +485,8 @@ const NewReceipt = () => {
     setLoading(true);
     
     // Validate required fields
-    if (!cashierName.trim()) {
-      setError(<Translate textKey="cashierRequired" />);
+    if (isInvoice && !buyer.name.trim()) {
+      setError('Enter the buyer\'s name for a tax invoice');
       setLoading(false);
       return;
     }
@@ -364,7 +541,7 @@ const NewReceipt = () => {
       processedItems = items.map(item => {
         if (!item.costPrice) {
           const matchingItem = stockItems.find(stockItem => 
-            stockItem.name.toLowerCase() === item.name.toLowerCase());
+            stockItem.id === item.stockItemId);
           
           if (matchingItem && matchingItem.costPrice) {
             return {
@@ -377,9 +554,48 @@ const NewReceipt = () => {
       });
     }
     
+    // Work out the tax on each line
+    const receiptDiscounts = applyDiscounts(processedItems, promotions, discountOptions);
+    const receiptTax = calculateReceiptTax(receiptDiscounts.lines, receiptDiscounts.receiptDiscount, taxSettings.pricesIncludeTax);
+    const totalAmount = calculateTotal(receiptDiscounts.lines, receiptDiscounts.receiptDiscount, taxSettings.pricesIncludeTax);
+    
+    // Check the payments cover the total
+    const receiptPayments = calculatePayments(
+      payments.length === 1 && payments[0].amount === '' ? [{ ...payments[0], amount: totalAmount }] : payments,
+      totalAmount
+    );
+    if (receiptPayments.error) {
+      setError(receiptPayments.error);
+      setLoading(false);
+      return;
+    }
+    
+    // Credit sales need a customer with enough credit left
+    const amountOnAccount = receiptPayments.payments
+      .filter(payment => payment.method === ON_ACCOUNT)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    if (amountOnAccount > 0 && !customer) {
+      setError('Choose the customer this sale is going on account to');
+      setLoading(false);
+      return;
+    }
+    if (amountOnAccount > 0 && amountOnAccount > getAvailableCredit(customer) + 0.005) {
+      setError(`${customer.name} only has RS ${getAvailableCredit(customer).toFixed(2)} of credit left`);
+      setLoading(false);
+      return;
+    }
+    
+    // Points can only be spent by a customer who has them
+    const receiptLoyalty = calculateSaleLoyalty(receiptPayments.payments, totalAmount, customer, loyaltySettings);
+    if (receiptLoyalty.error) {
+      setError(receiptLoyalty.error);
+      setLoading(false);
+      return;
+    }
+    
     // Create receipt data
     const receiptData = {
-      shopId: currentUser.uid,
+      shopId,
       shopDetails: {
         name: shopData.shopName,
         address: shopData.address,
@@ -387,34 +603,97 @@ const NewReceipt = () => {
                ? shopData.phoneNumbers.join(', ') 
                : shopData.phoneNumber || '',
         logoUrl: shopData.logoUrl || '',
-        receiptDescription: shopData.receiptDescription || ''
+        receiptDescription: shopData.receiptDescription || '',
+        ntn: invoiceSettings.ntn,
+        strn: invoiceSettings.strn
       },
+      template,
+      buyer: isInvoice
+        ? Object.fromEntries(Object.entries(buyer).map(([field, value]) => [field, value.trim()]))
+        : null,
       transactionId,
-      cashierName: cashierName.trim(),
+      customerId: customer ? customer.id : null,
+      customerName: customer ? customer.name : '',
+      customerPhone: customer ? customer.phone || '' : '',
+      // The signed-in owner or staff member makes the sale
+      cashierId: staffMember.id,
+      cashierName: staffMember.name,
       managerName: managerName.trim(),
-      items: processedItems,
-      totalAmount: calculateTotal(processedItems, discount), // Pass discount to calculateTotal
-      discount: parseFloat(discount) || 0, // Add discount to receipt data
-      paymentMethod,
-      cashGiven: paymentMethod === 'Cash' ? parseFloat(cashGiven) || 0 : 0, // Add cash given to receipt data
-      change: paymentMethod === 'Cash' ? 
-              (parseFloat(cashGiven) - parseFloat(calculateTotal(processedItems, discount))) || 0 : 0 // Add change to receipt data
+      items: receiptTax.lines,
+      subtotal: receiptTax.subtotal,
+      totalAmount,
+      discount: receiptDiscounts.receiptDiscount, // Receipt-wide discount, including receipt promotions
+      manualDiscount: {
+        type: discountType,
+        value: parseFloat(discount) || 0
+      },
+      lineDiscountTotal: receiptDiscounts.lineDiscountTotal,
+      discountTotal: receiptDiscounts.discountTotal,
+      couponCode: receiptDiscounts.coupon ? receiptDiscounts.coupon.couponCode : '',
+      appliedPromotions: receiptDiscounts.appliedPromotions,
+      taxName: taxSettings.taxName,
+      pricesIncludeTax: taxSettings.pricesIncludeTax,
+      taxTotal: receiptTax.taxTotal,
+      taxBreakdown: receiptTax.taxBreakdown,
+      paymentMethod: describePaymentMethods(receiptPayments.payments),
+      payments: receiptPayments.payments,
+      cashGiven: receiptPayments.cashTotal,
+      change: receiptPayments.change,
+      loyaltyPointsEarned: receiptLoyalty.pointsEarned,
+      loyaltyPointsRedeemed: receiptLoyalty.pointsRedeemed,
+      loyaltyExpiryDays: loyaltySettings.expiryDays
     };
     
-    // Save receipt to Firestore
-    saveReceipt(receiptData)
+    // Save receipt and deduct stock in a single transaction, in whichever shift
+    // is open when it is saved. Offline, the receipt is kept on this device and
+    // its stock is deducted when it syncs.
+    let savedOffline = false;
+    let shiftReceiptData = receiptData;
+    getOpenShift(shopId)
+      .then(shift => {
+        setCurrentShift(shift);
+        shiftReceiptData = { ...receiptData, shiftId: shift ? shift.id : null };
+        if (isOffline()) {
+          savedOffline = true;
+          return saveReceiptOffline(shiftReceiptData);
+        }
+        return saveReceiptWithStockDeduction(shiftReceiptData).catch(error => {
+          if (!isOfflineError(error)) throw error;
+          savedOffline = true;
+          return saveReceiptOffline(shiftReceiptData);
+        });
+      })
       .then((receiptId) => {
         setSavedReceiptId(receiptId);
-        setSuccess(<Translate textKey="receiptSaved" />);
+        // The parked sale this was resumed from is done with
+        if (resumedCartId) {
+          deleteParkedCart(resumedCartId);
+          setParkedCarts(prev => prev.filter(item => item.id !== resumedCartId));
+          setResumedCartId(null);
+        }
+        // Read back what was saved, e.g. its invoice number. Offline there's
+        // nothing more to read than what we sent.
+        if (savedOffline) {
+          setSavedReceipt({ ...shiftReceiptData, id: receiptId, timestamp: new Date().toISOString() });
+        } else {
+          getReceiptById(receiptId)
+            .then(setSavedReceipt)
+            .catch(() => setSavedReceipt({ ...shiftReceiptData, id: receiptId, timestamp: new Date().toISOString() }));
+        }
+        setSuccess(savedOffline
+          ? 'Receipt saved offline. Stock will be updated when the connection is back.'
+          : <Translate textKey="receiptSaved" />);
         
-        // Update inventory quantities with quantityUnit
-        return updateStockQuantity(currentUser.uid, processedItems.map(item => ({
-          name: item.name,
-          quantity: parseFloat(item.quantity),
-          quantityUnit: item.quantityUnit || 'units'
-        })));
+        // Refresh inventory so the next sale validates against current quantities,
+        // and customers so their balances include this sale
+        getShopCustomers(shopId).then(setCustomers);
+        return getShopStock(shopId).then(setStockItems);
       })
       .catch(error => {
+        if (error.code === STOCK_CHANGED_ERROR) {
+          // Another sale took the stock first; reload so the cashier sees what is left
+          getShopStock(shopId).then(setStockItems);
+        }
         setError(<><Translate textKey="errorSavingReceipt" /> {error.message}</>);
       })
       .finally(() => {
@@ -438,6 +717,11 @@ const NewReceipt = () => {
         
         {error && <Alert variant="danger">{error}</Alert>}
         {success && <Alert variant="success">{success}</Alert>}
+        {currentShift === null && (
+          <Alert variant="warning">
+            No shift is open, so sales won't be counted in a cash drawer. <Link to="/shifts">Open a shift</Link>
+          </Alert>
+        )}
         {scanSuccess && <Alert variant="info">{scanSuccess}</Alert>}
         
         {/* Barcode Reader Component */}
@@ -455,38 +739,7 @@ const NewReceipt = () => {
                     <Col md={6}>
                       <Form.Group className="mb-3">
                         <Form.Label><Translate textKey="cashierName" /></Form.Label>
-                        {shopData && shopData.cashierNames && shopData.cashierNames.length > 0 ? (
-                          <Form.Select
-                            value={cashierName}
-                            onChange={(e) => setCashierName(e.target.value)}
-                            required
-                          >
-                            <option value=""><Translate textKey="selectCashier" /></option>
-                            {shopData.cashierNames.map((name, index) => (
-                              <option key={index} value={name}>{name}</option>
-                            ))}
-                            <option value="custom"><Translate textKey="enterManually" /></option>
-                          </Form.Select>
-                        ) : (
-                          <Form.Control
-                            type="text"
-                            required
-                            value={cashierName}
-                            onChange={(e) => setCashierName(e.target.value)}
-                          />
-                        )}
-                        
-                        {/* Show manual input if 'custom' is selected */}
-                        {cashierName === 'custom' && (
-                          <Form.Control
-                            type="text"
-                            className="mt-2"
-                            placeholder={<Translate textKey="enterCashierName" />}
-                            value=""
-                            onChange={(e) => setCashierName(e.target.value)}
-                            required
-                          />
-                        )}
+                        <Form.Control plaintext readOnly value={staffMember.name} />
                       </Form.Group>
                     </Col>
                     <Col md={6}>
@@ -526,19 +779,95 @@ const NewReceipt = () => {
                   </Row>
                   
                   <Form.Group className="mb-3">
-                    <Form.Label><Translate textKey="paymentMethod" /></Form.Label>
+                    <Form.Label><Translate textKey="customer" fallback="Customer" /></Form.Label>
+                    <CustomerSelect
+                      customers={customers}
+                      value={customer ? customer.id : ''}
+                      onChange={handleCustomerChange}
+                    />
+                    {customer && (
+                      <Form.Text className={customer.balance > 0 ? 'text-danger' : 'text-muted'}>
+                        Balance owed: RS {(parseFloat(customer.balance) || 0).toFixed(2)}
+                        {customer.creditLimit > 0 && ` of RS ${parseFloat(customer.creditLimit).toFixed(2)} credit limit`}
+                        {loyaltySettings.enabled && ` · ${parseInt(customer.loyaltyPoints) || 0} loyalty points`}
+                      </Form.Text>
+                    )}
+                  </Form.Group>
+                  
+                  <Form.Group className="mb-3">
+                    <Form.Label><Translate textKey="template" fallback="Template" /></Form.Label>
                     <Form.Select
-                      value={paymentMethod}
-                      onChange={(e) => setPaymentMethod(e.target.value)}
+                      value={template}
+                      onChange={(e) => setTemplate(e.target.value)}
                     >
-                      <option value="Cash"><Translate textKey="cash" /></option>
-                      <option value="Credit Card"><Translate textKey="creditCard" /></option>
-                      <option value="Debit Card"><Translate textKey="debitCard" /></option>
-                      <option value="Bank Transfer"><Translate textKey="bankTransfer" /></option>
-                      <option value="Mobile Payment"><Translate textKey="mobilePayment" /></option>
+                      <option value={INVOICE_TEMPLATES.RECEIPT}>Receipt</option>
+                      <option value={INVOICE_TEMPLATES.INVOICE}>Sales tax invoice</option>
                     </Form.Select>
                   </Form.Group>
                   
+                  {isInvoice && (
+                    <Card className="mb-3">
+                      <Card.Body>
+                        <h6><Translate textKey="buyerDetails" fallback="Buyer Details" /></h6>
+                        <Row>
+                          <Col md={6}>
+                            <Form.Group className="mb-2">
+                              <Form.Label>Name*</Form.Label>
+                              <Form.Control
+                                type="text"
+                                value={buyer.name}
+                                onChange={(e) => setBuyer({ ...buyer, name: e.target.value })}
+                              />
+                            </Form.Group>
+                          </Col>
+                          <Col md={6}>
+                            <Form.Group className="mb-2">
+                              <Form.Label>Phone</Form.Label>
+                              <Form.Control
+                                type="text"
+                                value={buyer.phone}
+                                onChange={(e) => setBuyer({ ...buyer, phone: e.target.value })}
+                              />
+                            </Form.Group>
+                          </Col>
+                        </Row>
+                        <Form.Group className="mb-2">
+                          <Form.Label>Address</Form.Label>
+                          <Form.Control
+                            type="text"
+                            value={buyer.address}
+                            onChange={(e) => setBuyer({ ...buyer, address: e.target.value })}
+                          />
+                        </Form.Group>
+                        <Row>
+                          <Col md={6}>
+                            <Form.Group className="mb-2">
+                              <Form.Label>NTN</Form.Label>
+                              <Form.Control
+                                type="text"
+                                value={buyer.ntn}
+                                onChange={(e) => setBuyer({ ...buyer, ntn: e.target.value })}
+                              />
+                            </Form.Group>
+                          </Col>
+                          <Col md={6}>
+                            <Form.Group className="mb-2">
+                              <Form.Label>STRN</Form.Label>
+                              <Form.Control
+                                type="text"
+                                value={buyer.strn}
+                                onChange={(e) => setBuyer({ ...buyer, strn: e.target.value })}
+                              />
+                            </Form.Group>
+                          </Col>
+                        </Row>
+                        <Form.Text className="text-muted">
+                          Leave NTN and STRN blank for unregistered buyers.
+                        </Form.Text>
+                      </Card.Body>
+                    </Card>
+                  )}
+                  
                   <Form.Group className="mb-3">
                     <Form.Label><Translate textKey="transactionId" /></Form.Label>
                     <Form.Control
@@ -548,34 +877,130 @@ const NewReceipt = () => {
                     />
                   </Form.Group>
                   
-                  {/* Add Discount Field */}
+                  <Row>
+                    {/* Add Discount Field */}
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label><Translate textKey="discount" defaultValue="Discount" /></Form.Label>
+                        <InputGroup>
+                          <Form.Control
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={discount}
+                            onChange={(e) => setDiscount(e.target.value)}
+                            placeholder="Enter discount amount"
+                          />
+                          <Form.Select
+                            value={discountType}
+                            onChange={(e) => setDiscountType(e.target.value)}
+                            style={{ maxWidth: '80px' }}
+                          >
+                            <option value={DISCOUNT_TYPES.AMOUNT}>RS</option>
+                            <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+                          </Form.Select>
+                        </InputGroup>
+                      </Form.Group>
+                    </Col>
+                    
+                    {/* Coupon code applied at checkout */}
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label><Translate textKey="couponCode" fallback="Coupon Code" /></Form.Label>
+                        {couponCode ? (
+                          <InputGroup>
+                            <Form.Control type="text" value={couponCode} readOnly />
+                            <Button variant="outline-danger" onClick={removeCoupon}>
+                              <Translate textKey="remove" />
+                            </Button>
+                          </InputGroup>
+                        ) : (
+                          <InputGroup>
+                            <Form.Control
+                              type="text"
+                              value={couponInput}
+                              onChange={(e) => setCouponInput(e.target.value)}
+                              placeholder="Optional"
+                            />
+                            <Button
+                              variant="outline-primary"
+                              onClick={applyCoupon}
+                              disabled={!couponInput.trim()}
+                            >
+                              <Translate textKey="apply" fallback="Apply" />
+                            </Button>
+                          </InputGroup>
+                        )}
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  
+                  {/* Payments - a sale can be paid with more than one method */}
                   <Form.Group className="mb-3">
-                    <Form.Label><Translate textKey="discount" defaultValue="Discount" /></Form.Label>
-                    <Form.Control
-                      type="number"
-                      step="0.01"
-                      min="0"
-                      value={discount}
-                      onChange={(e) => setDiscount(e.target.value)}
-                      placeholder="Enter discount amount"
-                    />
+                    <Form.Label><Translate textKey="payments" fallback="Payments" /></Form.Label>
+                    {payments.map((payment, index) => (
+                      <Row key={index} className="mb-2 g-2">
+                        <Col sm={4}>
+                          <Form.Select
+                            value={payment.method}
+                            onChange={(e) => handlePaymentChange(index, 'method', e.target.value)}
+                          >
+                            {PAYMENT_METHODS
+                              .filter(method => method.value !== LOYALTY_POINTS || (loyaltySettings.enabled && customer) || payment.method === LOYALTY_POINTS)
+                              .map(method => (
+                                <option key={method.value} value={method.value}>
+                                  <Translate textKey={method.textKey} fallback={method.label} />
+                                </option>
+                              ))}
+                          </Form.Select>
+                        </Col>
+                        <Col sm={3}>
+                          <Form.Control
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={payment.amount}
+                            onChange={(e) => handlePaymentChange(index, 'amount', e.target.value)}
+                            placeholder={payments.length === 1 ? taxDetails.total.toFixed(2) : 'Amount'}
+                          />
+                        </Col>
+                        <Col sm={payments.length > 1 ? 4 : 5}>
+                          {needsPaymentReference(payment.method) && (
+                            <Form.Control
+                              type="text"
+                              value={payment.reference}
+                              onChange={(e) => handlePaymentChange(index, 'reference', e.target.value)}
+                              placeholder="Reference / transaction ID"
+                            />
+                          )}
+                        </Col>
+                        {payments.length > 1 && (
+                          <Col sm={1}>
+                            <Button variant="outline-danger" onClick={() => removePayment(index)}>×</Button>
+                          </Col>
+                        )}
+                      </Row>
+                    ))}
+                    <div className="d-flex justify-content-between align-items-center">
+                      <Button variant="outline-secondary" size="sm" onClick={addPayment}>
+                        <Translate textKey="addPayment" fallback="+ Add Payment" />
+                      </Button>
+                      <span className="small">
+                        {paymentDetails.balanceDue > 0 ? (
+                          <span className="text-danger">Still to pay: RS {paymentDetails.balanceDue.toFixed(2)}</span>
+                        ) : paymentDetails.change > 0 ? (
+                          <>Change: RS {paymentDetails.change.toFixed(2)}</>
+                        ) : null}
+                      </span>
+                    </div>
+                    {loyaltyDetails.error && (
+                      <div className="small text-danger">{loyaltyDetails.error}</div>
+                    )}
+                    <Form.Text className="text-muted">
+                      Leave a single payment blank to take the exact total. Change is given from cash only.
+                    </Form.Text>
                   </Form.Group>
                   
-                  {/* Add Cash Given Field - Only show for Cash payment */}
-                  {paymentMethod === 'Cash' && (
-                    <Form.Group className="mb-3">
-                      <Form.Label><Translate textKey="cashGiven" defaultValue="Cash Given" /></Form.Label>
-                      <Form.Control
-                        type="number"
-                        step="0.01"
-                        min="0"
-                        value={cashGiven}
-                        onChange={(e) => setCashGiven(e.target.value)}
-                        placeholder="Enter cash amount given by customer"
-                      />
-                    </Form.Group>
-                  )}
-                  
                   <Card className="mb-3">
                     <Card.Body className="pb-0">
                       <Card.Title className="mb-3"><Translate textKey="barcodeScanner" /></Card.Title>
@@ -589,18 +1014,18 @@ const NewReceipt = () => {
                   
                   {items.map((item, index) => (
                     <Row key={index} className="mb-3 align-items-end">
-                      <Col sm={5}>
+                      <Col sm={4}>
                         <Form.Group>
                           <Form.Label><Translate textKey="itemName" /></Form.Label>
                           <Select
-                            value={stockLoaded && stockItems.find(option => option.name === item.name) ? 
-                              { value: item.name, label: item.name } : 
+                            value={stockLoaded && stockItems.find(option => option.id === item.stockItemId) ? 
+                              { value: item.stockItemId, label: item.name } : 
                               null
                             }
                             onChange={(option) => handleSelectChange(option, index)}
                             options={stockLoaded ? 
                               stockItems.map(stockItem => ({ 
-                                value: stockItem.name, 
+                                value: stockItem.id, 
                                 label: stockItem.name 
                               })) : []
                             }
@@ -613,7 +1038,7 @@ const NewReceipt = () => {
                           />
                         </Form.Group>
                       </Col>
-                      <Col sm={3}>
+                      <Col sm={2}>
                         <Form.Group>
                           <Form.Label><Translate textKey="price" /></Form.Label>
                           <Form.Control
@@ -639,7 +1064,29 @@ const NewReceipt = () => {
                           />
                         </Form.Group>
                       </Col>
-                      <Col sm={2} className="d-flex justify-content-end">
+                      <Col sm={3}>
+                        <Form.Group>
+                          <Form.Label><Translate textKey="lineDiscount" fallback="Discount" /></Form.Label>
+                          <InputGroup>
+                            <Form.Control
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={item.discountValue || ''}
+                              onChange={(e) => handleItemChange(index, 'discountValue', e.target.value)}
+                            />
+                            <Form.Select
+                              value={item.discountType || DISCOUNT_TYPES.AMOUNT}
+                              onChange={(e) => handleItemChange(index, 'discountType', e.target.value)}
+                              style={{ maxWidth: '70px' }}
+                            >
+                              <option value={DISCOUNT_TYPES.AMOUNT}>RS</option>
+                              <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+                            </Form.Select>
+                          </InputGroup>
+                        </Form.Group>
+                      </Col>
+                      <Col sm={1} className="d-flex justify-content-end">
                         <Button 
                           variant="outline-danger" 
                           size="sm" 
@@ -671,11 +1118,44 @@ const NewReceipt = () => {
                       <Translate textKey="generateReceipt" />
                     </Button>
                     
+                    {!savedReceiptId && (
+                      <>
+                        <Button
+                          variant="outline-warning"
+                          onClick={() => setShowParkModal(true)}
+                          disabled={loading}
+                          className="me-2"
+                        >
+                          <Translate textKey="parkSale" fallback="Park Sale" />
+                        </Button>
+                        
+                        <Button
+                          variant="outline-secondary"
+                          onClick={() => setShowParkedCarts(true)}
+                          disabled={waitingCarts.length === 0}
+                        >
+                          <Translate textKey="parkedSales" fallback="Parked Sales" /> ({waitingCarts.length})
+                        </Button>
+                      </>
+                    )}
+                    
                     {savedReceiptId && (
                       <>
+                        {thermalPrinter && (
+                          <Button 
+                            variant="success" 
+                            onClick={printThermal} 
+                            disabled={!savedReceipt}
+                            className="me-2"
+                          >
+                            <Translate textKey="printReceipt" fallback="Print Receipt" />
+                          </Button>
+                        )}
+                        
                         <Button 
                           variant="primary" 
                           onClick={downloadPdf} 
+                          disabled={!savedReceipt}
                           className="me-2"
                         >
                           <Translate textKey="downloadPDF" />
@@ -705,7 +1185,7 @@ const NewReceipt = () => {
           
           <Col lg={5}>
             <Card>
-              <Card.Body ref={pdfRef} className="p-4">
+              <Card.Body className="p-4">
                 <div className="receipt-preview">
                   <div className="text-center mb-4">
                     {translatedShopData?.logoUrl && (
@@ -733,21 +1213,52 @@ const NewReceipt = () => {
                         <>Tel: {translatedShopData?.phoneNumber || 'Phone Number'}</>
                       )}
                     </p>
+                    {isInvoice && (
+                      <>
+                        <h5 className="mb-1">Sales Tax Invoice</h5>
+                        <p className="small mb-0">
+                          {invoiceSettings.ntn && `NTN: ${invoiceSettings.ntn}`}
+                          {invoiceSettings.ntn && invoiceSettings.strn && ' · '}
+                          {invoiceSettings.strn && `STRN: ${invoiceSettings.strn}`}
+                        </p>
+                      </>
+                    )}
                   </div>
                   
                   <Row className="mb-3">
                     <Col xs={6}>
-                      <p className="mb-1"><strong><Translate textKey="receiptNumber" /></strong> {transactionId}</p>
+                      <p className="mb-1"><strong><Translate textKey="receiptNumber" /></strong> {savedReceipt ? getReceiptNumber(savedReceipt) : transactionId}</p>
+                      {invoiceSettings.sequentialNumbers && !savedReceipt && (
+                        <p className="small text-muted mb-1">Invoice number is given when the sale is saved</p>
+                      )}
                       <p className="mb-1"><strong><Translate textKey="date" /></strong> {new Date().toLocaleDateString()}</p>
                       <p className="mb-1"><strong><Translate textKey="time" /></strong> {new Date().toLocaleTimeString()}</p>
                     </Col>
                     <Col xs={6}>
-                      <p className="mb-1"><strong><Translate textKey="cashier" /></strong> {cashierName || 'N/A'}</p>
+                      <p className="mb-1"><strong><Translate textKey="cashier" /></strong> {staffMember.name}</p>
                       <p className="mb-1"><strong><Translate textKey="manager" /></strong> {managerName || 'N/A'}</p>
-                      <p className="mb-1"><strong><Translate textKey="payment" /></strong> {paymentMethod}</p>
+                      <p className="mb-1"><strong><Translate textKey="payment" /></strong> {paymentLabel}</p>
+                      {customer && !isInvoice && (
+                        <p className="mb-1"><strong><Translate textKey="customer" fallback="Customer" />:</strong> {customer.name}</p>
+                      )}
                     </Col>
                   </Row>
                   
+                  {isInvoice && (
+                    <div className="mb-3">
+                      <strong>Buyer:</strong> {buyer.name || '-'}
+                      {buyer.address && <div className="small">{buyer.address}</div>}
+                      {buyer.phone && <div className="small">Tel: {buyer.phone}</div>}
+                      {(buyer.ntn || buyer.strn) && (
+                        <div className="small">
+                          {buyer.ntn && `NTN: ${buyer.ntn}`}
+                          {buyer.ntn && buyer.strn && ' · '}
+                          {buyer.strn && `STRN: ${buyer.strn}`}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  
                   <hr />
                   
                   <Table borderless className="receipt-table">
@@ -756,6 +1267,7 @@ const NewReceipt = () => {
                         <th><Translate textKey="itemName" /></th>
                         <th className="text-end"><Translate textKey="price" /></th>
                         <th className="text-center"><Translate textKey="qty" /></th>
+                        {showTax && <th className="text-end">{taxSettings.taxName}</th>}
                         <th className="text-end"><Translate textKey="total" /></th>
                       </tr>
                     </thead>
@@ -768,40 +1280,87 @@ const NewReceipt = () => {
                             {item.quantity || 1} {item.quantityUnit === 'kg' ? 
                               (parseFloat(item.quantity) < 1 ? 'gram' : 'KG') : ''}
                           </td>
-                          <td className="text-end">RS {(parseFloat(item.price || 0) * parseFloat(item.quantity || 1)).toFixed(2)}</td>
+                          {showTax && (
+                            <td className="text-end">
+                              {taxDetails.lines[index]?.taxRate || 0}%
+                              <div className="small text-muted">RS {(taxDetails.lines[index]?.taxAmount || 0).toFixed(2)}</div>
+                            </td>
+                          )}
+                          <td className="text-end">
+                            RS {(parseFloat(item.price || 0) * parseFloat(item.quantity || 1)).toFixed(2)}
+                            {discountDetails.lines[index]?.discountAmount > 0 && (
+                              <div className="small text-success">-RS {discountDetails.lines[index].discountAmount.toFixed(2)}</div>
+                            )}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
                     <tfoot>
                       <tr>
-                        <th colSpan="3" className="text-end"><Translate textKey="subtotal" defaultValue="Subtotal" /></th>
-                        <th className="text-end">RS {items.reduce((total, item) => total + (parseFloat(item.price || 0) * parseFloat(item.quantity || 1)), 0).toFixed(2)}</th>
+                        <th colSpan={showTax ? 4 : 3} className="text-end"><Translate textKey="subtotal" defaultValue="Subtotal" /></th>
+                        <th className="text-end">RS {taxDetails.subtotal.toFixed(2)}</th>
                       </tr>
-                      {parseFloat(discount) > 0 && (
+                      {discountDetails.lineDiscountTotal > 0 && (
+                        <tr>
+                          <th colSpan={showTax ? 4 : 3} className="text-end"><Translate textKey="itemDiscounts" fallback="Item Discounts" /></th>
+                          <th className="text-end">-RS {discountDetails.lineDiscountTotal.toFixed(2)}</th>
+                        </tr>
+                      )}
+                      {discountDetails.receiptDiscount > 0 && (
                         <tr>
-                          <th colSpan="3" className="text-end"><Translate textKey="discount" defaultValue="Discount" /></th>
-                          <th className="text-end">RS {parseFloat(discount).toFixed(2)}</th>
+                          <th colSpan={showTax ? 4 : 3} className="text-end"><Translate textKey="discount" defaultValue="Discount" /></th>
+                          <th className="text-end">-RS {discountDetails.receiptDiscount.toFixed(2)}</th>
                         </tr>
                       )}
+                      {taxDetails.taxBreakdown.map(tax => (
+                        <tr key={tax.taxRate}>
+                          <th colSpan={showTax ? 4 : 3} className="text-end">
+                            {taxSettings.pricesIncludeTax ? 'Includes ' : ''}{taxSettings.taxName} @ {tax.taxRate}%
+                          </th>
+                          <th className="text-end">RS {tax.taxAmount.toFixed(2)}</th>
+                        </tr>
+                      ))}
                       <tr>
-                        <th colSpan="3" className="text-end"><Translate textKey="total" /></th>
-                        <th className="text-end">RS {calculateTotal(items, discount)}</th>
+                        <th colSpan={showTax ? 4 : 3} className="text-end"><Translate textKey="total" /></th>
+                        <th className="text-end">RS {taxDetails.total.toFixed(2)}</th>
                       </tr>
-                      {paymentMethod === 'Cash' && parseFloat(cashGiven) > 0 && (
-                        <>
-                          <tr>
-                            <th colSpan="3" className="text-end"><Translate textKey="cashGiven" defaultValue="Cash Given" /></th>
-                            <th className="text-end">RS {parseFloat(cashGiven).toFixed(2)}</th>
-                          </tr>
-                          <tr>
-                            <th colSpan="3" className="text-end"><Translate textKey="change" defaultValue="Change" /></th>
-                            <th className="text-end">RS {(parseFloat(cashGiven) - parseFloat(calculateTotal(items, discount))).toFixed(2)}</th>
-                          </tr>
-                        </>
+                      {(paymentDetails.payments.length > 1 || paymentDetails.change > 0) && paymentDetails.payments.map((payment, index) => (
+                        <tr key={`payment-${index}`}>
+                          <th colSpan={showTax ? 4 : 3} className="text-end">
+                            {getPaymentMethod(payment.method).label}{payment.reference ? ` (${payment.reference})` : ''}
+                          </th>
+                          <th className="text-end">RS {payment.amount.toFixed(2)}</th>
+                        </tr>
+                      ))}
+                      {paymentDetails.change > 0 && (
+                        <tr>
+                          <th colSpan={showTax ? 4 : 3} className="text-end"><Translate textKey="change" defaultValue="Change" /></th>
+                          <th className="text-end">RS {paymentDetails.change.toFixed(2)}</th>
+                        </tr>
                       )}
                     </tfoot>
                   </Table>
                   
+                  {customer && loyaltySettings.enabled && (
+                    <div className="small mb-2">
+                      <strong><Translate textKey="loyaltyPoints" fallback="Loyalty Points" />:</strong>
+                      {loyaltyDetails.pointsEarned > 0 && ` earned ${loyaltyDetails.pointsEarned},`}
+                      {loyaltyDetails.pointsRedeemed > 0 && ` spent ${loyaltyDetails.pointsRedeemed},`}
+                      {` balance ${loyaltyDetails.pointsBalance}`}
+                    </div>
+                  )}
+                  
+                  {discountDetails.appliedPromotions.length > 0 && (
+                    <div className="small">
+                      <strong><Translate textKey="promotionsApplied" fallback="Promotions applied:" /></strong>
+                      {discountDetails.appliedPromotions.map(promotion => (
+                        <div key={promotion.promotionId}>
+                          {promotion.name}{promotion.couponCode ? ` (${promotion.couponCode})` : ''}: RS {promotion.amount.toFixed(2)}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  
                   <hr />
                   
                   <div className="text-center mt-4">
@@ -816,6 +1375,83 @@ const NewReceipt = () => {
             </Card>
           </Col>
         </Row>
+        
+        {/* Park Sale Modal */}
+        <Modal show={showParkModal} onHide={() => setShowParkModal(false)}>
+          <Form onSubmit={handleParkCart}>
+            <Modal.Header closeButton>
+              <Modal.Title><Translate textKey="parkSale" fallback="Park Sale" /></Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Form.Group>
+                <Form.Label>Label</Form.Label>
+                <Form.Control
+                  value={parkLabel}
+                  onChange={(e) => setParkLabel(e.target.value)}
+                  placeholder={customer ? customer.name : 'e.g. Man in blue shirt'}
+                  autoFocus
+                  required
+                />
+                <Form.Text className="text-muted">
+                  The sale is cleared from the screen and kept until it is resumed. Stock is not taken until it is saved.
+                </Form.Text>
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowParkModal(false)}>
+                <Translate textKey="cancel" />
+              </Button>
+              <Button variant="warning" type="submit">
+                <Translate textKey="parkSale" fallback="Park Sale" />
+              </Button>
+            </Modal.Footer>
+          </Form>
+        </Modal>
+        
+        {/* Parked Sales Modal */}
+        <Modal show={showParkedCarts} onHide={() => setShowParkedCarts(false)} size="lg">
+          <Modal.Header closeButton>
+            <Modal.Title><Translate textKey="parkedSales" fallback="Parked Sales" /></Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {waitingCarts.length > 0 ? (
+              <Table responsive hover size="sm">
+                <thead>
+                  <tr>
+                    <th>Label</th>
+                    <th>Parked</th>
+                    <th>Items</th>
+                    <th>Customer</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {waitingCarts.map(cart => (
+                    <tr key={cart.id}>
+                      <td>{cart.label}</td>
+                      <td>{new Date(cart.parkedAt).toLocaleTimeString()}</td>
+                      <td>{cart.items.filter(item => item.name).map(item => item.name).join(', ')}</td>
+                      <td>{cart.customerName || '-'}</td>
+                      <td className="text-nowrap">
+                        <Button variant="primary" size="sm" className="me-1" onClick={() => handleResumeCart(cart)}>
+                          Resume
+                        </Button>
+                        <Button variant="outline-danger" size="sm" onClick={() => handleDiscardCart(cart)}>
+                          Discard
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No parked sales.</p>
+            )}
+            <Form.Text className="text-muted">
+              Resuming a sale replaces the one on screen.
+            </Form.Text>
+          </Modal.Body>
+        </Modal>
       </Container>
     </>
   );
@@ -0,0 +1,553 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Spinner, Alert, Modal, Badge } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { Translate } from '../utils';
+import {
+  getShopPromotions,
+  addPromotion,
+  updatePromotion,
+  deletePromotion,
+  isPromotionActive,
+  normalizeCouponCode,
+  PROMOTION_TYPES,
+  PROMOTION_TYPE_LABELS,
+  PROMOTION_SCOPES,
+  PROMOTION_SCOPE_LABELS
+} from '../utils/promotionUtils';
+import { getShopStock } from '../utils/stockUtils';
+import { formatCurrency } from '../utils/receiptUtils';
+
+const emptyPromotion = {
+  id: '',
+  name: '',
+  type: PROMOTION_TYPES.PERCENTAGE,
+  scope: PROMOTION_SCOPES.RECEIPT,
+  value: '',
+  stockItemId: '',
+  category: '',
+  buyQuantity: '2',
+  getQuantity: '1',
+  minimumSpend: '',
+  couponCode: '',
+  startDate: '',
+  endDate: '',
+  active: true
+};
+
+const Promotions = () => {
+  const { shopId } = useAuth();
+  
+  const [promotions, setPromotions] = useState([]);
+  const [stockItems, setStockItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  
+  // Add/edit promotion form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyPromotion);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+  
+  // Delete confirmation
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [promotionToDelete, setPromotionToDelete] = useState(null);
+  
+  // Fetch promotions and the stock they can apply to
+  useEffect(() => {
+    const fetchPromotions = async () => {
+      if (!shopId) return;
+      
+      setLoading(true);
+      setError('');
+      
+      try {
+        const [promotionsData, stockData] = await Promise.all([
+          getShopPromotions(shopId),
+          getShopStock(shopId)
+        ]);
+        setPromotions(promotionsData);
+        setStockItems(stockData);
+      } catch (error) {
+        console.error('Error fetching promotions:', error);
+        setError('Failed to load promotions. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchPromotions();
+  }, [shopId]);
+  
+  const categories = [...new Set(stockItems.map(item => item.category || 'Uncategorized'))].sort();
+  
+  const handleFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+  
+  const handleAddClick = () => {
+    setFormData(emptyPromotion);
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  const handleEditClick = (promotion) => {
+    setFormData({
+      ...emptyPromotion,
+      ...promotion,
+      value: promotion.value?.toString() || '',
+      buyQuantity: promotion.buyQuantity?.toString() || '',
+      getQuantity: promotion.getQuantity?.toString() || '',
+      minimumSpend: promotion.minimumSpend?.toString() || ''
+    });
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  // Handle add/edit promotion form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    const isBuyXGetY = formData.type === PROMOTION_TYPES.BUY_X_GET_Y;
+    const scope = isBuyXGetY ? PROMOTION_SCOPES.ITEM : formData.scope;
+    
+    if (!formData.name.trim()) {
+      setFormError('Promotion name is required');
+      return;
+    }
+    if (isBuyXGetY && (!(parseInt(formData.buyQuantity) > 0) || !(parseInt(formData.getQuantity) > 0))) {
+      setFormError('Buy and get quantities must be whole numbers above zero');
+      return;
+    }
+    if (!isBuyXGetY && !(parseFloat(formData.value) > 0)) {
+      setFormError('Discount must be more than zero');
+      return;
+    }
+    if (formData.type === PROMOTION_TYPES.PERCENTAGE && parseFloat(formData.value) > 100) {
+      setFormError('A percentage discount cannot be more than 100%');
+      return;
+    }
+    if (scope === PROMOTION_SCOPES.ITEM && !formData.stockItemId) {
+      setFormError('Choose the stock item this promotion applies to');
+      return;
+    }
+    if (scope === PROMOTION_SCOPES.CATEGORY && !formData.category) {
+      setFormError('Choose the category this promotion applies to');
+      return;
+    }
+    if (formData.startDate && formData.endDate && formData.startDate > formData.endDate) {
+      setFormError('The end date must be on or after the start date');
+      return;
+    }
+    
+    const couponCode = normalizeCouponCode(formData.couponCode);
+    if (couponCode && promotions.some(promotion => promotion.couponCode === couponCode && promotion.id !== formData.id)) {
+      setFormError('Another promotion already uses this coupon code');
+      return;
+    }
+    
+    setFormLoading(true);
+    setFormError('');
+    
+    const stockItem = stockItems.find(item => item.id === formData.stockItemId);
+    const { id, ...details } = formData;
+    const promotionData = {
+      ...details,
+      name: details.name.trim(),
+      scope,
+      value: isBuyXGetY ? null : parseFloat(details.value),
+      stockItemId: scope === PROMOTION_SCOPES.ITEM ? details.stockItemId : null,
+      stockItemName: scope === PROMOTION_SCOPES.ITEM && stockItem ? stockItem.name : '',
+      category: scope === PROMOTION_SCOPES.CATEGORY ? details.category : '',
+      buyQuantity: isBuyXGetY ? parseInt(details.buyQuantity) : null,
+      getQuantity: isBuyXGetY ? parseInt(details.getQuantity) : null,
+      minimumSpend: scope === PROMOTION_SCOPES.RECEIPT ? parseFloat(details.minimumSpend) || 0 : 0,
+      couponCode
+    };
+    
+    try {
+      if (id) {
+        await updatePromotion(id, promotionData);
+        setPromotions(prev => prev.map(promotion =>
+          promotion.id === id ? { ...promotion, ...promotionData } : promotion
+        ));
+      } else {
+        const newData = { ...promotionData, shopId };
+        const promotionId = await addPromotion(newData);
+        setPromotions(prev => [{ id: promotionId, ...newData, createdAt: new Date().toISOString() }, ...prev]);
+      }
+      
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      setFormError('Failed to save promotion. Please try again.');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+  
+  // Switch a promotion on or off without editing it
+  const toggleActive = async (promotion) => {
+    try {
+      await updatePromotion(promotion.id, { ...promotion, active: !promotion.active });
+      setPromotions(prev => prev.map(item =>
+        item.id === promotion.id ? { ...item, active: !promotion.active } : item
+      ));
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      setError('Failed to update promotion. Please try again.');
+    }
+  };
+  
+  const handleDeleteClick = (promotion) => {
+    setPromotionToDelete(promotion);
+    setShowDeleteModal(true);
+  };
+  
+  const confirmDelete = async () => {
+    if (!promotionToDelete) return;
+    
+    try {
+      await deletePromotion(promotionToDelete.id);
+      setPromotions(prev => prev.filter(promotion => promotion.id !== promotionToDelete.id));
+      setShowDeleteModal(false);
+      setPromotionToDelete(null);
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      setError('Failed to delete promotion. Please try again.');
+    }
+  };
+  
+  // Describe the discount a promotion gives
+  const describeOffer = (promotion) => {
+    if (promotion.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+      return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+    }
+    if (promotion.type === PROMOTION_TYPES.PERCENTAGE) {
+      return `${promotion.value}% off`;
+    }
+    return promotion.scope === PROMOTION_SCOPES.RECEIPT
+      ? `${formatCurrency(promotion.value)} off`
+      : `${formatCurrency(promotion.value)} off each`;
+  };
+  
+  // Describe what a promotion applies to
+  const describeScope = (promotion) => {
+    if (promotion.scope === PROMOTION_SCOPES.ITEM) {
+      return promotion.stockItemName || 'Stock item';
+    }
+    if (promotion.scope === PROMOTION_SCOPES.CATEGORY) {
+      return `Category: ${promotion.category}`;
+    }
+    return promotion.minimumSpend > 0
+      ? `Receipts over ${formatCurrency(promotion.minimumSpend)}`
+      : 'Whole receipt';
+  };
+  
+  // Status badge for a promotion today
+  const getStatusBadge = (promotion) => {
+    if (!promotion.active) {
+      return <Badge bg="secondary">Off</Badge>;
+    }
+    if (isPromotionActive(promotion)) {
+      return <Badge bg="success">Running</Badge>;
+    }
+    const today = new Date().toISOString().split('T')[0];
+    if (promotion.startDate && today < promotion.startDate) {
+      return <Badge bg="info">Scheduled</Badge>;
+    }
+    return <Badge bg="warning" text="dark">Ended</Badge>;
+  };
+  
+  const isBuyXGetY = formData.type === PROMOTION_TYPES.BUY_X_GET_Y;
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2><Translate textKey="promotions" fallback="Promotions" /></h2>
+          <Button variant="success" onClick={handleAddClick}>
+            <Translate textKey="addPromotion" fallback="Add Promotion" />
+          </Button>
+        </div>
+        
+        <p className="text-muted">
+          Promotions without a coupon code are applied to every matching sale while they run.
+          Promotions with a coupon code only apply when the code is entered at checkout.
+        </p>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Card>
+          <Card.Body>
+            {loading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" />
+              </div>
+            ) : promotions.length > 0 ? (
+              <Table responsive hover>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Offer</th>
+                    <th>Applies To</th>
+                    <th>Coupon</th>
+                    <th>Dates</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promotions.map(promotion => (
+                    <tr key={promotion.id}>
+                      <td>{promotion.name}</td>
+                      <td>{describeOffer(promotion)}</td>
+                      <td>{describeScope(promotion)}</td>
+                      <td>{promotion.couponCode || <span className="text-muted">Automatic</span>}</td>
+                      <td>
+                        {promotion.startDate || promotion.endDate
+                          ? `${promotion.startDate || '...'} to ${promotion.endDate || '...'}`
+                          : 'Always'}
+                      </td>
+                      <td>{getStatusBadge(promotion)}</td>
+                      <td>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => toggleActive(promotion)}
+                        >
+                          {promotion.active ? 'Turn Off' : 'Turn On'}
+                        </Button>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => handleEditClick(promotion)}
+                        >
+                          <Translate textKey="edit" />
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          className="mb-1"
+                          onClick={() => handleDeleteClick(promotion)}
+                        >
+                          <Translate textKey="delete" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No promotions yet. Add your first promotion!</p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        {/* Add/Edit Promotion Modal */}
+        <Modal show={showForm} onHide={() => setShowForm(false)} size="lg">
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{formData.id ? 'Edit Promotion' : 'Add Promotion'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Form.Group className="mb-3">
+                <Form.Label>Name*</Form.Label>
+                <Form.Control
+                  name="name"
+                  value={formData.name}
+                  onChange={handleFormChange}
+                  placeholder="e.g. Eid Sale"
+                  required
+                />
+              </Form.Group>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Offer</Form.Label>
+                    <Form.Select name="type" value={formData.type} onChange={handleFormChange}>
+                      {Object.values(PROMOTION_TYPES).map(type => (
+                        <option key={type} value={type}>{PROMOTION_TYPE_LABELS[type]}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  {isBuyXGetY ? (
+                    <Row>
+                      <Col xs={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Buy</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="1"
+                            step="1"
+                            name="buyQuantity"
+                            value={formData.buyQuantity}
+                            onChange={handleFormChange}
+                          />
+                        </Form.Group>
+                      </Col>
+                      <Col xs={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Get Free</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="1"
+                            step="1"
+                            name="getQuantity"
+                            value={formData.getQuantity}
+                            onChange={handleFormChange}
+                          />
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                  ) : (
+                    <Form.Group className="mb-3">
+                      <Form.Label>
+                        {formData.type === PROMOTION_TYPES.PERCENTAGE ? 'Discount (%)' : 'Discount (RS)'}
+                      </Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        name="value"
+                        value={formData.value}
+                        onChange={handleFormChange}
+                      />
+                    </Form.Group>
+                  )}
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Applies To</Form.Label>
+                    <Form.Select
+                      name="scope"
+                      value={isBuyXGetY ? PROMOTION_SCOPES.ITEM : formData.scope}
+                      onChange={handleFormChange}
+                      disabled={isBuyXGetY}
+                    >
+                      {Object.values(PROMOTION_SCOPES).map(scope => (
+                        <option key={scope} value={scope}>{PROMOTION_SCOPE_LABELS[scope]}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  {(isBuyXGetY || formData.scope === PROMOTION_SCOPES.ITEM) && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Stock Item</Form.Label>
+                      <Form.Select name="stockItemId" value={formData.stockItemId || ''} onChange={handleFormChange}>
+                        <option value="">Select an item</option>
+                        {stockItems.map(item => (
+                          <option key={item.id} value={item.id}>{item.name}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  )}
+                  {!isBuyXGetY && formData.scope === PROMOTION_SCOPES.CATEGORY && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Category</Form.Label>
+                      <Form.Select name="category" value={formData.category || ''} onChange={handleFormChange}>
+                        <option value="">Select a category</option>
+                        {categories.map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  )}
+                  {!isBuyXGetY && formData.scope === PROMOTION_SCOPES.RECEIPT && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Minimum Spend (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        name="minimumSpend"
+                        value={formData.minimumSpend}
+                        onChange={handleFormChange}
+                        placeholder="Optional"
+                      />
+                    </Form.Group>
+                  )}
+                </Col>
+              </Row>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Coupon Code</Form.Label>
+                    <Form.Control
+                      name="couponCode"
+                      value={formData.couponCode}
+                      onChange={handleFormChange}
+                      placeholder="Leave blank to apply automatically"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Starts</Form.Label>
+                    <Form.Control type="date" name="startDate" value={formData.startDate} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Ends</Form.Label>
+                    <Form.Control type="date" name="endDate" value={formData.endDate} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Check
+                type="checkbox"
+                id="promotion-active"
+                name="active"
+                label="Active"
+                checked={formData.active}
+                onChange={handleFormChange}
+              />
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowForm(false)}>
+                <Translate textKey="cancel" />
+              </Button>
+              <Button variant="primary" type="submit" disabled={formLoading}>
+                {formLoading ? <Spinner animation="border" size="sm" /> : <Translate textKey="save" />}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        </Modal>
+        
+        {/* Delete Confirmation Modal */}
+        <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
+          <Modal.Header closeButton>
+            <Modal.Title><Translate textKey="confirmDelete" /></Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>Are you sure you want to delete this promotion? Past receipts keep the discount they were given.</p>
+            {promotionToDelete && <p><strong>{promotionToDelete.name}</strong></p>}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowDeleteModal(false)}>
+              <Translate textKey="cancel" />
+            </Button>
+            <Button variant="danger" onClick={confirmDelete}>
+              <Translate textKey="delete" />
+            </Button>
+          </Modal.Footer>
+        </Modal>
+      </Container>
+    </>
+  );
+};
+
+export default Promotions;
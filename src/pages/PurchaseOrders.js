@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Card, Form, Row, Col, Badge, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getShopPurchaseOrders, PURCHASE_ORDER_STATUS_BADGES } from '../utils/purchaseUtils';
+import { formatCurrency, formatDate } from '../utils/receiptUtils';
+import { Translate } from '../utils';
+import './ViewStock.css';
+
+const PurchaseOrders = () => {
+  const { shopId } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const navigate = useNavigate();
+  
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getShopPurchaseOrders(shopId)
+      .then(setOrders)
+      .catch(error => {
+        setError('Failed to load purchase orders: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [shopId]);
+  
+  const filteredOrders = orders.filter(order => {
+    const matchesStatus = statusFilter ? order.status === statusFilter : true;
+    const matchesSearch = !searchTerm ||
+      order.poNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (order.supplier || '').toLowerCase().includes(searchTerm.toLowerCase());
+    
+    return matchesStatus && matchesSearch;
+  });
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2><Translate textKey="purchaseOrders" fallback="Purchase Orders" /></h2>
+          <Button
+            variant="success"
+            onClick={() => navigate('/add-purchase-order')}
+          >
+            <Translate textKey="newPurchaseOrder" fallback="New Purchase Order" />
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <Row>
+              <Col md={6} lg={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label><Translate textKey="search" fallback="Search" /></Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="PO number or supplier"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6} lg={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label><Translate textKey="status" /></Form.Label>
+                  <Form.Select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                  >
+                    <option value="">All</option>
+                    {Object.keys(PURCHASE_ORDER_STATUS_BADGES).map(status => (
+                      <option key={status} value={status}>{PURCHASE_ORDER_STATUS_BADGES[status].label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+        
+        {loading ? (
+          <p className="text-center"><Translate textKey="loadingPurchaseOrders" fallback="Loading purchase orders..." /></p>
+        ) : (
+          <Card>
+            <Card.Body>
+              {filteredOrders.length > 0 ? (
+                <div className="table-responsive stock-table-container">
+                  <Table hover responsive="sm" className="stock-table">
+                    <thead>
+                      <tr>
+                        <th>PO #</th>
+                        <th><Translate textKey="supplier" fallback="Supplier" /></th>
+                        <th><Translate textKey="orderDate" fallback="Order Date" /></th>
+                        <th><Translate textKey="expectedDate" fallback="Expected" /></th>
+                        <th className="text-end"><Translate textKey="totalCost" fallback="Total Cost" /></th>
+                        <th><Translate textKey="status" /></th>
+                        <th><Translate textKey="actions" /></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filteredOrders.map(order => {
+                        const badge = PURCHASE_ORDER_STATUS_BADGES[order.status] || { bg: 'secondary', label: order.status };
+                        return (
+                          <tr key={order.id}>
+                            <td className="text-nowrap">{order.poNumber}</td>
+                            <td>{order.supplier || '-'}</td>
+                            <td>{formatDate(order.orderDate)}</td>
+                            <td>{order.expectedDate ? formatDate(order.expectedDate) : '-'}</td>
+                            <td className="text-end">{formatCurrency(order.totalCost || 0)}</td>
+                            <td><Badge bg={badge.bg}>{badge.label}</Badge></td>
+                            <td>
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => navigate(`/purchase-order/${order.id}`)}
+                              >
+                                <Translate textKey="view" />
+                              </Button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </Table>
+                </div>
+              ) : (
+                <p className="text-center">
+                  {orders.length > 0
+                    ? 'No purchase orders match your filters.'
+                    : 'No purchase orders yet. Create one to start tracking restocking.'}
+                </p>
+              )}
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default PurchaseOrders;
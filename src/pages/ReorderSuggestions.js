@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Card, Badge, Alert, Spinner } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getShopStock } from '../utils/stockUtils';
+import { getReorderSuggestions, SALES_VELOCITY_DAYS, REORDER_COVER_DAYS } from '../utils/salesUtils';
+
+const ReorderSuggestions = () => {
+  const { shopId } = useAuth();
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getShopStock(shopId)
+      .then(stockItems => getReorderSuggestions(shopId, stockItems))
+      .then(setSuggestions)
+      .catch(error => {
+        setError('Failed to build reorder suggestions: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [shopId]);
+  
+  // One purchase order goes to each supplier, so group the suggestions by supplier
+  const groups = [];
+  suggestions.forEach(suggestion => {
+    const key = suggestion.supplierId || '';
+    let group = groups.find(item => item.supplierId === key);
+    if (!group) {
+      group = { supplierId: key, supplier: suggestion.supplier, items: [] };
+      groups.push(group);
+    }
+    group.items.push(suggestion);
+  });
+  
+  // Open a new purchase order with the group's suggested quantities filled in
+  const createPurchaseOrder = (group) => {
+    navigate('/add-purchase-order', {
+      state: {
+        supplierId: group.supplierId,
+        supplier: group.supplier,
+        lines: group.items.map(item => ({
+          stockItemId: item.stockItemId,
+          name: item.name,
+          quantityOrdered: item.suggestedQuantity.toString(),
+          unitCost: item.costPrice ? item.costPrice.toString() : ''
+        }))
+      }
+    });
+  };
+  
+  const formatUnit = (unit) => unit === 'kg' ? 'KG' : 'Units';
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2>Reorder Suggestions</h2>
+          <Button
+            variant="outline-secondary"
+            onClick={() => navigate('/stock')}
+          >
+            Back to Inventory
+          </Button>
+        </div>
+        
+        <p className="text-muted">
+          Items at or below their reorder level, and items expected to sell out within {REORDER_COVER_DAYS} days
+          at their average rate of sale over the last {SALES_VELOCITY_DAYS} days.
+        </p>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : groups.length > 0 ? (
+          groups.map(group => (
+            <Card className="mb-4" key={group.supplierId || 'none'}>
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">{group.supplierId ? group.supplier : 'No Supplier Set'}</h5>
+                <Button
+                  variant="success"
+                  size="sm"
+                  onClick={() => createPurchaseOrder(group)}
+                >
+                  Create Purchase Order
+                </Button>
+              </Card.Header>
+              <Card.Body>
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th className="text-end">In Stock</th>
+                      <th className="text-end">Reorder Level</th>
+                      <th className="text-end">Avg Daily Sales</th>
+                      <th className="text-end">Days Left</th>
+                      <th className="text-end">Suggested Order</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.items.map(item => (
+                      <tr key={item.stockItemId}>
+                        <td>
+                          {item.name}{' '}
+                          {item.lowStock && <Badge bg="warning" text="dark">Low</Badge>}
+                        </td>
+                        <td className="text-end">{item.quantity} {formatUnit(item.quantityUnit)}</td>
+                        <td className="text-end">{item.reorderLevel ?? '-'}</td>
+                        <td className="text-end">{item.dailySales.toFixed(2)}</td>
+                        <td className="text-end">{item.daysLeft === null ? '-' : Math.floor(item.daysLeft)}</td>
+                        <td className="text-end">
+                          <strong>{item.suggestedQuantity} {formatUnit(item.quantityUnit)}</strong>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          ))
+        ) : (
+          <Card>
+            <Card.Body>
+              <p className="text-center mb-0">Nothing needs reordering right now.</p>
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default ReorderSuggestions;
@@ -3,14 +3,36 @@ import { Container, Form, Button, Row, Col, Card, Table, Alert, Modal } from 're
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { getReceiptById, formatCurrency, updateReceipt } from '../utils/receiptUtils';
-import { restoreStockQuantity } from '../utils/stockUtils';
+import { getReceiptById, formatCurrency, processReturn, saveReturnOffline, recordRejectedOfflineWrite, isOffline, SYNC_STATUS } from '../utils/receiptUtils';
+import { getShopStock } from '../utils/stockUtils';
+import { getLineTaxShare, getTaxRate, getTaxSettings, calculateReceiptTax } from '../utils/taxUtils';
+import { getAmountOnAccount, PAYMENT_METHODS, CASH, ON_ACCOUNT, LOYALTY_POINTS, getPaymentMethod, needsPaymentReference } from '../utils/paymentUtils';
+import { calculateReturnPoints } from '../utils/loyaltyUtils';
+import { addCashMovementToOpenShift, getReturnCashMovement } from '../utils/shiftUtils';
+import { getReceiptReturns, getPendingReturns, getReturnedQuantities } from '../utils/returnUtils';
+import { isReceiptCancelled } from '../utils/voidUtils';
+import { downloadReturnSlipPdf } from '../utils/pdfUtils';
 import { Translate, useTranslatedData } from '../utils';
 import './ViewReceipt.css'; // Reuse the receipt styling
 
+// The return form's lines: every receipt line with how much of it is left to return
+const createReturnItems = (receipt) => {
+  const returned = getReturnedQuantities(receipt);
+  return receipt.items.map((item, index) => ({
+    ...item,
+    returnedQuantity: returned[index],
+    remainingQuantity: Math.max((parseFloat(item.quantity) || 0) - returned[index], 0),
+    returnQuantity: 0,
+    isReturning: false
+  }));
+};
+
+// Methods the customer can pay an exchange's difference with
+const SETTLEMENT_METHODS = PAYMENT_METHODS.filter(method => method.value !== ON_ACCOUNT && method.value !== LOYALTY_POINTS);
+
 const ReturnProducts = () => {
   const { id } = useParams();
-  const { currentUser } = useAuth();
+  const { currentUser, shopId, shopData } = useAuth();
   const [receipt, setReceipt] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -19,6 +41,15 @@ const ReturnProducts = () => {
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [returnReason, setReturnReason] = useState('');
   const [processingReturn, setProcessingReturn] = useState(false);
+  const [lastReturnNumber, setLastReturnNumber] = useState(null);
+  // Exchange: items given in place of the returned ones
+  const [isExchange, setIsExchange] = useState(false);
+  const [stockItems, setStockItems] = useState([]);
+  const [exchangeItems, setExchangeItems] = useState([]);
+  const [exchangeStockItemId, setExchangeStockItemId] = useState('');
+  const [exchangeQuantity, setExchangeQuantity] = useState('1');
+  const [settlementMethod, setSettlementMethod] = useState(CASH);
+  const [settlementReference, setSettlementReference] = useState('');
   const navigate = useNavigate();
 
   // Translate receipt data
@@ -27,23 +58,16 @@ const ReturnProducts = () => {
   useEffect(() => {
     // Fetch the receipt data
     const fetchReceipt = () => {
-      if (currentUser && id) {
+      if (shopId && id) {
         getReceiptById(id)
           .then(receiptData => {
             // Check if receipt belongs to current user
-            if (receiptData.shopId !== currentUser.uid) {
+            if (receiptData.shopId !== shopId) {
               throw new Error('You do not have permission to view this receipt');
             }
             
             setReceipt(receiptData);
-            
-            // Initialize return items with all receipt items set to 0 quantity
-            const initialReturnItems = receiptData.items.map(item => ({
-              ...item,
-              returnQuantity: 0,
-              isReturning: false
-            }));
-            setReturnItems(initialReturnItems);
+            setReturnItems(createReturnItems(receiptData));
           })
           .catch(error => {
             setError('Failed to load receipt: ' + error.message);
@@ -56,16 +80,23 @@ const ReturnProducts = () => {
     };
 
     fetchReceipt();
-  }, [id, currentUser]);
+  }, [id, shopId]);
 
+  // Stock to choose exchange items from, loaded the first time it's needed
+  useEffect(() => {
+    if (isExchange && shopId && stockItems.length === 0) {
+      getShopStock(shopId).then(setStockItems);
+    }
+  }, [isExchange, shopId, stockItems.length]);
+  
   // Handle checkbox change for returning an item
   const handleReturnCheckboxChange = (index) => {
     const updatedItems = [...returnItems];
     updatedItems[index].isReturning = !updatedItems[index].isReturning;
     
-    // If checked, set return quantity to max available quantity
+    // If checked, set return quantity to what is left to return
     if (updatedItems[index].isReturning) {
-      updatedItems[index].returnQuantity = parseFloat(updatedItems[index].quantity);
+      updatedItems[index].returnQuantity = updatedItems[index].remainingQuantity;
     } else {
       updatedItems[index].returnQuantity = 0;
     }
@@ -76,10 +107,10 @@ const ReturnProducts = () => {
   // Handle return quantity change
   const handleReturnQuantityChange = (index, value) => {
     const updatedItems = [...returnItems];
-    const maxQuantity = parseFloat(updatedItems[index].quantity);
+    const maxQuantity = updatedItems[index].remainingQuantity;
     let newQuantity = parseFloat(value) || 0;
     
-    // Ensure return quantity doesn't exceed original quantity
+    // Ensure return quantity doesn't exceed what hasn't been returned yet
     newQuantity = Math.min(newQuantity, maxQuantity);
     newQuantity = Math.max(newQuantity, 0);
     
@@ -89,12 +120,28 @@ const ReturnProducts = () => {
     setReturnItems(updatedItems);
   };
 
+  // Share of a line's discount given on the quantity being returned
+  const calculateReturnDiscount = (item, quantity) => {
+    const lineQuantity = parseFloat(item.quantity) || 0;
+    if (lineQuantity <= 0) return 0;
+    return (parseFloat(item.discountAmount) || 0) * parseFloat(quantity) / lineQuantity;
+  };
+  
+  // Amount refunded for part of a line, less its discount; tax charged on top of the price is refunded too
+  const calculateReturnLineTotal = (item, quantity) => {
+    const amount = parseFloat(item.price) * parseFloat(quantity) - calculateReturnDiscount(item, quantity);
+    if (receipt && receipt.pricesIncludeTax) {
+      return amount;
+    }
+    return amount + getLineTaxShare(item, quantity).taxAmount;
+  };
+  
   // Calculate total return amount
   const calculateReturnTotal = () => {
     return returnItems
       .filter(item => item.isReturning && item.returnQuantity > 0)
       .reduce((total, item) => {
-        return total + (parseFloat(item.price) * parseFloat(item.returnQuantity));
+        return total + calculateReturnLineTotal(item, item.returnQuantity);
       }, 0);
   };
 
@@ -103,6 +150,36 @@ const ReturnProducts = () => {
     return returnItems.some(item => item.isReturning && item.returnQuantity > 0);
   };
 
+  // Add a stock item to the items given in exchange
+  const handleAddExchangeItem = () => {
+    const stockItem = stockItems.find(item => item.id === exchangeStockItemId);
+    const quantity = parseFloat(exchangeQuantity) || 0;
+    if (!stockItem || quantity <= 0) return;
+    
+    setExchangeItems([...exchangeItems, {
+      stockItemId: stockItem.id,
+      name: stockItem.name,
+      category: stockItem.category || 'Uncategorized',
+      quantity,
+      quantityUnit: stockItem.quantityUnit || 'units',
+      price: parseFloat(stockItem.price) || 0,
+      costPrice: stockItem.costPrice || 0,
+      taxRate: getTaxRate(stockItem, getTaxSettings(shopData))
+    }]);
+    setExchangeStockItemId('');
+    setExchangeQuantity('1');
+  };
+  
+  // Remove an item from the items given in exchange
+  const handleRemoveExchangeItem = (index) => {
+    setExchangeItems(exchangeItems.filter((item, itemIndex) => itemIndex !== index));
+  };
+  
+  // Tax and total of the items given in exchange, priced the way the sale was
+  const calculateExchange = () => {
+    return calculateReceiptTax(isExchange ? exchangeItems : [], 0, receipt && receipt.pricesIncludeTax);
+  };
+  
   // Handle return confirmation
   const handleConfirmReturn = () => {
     if (!hasItemsToReturn()) {
@@ -114,79 +191,141 @@ const ReturnProducts = () => {
   };
 
   // Process the return
-  const processReturn = async () => {
+  const handleProcessReturn = async () => {
     if (!hasItemsToReturn() || !receipt) return;
     
     setProcessingReturn(true);
     setError('');
     
     try {
-      // 1. Get items being returned
-      const itemsToReturn = returnItems
-        .filter(item => item.isReturning && item.returnQuantity > 0)
-        .map(item => ({
+      // Offline, or while the sale itself is still waiting to sync, the return is
+      // saved on this device and its stock is put back when it syncs
+      const saveOffline = isOffline() || receipt.syncStatus === SYNC_STATUS.PENDING;
+      if (saveOffline && isExchange && exchangeItems.length > 0) {
+        throw new Error('Exchanges need a connection to check the new items are in stock. Return the items now and sell the new ones separately, or try again once online.');
+      }
+      
+      // 1. Get items being returned, with the line of the receipt each came from
+      const returnAmount = calculateReturnTotal();
+      const returnedItems = returnItems
+        .map((item, lineIndex) => ({ item, lineIndex }))
+        .filter(({ item }) => item.isReturning && item.returnQuantity > 0)
+        .map(({ item, lineIndex }) => ({
+          lineIndex,
+          stockItemId: item.stockItemId || null,
           name: item.name,
           quantity: item.returnQuantity,
           quantityUnit: item.quantityUnit || 'units',
           price: item.price,
           costPrice: item.costPrice || 0,
-          category: item.category || 'Uncategorized'
+          category: item.category || 'Uncategorized',
+          discountAmount: calculateReturnDiscount(item, item.returnQuantity),
+          taxRate: item.taxRate || 0,
+          ...getLineTaxShare(item, item.returnQuantity),
+          total: calculateReturnLineTotal(item, item.returnQuantity).toFixed(2)
         }));
       
-      // 2. Restore stock quantities for returned items
-      await restoreStockQuantity(receipt.shopId, itemsToReturn);
+      // 2. Items given in exchange are paid for with the returned items first
+      const exchange = calculateExchange();
+      const exchangeTotal = exchange.total;
+      const balanceDue = Math.max(exchangeTotal - returnAmount, 0);
+      const refundDue = Math.max(returnAmount - exchangeTotal, 0);
       
-      // 3. Update the receipt with return information
-      const returnAmount = calculateReturnTotal();
-      const returnData = {
-        returnInfo: {
-          returnDate: new Date().toISOString(),
-          returnedItems: returnItems
-            .filter(item => item.isReturning && item.returnQuantity > 0)
-            .map(item => ({
-              name: item.name,
-              quantity: item.returnQuantity,
-              price: item.price,
-              costPrice: item.costPrice || 0,
-              category: item.category || 'Uncategorized',
-              total: (parseFloat(item.price) * parseFloat(item.returnQuantity)).toFixed(2)
-            })),
-          returnTotal: returnAmount.toFixed(2),
-          returnReason: returnReason.trim(),
-          processedBy: currentUser.email,
-          // Flag to indicate this receipt has returns for sales analytics
-          affectsSalesAnalytics: true
-        }
+      // 3. Points earned on the returned goods are taken back, and goods bought with
+      // points are refunded as points. Goods bought on account are refunded by
+      // taking them off the customer's balance; the rest is paid out.
+      const returnPoints = calculateReturnPoints(receipt, returnAmount);
+      const refundedAsPoints = Math.min(returnPoints.refundedAsPoints, refundDue);
+      const pointsRestored = returnPoints.refundedAsPoints > 0
+        ? Math.round(returnPoints.pointsRestored * refundedAsPoints / returnPoints.refundedAsPoints)
+        : returnPoints.pointsRestored;
+      const creditedToAccount = Math.max(Math.min(refundDue - refundedAsPoints, getAmountOnAccount(receipt)), 0);
+      const refundAmount = refundDue - refundedAsPoints - creditedToAccount;
+      
+      const returnEvent = {
+        returnDate: new Date().toISOString(),
+        returnedItems,
+        returnTotal: returnAmount.toFixed(2),
+        returnTax: returnedItems.reduce((total, item) => total + item.taxAmount, 0).toFixed(2),
+        returnReason: returnReason.trim(),
+        exchangeItems: exchange.lines.map(item => ({
+          ...item,
+          total: (parseFloat(item.price) * item.quantity + (receipt.pricesIncludeTax ? 0 : item.taxAmount)).toFixed(2)
+        })),
+        exchangeTotal: exchangeTotal.toFixed(2),
+        exchangeTax: exchange.taxTotal.toFixed(2),
+        settlement: balanceDue > 0 ? {
+          method: settlementMethod,
+          amount: parseFloat(balanceDue.toFixed(2)),
+          reference: needsPaymentReference(settlementMethod) ? settlementReference.trim() : ''
+        } : null,
+        refundAmount: parseFloat(refundAmount.toFixed(2)),
+        creditedToAccount: parseFloat(creditedToAccount.toFixed(2)),
+        refundedAsPoints,
+        loyaltyPointsReversed: returnPoints.pointsReversed,
+        loyaltyPointsRestored: pointsRestored,
+        processedBy: currentUser.email,
+        // Flag to indicate this return counts in sales analytics
+        affectsSalesAnalytics: true
       };
       
-      // 4. Update the receipt with return information
-      await updateReceipt(receipt.id, returnData);
+      // 4. Put the stock back, add the return to the receipt and move the open
+      // shift's cash for any money handed back or paid towards an exchange
+      let returnNumber = null;
+      if (saveOffline) {
+        await saveReturnOffline(receipt.id, returnEvent);
+        // The stock waits for the return to sync, but the cash has already
+        // changed hands. The write is queued, so it isn't waited for.
+        const cashMovement = getReturnCashMovement(returnEvent, receipt.transactionId);
+        if (cashMovement) {
+          addCashMovementToOpenShift(receipt.shopId, cashMovement).catch(error => recordRejectedOfflineWrite({
+            description: `${cashMovement.reason}: cash ${cashMovement.type} of ${formatCurrency(cashMovement.amount)} in the open shift`,
+            data: cashMovement
+          }, error));
+        }
+      } else {
+        returnNumber = await processReturn(receipt.id, returnEvent);
+      }
       
       // Show success message
-      setSuccess(`Successfully processed return. Amount: ${formatCurrency(returnAmount)}`);
+      const refundDetails = [
+        balanceDue > 0 && `${formatCurrency(balanceDue)} was paid by ${getPaymentMethod(settlementMethod).label} for the exchange`,
+        refundAmount > 0 && `${formatCurrency(refundAmount)} was refunded`,
+        creditedToAccount > 0 && `${formatCurrency(creditedToAccount)} was taken off ${receipt.customerName}'s balance`,
+        pointsRestored > 0 && `${pointsRestored} points were given back`,
+        returnPoints.pointsReversed > 0 && `${returnPoints.pointsReversed} points earned on the sale were taken back`
+      ].filter(Boolean);
+      setSuccess(`Successfully processed ${exchange.lines.length > 0 ? 'exchange' : 'return'}. Amount: ${formatCurrency(returnAmount)}` +
+        (refundDetails.length > 0 ? `; ${refundDetails.join(', ')}` : '') +
+        (saveOffline ? '. Saved offline; stock will be updated when it syncs.' : ''));
+      setLastReturnNumber(returnNumber);
       setShowConfirmModal(false);
       
-      // Reset form
-      const resetItems = returnItems.map(item => ({
-        ...item,
-        returnQuantity: 0,
-        isReturning: false
-      }));
-      setReturnItems(resetItems);
-      setReturnReason('');
-      
-      // Refresh receipt data
+      // Refresh receipt data and reset the form
       const updatedReceipt = await getReceiptById(id);
       setReceipt(updatedReceipt);
+      setReturnItems(createReturnItems(updatedReceipt));
+      setReturnReason('');
+      setIsExchange(false);
+      setExchangeItems([]);
+      setSettlementReference('');
       
     } catch (error) {
       console.error('Error processing return:', error);
       setError('Failed to process return: ' + error.message);
+      setShowConfirmModal(false);
     } finally {
       setProcessingReturn(false);
     }
   };
 
+  // Download the slip for one of the receipt's returns
+  const handleDownloadSlip = (returnEvent) => {
+    downloadReturnSlipPdf(receipt, returnEvent).catch(error => {
+      setError('Failed to create return slip: ' + error.message);
+    });
+  };
+  
   if (loading) {
     return (
       <>
@@ -232,8 +371,14 @@ const ReturnProducts = () => {
     );
   }
 
-  // Check if this receipt already has returns processed
-  const hasReturns = receipt.returnInfo && receipt.returnInfo.returnedItems;
+  const previousReturns = getReceiptReturns(receipt);
+  // Offline, more returns can wait behind it; online they wait for it to sync
+  const hasPendingReturn = getPendingReturns(receipt).length > 0 && !isOffline();
+  const isCancelled = isReceiptCancelled(receipt);
+  const nothingLeftToReturn = returnItems.every(item => item.remainingQuantity <= 0);
+  const returnTotal = calculateReturnTotal();
+  const exchange = calculateExchange();
+  const balanceDue = Math.max(exchange.total - returnTotal, 0);
 
   return (
     <>
@@ -249,7 +394,21 @@ const ReturnProducts = () => {
           </Button>
         </div>
         
-        {success && <Alert variant="success">{success}</Alert>}
+        {success && (
+          <Alert variant="success">
+            {success}
+            {lastReturnNumber !== null && (
+              <Button
+                variant="outline-success"
+                size="sm"
+                className="ms-2"
+                onClick={() => handleDownloadSlip(previousReturns.find(returnEvent => returnEvent.returnNumber === lastReturnNumber))}
+              >
+                Return Slip
+              </Button>
+            )}
+          </Alert>
+        )}
         {error && <Alert variant="danger">{error}</Alert>}
         
         {/* Receipt Information */}
@@ -261,6 +420,7 @@ const ReturnProducts = () => {
             <Row>
               <Col md={6}>
                 <p><strong>Receipt #:</strong> {receipt.transactionId}</p>
+                {receipt.invoiceNumber && <p><strong>Invoice #:</strong> {receipt.invoiceNumber}</p>}
                 <p><strong>Date:</strong> {new Date(receipt.timestamp).toLocaleDateString()}</p>
                 <p><strong>Cashier:</strong> {receipt.cashierName}</p>
               </Col>
@@ -276,41 +436,71 @@ const ReturnProducts = () => {
         </Card>
         
         {/* Previous Returns (if any) */}
-        {hasReturns && (
+        {previousReturns.length > 0 && (
           <Card className="mb-4">
             <Card.Header className="bg-warning text-dark">
               <h5 className="mb-0">Previous Returns</h5>
             </Card.Header>
             <Card.Body>
-              <p><strong>Return Date:</strong> {new Date(receipt.returnInfo.returnDate).toLocaleString()}</p>
-              <p><strong>Return Total:</strong> {formatCurrency(receipt.returnInfo.returnTotal)}</p>
-              {receipt.returnInfo.returnReason && (
-                <p><strong>Return Reason:</strong> {receipt.returnInfo.returnReason}</p>
-              )}
-              
-              <h6 className="mt-3">Returned Items:</h6>
-              <Table striped bordered hover size="sm">
-                <thead>
-                  <tr>
-                    <th>Item</th>
-                    <th>Category</th>
-                    <th>Quantity</th>
-                    <th>Price</th>
-                    <th>Total</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {receipt.returnInfo.returnedItems.map((item, index) => (
-                    <tr key={index}>
-                      <td>{item.name}</td>
-                      <td>{item.category || 'Uncategorized'}</td>
-                      <td>{item.quantity}</td>
-                      <td>{formatCurrency(item.price)}</td>
-                      <td>{formatCurrency(item.total)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </Table>
+              {previousReturns.map(returnEvent => (
+                <div key={returnEvent.returnNumber} className="mb-3">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <h6 className="mb-0">
+                      Return {returnEvent.returnNumber}
+                      <small className="text-muted ms-2">
+                        {new Date(returnEvent.returnDate).toLocaleString()}
+                        {returnEvent.processedBy ? ` by ${returnEvent.processedBy}` : ''}
+                      </small>
+                    </h6>
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      onClick={() => handleDownloadSlip(returnEvent)}
+                    >
+                      Return Slip
+                    </Button>
+                  </div>
+                  <p className="mb-1"><strong>Return Total:</strong> {formatCurrency(returnEvent.returnTotal)}</p>
+                  {parseFloat(returnEvent.exchangeTotal) > 0 && (
+                    <p className="mb-1"><strong>Exchanged For:</strong> {formatCurrency(returnEvent.exchangeTotal)}</p>
+                  )}
+                  {returnEvent.returnReason && (
+                    <p className="mb-1"><strong>Return Reason:</strong> {returnEvent.returnReason}</p>
+                  )}
+                  
+                  <Table striped bordered hover size="sm" className="mt-2">
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th>Category</th>
+                        <th>Quantity</th>
+                        <th>Price</th>
+                        <th>Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {returnEvent.returnedItems.map((item, index) => (
+                        <tr key={`returned-${index}`}>
+                          <td>{item.name}</td>
+                          <td>{item.category || 'Uncategorized'}</td>
+                          <td>{item.quantity}</td>
+                          <td>{formatCurrency(item.price)}</td>
+                          <td>{formatCurrency(item.total)}</td>
+                        </tr>
+                      ))}
+                      {(returnEvent.exchangeItems || []).map((item, index) => (
+                        <tr key={`exchange-${index}`} className="table-info">
+                          <td>{item.name} (exchange)</td>
+                          <td>{item.category || 'Uncategorized'}</td>
+                          <td>{item.quantity}</td>
+                          <td>{formatCurrency(item.price)}</td>
+                          <td>{formatCurrency(item.total)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              ))}
             </Card.Body>
           </Card>
         )}
@@ -321,9 +511,17 @@ const ReturnProducts = () => {
             <h5 className="mb-0">Select Items to Return</h5>
           </Card.Header>
           <Card.Body>
-            {hasReturns ? (
+            {isCancelled ? (
+              <Alert variant="secondary">
+                This receipt has been cancelled, so nothing on it can be returned.
+              </Alert>
+            ) : hasPendingReturn ? (
+              <Alert variant="warning">
+                A return on this receipt was saved offline and is waiting to sync. Further returns can be made once it has synced.
+              </Alert>
+            ) : nothingLeftToReturn ? (
               <Alert variant="info">
-                This receipt already has processed returns. To process additional returns, please contact an administrator.
+                Everything on this receipt has already been returned.
               </Alert>
             ) : (
               <>
@@ -334,30 +532,33 @@ const ReturnProducts = () => {
                       <th>Item</th>
                       <th>Category</th>
                       <th>Price</th>
-                      <th>Original Qty</th>
+                      <th>Sold</th>
+                      <th>Already Returned</th>
                       <th>Return Qty</th>
                       <th>Return Total</th>
                     </tr>
                   </thead>
                   <tbody>
                     {returnItems.map((item, index) => (
-                      <tr key={index}>
+                      <tr key={index} className={item.remainingQuantity <= 0 ? 'text-muted' : ''}>
                         <td>
                           <Form.Check 
                             type="checkbox"
                             checked={item.isReturning}
                             onChange={() => handleReturnCheckboxChange(index)}
+                            disabled={item.remainingQuantity <= 0}
                           />
                         </td>
                         <td>{item.name}</td>
                         <td>{item.category || 'Uncategorized'}</td>
                         <td>{formatCurrency(item.price)}</td>
                         <td>{item.quantity} {item.quantityUnit === 'kg' ? 'KG' : ''}</td>
+                        <td>{item.returnedQuantity > 0 ? item.returnedQuantity : '-'}</td>
                         <td>
                           <Form.Control
                             type="number"
                             min="0"
-                            max={item.quantity}
+                            max={item.remainingQuantity}
                             step={item.quantityUnit === 'kg' ? '0.001' : '1'}
                             value={item.returnQuantity}
                             onChange={(e) => handleReturnQuantityChange(index, e.target.value)}
@@ -365,19 +566,145 @@ const ReturnProducts = () => {
                           />
                         </td>
                         <td>
-                          {formatCurrency(parseFloat(item.price) * parseFloat(item.returnQuantity))}
+                          {formatCurrency(calculateReturnLineTotal(item, item.returnQuantity))}
                         </td>
                       </tr>
                     ))}
                   </tbody>
                   <tfoot>
                     <tr>
-                      <th colSpan="5" className="text-end">Total Return Amount:</th>
-                      <th>{formatCurrency(calculateReturnTotal())}</th>
+                      <th colSpan="7" className="text-end">Total Return Amount:</th>
+                      <th>{formatCurrency(returnTotal)}</th>
                     </tr>
                   </tfoot>
                 </Table>
                 
+                <Form.Check
+                  type="switch"
+                  id="exchange-switch"
+                  className="mb-3"
+                  label="Exchange for other items"
+                  checked={isExchange}
+                  onChange={(e) => setIsExchange(e.target.checked)}
+                />
+                
+                {isExchange && (
+                  <Card className="mb-3">
+                    <Card.Body>
+                      <Row className="align-items-end">
+                        <Col md={6}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Item</Form.Label>
+                            <Form.Select
+                              value={exchangeStockItemId}
+                              onChange={(e) => setExchangeStockItemId(e.target.value)}
+                            >
+                              <option value="">Select an item</option>
+                              {stockItems.map(stockItem => (
+                                <option key={stockItem.id} value={stockItem.id}>
+                                  {stockItem.name} ({formatCurrency(stockItem.price)}, {stockItem.quantity} in stock)
+                                </option>
+                              ))}
+                            </Form.Select>
+                          </Form.Group>
+                        </Col>
+                        <Col md={3}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Quantity</Form.Label>
+                            <Form.Control
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={exchangeQuantity}
+                              onChange={(e) => setExchangeQuantity(e.target.value)}
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col md={3}>
+                          <Button
+                            variant="outline-primary"
+                            className="mb-3 w-100"
+                            onClick={handleAddExchangeItem}
+                            disabled={!exchangeStockItemId}
+                          >
+                            Add Item
+                          </Button>
+                        </Col>
+                      </Row>
+                      
+                      {exchange.lines.length > 0 && (
+                        <Table size="sm" bordered>
+                          <thead>
+                            <tr>
+                              <th>Item</th>
+                              <th>Quantity</th>
+                              <th>Price</th>
+                              <th>Tax</th>
+                              <th></th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {exchange.lines.map((item, index) => (
+                              <tr key={index}>
+                                <td>{item.name}</td>
+                                <td>{item.quantity}</td>
+                                <td>{formatCurrency(item.price)}</td>
+                                <td>{formatCurrency(item.taxAmount)}</td>
+                                <td>
+                                  <Button
+                                    variant="outline-danger"
+                                    size="sm"
+                                    onClick={() => handleRemoveExchangeItem(index)}
+                                  >
+                                    Remove
+                                  </Button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                          <tfoot>
+                            <tr>
+                              <th colSpan="3" className="text-end">Exchange Total:</th>
+                              <th colSpan="2">{formatCurrency(exchange.total)}</th>
+                            </tr>
+                          </tfoot>
+                        </Table>
+                      )}
+                      
+                      {balanceDue > 0 && (
+                        <Row>
+                          <Col md={6}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>Customer Pays {formatCurrency(balanceDue)} By</Form.Label>
+                              <Form.Select
+                                value={settlementMethod}
+                                onChange={(e) => setSettlementMethod(e.target.value)}
+                              >
+                                {SETTLEMENT_METHODS.map(method => (
+                                  <option key={method.value} value={method.value}>{method.label}</option>
+                                ))}
+                              </Form.Select>
+                            </Form.Group>
+                          </Col>
+                          {needsPaymentReference(settlementMethod) && (
+                            <Col md={6}>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Reference</Form.Label>
+                                <Form.Control
+                                  type="text"
+                                  value={settlementReference}
+                                  onChange={(e) => setSettlementReference(e.target.value)}
+                                  placeholder="Slip or transaction number"
+                                />
+                              </Form.Group>
+                            </Col>
+                          )}
+                        </Row>
+                      )}
+                    </Card.Body>
+                  </Card>
+                )}
+                
                 <Form.Group className="mb-3">
                   <Form.Label>Return Reason</Form.Label>
                   <Form.Control 
@@ -395,7 +722,7 @@ const ReturnProducts = () => {
                     onClick={handleConfirmReturn}
                     disabled={!hasItemsToReturn()}
                   >
-                    Process Return
+                    {isExchange && exchange.lines.length > 0 ? 'Process Exchange' : 'Process Return'}
                   </Button>
                 </div>
               </>
@@ -410,7 +737,16 @@ const ReturnProducts = () => {
           </Modal.Header>
           <Modal.Body>
             <p>Are you sure you want to process this return?</p>
-            <p><strong>Return Amount:</strong> {formatCurrency(calculateReturnTotal())}</p>
+            <p><strong>Return Amount:</strong> {formatCurrency(returnTotal)}</p>
+            {exchange.lines.length > 0 && (
+              <>
+                <p><strong>Exchange Amount:</strong> {formatCurrency(exchange.total)}</p>
+                <p>
+                  <strong>{balanceDue > 0 ? 'Customer Pays:' : 'Refund Due:'}</strong>{' '}
+                  {formatCurrency(balanceDue > 0 ? balanceDue : returnTotal - exchange.total)}
+                </p>
+              </>
+            )}
             <p><strong>Items to Return:</strong></p>
             <ul>
               {returnItems
@@ -430,7 +766,7 @@ const ReturnProducts = () => {
             </Button>
             <Button 
               variant="primary" 
-              onClick={processReturn}
+              onClick={handleProcessReturn}
               disabled={processingReturn}
             >
               {processingReturn ? 'Processing...' : 'Confirm Return'}
@@ -9,7 +9,7 @@ import { db } from '../firebase/config';
 import { Translate, useTranslatedAttribute } from '../utils';
 
 const SalaryManagement = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
   const [salaryRecords, setSalaryRecords] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -31,14 +31,14 @@ const SalaryManagement = () => {
   // Fetch salary records and employees data
   useEffect(() => {
     const fetchData = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         setLoading(true);
         
         // Fetch salary records
         try {
-          const records = await getShopSalaryRecords(currentUser.uid);
+          const records = await getShopSalaryRecords(shopId);
           setSalaryRecords(records);
         } catch (err) {
           console.error('Error fetching data:', err);
@@ -49,7 +49,7 @@ const SalaryManagement = () => {
         // Fetch employees for the shop
         try {
           const employeesRef = collection(db, 'employees');
-          const employeesQuery = query(employeesRef, where('shopId', '==', currentUser.uid));
+          const employeesQuery = query(employeesRef, where('shopId', '==', shopId));
           const employeesSnapshot = await getDocs(employeesQuery);
           const employeesList = employeesSnapshot.docs.map(doc => ({
             id: doc.id,
@@ -64,7 +64,7 @@ const SalaryManagement = () => {
         
         // Fetch salary statistics
         try {
-          const stats = await getSalaryStatistics(currentUser.uid);
+          const stats = await getSalaryStatistics(shopId);
           setStatistics(stats);
         } catch (err) {
           console.error('Error fetching statistics:', err);
@@ -80,7 +80,7 @@ const SalaryManagement = () => {
     };
     
     fetchData();
-  }, [currentUser]);
+  }, [shopId]);
 
   // Handle delete salary record
   const handleDelete = async (salaryId) => {
@@ -90,7 +90,7 @@ const SalaryManagement = () => {
         setSalaryRecords(salaryRecords.filter(record => record.id !== salaryId));
         
         // Update statistics
-        const stats = await getSalaryStatistics(currentUser.uid);
+        const stats = await getSalaryStatistics(shopId);
         setStatistics(stats);
       } catch (err) {
         console.error('Error deleting salary record:', err);
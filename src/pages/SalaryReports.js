@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Container, Card, Form, Button, Row, Col, Table, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { collection, query, where, getDocs } from 'firebase/firestore';
@@ -7,11 +7,10 @@ import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
 import { getShopSalaryRecords } from '../utils/salaryUtils';
 import { Translate, useTranslatedAttribute } from '../utils';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import { createPdfDocument } from '../utils/pdfUtils';
 
 const SalaryReports = () => {
-  const { currentUser } = useAuth();
+  const { shopId, shopData } = useAuth();
   const [employees, setEmployees] = useState([]);
   const [salaryRecords, setSalaryRecords] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -19,7 +18,6 @@ const SalaryReports = () => {
   const [reportLoading, setReportLoading] = useState(false);
   const [reportGenerated, setReportGenerated] = useState(false);
   const navigate = useNavigate();
-  const reportRef = useRef();
   
   // Get translations for attributes
   const getTranslatedAttr = useTranslatedAttribute();
@@ -45,12 +43,12 @@ const SalaryReports = () => {
   // Fetch employees for the shop
   useEffect(() => {
     const fetchEmployees = async () => {
-      if (!currentUser) return;
+      if (!shopId) return;
       
       try {
         setLoading(true);
         const employeesRef = collection(db, 'employees');
-        const employeesQuery = query(employeesRef, where('shopId', '==', currentUser.uid));
+        const employeesQuery = query(employeesRef, where('shopId', '==', shopId));
         const snapshot = await getDocs(employeesQuery);
         
         const employeesList = snapshot.docs.map(doc => ({
@@ -68,7 +66,7 @@ const SalaryReports = () => {
     };
     
     fetchEmployees();
-  }, [currentUser]);
+  }, [shopId]);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -106,11 +104,11 @@ const SalaryReports = () => {
       try {
         if (formData.reportType === 'individual') {
           records = await getShopSalaryRecords(
-            currentUser.uid, 
+            shopId, 
             formData.employeeId
           );
         } else {
-          records = await getShopSalaryRecords(currentUser.uid);
+          records = await getShopSalaryRecords(shopId);
         }
       } catch (err) {
         console.error('Error fetching salary records:', err);
@@ -168,32 +166,61 @@ const SalaryReports = () => {
     return date.toLocaleDateString();
   };
   
-  // Download report as PDF
-  const downloadPdf = () => {
-    const input = reportRef.current;
-    
-    html2canvas(input, {
-      scale: 2, // Higher quality
-      logging: false
-    }).then(canvas => {
-      const imgData = canvas.toDataURL('image/png');
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const pdfWidth = pdf.internal.pageSize.getWidth();
-      const pdfHeight = pdf.internal.pageSize.getHeight();
-      const imgWidth = canvas.width;
-      const imgHeight = canvas.height;
-      const ratio = Math.min(pdfWidth / imgWidth, pdfHeight / imgHeight);
-      const imgX = (pdfWidth - imgWidth * ratio) / 2;
-      const imgY = 20;
+  // Download report as PDF, with labels in the language the app is shown in
+  const downloadPdf = async () => {
+    try {
+      const isSummary = reportData.reportType === 'summary';
+      const reportName = isSummary
+        ? getTranslatedAttr('summarySalaryReport', 'Summary Salary Report')
+        : getTranslatedAttr('employeeSalaryReport', 'Employee Salary Report');
+      const doc = await createPdfDocument({ title: reportName, shopName: (shopData && shopData.shopName) || '' });
+      
+      doc.heading(reportName);
+      doc.text(`${getTranslatedAttr('periodFrom', 'Period')}: ${formatDate(reportData.startDate)} - ${formatDate(reportData.endDate)}`, { align: 'center' });
+      if (!isSummary && reportData.employee) {
+        doc.text(`${getTranslatedAttr('employee', 'Employee')}: ${reportData.employee.name}`, { align: 'center' });
+        doc.text(`${getTranslatedAttr('position', 'Position')}: ${reportData.employee.position || '-'}`, { align: 'center' });
+        if (reportData.employee.salary) {
+          doc.text(`${getTranslatedAttr('monthlySalary', 'Monthly Salary')}: RS${reportData.employee.salary}`, { align: 'center' });
+        }
+      }
+      doc.space();
       
-      pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth * ratio, imgHeight * ratio);
+      const columns = [
+        ...(isSummary ? [{ header: getTranslatedAttr('employee', 'Employee'), width: 2.5 }] : []),
+        { header: getTranslatedAttr('paymentDate', 'Payment Date'), width: 2 },
+        { header: getTranslatedAttr('amount', 'Amount'), width: 2, align: 'right' },
+        { header: getTranslatedAttr('paymentMethod', 'Payment Method'), width: 2 },
+        { header: getTranslatedAttr('status', 'Status'), width: 1.5 },
+        { header: getTranslatedAttr('description', 'Description'), width: 3 }
+      ];
+      const rows = reportData.records.map(record => [
+        ...(isSummary ? [getEmployeeName(record.employeeId)] : []),
+        formatDate(record.paymentDate),
+        `RS${parseFloat(record.amount).toFixed(2)}`,
+        record.paymentMethod,
+        record.status === 'paid' ? getTranslatedAttr('paid', 'Paid') : getTranslatedAttr('pending', 'Pending'),
+        record.description || '-'
+      ]);
+      const totalRow = [
+        ...(isSummary ? [''] : []),
+        `${getTranslatedAttr('total', 'Total')}:`,
+        `RS${reportData.totalAmount.toFixed(2)}`,
+        '',
+        '',
+        ''
+      ];
+      doc.table(columns, rows, { footer: [totalRow] });
       
       const reportTitle = formData.reportType === 'individual' 
         ? `Salary_Report_${getEmployeeName(formData.employeeId).replace(/\s+/g, '_')}`
         : 'Salary_Summary_Report';
         
-      pdf.save(`${reportTitle}_${formData.startDate}_to_${formData.endDate}.pdf`);
-    });
+      doc.save(`${reportTitle}_${formData.startDate}_to_${formData.endDate}.pdf`);
+    } catch (err) {
+      console.error('Error generating PDF:', err);
+      setError('Failed to generate PDF. Please try again.');
+    }
   };
   
   return (
@@ -322,7 +349,7 @@ const SalaryReports = () => {
             </div>
             
             <Card>
-              <Card.Body ref={reportRef} className="p-4">
+              <Card.Body className="p-4">
                 <div className="report-container">
                   <div className="text-center mb-4">
                     <h3>
@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Container, Card, Button, Row, Col, Form, Table, Spinner, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
 import { formatCurrency } from '../utils/receiptUtils';
 import { getDailySalesAndProfit, getMonthlySalesAndProfit, getYearlySalesAndProfit } from '../utils/salesUtils';
+import { getShopPromotions } from '../utils/promotionUtils';
+import { getPaymentMethod } from '../utils/paymentUtils';
 import './SalesAnalytics.css';
 import { Translate } from '../utils';
 
@@ -52,7 +55,7 @@ const CategoryProgressBar = React.memo(({ category, index, totalSales }) => {
 
 // Memoized daily data row component
 const DailyDataRow = React.memo(({ day }) => {
-  const profitMargin = day.sales > 0 ? ((day.profit / day.sales) * 100).toFixed(2) : 0;
+  const profitMargin = day.costedSales > 0 ? ((day.profit / day.costedSales) * 100).toFixed(2) : 0;
   
   return (
     <tr>
@@ -66,7 +69,7 @@ const DailyDataRow = React.memo(({ day }) => {
 
 // Memoized monthly data row component
 const MonthlyDataRow = React.memo(({ month }) => {
-  const profitMargin = month.sales > 0 ? ((month.profit / month.sales) * 100).toFixed(2) : 0;
+  const profitMargin = month.costedSales > 0 ? ((month.profit / month.costedSales) * 100).toFixed(2) : 0;
   
   return (
     <tr>
@@ -79,17 +82,19 @@ const MonthlyDataRow = React.memo(({ month }) => {
 });
 
 const SalesAnalytics = () => {
-  const { currentUser } = useAuth();
+  const { shopId } = useAuth();
+  const navigate = useNavigate();
   const [viewMode, setViewMode] = useState('daily'); // 'daily', 'monthly', 'yearly'
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [isInitialLoad, setIsInitialLoad] = useState(true);
+  const [promotionNames, setPromotionNames] = useState({});
 
   // Memoized function to fetch analytics data
   const fetchAnalyticsData = useCallback(async () => {
-    if (!currentUser) return;
+    if (!shopId) return;
     
     setLoading(true);
     setError('');
@@ -111,16 +116,16 @@ const SalesAnalytics = () => {
       
       switch (viewMode) {
         case 'daily':
-          data = await getDailySalesAndProfit(currentUser.uid, date);
+          data = await getDailySalesAndProfit(shopId, date);
           break;
         case 'monthly':
-          data = await getMonthlySalesAndProfit(currentUser.uid, date);
+          data = await getMonthlySalesAndProfit(shopId, date);
           break;
         case 'yearly':
-          data = await getYearlySalesAndProfit(currentUser.uid, date);
+          data = await getYearlySalesAndProfit(shopId, date);
           break;
         default:
-          data = await getDailySalesAndProfit(currentUser.uid, date);
+          data = await getDailySalesAndProfit(shopId, date);
       }
       
       setAnalytics(data);
@@ -134,12 +139,29 @@ const SalesAnalytics = () => {
       setLoading(false);
       setIsInitialLoad(false);
     }
-  }, [currentUser, viewMode, selectedDate]);
+  }, [shopId, viewMode, selectedDate]);
 
   useEffect(() => {
     fetchAnalyticsData();
   }, [fetchAnalyticsData]);
 
+  // Promotion names for the discounts table; summaries only keep the promotion id
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getShopPromotions(shopId)
+      .then(promotions => {
+        const names = {};
+        promotions.forEach(promotion => {
+          names[promotion.id] = promotion.name;
+        });
+        setPromotionNames(names);
+      })
+      .catch(error => {
+        console.log('Promotion names fetch issue:', error.message || 'Error fetching promotions');
+      });
+  }, [shopId]);
+  
   // Handle date selector based on view mode - memoized to prevent unnecessary recalculations
   const renderDateSelector = useMemo(() => {
     switch (viewMode) {
@@ -174,10 +196,10 @@ const SalesAnalytics = () => {
     }
   }, [viewMode, selectedDate]);
 
-  // Memoized calculation of profit margin
+  // Memoized calculation of profit margin, over the sales that have a known cost
   const profitMargin = useMemo(() => {
-    if (!analytics || analytics.sales <= 0) return 0;
-    return ((analytics.profit / analytics.sales) * 100).toFixed(2);
+    if (!analytics || analytics.costedSales <= 0) return 0;
+    return ((analytics.profit / analytics.costedSales) * 100).toFixed(2);
   }, [analytics]);
 
   // Render basic summary - memoized to prevent unnecessary recalculations
@@ -186,6 +208,14 @@ const SalesAnalytics = () => {
 
     return (
       <>
+        {analytics.missingCost && analytics.missingCost.lines > 0 && (
+          <Alert variant="warning">
+            {analytics.missingCost.items} item(s) worth {formatCurrency(analytics.missingCost.sales)} were sold
+            without a cost price, so they are left out of profit. Add cost prices to those stock items so
+            future sales are costed.
+          </Alert>
+        )}
+        
         <Row className="mb-4">
           <Col md={3}>
             <Card className="text-center p-3 mb-3 shadow-sm analytics-card">
@@ -293,9 +323,83 @@ const SalesAnalytics = () => {
             </Card.Body>
           </Card>
         )}
+        
+        {/* Money taken by each payment method */}
+        {analytics.paymentData && analytics.paymentData.length > 0 && (
+          <Card className="shadow-sm mb-4">
+            <Card.Body>
+              <h5><Translate textKey="paymentMethods" fallback="Payment Methods" /></h5>
+              <div className="table-responsive mt-3">
+                <Table striped bordered hover>
+                  <thead>
+                    <tr>
+                      <th><Translate textKey="paymentMethod" fallback="Payment Method" /></th>
+                      <th><Translate textKey="amountTaken" fallback="Amount Taken" /></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.paymentData.map(payment => (
+                      <tr key={payment.method}>
+                        <td>
+                          <Translate
+                            textKey={getPaymentMethod(payment.method).textKey}
+                            fallback={getPaymentMethod(payment.method).label}
+                          />
+                        </td>
+                        <td>{formatCurrency(payment.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  {analytics.refunds > 0 && (
+                    <tfoot>
+                      <tr>
+                        <th><Translate textKey="refundsGiven" fallback="Refunds Given" /></th>
+                        <th>-{formatCurrency(analytics.refunds)}</th>
+                      </tr>
+                    </tfoot>
+                  )}
+                </Table>
+              </div>
+            </Card.Body>
+          </Card>
+        )}
+        
+        {/* Discounts given, and what each promotion cost */}
+        {analytics.discounts > 0 && (
+          <Card className="shadow-sm mb-4">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0"><Translate textKey="discountsGiven" fallback="Discounts Given" /></h5>
+                <strong>{formatCurrency(analytics.discounts)}</strong>
+              </div>
+              {analytics.promotionData && analytics.promotionData.length > 0 && (
+                <div className="table-responsive mt-3">
+                  <Table striped bordered hover>
+                    <thead>
+                      <tr>
+                        <th><Translate textKey="promotion" fallback="Promotion" /></th>
+                        <th><Translate textKey="timesUsed" fallback="Times Used" /></th>
+                        <th><Translate textKey="discountCost" fallback="Discount Cost" /></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analytics.promotionData.map(promotion => (
+                        <tr key={promotion.promotionId}>
+                          <td>{promotionNames[promotion.promotionId] || 'Deleted promotion'}</td>
+                          <td>{promotion.uses}</td>
+                          <td>{formatCurrency(promotion.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              )}
+            </Card.Body>
+          </Card>
+        )}
       </>
     );
-  }, [analytics, profitMargin]);
+  }, [analytics, profitMargin, promotionNames]);
 
   // Render detailed data based on view mode - memoized to prevent unnecessary recalculations
   const renderDetailedData = useMemo(() => {
@@ -377,7 +481,15 @@ const SalesAnalytics = () => {
     <>
       <MainNavbar />
       <Container>
-        <h2 className="my-3"><Translate textKey="salesAndProfitAnalytics" fallback="Sales and Profit Analytics" /></h2>
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2 className="mb-0"><Translate textKey="salesAndProfitAnalytics" fallback="Sales and Profit Analytics" /></h2>
+          <Button
+            variant="outline-primary"
+            onClick={() => navigate('/tax-report')}
+          >
+            <Translate textKey="taxReport" fallback="Tax Report" />
+          </Button>
+        </div>
         
         <Card className="mb-4 shadow-sm">
           <Card.Body>
@@ -1,12 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Container, Card, Form, Button, Row, Col, Alert, ListGroup, Image, Spinner } from 'react-bootstrap';
+import { Container, Card, Form, Button, Row, Col, Alert, ListGroup, Image, Spinner, InputGroup } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
 import { Translate, useTranslatedAttribute } from '../utils';
 import cloudinaryConfig from '../utils/cloudinaryConfig';
+import { backfillReceiptStockItemIds } from '../utils/receiptUtils';
+import { rebuildSalesSummaries } from '../utils/salesSummaryUtils';
+import { COSTING_METHODS, COSTING_METHOD_LABELS, getCostingMethod } from '../utils/costingUtils';
+import { getTaxSettings, parseTaxRate } from '../utils/taxUtils';
+import { getLoyaltySettings } from '../utils/loyaltyUtils';
+import { getInvoiceSettings, formatInvoiceNumber, INVOICE_TEMPLATES, DEFAULT_CREDIT_NOTE_PREFIX } from '../utils/invoiceUtils';
+import { getPrinterSettings, isThermalFormat, RECEIPT_FORMATS, PRINTER_OUTPUTS, RECEIPT_CODE_TYPES } from '../utils/thermalPrinterUtils';
+import { getShopStock } from '../utils/stockUtils';
+import { PERMISSIONS } from '../utils/staffUtils';
 
 const Settings = () => {
-  const { shopData, updateShopData } = useAuth();
+  const { shopId, shopData, updateShopData, hasPermission } = useAuth();
   
   // Get translations for attributes
   const getTranslatedAttr = useTranslatedAttribute();
@@ -22,16 +32,49 @@ const Settings = () => {
   const [phoneNumbers, setPhoneNumbers] = useState([]);
   const [newPhoneNumber, setNewPhoneNumber] = useState('');
   
-  // Cashier and Manager names
-  const [cashierNames, setCashierNames] = useState([]);
-  const [newCashierName, setNewCashierName] = useState('');
+  // Manager names; cashiers sign in with staff accounts
   const [managerNames, setManagerNames] = useState([]);
   const [newManagerName, setNewManagerName] = useState('');
   
+  // Inventory costing
+  const [costingMethod, setCostingMethod] = useState(COSTING_METHODS.RECEIPT);
+  
+  // Sales tax
+  const [taxName, setTaxName] = useState('');
+  const [pricesIncludeTax, setPricesIncludeTax] = useState(false);
+  const [defaultTaxRate, setDefaultTaxRate] = useState('');
+  const [categoryTaxRates, setCategoryTaxRates] = useState({});
+  const [stockCategories, setStockCategories] = useState([]);
+  
+  // Tax invoices
+  const [ntn, setNtn] = useState('');
+  const [strn, setStrn] = useState('');
+  const [sequentialInvoiceNumbers, setSequentialInvoiceNumbers] = useState(false);
+  const [invoicePrefix, setInvoicePrefix] = useState('');
+  const [creditNotePrefix, setCreditNotePrefix] = useState('');
+  const [invoiceYearlyReset, setInvoiceYearlyReset] = useState(true);
+  const [defaultReceiptTemplate, setDefaultReceiptTemplate] = useState(INVOICE_TEMPLATES.RECEIPT);
+  
+  // Loyalty points
+  const [loyaltyEnabled, setLoyaltyEnabled] = useState(false);
+  const [loyaltyPointsPer100, setLoyaltyPointsPer100] = useState('');
+  const [loyaltyPointValue, setLoyaltyPointValue] = useState('');
+  const [loyaltyExpiryDays, setLoyaltyExpiryDays] = useState('');
+  
+  // Receipt printer
+  const [receiptFormat, setReceiptFormat] = useState(RECEIPT_FORMATS.A4);
+  const [printerOutput, setPrinterOutput] = useState(PRINTER_OUTPUTS.BROWSER);
+  const [receiptCodeType, setReceiptCodeType] = useState(RECEIPT_CODE_TYPES.QR);
+  const [printLogo, setPrintLogo] = useState(false);
+  const [openCashDrawer, setOpenCashDrawer] = useState(false);
+  const [printerBaudRate, setPrinterBaudRate] = useState('9600');
+  
   // UI states
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
+  const [migrating, setMigrating] = useState(false);
+  const [rebuildingSummaries, setRebuildingSummaries] = useState(false);
   
   // File input reference
   const fileInputRef = useRef(null);
@@ -53,12 +96,63 @@ const Settings = () => {
         setPhoneNumbers([]);
       }
       
-      // Load cashier and manager names
-      setCashierNames(shopData.cashierNames || []);
+      // Load manager names
       setManagerNames(shopData.managerNames || []);
+      setCostingMethod(getCostingMethod(shopData));
+      
+      // Load tax settings, keeping rates as strings for the inputs
+      const taxSettings = getTaxSettings(shopData);
+      setTaxName(shopData.taxName || '');
+      setPricesIncludeTax(taxSettings.pricesIncludeTax);
+      setDefaultTaxRate(taxSettings.defaultTaxRate ? taxSettings.defaultTaxRate.toString() : '');
+      const rates = {};
+      Object.keys(taxSettings.categoryTaxRates).forEach(category => {
+        rates[category] = taxSettings.categoryTaxRates[category].toString();
+      });
+      setCategoryTaxRates(rates);
+      
+      // Load tax invoice settings
+      const invoiceSettings = getInvoiceSettings(shopData);
+      setNtn(invoiceSettings.ntn);
+      setStrn(invoiceSettings.strn);
+      setSequentialInvoiceNumbers(invoiceSettings.sequentialNumbers);
+      setInvoicePrefix(invoiceSettings.prefix);
+      setCreditNotePrefix(invoiceSettings.creditNotePrefix);
+      setInvoiceYearlyReset(invoiceSettings.yearlyReset);
+      setDefaultReceiptTemplate(invoiceSettings.defaultTemplate);
+      
+      // Load loyalty settings
+      const loyaltySettings = getLoyaltySettings(shopData);
+      setLoyaltyEnabled(loyaltySettings.enabled);
+      setLoyaltyPointsPer100(loyaltySettings.pointsPer100 ? loyaltySettings.pointsPer100.toString() : '');
+      setLoyaltyPointValue(loyaltySettings.pointValue ? loyaltySettings.pointValue.toString() : '');
+      setLoyaltyExpiryDays(loyaltySettings.expiryDays ? loyaltySettings.expiryDays.toString() : '');
+      
+      // Load receipt printer settings
+      const printerSettings = getPrinterSettings(shopData);
+      setReceiptFormat(printerSettings.receiptFormat);
+      setPrinterOutput(printerSettings.printerOutput);
+      setReceiptCodeType(printerSettings.receiptCodeType);
+      setPrintLogo(printerSettings.printLogo);
+      setOpenCashDrawer(printerSettings.openCashDrawer);
+      setPrinterBaudRate(printerSettings.printerBaudRate.toString());
     }
   }, [shopData]);
   
+  // Load stock categories so each can be given its own tax rate
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getShopStock(shopId)
+      .then(stockItems => {
+        const categories = stockItems.map(item => item.category || 'Uncategorized');
+        setStockCategories([...new Set(categories)].sort());
+      })
+      .catch(error => {
+        console.error('Error loading stock categories:', error);
+      });
+  }, [shopId]);
+  
   // Handle logo upload to Cloudinary
   const handleLogoUpload = async (e) => {
     const file = e.target.files[0];
@@ -138,28 +232,6 @@ const Settings = () => {
     setPhoneNumbers(newPhoneNumbers);
   };
   
-  // Handle adding a new cashier name
-  const handleAddCashierName = () => {
-    if (!newCashierName.trim()) return;
-    
-    // Check if name already exists
-    if (cashierNames.includes(newCashierName.trim())) {
-      setError(getTranslatedAttr('cashierNameExists'));
-      setTimeout(() => setError(''), 3000);
-      return;
-    }
-    
-    setCashierNames([...cashierNames, newCashierName.trim()]);
-    setNewCashierName('');
-  };
-  
-  // Handle removing a cashier name
-  const handleRemoveCashierName = (index) => {
-    const newCashierNames = [...cashierNames];
-    newCashierNames.splice(index, 1);
-    setCashierNames(newCashierNames);
-  };
-  
   // Handle adding a new manager name
   const handleAddManagerName = () => {
     if (!newManagerName.trim()) return;
@@ -192,6 +264,32 @@ const Settings = () => {
       return;
     }
     
+    // Validate tax rates
+    const invalidTaxRate = [defaultTaxRate, ...Object.values(categoryTaxRates)]
+      .some(rate => rate !== '' && (parseTaxRate(rate) === null || parseTaxRate(rate) > 100));
+    if (invalidTaxRate) {
+      setError('Tax rates must be percentages between 0 and 100');
+      return;
+    }
+    
+    // Validate loyalty settings
+    if (loyaltyEnabled && !(parseFloat(loyaltyPointsPer100) > 0) && !(parseFloat(loyaltyPointValue) > 0)) {
+      setError('Set how many points customers earn or what a point is worth to turn on loyalty points');
+      return;
+    }
+    if ([loyaltyPointsPer100, loyaltyPointValue, loyaltyExpiryDays].some(value => value !== '' && !(parseFloat(value) >= 0))) {
+      setError('Loyalty point settings cannot be negative');
+      return;
+    }
+    
+    // Only store the categories that have a rate of their own
+    const savedCategoryTaxRates = {};
+    Object.keys(categoryTaxRates).forEach(category => {
+      if (categoryTaxRates[category] !== '') {
+        savedCategoryTaxRates[category] = parseTaxRate(categoryTaxRates[category]);
+      }
+    });
+    
     setError('');
     setLoading(true);
     
@@ -201,10 +299,31 @@ const Settings = () => {
       address: address.trim(),
       phoneNumbers: phoneNumbers,
       phoneNumber: phoneNumbers[0] || '', // Keep the first phone as main for backward compatibility
-      cashierNames: cashierNames,
       managerNames: managerNames,
       logoUrl: logoUrl, // Include the logo URL in shop data
       receiptDescription: receiptDescription.trim(),
+      costingMethod,
+      taxName: taxName.trim(),
+      pricesIncludeTax,
+      defaultTaxRate: parseTaxRate(defaultTaxRate) || 0,
+      categoryTaxRates: savedCategoryTaxRates,
+      ntn: ntn.trim(),
+      strn: strn.trim(),
+      sequentialInvoiceNumbers,
+      invoicePrefix: invoicePrefix.trim(),
+      creditNotePrefix: creditNotePrefix.trim(),
+      invoiceYearlyReset,
+      defaultReceiptTemplate,
+      loyaltyEnabled,
+      loyaltyPointsPer100: parseFloat(loyaltyPointsPer100) || 0,
+      loyaltyPointValue: parseFloat(loyaltyPointValue) || 0,
+      loyaltyExpiryDays: parseInt(loyaltyExpiryDays) || 0,
+      receiptFormat,
+      printerOutput,
+      receiptCodeType,
+      printLogo,
+      openCashDrawer,
+      printerBaudRate: parseInt(printerBaudRate) || 9600,
       updatedAt: new Date().toISOString()
     };
     
@@ -223,6 +342,42 @@ const Settings = () => {
       });
   };
   
+  // Link receipts created before stock item IDs were recorded to their stock items
+  const handleBackfillStockItemIds = () => {
+    setError('');
+    setMigrating(true);
+    
+    backfillReceiptStockItemIds(shopId)
+      .then(({ scanned, updated }) => {
+        setSuccess(`Checked ${scanned} receipts, linked ${updated} to stock items.`);
+        setTimeout(() => setSuccess(''), 5000);
+      })
+      .catch(error => {
+        setError('Failed to link receipts to stock items: ' + error.message);
+      })
+      .finally(() => {
+        setMigrating(false);
+      });
+  };
+  
+  // Recompute the daily and monthly sales summaries used by the analytics screens
+  const handleRebuildSalesSummaries = () => {
+    setError('');
+    setRebuildingSummaries(true);
+    
+    rebuildSalesSummaries(shopId)
+      .then(({ receipts, summaries }) => {
+        setSuccess(`Rebuilt ${summaries} sales summaries from ${receipts} receipts.`);
+        setTimeout(() => setSuccess(''), 5000);
+      })
+      .catch(error => {
+        setError('Failed to rebuild sales summaries: ' + error.message);
+      })
+      .finally(() => {
+        setRebuildingSummaries(false);
+      });
+  };
+  
   return (
     <>
       <MainNavbar />
@@ -373,40 +528,13 @@ const Settings = () => {
               <Row>
                 <Col md={6}>
                   <h5 className="mb-2"><Translate textKey="cashierNames" /></h5>
-                  <Form.Group className="mb-3">
-                    <div className="d-flex">
-                      <Form.Control
-                        type="text"
-                        value={newCashierName}
-                        onChange={(e) => setNewCashierName(e.target.value)}
-                        placeholder={getTranslatedAttr("enterCashierName")}
-                        className="me-2"
-                      />
-                      <Button 
-                        variant="outline-primary" 
-                        onClick={handleAddCashierName}
-                      >
-                        <Translate textKey="add" />
-                      </Button>
-                    </div>
-                  </Form.Group>
-                  
-                  {cashierNames.length > 0 && (
-                    <ListGroup className="mb-4">
-                      {cashierNames.map((name, index) => (
-                        <ListGroup.Item key={index} className="d-flex justify-content-between align-items-center">
-                          {name}
-                          <Button 
-                            variant="outline-danger" 
-                            size="sm"
-                            onClick={() => handleRemoveCashierName(index)}
-                          >
-                            <Translate textKey="remove" />
-                          </Button>
-                        </ListGroup.Item>
-                      ))}
-                    </ListGroup>
-                  )}
+                  <p className="text-muted">
+                    Cashiers sign in with their own staff accounts, and their name is put on the receipts
+                    and shifts they make.
+                    {hasPermission(PERMISSIONS.MANAGE_STAFF) && (
+                      <> <Link to="/staff">Manage staff accounts</Link></>
+                    )}
+                  </p>
                 </Col>
                 
                 <Col md={6}>
@@ -448,6 +576,342 @@ const Settings = () => {
                 </Col>
               </Row>
               
+              <h4 className="mb-3 mt-4"><Translate textKey="inventoryCosting" fallback="Inventory Costing" /></h4>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label><Translate textKey="costingMethod" fallback="Costing Method" /></Form.Label>
+                    <Form.Select
+                      value={costingMethod}
+                      onChange={(e) => setCostingMethod(e.target.value)}
+                    >
+                      {Object.values(COSTING_METHODS).map(method => (
+                        <option key={method} value={method}>{COSTING_METHOD_LABELS[method]}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Decides the cost recorded against each item when it is sold, which profit reports use.
+                      Changing it only affects sales made afterwards.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              <h4 className="mb-3 mt-4"><Translate textKey="salesTax" fallback="Sales Tax" /></h4>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label><Translate textKey="taxName" fallback="Tax Name" /></Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={taxName}
+                      onChange={(e) => setTaxName(e.target.value)}
+                      placeholder="e.g. GST"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label><Translate textKey="defaultTaxRate" fallback="Default Tax Rate (%)" /></Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={defaultTaxRate}
+                      onChange={(e) => setDefaultTaxRate(e.target.value)}
+                      placeholder="0"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label><Translate textKey="pricing" fallback="Pricing" /></Form.Label>
+                    <Form.Select
+                      value={pricesIncludeTax ? 'inclusive' : 'exclusive'}
+                      onChange={(e) => setPricesIncludeTax(e.target.value === 'inclusive')}
+                    >
+                      <option value="exclusive">Prices exclude tax (added at checkout)</option>
+                      <option value="inclusive">Prices include tax</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              {stockCategories.length > 0 && (
+                <Form.Group className="mb-3">
+                  <Form.Label><Translate textKey="categoryTaxRates" fallback="Tax Rate by Category (%)" /></Form.Label>
+                  <Row>
+                    {stockCategories.map(category => (
+                      <Col md={4} key={category} className="mb-2">
+                        <InputGroup>
+                          <InputGroup.Text className="text-truncate" style={{ maxWidth: '60%' }}>{category}</InputGroup.Text>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            value={categoryTaxRates[category] || ''}
+                            onChange={(e) => setCategoryTaxRates({ ...categoryTaxRates, [category]: e.target.value })}
+                            placeholder={defaultTaxRate || '0'}
+                          />
+                        </InputGroup>
+                      </Col>
+                    ))}
+                  </Row>
+                  <Form.Text className="text-muted">
+                    Leave a category blank to use the default rate. A rate set on a stock item overrides its category.
+                    Rates are saved on each receipt line, so changes only affect new sales.
+                  </Form.Text>
+                </Form.Group>
+              )}
+              
+              <h4 className="mb-3 mt-4"><Translate textKey="taxInvoices" fallback="Tax Invoices" /></h4>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>NTN</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={ntn}
+                      onChange={(e) => setNtn(e.target.value)}
+                      placeholder="National Tax Number"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>STRN</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={strn}
+                      onChange={(e) => setStrn(e.target.value)}
+                      placeholder="Sales Tax Registration Number"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Default Template</Form.Label>
+                    <Form.Select
+                      value={defaultReceiptTemplate}
+                      onChange={(e) => setDefaultReceiptTemplate(e.target.value)}
+                    >
+                      <option value={INVOICE_TEMPLATES.RECEIPT}>Receipt</option>
+                      <option value={INVOICE_TEMPLATES.INVOICE}>Sales tax invoice</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Check
+                  type="switch"
+                  id="sequential-invoice-numbers"
+                  label="Number sales sequentially"
+                  checked={sequentialInvoiceNumbers}
+                  onChange={(e) => setSequentialInvoiceNumbers(e.target.checked)}
+                />
+              </Form.Group>
+              {sequentialInvoiceNumbers && (
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Number Prefix</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={invoicePrefix}
+                        onChange={(e) => setInvoicePrefix(e.target.value)}
+                        placeholder="e.g. INV-"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={8}>
+                    <Form.Group className="mb-3 mt-md-4">
+                      <Form.Check
+                        type="switch"
+                        id="invoice-yearly-reset"
+                        label="Start again from 1 each year"
+                        checked={invoiceYearlyReset}
+                        onChange={(e) => setInvoiceYearlyReset(e.target.checked)}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col xs={12}>
+                    <Form.Text className="text-muted d-block mb-3">
+                      Numbers look like {formatInvoiceNumber({ prefix: invoicePrefix.trim(), yearlyReset: invoiceYearlyReset }, new Date().getFullYear(), 1)}.
+                      Every saved sale takes the next number, with no gaps. Sales made offline are numbered when they sync.
+                    </Form.Text>
+                  </Col>
+                </Row>
+              )}
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Credit Note Prefix</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={creditNotePrefix}
+                      onChange={(e) => setCreditNotePrefix(e.target.value)}
+                      placeholder="e.g. CN-"
+                    />
+                    <Form.Text className="text-muted">
+                      Credit notes are always numbered in a sequence of their own,
+                      e.g. {formatInvoiceNumber({ prefix: creditNotePrefix.trim() || DEFAULT_CREDIT_NOTE_PREFIX, yearlyReset: invoiceYearlyReset }, new Date().getFullYear(), 1)}.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              <h4 className="mb-3 mt-4"><Translate textKey="loyaltyPoints" fallback="Loyalty Points" /></h4>
+              <Form.Group className="mb-3">
+                <Form.Check
+                  type="switch"
+                  id="loyalty-enabled"
+                  label="Customers earn and spend loyalty points"
+                  checked={loyaltyEnabled}
+                  onChange={(e) => setLoyaltyEnabled(e.target.checked)}
+                />
+              </Form.Group>
+              {loyaltyEnabled && (
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Points Earned per RS 100</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={loyaltyPointsPer100}
+                        onChange={(e) => setLoyaltyPointsPer100(e.target.value)}
+                        placeholder="e.g. 1"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Point Value (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={loyaltyPointValue}
+                        onChange={(e) => setLoyaltyPointValue(e.target.value)}
+                        placeholder="e.g. 1"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Points Expire After (days)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={loyaltyExpiryDays}
+                        onChange={(e) => setLoyaltyExpiryDays(e.target.value)}
+                        placeholder="0 = never"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col xs={12}>
+                    <Form.Text className="text-muted">
+                      Points are earned by customers chosen on a sale, on the amount not paid with points,
+                      and can be spent with the Loyalty Points payment method.
+                    </Form.Text>
+                  </Col>
+                </Row>
+              )}
+              
+              <h4 className="mb-3 mt-4"><Translate textKey="receiptPrinter" fallback="Receipt Printer" /></h4>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Paper</Form.Label>
+                    <Form.Select
+                      value={receiptFormat}
+                      onChange={(e) => setReceiptFormat(e.target.value)}
+                    >
+                      <option value={RECEIPT_FORMATS.A4}>A4 / regular printer</option>
+                      <option value={RECEIPT_FORMATS.THERMAL_80}>80mm thermal roll</option>
+                      <option value={RECEIPT_FORMATS.THERMAL_58}>58mm thermal roll</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                {isThermalFormat(receiptFormat) && (
+                  <>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Print Through</Form.Label>
+                        <Form.Select
+                          value={printerOutput}
+                          onChange={(e) => setPrinterOutput(e.target.value)}
+                        >
+                          <option value={PRINTER_OUTPUTS.BROWSER}>Browser print dialog</option>
+                          <option value={PRINTER_OUTPUTS.SERIAL}>ESC/POS, printer on USB/serial port</option>
+                          <option value={PRINTER_OUTPUTS.DOWNLOAD}>ESC/POS, download file</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    {printerOutput === PRINTER_OUTPUTS.SERIAL && (
+                      <Col md={4}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Baud Rate</Form.Label>
+                          <Form.Select
+                            value={printerBaudRate}
+                            onChange={(e) => setPrinterBaudRate(e.target.value)}
+                          >
+                            {['9600', '19200', '38400', '57600', '115200'].map(rate => (
+                              <option key={rate} value={rate}>{rate}</option>
+                            ))}
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                    )}
+                  </>
+                )}
+              </Row>
+              {isThermalFormat(receiptFormat) && printerOutput !== PRINTER_OUTPUTS.BROWSER && (
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Code on Receipt</Form.Label>
+                      <Form.Select
+                        value={receiptCodeType}
+                        onChange={(e) => setReceiptCodeType(e.target.value)}
+                      >
+                        <option value={RECEIPT_CODE_TYPES.QR}>QR code of the receipt number</option>
+                        <option value={RECEIPT_CODE_TYPES.BARCODE}>Barcode of the receipt number</option>
+                        <option value={RECEIPT_CODE_TYPES.NONE}>None</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={8}>
+                    <Form.Group className="mb-3 mt-md-4">
+                      <Form.Check
+                        type="switch"
+                        id="print-logo"
+                        label="Print the shop logo"
+                        checked={printLogo}
+                        onChange={(e) => setPrintLogo(e.target.checked)}
+                      />
+                      <Form.Check
+                        type="switch"
+                        id="open-cash-drawer"
+                        label="Open the cash drawer when a cash sale is printed"
+                        checked={openCashDrawer}
+                        onChange={(e) => setOpenCashDrawer(e.target.checked)}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+              )}
+              {isThermalFormat(receiptFormat) && (
+                <Form.Text className="text-muted d-block mb-3">
+                  Receipts are laid out for the narrow roll. Printing to a USB/serial port works in Chrome and Edge,
+                  which ask which printer to use the first time. Urdu text prints as "?" over ESC/POS.
+                </Form.Text>
+              )}
+              
               <div className="d-flex justify-content-end mt-4">
                 <Button 
                   variant="primary" 
@@ -460,6 +924,54 @@ const Settings = () => {
             </Form>
           </Card.Body>
         </Card>
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <h4 className="mb-3"><Translate textKey="dataMaintenance" fallback="Data Maintenance" /></h4>
+            <p className="text-muted">
+              <Translate
+                textKey="linkReceiptsHelp"
+                fallback="Receipts created before items were linked to stock by ID are matched by item name. Run this once, before renaming any products, so returns and profit reports keep working after a rename."
+              />
+            </p>
+            <Button
+              variant="outline-primary"
+              onClick={handleBackfillStockItemIds}
+              disabled={migrating}
+            >
+              {migrating ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  <Translate textKey="linkingReceipts" fallback="Linking receipts..." />
+                </>
+              ) : (
+                <Translate textKey="linkReceiptsToStock" fallback="Link Old Receipts to Stock Items" />
+              )}
+            </Button>
+            
+            <hr />
+            <p className="text-muted">
+              <Translate
+                textKey="rebuildSalesSummariesHelp"
+                fallback="Sales analytics read daily and monthly totals instead of every receipt. Run this once to build them from your existing receipts, and again if the reports ever look wrong. Run it while no sales are being made."
+              />
+            </p>
+            <Button
+              variant="outline-primary"
+              onClick={handleRebuildSalesSummaries}
+              disabled={rebuildingSummaries}
+            >
+              {rebuildingSummaries ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  <Translate textKey="rebuildingSalesSummaries" fallback="Rebuilding summaries..." />
+                </>
+              ) : (
+                <Translate textKey="rebuildSalesSummaries" fallback="Rebuild Sales Summaries" />
+              )}
+            </Button>
+          </Card.Body>
+        </Card>
       </Container>
     </>
   );
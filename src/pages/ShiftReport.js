@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Card, Button, Table, Alert, Spinner } from 'react-bootstrap';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getShiftById, getShiftReceipts, calculateShiftTotals, SHIFT_STATUS, CASH_MOVEMENT_TYPES } from '../utils/shiftUtils';
+import { getPaymentMethod } from '../utils/paymentUtils';
+import { formatCurrency, formatDate, formatTime } from '../utils/receiptUtils';
+import './ViewReceipt.css';
+
+// Z-report for a closed shift, or an X-report (the running totals) for an open one
+const ShiftReport = () => {
+  const { id } = useParams();
+  const { shopId, shopData } = useAuth();
+  const navigate = useNavigate();
+  const reportRef = useRef();
+  
+  const [shift, setShift] = useState(null);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  
+  useEffect(() => {
+    const fetchShift = async () => {
+      if (!shopId || !id) return;
+      
+      try {
+        const shiftData = await getShiftById(id);
+        if (shiftData.shopId !== shopId) {
+          throw new Error('You do not have permission to view this shift');
+        }
+        
+        setShift(shiftData);
+        // A closed shift's totals were saved when it was closed
+        if (shiftData.status === SHIFT_STATUS.CLOSED && shiftData.totals) {
+          setTotals(shiftData.totals);
+        } else {
+          const receipts = await getShiftReceipts(shopId, id);
+          setTotals(calculateShiftTotals(shiftData, receipts));
+        }
+      } catch (error) {
+        setError('Failed to load shift: ' + error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchShift();
+  }, [id, shopId]);
+  
+  // Print just the report
+  const printReport = () => {
+    const content = reportRef.current;
+    const originalContents = document.body.innerHTML;
+    
+    document.body.innerHTML = content.innerHTML;
+    
+    window.print();
+    
+    document.body.innerHTML = originalContents;
+    window.location.reload(); // Reload to restore the React app state
+  };
+  
+  if (loading) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="text-center mt-5">
+          <Spinner animation="border" />
+        </Container>
+      </>
+    );
+  }
+  
+  if (!shift || !totals) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="mt-4">
+          <Alert variant="danger">{error || 'Shift not found'}</Alert>
+          <Button variant="primary" onClick={() => navigate('/shifts')}>
+            Back to Shifts
+          </Button>
+        </Container>
+      </>
+    );
+  }
+  
+  const isClosed = shift.status === SHIFT_STATUS.CLOSED;
+  const movements = shift.cashMovements || [];
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <Button variant="outline-secondary" onClick={() => navigate('/shifts')}>
+            Back to Shifts
+          </Button>
+          <Button variant="primary" onClick={printReport}>
+            Print Report
+          </Button>
+        </div>
+        
+        <div className="receipt-container">
+          <Card className="receipt-card">
+            <Card.Body>
+              <div ref={reportRef} className="receipt-content">
+                <div className="text-center mb-3">
+                  <h4 className="mb-1">{(shopData && shopData.shopName) || 'Shop'}</h4>
+                  <h5>{isClosed ? 'Z-Report' : 'X-Report (shift still open)'}</h5>
+                </div>
+                
+                <p className="mb-1"><strong>Cashier:</strong> {shift.cashierName || '-'}</p>
+                <p className="mb-1"><strong>Opened:</strong> {formatDate(shift.openedAt)} {formatTime(shift.openedAt)}</p>
+                {isClosed && (
+                  <p className="mb-1"><strong>Closed:</strong> {formatDate(shift.closedAt)} {formatTime(shift.closedAt)}</p>
+                )}
+                
+                <hr />
+                
+                <Table borderless size="sm" className="receipt-table">
+                  <tbody>
+                    <tr>
+                      <td>Transactions</td>
+                      <td className="text-end">{totals.transactionCount}</td>
+                    </tr>
+                    <tr>
+                      <td>Sales</td>
+                      <td className="text-end">{formatCurrency(totals.sales)}</td>
+                    </tr>
+                    <tr>
+                      <td>Tax Collected</td>
+                      <td className="text-end">{formatCurrency(totals.tax)}</td>
+                    </tr>
+                    <tr>
+                      <td>Discounts Given</td>
+                      <td className="text-end">{formatCurrency(totals.discounts)}</td>
+                    </tr>
+                    {totals.voidCount > 0 && (
+                      <tr>
+                        <td>Voided / Credited ({totals.voidCount})</td>
+                        <td className="text-end">{formatCurrency(totals.voids)}</td>
+                      </tr>
+                    )}
+                    <tr>
+                      <th colSpan="2" className="pt-3">Payments</th>
+                    </tr>
+                    {Object.keys(totals.payments).map(method => (
+                      <tr key={method}>
+                        <td>{getPaymentMethod(method).label}</td>
+                        <td className="text-end">{formatCurrency(totals.payments[method])}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <th colSpan="2" className="pt-3">Cash Drawer</th>
+                    </tr>
+                    <tr>
+                      <td>Opening Float</td>
+                      <td className="text-end">{formatCurrency(totals.openingFloat)}</td>
+                    </tr>
+                    <tr>
+                      <td>Cash Sales</td>
+                      <td className="text-end">{formatCurrency(totals.cashSales)}</td>
+                    </tr>
+                    {totals.voidCash > 0 && (
+                      <tr>
+                        <td>Cash Taken on Voided Sales</td>
+                        <td className="text-end">{formatCurrency(totals.voidCash)}</td>
+                      </tr>
+                    )}
+                    {movements.map((movement, index) => (
+                      <tr key={index}>
+                        <td>{movement.type === CASH_MOVEMENT_TYPES.IN ? 'Cash in' : 'Cash out'}: {movement.reason}</td>
+                        <td className="text-end">
+                          {movement.type === CASH_MOVEMENT_TYPES.OUT ? '-' : ''}{formatCurrency(movement.amount)}
+                        </td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <th>Expected Cash</th>
+                      <th className="text-end">{formatCurrency(totals.expectedCash)}</th>
+                    </tr>
+                    {isClosed && (
+                      <>
+                        <tr>
+                          <th>Counted Cash</th>
+                          <th className="text-end">{formatCurrency(shift.countedCash)}</th>
+                        </tr>
+                        <tr className={Math.abs(shift.variance || 0) < 0.005 ? '' : 'text-danger'}>
+                          <th>{shift.variance > 0 ? 'Over' : shift.variance < 0 ? 'Short' : 'Variance'}</th>
+                          <th className="text-end">{formatCurrency(Math.abs(shift.variance || 0))}</th>
+                        </tr>
+                      </>
+                    )}
+                  </tbody>
+                </Table>
+                
+                {isClosed && shift.closingNotes && (
+                  <p className="small"><strong>Notes:</strong> {shift.closingNotes}</p>
+                )}
+                {isClosed && shift.closedBy && (
+                  <p className="small text-muted mb-0">Closed by {shift.closedBy}</p>
+                )}
+              </div>
+            </Card.Body>
+          </Card>
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default ShiftReport;
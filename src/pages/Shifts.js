@@ -0,0 +1,405 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Spinner, Alert, Badge } from 'react-bootstrap';
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { Translate } from '../utils';
+import {
+  getOpenShift,
+  getShopShifts,
+  getShiftReceipts,
+  openShift,
+  addCashMovement,
+  closeShift,
+  calculateShiftTotals,
+  SHIFT_STATUS,
+  CASH_MOVEMENT_TYPES
+} from '../utils/shiftUtils';
+import { formatCurrency, formatDate, formatTime } from '../utils/receiptUtils';
+
+const Shifts = () => {
+  const { currentUser, shopId, staffMember } = useAuth();
+  const navigate = useNavigate();
+  
+  const [currentShift, setCurrentShift] = useState(null);
+  const [shiftReceipts, setShiftReceipts] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  
+  // Open shift form
+  const [openingFloat, setOpeningFloat] = useState('');
+  
+  // Cash in/out form
+  const [movement, setMovement] = useState({ type: CASH_MOVEMENT_TYPES.OUT, amount: '', reason: '' });
+  
+  // Close shift form
+  const [countedCash, setCountedCash] = useState('');
+  const [closingNotes, setClosingNotes] = useState('');
+  
+  const fetchShifts = useCallback(async () => {
+    if (!shopId) return;
+    
+    try {
+      const [openShiftData, shopShifts] = await Promise.all([
+        getOpenShift(shopId),
+        getShopShifts(shopId)
+      ]);
+      
+      setCurrentShift(openShiftData);
+      setShifts(shopShifts.filter(shift => shift.status === SHIFT_STATUS.CLOSED));
+      setShiftReceipts(openShiftData ? await getShiftReceipts(shopId, openShiftData.id) : []);
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      setError('Failed to load shifts. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [shopId]);
+  
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+  
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+  
+  const handleOpenShift = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    
+    try {
+      await openShift({
+        shopId,
+        // The shift belongs to whoever signed in to open it
+        cashierId: staffMember.id,
+        cashierName: staffMember.name,
+        openingFloat,
+        openedBy: currentUser.email
+      });
+      setOpeningFloat('');
+      showSuccess('Shift opened');
+      await fetchShifts();
+    } catch (error) {
+      setError('Failed to open shift: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleMovementChange = (e) => {
+    const { name, value } = e.target;
+    setMovement(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  const handleAddMovement = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!movement.reason.trim()) {
+      setError('Give a reason for the cash going in or out');
+      return;
+    }
+    
+    setSaving(true);
+    
+    try {
+      const cashMovement = await addCashMovement(currentShift.id, movement);
+      setCurrentShift(prev => ({
+        ...prev,
+        cashMovements: [...(prev.cashMovements || []), cashMovement]
+      }));
+      setMovement(prev => ({ ...prev, amount: '', reason: '' }));
+      showSuccess(`Cash ${cashMovement.type === CASH_MOVEMENT_TYPES.IN ? 'in' : 'out'} of ${formatCurrency(cashMovement.amount)} recorded`);
+    } catch (error) {
+      setError('Failed to record cash: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleCloseShift = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    
+    try {
+      const shiftId = await closeShift(currentShift, {
+        countedCash,
+        notes: closingNotes,
+        closedBy: currentUser.email
+      });
+      setCountedCash('');
+      setClosingNotes('');
+      navigate(`/shift/${shiftId}`);
+    } catch (error) {
+      setError('Failed to close shift: ' + error.message);
+      setSaving(false);
+    }
+  };
+  
+  const totals = currentShift ? calculateShiftTotals(currentShift, shiftReceipts) : null;
+  const variance = totals && countedCash !== '' ? parseFloat(countedCash) - totals.expectedCash : null;
+  
+  const renderVariance = (amount) => {
+    if (Math.abs(amount) < 0.005) return <Badge bg="success">Balanced</Badge>;
+    return (
+      <Badge bg={amount > 0 ? 'warning' : 'danger'}>
+        {amount > 0 ? 'Over' : 'Short'} {formatCurrency(Math.abs(amount))}
+      </Badge>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="text-center mt-5">
+          <Spinner animation="border" />
+        </Container>
+      </>
+    );
+  }
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <h2 className="my-3"><Translate textKey="cashDrawerShifts" fallback="Cash Drawer Shifts" /></h2>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        
+        {!currentShift ? (
+          <Card className="mb-4">
+            <Card.Header>
+              <h5 className="mb-0">Open a Shift</h5>
+            </Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleOpenShift}>
+                <Row className="align-items-end">
+                  <Col md={5}>
+                    <Form.Group className="mb-3">
+                      <Form.Label><Translate textKey="cashierName" /></Form.Label>
+                      <Form.Control plaintext readOnly value={staffMember.name} />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Opening Float (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={openingFloat}
+                        onChange={(e) => setOpeningFloat(e.target.value)}
+                        placeholder="Cash in the drawer to start with"
+                        required
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={3}>
+                    <Button type="submit" variant="success" className="mb-3 w-100" disabled={saving}>
+                      {saving ? <Spinner animation="border" size="sm" /> : 'Open Shift'}
+                    </Button>
+                  </Col>
+                </Row>
+              </Form>
+            </Card.Body>
+          </Card>
+        ) : (
+          <>
+            <Card className="mb-4">
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">
+                  Current Shift: {currentShift.cashierName || 'Cashier'} <Badge bg="success">Open</Badge>
+                </h5>
+                <Button variant="outline-primary" size="sm" onClick={() => navigate(`/shift/${currentShift.id}`)}>
+                  X-Report
+                </Button>
+              </Card.Header>
+              <Card.Body>
+                <p className="text-muted">
+                  Opened {formatDate(currentShift.openedAt)} at {formatTime(currentShift.openedAt)}
+                  {currentShift.openedBy ? ` by ${currentShift.openedBy}` : ''}
+                </p>
+                <Row>
+                  <Col sm={6} md={3} className="mb-3">
+                    <div className="text-muted small">Sales ({totals.transactionCount})</div>
+                    <h5>{formatCurrency(totals.sales)}</h5>
+                  </Col>
+                  <Col sm={6} md={3} className="mb-3">
+                    <div className="text-muted small">Cash Sales</div>
+                    <h5>{formatCurrency(totals.cashSales)}</h5>
+                  </Col>
+                  <Col sm={6} md={3} className="mb-3">
+                    <div className="text-muted small">Cash In / Out</div>
+                    <h5>{formatCurrency(totals.cashIn)} / {formatCurrency(totals.cashOut)}</h5>
+                  </Col>
+                  <Col sm={6} md={3} className="mb-3">
+                    <div className="text-muted small">Expected in Drawer</div>
+                    <h5>{formatCurrency(totals.expectedCash)}</h5>
+                  </Col>
+                </Row>
+              </Card.Body>
+            </Card>
+            
+            <Row>
+              <Col lg={6}>
+                <Card className="mb-4">
+                  <Card.Header>
+                    <h5 className="mb-0">Cash In / Out</h5>
+                  </Card.Header>
+                  <Card.Body>
+                    <Form onSubmit={handleAddMovement}>
+                      <Row>
+                        <Col sm={5}>
+                          <Form.Group className="mb-3">
+                            <Form.Select name="type" value={movement.type} onChange={handleMovementChange}>
+                              <option value={CASH_MOVEMENT_TYPES.OUT}>Cash out</option>
+                              <option value={CASH_MOVEMENT_TYPES.IN}>Cash in</option>
+                            </Form.Select>
+                          </Form.Group>
+                        </Col>
+                        <Col sm={7}>
+                          <Form.Group className="mb-3">
+                            <Form.Control
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              name="amount"
+                              value={movement.amount}
+                              onChange={handleMovementChange}
+                              placeholder="Amount (RS)"
+                              required
+                            />
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                      <Form.Group className="mb-3">
+                        <Form.Control
+                          name="reason"
+                          value={movement.reason}
+                          onChange={handleMovementChange}
+                          placeholder="Reason, e.g. paid for tea, bank deposit"
+                        />
+                      </Form.Group>
+                      <Button type="submit" variant="primary" disabled={saving}>
+                        Record
+                      </Button>
+                    </Form>
+                    
+                    {currentShift.cashMovements && currentShift.cashMovements.length > 0 && (
+                      <Table size="sm" className="mt-3 mb-0">
+                        <tbody>
+                          {currentShift.cashMovements.map((cashMovement, index) => (
+                            <tr key={index}>
+                              <td>{formatTime(cashMovement.timestamp)}</td>
+                              <td>{cashMovement.reason}</td>
+                              <td className={`text-end ${cashMovement.type === CASH_MOVEMENT_TYPES.OUT ? 'text-danger' : 'text-success'}`}>
+                                {cashMovement.type === CASH_MOVEMENT_TYPES.OUT ? '-' : '+'}{formatCurrency(cashMovement.amount)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    )}
+                  </Card.Body>
+                </Card>
+              </Col>
+              
+              <Col lg={6}>
+                <Card className="mb-4">
+                  <Card.Header>
+                    <h5 className="mb-0">Close Shift</h5>
+                  </Card.Header>
+                  <Card.Body>
+                    <Form onSubmit={handleCloseShift}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Cash Counted in Drawer (RS)*</Form.Label>
+                        <Form.Control
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={countedCash}
+                          onChange={(e) => setCountedCash(e.target.value)}
+                          required
+                        />
+                        {variance !== null && !isNaN(variance) && (
+                          <div className="mt-2">{renderVariance(variance)}</div>
+                        )}
+                      </Form.Group>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Notes</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          value={closingNotes}
+                          onChange={(e) => setClosingNotes(e.target.value)}
+                          placeholder="Explain any difference"
+                        />
+                      </Form.Group>
+                      <Button type="submit" variant="danger" disabled={saving}>
+                        {saving ? <Spinner animation="border" size="sm" /> : 'Close Shift and Print Z-Report'}
+                      </Button>
+                    </Form>
+                  </Card.Body>
+                </Card>
+              </Col>
+            </Row>
+          </>
+        )}
+        
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Past Shifts</h5>
+          </Card.Header>
+          <Card.Body>
+            {shifts.length > 0 ? (
+              <Table responsive hover size="sm">
+                <thead>
+                  <tr>
+                    <th>Opened</th>
+                    <th>Closed</th>
+                    <th>Cashier</th>
+                    <th className="text-end">Sales</th>
+                    <th className="text-end">Expected Cash</th>
+                    <th className="text-end">Counted</th>
+                    <th>Variance</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shifts.map(shift => (
+                    <tr key={shift.id}>
+                      <td>{formatDate(shift.openedAt)} {formatTime(shift.openedAt)}</td>
+                      <td>{formatDate(shift.closedAt)} {formatTime(shift.closedAt)}</td>
+                      <td>{shift.cashierName || '-'}</td>
+                      <td className="text-end">{formatCurrency(shift.totals ? shift.totals.sales : 0)}</td>
+                      <td className="text-end">{formatCurrency(shift.totals ? shift.totals.expectedCash : 0)}</td>
+                      <td className="text-end">{formatCurrency(shift.countedCash)}</td>
+                      <td>{renderVariance(shift.variance || 0)}</td>
+                      <td><Link to={`/shift/${shift.id}`}>Z-Report</Link></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No closed shifts yet.</p>
+            )}
+          </Card.Body>
+        </Card>
+      </Container>
+    </>
+  );
+};
+
+export default Shifts;
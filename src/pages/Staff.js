@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Spinner, Alert, Modal, Badge } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import { Translate } from '../utils';
+import {
+  getShopStaff,
+  createStaffMember,
+  updateStaffMember,
+  getRolePermissions,
+  STAFF_ROLES,
+  STAFF_ACCOUNT_ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  PERMISSION_LABELS,
+  DEFAULT_ROLE_PERMISSIONS
+} from '../utils/staffUtils';
+
+const emptyStaffMember = {
+  id: '',
+  name: '',
+  email: '',
+  password: '',
+  role: STAFF_ROLES.CASHIER
+};
+
+// Permissions that can be given to staff roles; managing staff stays with the owner
+const ROLE_PERMISSION_OPTIONS = Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.MANAGE_STAFF);
+
+// Each staff role's permissions for the shop, for the permissions table
+const getShopRolePermissions = (shopData) => STAFF_ACCOUNT_ROLES.reduce((rolePermissions, role) => {
+  rolePermissions[role] = getRolePermissions(role, shopData);
+  return rolePermissions;
+}, {});
+
+const Staff = () => {
+  const { currentUser, shopId, shopData, updateShopData } = useAuth();
+  
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  
+  // The owner's own name, recorded on the receipts they make
+  const [ownerName, setOwnerName] = useState('');
+  
+  // Add/edit staff form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyStaffMember);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+  
+  // What each role may do
+  const [rolePermissions, setRolePermissions] = useState(getShopRolePermissions(null));
+  const [savingPermissions, setSavingPermissions] = useState(false);
+  
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getShopStaff(shopId)
+      .then(setStaff)
+      .catch(error => {
+        setError('Failed to load staff: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [shopId]);
+  
+  useEffect(() => {
+    if (shopData) {
+      setOwnerName(shopData.ownerName || '');
+      setRolePermissions(getShopRolePermissions(shopData));
+    }
+  }, [shopData]);
+  
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  const handleAddClick = () => {
+    setFormData(emptyStaffMember);
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  const handleEditClick = (staffMember) => {
+    setFormData({
+      ...emptyStaffMember,
+      id: staffMember.id,
+      name: staffMember.name,
+      email: staffMember.email,
+      role: staffMember.role
+    });
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  // Handle add/edit staff form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!formData.name.trim()) {
+      setFormError('Staff member\'s name is required');
+      return;
+    }
+    
+    setFormLoading(true);
+    setFormError('');
+    
+    try {
+      if (formData.id) {
+        const updatedData = { name: formData.name.trim(), role: formData.role };
+        await updateStaffMember(formData.id, updatedData);
+        setStaff(prev => prev.map(staffMember =>
+          staffMember.id === formData.id ? { ...staffMember, ...updatedData } : staffMember
+        ));
+      } else {
+        const staffMember = await createStaffMember(shopId, formData, currentUser.email);
+        setStaff(prev => [...prev, staffMember]);
+        setSuccess(`${staffMember.name} can now sign in with ${staffMember.email}.`);
+      }
+      
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving staff member:', error);
+      setFormError(error.code === 'auth/email-already-in-use'
+        ? 'That email already has an account. Use a different email for each staff member.'
+        : 'Failed to save staff member: ' + error.message);
+    } finally {
+      setFormLoading(false);
+    }
+  };
+  
+  // Switch a staff member's sign-in off or back on
+  const handleToggleActive = async (staffMember) => {
+    setError('');
+    try {
+      const active = staffMember.active === false;
+      await updateStaffMember(staffMember.id, { active });
+      setStaff(prev => prev.map(member =>
+        member.id === staffMember.id ? { ...member, active } : member
+      ));
+    } catch (error) {
+      setError('Failed to update staff member: ' + error.message);
+    }
+  };
+  
+  const handleSaveOwnerName = async () => {
+    setError('');
+    try {
+      await updateShopData({ ownerName: ownerName.trim() });
+      setSuccess('Your name has been saved.');
+    } catch (error) {
+      setError('Failed to save your name: ' + error.message);
+    }
+  };
+  
+  const handlePermissionChange = (role, permission) => {
+    setRolePermissions(prev => ({
+      ...prev,
+      [role]: prev[role].includes(permission)
+        ? prev[role].filter(rolePermission => rolePermission !== permission)
+        : [...prev[role], permission]
+    }));
+  };
+  
+  const handleSavePermissions = async () => {
+    setSavingPermissions(true);
+    setError('');
+    try {
+      await updateShopData({ rolePermissions });
+      setSuccess('Role permissions have been saved. Staff see the change the next time they sign in.');
+    } catch (error) {
+      setError('Failed to save role permissions: ' + error.message);
+    } finally {
+      setSavingPermissions(false);
+    }
+  };
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2><Translate textKey="staff" fallback="Staff" /></h2>
+          <Button variant="success" onClick={handleAddClick}>
+            <Translate textKey="addStaffMember" fallback="Add Staff Member" />
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success" onClose={() => setSuccess('')} dismissible>{success}</Alert>}
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <Row className="align-items-end">
+              <Col md={6}>
+                <Form.Group className="mb-3 mb-md-0">
+                  <Form.Label>Your Name on Receipts</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={ownerName}
+                    onChange={(e) => setOwnerName(e.target.value)}
+                    placeholder={currentUser.email}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Button variant="outline-primary" onClick={handleSaveOwnerName}>
+                  <Translate textKey="save" />
+                </Button>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+        
+        <Card className="mb-4">
+          <Card.Body>
+            {loading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" />
+              </div>
+            ) : staff.length > 0 ? (
+              <Table responsive hover>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {staff.map(staffMember => (
+                    <tr key={staffMember.id}>
+                      <td>{staffMember.name}</td>
+                      <td>{staffMember.email}</td>
+                      <td>{ROLE_LABELS[staffMember.role] || staffMember.role}</td>
+                      <td>
+                        {staffMember.active === false
+                          ? <Badge bg="secondary">Deactivated</Badge>
+                          : <Badge bg="success">Active</Badge>}
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => handleEditClick(staffMember)}
+                        >
+                          <Translate textKey="edit" />
+                        </Button>
+                        <Button
+                          variant={staffMember.active === false ? 'outline-success' : 'outline-danger'}
+                          size="sm"
+                          className="mb-1"
+                          onClick={() => handleToggleActive(staffMember)}
+                        >
+                          {staffMember.active === false ? 'Reactivate' : 'Deactivate'}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">
+                No staff accounts yet. Add one for each manager, cashier or stock clerk so they sign in as themselves.
+              </p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Role Permissions</h5>
+          </Card.Header>
+          <Card.Body>
+            <Table responsive bordered size="sm">
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  {STAFF_ACCOUNT_ROLES.map(role => (
+                    <th key={role} className="text-center">{ROLE_LABELS[role]}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {ROLE_PERMISSION_OPTIONS.map(permission => (
+                  <tr key={permission}>
+                    <td>{PERMISSION_LABELS[permission]}</td>
+                    {STAFF_ACCOUNT_ROLES.map(role => (
+                      <td key={role} className="text-center">
+                        <Form.Check
+                          type="checkbox"
+                          aria-label={`${ROLE_LABELS[role]}: ${PERMISSION_LABELS[permission]}`}
+                          checked={rolePermissions[role].includes(permission)}
+                          onChange={() => handlePermissionChange(role, permission)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <p className="small text-muted">
+              The owner can always do everything, and is the only one who can manage staff.
+            </p>
+            <div className="d-flex justify-content-end">
+              <Button
+                variant="outline-secondary"
+                className="me-2"
+                onClick={() => setRolePermissions(DEFAULT_ROLE_PERMISSIONS)}
+              >
+                Reset to Defaults
+              </Button>
+              <Button variant="primary" onClick={handleSavePermissions} disabled={savingPermissions}>
+                {savingPermissions ? <Spinner animation="border" size="sm" /> : <Translate textKey="save" />}
+              </Button>
+            </div>
+          </Card.Body>
+        </Card>
+        
+        {/* Add/Edit Staff Member Modal */}
+        <Modal show={showForm} onHide={() => setShowForm(false)}>
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{formData.id ? 'Edit Staff Member' : 'Add Staff Member'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Form.Group className="mb-3">
+                <Form.Label>Name*</Form.Label>
+                <Form.Control name="name" value={formData.name} onChange={handleFormChange} required />
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Email*</Form.Label>
+                <Form.Control
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleFormChange}
+                  disabled={!!formData.id}
+                  required
+                />
+              </Form.Group>
+              {!formData.id && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Password*</Form.Label>
+                  <Form.Control
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleFormChange}
+                    required
+                  />
+                  <PasswordStrengthMeter password={formData.password} />
+                </Form.Group>
+              )}
+              <Form.Group className="mb-3">
+                <Form.Label>Role</Form.Label>
+                <Form.Select name="role" value={formData.role} onChange={handleFormChange}>
+                  {STAFF_ACCOUNT_ROLES.map(role => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowForm(false)}>
+                <Translate textKey="cancel" />
+              </Button>
+              <Button variant="primary" type="submit" disabled={formLoading}>
+                {formLoading ? <Spinner animation="border" size="sm" /> : <Translate textKey="save" />}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        </Modal>
+      </Container>
+    </>
+  );
+};
+
+export default Staff;
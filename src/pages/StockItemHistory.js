@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Table, Button, Card, Form, Row, Col, Badge, Alert } from 'react-bootstrap';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getStockItemById, restockStockItem } from '../utils/stockUtils';
+import { getStockItemMovements, STOCK_MOVEMENT_LABELS } from '../utils/stockMovementUtils';
+import { Translate } from '../utils';
+import './ViewStock.css';
+
+const StockItemHistory = () => {
+  const { id } = useParams();
+  const { shopId } = useAuth();
+  const [stockItem, setStockItem] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [restockQuantity, setRestockQuantity] = useState('');
+  const [restockReason, setRestockReason] = useState('');
+  const [restocking, setRestocking] = useState(false);
+  const navigate = useNavigate();
+  
+  const fetchHistory = useCallback(() => {
+    if (!shopId || !id) return;
+    
+    setLoading(true);
+    
+    getStockItemById(id)
+      .then(item => {
+        // Check if item belongs to current user
+        if (item.shopId !== shopId) {
+          throw new Error('You do not have permission to view this item');
+        }
+        
+        setStockItem(item);
+        return getStockItemMovements(shopId, id);
+      })
+      .then(setMovements)
+      .catch(error => {
+        setError('Failed to load stock history: ' + error.message);
+        console.error('Error loading stock history:', error);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [id, shopId]);
+  
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+  
+  // Add received stock to the item
+  const handleRestock = (e) => {
+    e.preventDefault();
+    
+    const quantityValue = parseFloat(restockQuantity);
+    if (isNaN(quantityValue) || quantityValue <= 0) {
+      setError('Restock quantity must be greater than zero');
+      return;
+    }
+    
+    setError('');
+    setRestocking(true);
+    
+    restockStockItem(id, quantityValue, { reason: restockReason.trim() })
+      .then(() => {
+        setSuccess(`Added ${quantityValue} to stock`);
+        setTimeout(() => setSuccess(''), 3000);
+        setRestockQuantity('');
+        setRestockReason('');
+        fetchHistory();
+      })
+      .catch(error => {
+        setError('Failed to restock item: ' + error.message);
+      })
+      .finally(() => {
+        setRestocking(false);
+      });
+  };
+  
+  // Link a movement back to the document that caused it
+  const renderSource = (movement) => {
+    if (movement.sourceType === 'receipt' && movement.sourceId) {
+      return <Link to={`/receipt/${movement.sourceId}`}>Receipt</Link>;
+    }
+    return movement.sourceType || '-';
+  };
+  
+  const unitLabel = stockItem && stockItem.quantityUnit === 'kg' ? 'KG' : 'Units';
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2><Translate textKey="stockHistory" fallback="Stock History" /></h2>
+          <Button
+            variant="outline-secondary"
+            onClick={() => navigate('/stock')}
+          >
+            <Translate textKey="backToInventory" fallback="Back to Inventory" />
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        
+        {loading ? (
+          <p className="text-center"><Translate textKey="loadingStockHistory" fallback="Loading stock history..." /></p>
+        ) : stockItem && (
+          <>
+            <Card className="mb-4">
+              <Card.Body>
+                <Row>
+                  <Col md={6}>
+                    <h4>{stockItem.name}</h4>
+                    <p className="mb-1"><strong><Translate textKey="category" />:</strong> {stockItem.category || '-'}</p>
+                    <p className="mb-0">
+                      <strong><Translate textKey="currentQuantity" fallback="Current Quantity" />:</strong> {stockItem.quantity} {unitLabel}
+                    </p>
+                  </Col>
+                  <Col md={6}>
+                    <Form onSubmit={handleRestock}>
+                      <Row className="align-items-end">
+                        <Col sm={4}>
+                          <Form.Group className="mb-2">
+                            <Form.Label><Translate textKey="restockQuantity" fallback="Restock Qty" /></Form.Label>
+                            <Form.Control
+                              type="number"
+                              min="0"
+                              step={stockItem.quantityUnit === 'kg' ? '0.01' : '1'}
+                              value={restockQuantity}
+                              onChange={(e) => setRestockQuantity(e.target.value)}
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col sm={5}>
+                          <Form.Group className="mb-2">
+                            <Form.Label><Translate textKey="reason" fallback="Reason" /></Form.Label>
+                            <Form.Control
+                              type="text"
+                              value={restockReason}
+                              onChange={(e) => setRestockReason(e.target.value)}
+                              placeholder="Optional"
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col sm={3}>
+                          <Button
+                            variant="success"
+                            type="submit"
+                            className="mb-2 w-100"
+                            disabled={restocking}
+                          >
+                            <Translate textKey="restock" fallback="Restock" />
+                          </Button>
+                        </Col>
+                      </Row>
+                    </Form>
+                  </Col>
+                </Row>
+              </Card.Body>
+            </Card>
+            
+            <Card>
+              <Card.Body>
+                {movements.length > 0 ? (
+                  <div className="table-responsive stock-table-container">
+                    <Table hover responsive="sm" className="stock-table">
+                      <thead>
+                        <tr>
+                          <th><Translate textKey="date" /></th>
+                          <th><Translate textKey="movementType" fallback="Type" /></th>
+                          <th className="text-end"><Translate textKey="change" fallback="Change" /></th>
+                          <th className="text-end"><Translate textKey="before" fallback="Before" /></th>
+                          <th className="text-end"><Translate textKey="after" fallback="After" /></th>
+                          <th><Translate textKey="reason" fallback="Reason" /></th>
+                          <th><Translate textKey="user" fallback="User" /></th>
+                          <th><Translate textKey="source" fallback="Source" /></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {movements.map(movement => (
+                          <tr key={movement.id}>
+                            <td className="text-nowrap">{new Date(movement.createdAt).toLocaleString()}</td>
+                            <td>{STOCK_MOVEMENT_LABELS[movement.type] || movement.type}</td>
+                            <td className="text-end">
+                              <Badge bg={movement.change < 0 ? 'danger' : 'success'}>
+                                {movement.change > 0 ? '+' : ''}{movement.change}
+                              </Badge>
+                            </td>
+                            <td className="text-end">{movement.quantityBefore}</td>
+                            <td className="text-end">{movement.quantityAfter}</td>
+                            <td>{movement.reason || '-'}</td>
+                            <td>{movement.userEmail || '-'}</td>
+                            <td>{renderSource(movement)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </div>
+                ) : (
+                  <p className="text-center">
+                    <Translate textKey="noStockMovements" fallback="No stock movements recorded for this item yet." />
+                  </p>
+                )}
+              </Card.Body>
+            </Card>
+          </>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default StockItemHistory;
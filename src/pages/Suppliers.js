@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Spinner, Alert, Modal } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { Translate } from '../utils';
+import { getShopSuppliers, addSupplier, updateSupplier, deleteSupplier } from '../utils/supplierUtils';
+import { formatCurrency } from '../utils/receiptUtils';
+
+const emptySupplier = {
+  id: '',
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  address: '',
+  paymentTermsDays: '0',
+  openingBalance: '0',
+  notes: ''
+};
+
+const Suppliers = () => {
+  const { shopId } = useAuth();
+  const navigate = useNavigate();
+  
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  
+  // Add/edit supplier form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptySupplier);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+  
+  // Delete confirmation
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [supplierToDelete, setSupplierToDelete] = useState(null);
+  
+  // Fetch suppliers
+  useEffect(() => {
+    const fetchSuppliers = async () => {
+      if (!shopId) return;
+      
+      setLoading(true);
+      setError('');
+      
+      try {
+        const suppliersData = await getShopSuppliers(shopId);
+        setSuppliers(suppliersData);
+      } catch (error) {
+        console.error('Error fetching suppliers:', error);
+        setError('Failed to load suppliers. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchSuppliers();
+  }, [shopId]);
+  
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  const handleAddClick = () => {
+    setFormData(emptySupplier);
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  const handleEditClick = (supplier) => {
+    setFormData({
+      ...emptySupplier,
+      ...supplier,
+      paymentTermsDays: (supplier.paymentTermsDays || 0).toString()
+    });
+    setFormError('');
+    setShowForm(true);
+  };
+  
+  // Handle add/edit supplier form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!formData.name.trim()) {
+      setFormError('Supplier name is required');
+      return;
+    }
+    
+    setFormLoading(true);
+    setFormError('');
+    
+    const { id, ...details } = formData;
+    const supplierData = {
+      ...details,
+      name: details.name.trim(),
+      contactPerson: details.contactPerson.trim(),
+      phone: details.phone.trim(),
+      email: details.email.trim(),
+      address: details.address.trim(),
+      notes: details.notes.trim()
+    };
+    
+    try {
+      if (id) {
+        await updateSupplier(id, supplierData);
+        setSuppliers(prev => prev.map(supplier =>
+          supplier.id === id
+            ? { ...supplier, ...supplierData, outstandingBalance: supplier.outstandingBalance }
+            : supplier
+        ));
+      } else {
+        const newData = { ...supplierData, shopId };
+        const supplierId = await addSupplier(newData);
+        setSuppliers(prev => [...prev, {
+          id: supplierId,
+          ...newData,
+          outstandingBalance: parseFloat(newData.openingBalance) || 0
+        }]);
+      }
+      
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      setFormError('Failed to save supplier. Please try again.');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+  
+  const handleDeleteClick = (supplier) => {
+    setSupplierToDelete(supplier);
+    setShowDeleteModal(true);
+  };
+  
+  const confirmDelete = async () => {
+    if (!supplierToDelete) return;
+    
+    try {
+      await deleteSupplier(supplierToDelete.id);
+      setSuppliers(prev => prev.filter(supplier => supplier.id !== supplierToDelete.id));
+      setShowDeleteModal(false);
+      setSupplierToDelete(null);
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      // Suppliers with a balance or open orders are refused with the reason
+      setError(error.message || 'Failed to delete supplier. Please try again.');
+      setShowDeleteModal(false);
+    }
+  };
+  
+  const filteredSuppliers = suppliers.filter(supplier =>
+    !searchTerm ||
+    supplier.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (supplier.contactPerson || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (supplier.phone || '').includes(searchTerm)
+  );
+  
+  const totalOwed = suppliers.reduce((total, supplier) => total + (parseFloat(supplier.outstandingBalance) || 0), 0);
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2><Translate textKey="suppliers" fallback="Suppliers" /></h2>
+          <Button variant="success" onClick={handleAddClick}>
+            <Translate textKey="addSupplier" fallback="Add Supplier" />
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Row className="mb-4">
+          <Col md={6}>
+            <Form.Control
+              type="text"
+              placeholder="Search by name, contact or phone"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </Col>
+          <Col md={6} className="text-md-end mt-2 mt-md-0">
+            <strong>Total owed to suppliers: {formatCurrency(totalOwed)}</strong>
+          </Col>
+        </Row>
+        
+        <Card>
+          <Card.Body>
+            {loading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" />
+              </div>
+            ) : filteredSuppliers.length > 0 ? (
+              <Table responsive hover>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Contact</th>
+                    <th>Phone</th>
+                    <th>Payment Terms</th>
+                    <th className="text-end">Outstanding</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredSuppliers.map(supplier => (
+                    <tr key={supplier.id}>
+                      <td>{supplier.name}</td>
+                      <td>{supplier.contactPerson || '-'}</td>
+                      <td>{supplier.phone || '-'}</td>
+                      <td>{supplier.paymentTermsDays ? `${supplier.paymentTermsDays} days` : 'On delivery'}</td>
+                      <td className="text-end">{formatCurrency(supplier.outstandingBalance || 0)}</td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => navigate(`/supplier/${supplier.id}`)}
+                        >
+                          <Translate textKey="view" />
+                        </Button>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => handleEditClick(supplier)}
+                        >
+                          <Translate textKey="edit" />
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          className="mb-1"
+                          onClick={() => handleDeleteClick(supplier)}
+                        >
+                          <Translate textKey="delete" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">
+                {suppliers.length > 0 ? 'No suppliers match your search.' : 'No suppliers yet. Add your first supplier!'}
+              </p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        {/* Add/Edit Supplier Modal */}
+        <Modal show={showForm} onHide={() => setShowForm(false)} size="lg">
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{formData.id ? 'Edit Supplier' : 'Add Supplier'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {formError && <Alert variant="danger">{formError}</Alert>}
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Name*</Form.Label>
+                    <Form.Control name="name" value={formData.name} onChange={handleFormChange} required />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Contact Person</Form.Label>
+                    <Form.Control name="contactPerson" value={formData.contactPerson} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Phone</Form.Label>
+                    <Form.Control name="phone" value={formData.phone} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control type="email" name="email" value={formData.email} onChange={handleFormChange} />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Label>Address</Form.Label>
+                <Form.Control name="address" value={formData.address} onChange={handleFormChange} />
+              </Form.Group>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Payment Terms (days)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      name="paymentTermsDays"
+                      value={formData.paymentTermsDays}
+                      onChange={handleFormChange}
+                    />
+                  </Form.Group>
+                </Col>
+                {!formData.id && (
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Opening Balance Owed (RS)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        step="0.01"
+                        name="openingBalance"
+                        value={formData.openingBalance}
+                        onChange={handleFormChange}
+                      />
+                    </Form.Group>
+                  </Col>
+                )}
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Label>Notes</Form.Label>
+                <Form.Control as="textarea" rows={2} name="notes" value={formData.notes} onChange={handleFormChange} />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowForm(false)}>
+                <Translate textKey="cancel" />
+              </Button>
+              <Button variant="primary" type="submit" disabled={formLoading}>
+                {formLoading ? <Spinner animation="border" size="sm" /> : <Translate textKey="save" />}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        </Modal>
+        
+        {/* Delete Confirmation Modal */}
+        <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
+          <Modal.Header closeButton>
+            <Modal.Title><Translate textKey="confirmDelete" /></Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>Are you sure you want to delete this supplier? Stock items and purchase orders keep the supplier's name.</p>
+            {supplierToDelete && <p><strong>{supplierToDelete.name}</strong></p>}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowDeleteModal(false)}>
+              <Translate textKey="cancel" />
+            </Button>
+            <Button variant="danger" onClick={confirmDelete}>
+              <Translate textKey="delete" />
+            </Button>
+          </Modal.Footer>
+        </Modal>
+      </Container>
+    </>
+  );
+};
+
+export default Suppliers;
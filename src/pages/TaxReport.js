@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Form, Button, Row, Col, Table, Alert, Spinner } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { format, startOfMonth, endOfMonth, startOfDay, endOfDay } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getReceiptsForDateRange } from '../utils/salesUtils';
+import { formatCurrency } from '../utils/receiptUtils';
+import { getTaxSettings, summarizeTax } from '../utils/taxUtils';
+import { isReceiptCancelled } from '../utils/voidUtils';
+
+const TaxReport = () => {
+  const { shopId, shopData } = useAuth();
+  const [startDate, setStartDate] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [endDate, setEndDate] = useState(format(endOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [report, setReport] = useState(null);
+  const [receiptCount, setReceiptCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  
+  const taxSettings = getTaxSettings(shopData);
+  
+  const fetchReport = useCallback(() => {
+    if (!shopId || !startDate || !endDate) return;
+    
+    if (startDate > endDate) {
+      setError('The start date must be before the end date');
+      return;
+    }
+    
+    setError('');
+    setLoading(true);
+    
+    // Date inputs are local dates, so cover the whole of the first and last day
+    getReceiptsForDateRange(
+      shopId,
+      startOfDay(new Date(`${startDate}T00:00:00`)),
+      endOfDay(new Date(`${endDate}T00:00:00`))
+    )
+      .then(receipts => {
+        setReceiptCount(receipts.filter(receipt => !isReceiptCancelled(receipt)).length);
+        setReport(summarizeTax(receipts));
+      })
+      .catch(error => {
+        setError('Failed to build tax report: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [shopId, startDate, endDate]);
+  
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    fetchReport();
+  };
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2>{taxSettings.taxName} Report</h2>
+          <Button
+            variant="outline-secondary"
+            onClick={() => navigate('/sales-analytics')}
+          >
+            Back to Analytics
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <Form onSubmit={handleSubmit}>
+              <Row className="align-items-end">
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>From</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={startDate}
+                      onChange={(e) => setStartDate(e.target.value)}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>To</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={endDate}
+                      onChange={(e) => setEndDate(e.target.value)}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Button type="submit" variant="primary" className="mb-3" disabled={loading}>
+                    {loading ? <Spinner animation="border" size="sm" /> : 'Refresh'}
+                  </Button>
+                </Col>
+              </Row>
+            </Form>
+          </Card.Body>
+        </Card>
+        
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : report && (
+          <Card>
+            <Card.Body>
+              <p className="text-muted">
+                {receiptCount} receipts from {startDate} to {endDate}.
+                Taxable amounts are after discounts and exclude tax; returns are shown separately and deducted.
+              </p>
+              <Table responsive bordered>
+                <thead>
+                  <tr>
+                    <th>Rate</th>
+                    <th className="text-end">Taxable Sales</th>
+                    <th className="text-end">{taxSettings.taxName} Charged</th>
+                    <th className="text-end">Returned Taxable</th>
+                    <th className="text-end">{taxSettings.taxName} Refunded</th>
+                    <th className="text-end">Net {taxSettings.taxName} Payable</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rates.length > 0 ? report.rates.map(rate => (
+                    <tr key={rate.taxRate}>
+                      <td>{rate.taxRate > 0 ? `${rate.taxRate}%` : 'Exempt / 0%'}</td>
+                      <td className="text-end">{formatCurrency(rate.taxableAmount)}</td>
+                      <td className="text-end">{formatCurrency(rate.taxAmount)}</td>
+                      <td className="text-end">{formatCurrency(rate.returnedTaxableAmount)}</td>
+                      <td className="text-end">{formatCurrency(rate.returnedTaxAmount)}</td>
+                      <td className="text-end">{formatCurrency(rate.taxAmount - rate.returnedTaxAmount)}</td>
+                    </tr>
+                  )) : (
+                    <tr>
+                      <td colSpan="6" className="text-center">No sales in this period.</td>
+                    </tr>
+                  )}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <th>Total</th>
+                    <th className="text-end">{formatCurrency(report.totals.taxableAmount)}</th>
+                    <th className="text-end">{formatCurrency(report.totals.taxAmount)}</th>
+                    <th className="text-end">{formatCurrency(report.totals.returnedTaxableAmount)}</th>
+                    <th className="text-end">{formatCurrency(report.totals.returnedTaxAmount)}</th>
+                    <th className="text-end">{formatCurrency(report.totals.taxAmount - report.totals.returnedTaxAmount)}</th>
+                  </tr>
+                </tfoot>
+              </Table>
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default TaxReport;
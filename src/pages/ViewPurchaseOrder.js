@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Table, Button, Card, Form, Row, Col, Badge, Alert } from 'react-bootstrap';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import {
+  getPurchaseOrderById,
+  getGoodsReceivedNotes,
+  receiveGoods,
+  cancelPurchaseOrder,
+  getOutstandingQuantity,
+  calculateLinesCost,
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_STATUS_BADGES
+} from '../utils/purchaseUtils';
+import { formatCurrency, formatDate } from '../utils/receiptUtils';
+
+const ViewPurchaseOrder = () => {
+  const { id } = useParams();
+  const { shopId } = useAuth();
+  const [order, setOrder] = useState(null);
+  const [goodsReceivedNotes, setGoodsReceivedNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+  
+  // Goods received form
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [receivedDate, setReceivedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [receiveNotes, setReceiveNotes] = useState('');
+  const [receiveLines, setReceiveLines] = useState([]);
+  const navigate = useNavigate();
+  
+  const fetchOrder = useCallback(() => {
+    if (!shopId || !id) return;
+    
+    Promise.all([
+      getPurchaseOrderById(id),
+      getGoodsReceivedNotes(shopId, id)
+    ])
+      .then(([orderData, notes]) => {
+        // Check if purchase order belongs to current user
+        if (orderData.shopId !== shopId) {
+          throw new Error('You do not have permission to view this purchase order');
+        }
+        
+        setOrder(orderData);
+        setGoodsReceivedNotes(notes);
+        
+        // Default each line to receiving everything still outstanding at the ordered cost
+        setReceiveLines(orderData.items.map(line => ({
+          stockItemId: line.stockItemId,
+          name: line.name,
+          quantity: getOutstandingQuantity(line).toString(),
+          unitCost: line.unitCost.toString()
+        })));
+      })
+      .catch(error => {
+        setError('Failed to load purchase order: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [id, shopId]);
+  
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+  
+  const handleReceiveLineChange = (index, field, value) => {
+    const newLines = [...receiveLines];
+    newLines[index] = { ...newLines[index], [field]: value };
+    setReceiveLines(newLines);
+  };
+  
+  const handleReceive = (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    
+    receiveGoods(id, {
+      invoiceNumber: invoiceNumber.trim(),
+      receivedDate,
+      notes: receiveNotes.trim(),
+      items: receiveLines
+    })
+      .then(() => {
+        setSuccess('Goods received and stock updated');
+        setTimeout(() => setSuccess(''), 3000);
+        setInvoiceNumber('');
+        setReceiveNotes('');
+        fetchOrder();
+      })
+      .catch(error => {
+        setError('Failed to receive goods: ' + error.message);
+      })
+      .finally(() => {
+        setSaving(false);
+      });
+  };
+  
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this purchase order?')) return;
+    
+    cancelPurchaseOrder(id)
+      .then(fetchOrder)
+      .catch(error => {
+        setError('Failed to cancel purchase order: ' + error.message);
+      });
+  };
+  
+  if (loading) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="text-center mt-5">
+          <p>Loading purchase order...</p>
+        </Container>
+      </>
+    );
+  }
+  
+  if (!order) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="mt-4">
+          <Alert variant="danger">{error || 'Purchase order not found'}</Alert>
+          <Button
+            variant="primary"
+            onClick={() => navigate('/purchase-orders')}
+          >
+            Back to Purchase Orders
+          </Button>
+        </Container>
+      </>
+    );
+  }
+  
+  const badge = PURCHASE_ORDER_STATUS_BADGES[order.status] || { bg: 'secondary', label: order.status };
+  const isOpen = order.status === PURCHASE_ORDER_STATUS.ORDERED ||
+    order.status === PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2>Purchase Order {order.poNumber}</h2>
+          <div>
+            {order.status === PURCHASE_ORDER_STATUS.ORDERED && (
+              <Button
+                variant="outline-danger"
+                onClick={handleCancel}
+                className="me-2"
+              >
+                Cancel Order
+              </Button>
+            )}
+            <Button
+              variant="outline-secondary"
+              onClick={() => navigate('/purchase-orders')}
+            >
+              Back to Purchase Orders
+            </Button>
+          </div>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <Row>
+              <Col md={6}>
+                <p className="mb-1">
+                  <strong>Supplier:</strong>{' '}
+                  {order.supplierId
+                    ? <Link to={`/supplier/${order.supplierId}`}>{order.supplier}</Link>
+                    : (order.supplier || '-')}
+                </p>
+                <p className="mb-1"><strong>Order Date:</strong> {formatDate(order.orderDate)}</p>
+                <p className="mb-1"><strong>Expected:</strong> {order.expectedDate ? formatDate(order.expectedDate) : '-'}</p>
+              </Col>
+              <Col md={6}>
+                <p className="mb-1"><strong>Status:</strong> <Badge bg={badge.bg}>{badge.label}</Badge></p>
+                <p className="mb-1"><strong>Total Cost:</strong> {formatCurrency(order.totalCost || 0)}</p>
+                {order.notes && <p className="mb-1"><strong>Notes:</strong> {order.notes}</p>}
+              </Col>
+            </Row>
+            
+            <Table responsive className="mt-3">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th className="text-end">Ordered</th>
+                  <th className="text-end">Received</th>
+                  <th className="text-end">Outstanding</th>
+                  <th className="text-end">Unit Cost</th>
+                  <th className="text-end">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {order.items.map((line, index) => (
+                  <tr key={index}>
+                    <td>{line.name}</td>
+                    <td className="text-end">{line.quantityOrdered}</td>
+                    <td className="text-end">{line.quantityReceived || 0}</td>
+                    <td className="text-end">{getOutstandingQuantity(line)}</td>
+                    <td className="text-end">{formatCurrency(line.unitCost)}</td>
+                    <td className="text-end">{formatCurrency(line.unitCost * line.quantityOrdered)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+        
+        {isOpen && (
+          <Card className="mb-4">
+            <Card.Header>
+              <h5 className="mb-0">Receive Goods</h5>
+            </Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleReceive}>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Supplier Invoice #</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={invoiceNumber}
+                        onChange={(e) => setInvoiceNumber(e.target.value)}
+                        placeholder="Optional"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Received Date*</Form.Label>
+                      <Form.Control
+                        type="date"
+                        required
+                        value={receivedDate}
+                        onChange={(e) => setReceivedDate(e.target.value)}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Notes</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={receiveNotes}
+                        onChange={(e) => setReceiveNotes(e.target.value)}
+                        placeholder="Optional"
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+                
+                <Table responsive>
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Outstanding</th>
+                      <th>Qty Received</th>
+                      <th>Invoice Unit Cost (RS)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {receiveLines.map((line, index) => (
+                      <tr key={line.stockItemId}>
+                        <td>{line.name}</td>
+                        <td>{getOutstandingQuantity(order.items[index])}</td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            max={getOutstandingQuantity(order.items[index])}
+                            step="0.01"
+                            value={line.quantity}
+                            onChange={(e) => handleReceiveLineChange(index, 'quantity', e.target.value)}
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={line.unitCost}
+                            onChange={(e) => handleReceiveLineChange(index, 'unitCost', e.target.value)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                
+                <div className="d-flex justify-content-between align-items-center">
+                  <strong>Invoice Total: {formatCurrency(calculateLinesCost(receiveLines))}</strong>
+                  <Button
+                    variant="success"
+                    type="submit"
+                    disabled={saving}
+                  >
+                    {saving ? 'Saving...' : 'Receive Goods'}
+                  </Button>
+                </div>
+                <Form.Text className="text-muted">
+                  Received quantities are added to stock and each item's cost price is updated to the invoice unit cost.
+                </Form.Text>
+              </Form>
+            </Card.Body>
+          </Card>
+        )}
+        
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Goods Received Notes</h5>
+          </Card.Header>
+          <Card.Body>
+            {goodsReceivedNotes.length > 0 ? (
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Invoice #</th>
+                    <th>Items</th>
+                    <th className="text-end">Total</th>
+                    <th>Received By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {goodsReceivedNotes.map(note => (
+                    <tr key={note.id}>
+                      <td>{formatDate(note.receivedDate)}</td>
+                      <td>{note.invoiceNumber || '-'}</td>
+                      <td>
+                        {note.items.map(line => `${line.name} x ${line.quantity}`).join(', ')}
+                      </td>
+                      <td className="text-end">{formatCurrency(note.totalCost)}</td>
+                      <td>{note.receivedBy || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No goods received yet.</p>
+            )}
+          </Card.Body>
+        </Card>
+      </Container>
+    </>
+  );
+};
+
+export default ViewPurchaseOrder;
@@ -1,20 +1,28 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Container, Card, Button, Row, Col, Table, Alert, Form } from 'react-bootstrap';
-import { useParams, useNavigate } from 'react-router-dom';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import { Container, Card, Button, Row, Col, Table, Alert, Form, Tabs, Tab } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { getReceiptById, formatCurrency, formatDate, formatTime } from '../utils/receiptUtils';
+import { getReceiptById, formatCurrency, formatDate, formatTime, resolveSyncConflict, SYNC_STATUS } from '../utils/receiptUtils';
+import { DEFAULT_TAX_NAME } from '../utils/taxUtils';
+import { getPaymentMethod } from '../utils/paymentUtils';
+import { getPrinterSettings, isThermalFormat, printThermalReceipt } from '../utils/thermalPrinterUtils';
+import { downloadReceiptPdf, downloadCreditNotePdf, downloadReturnSlipPdf } from '../utils/pdfUtils';
+import { getReceiptCancellation, getCreditNoteById, RECEIPT_STATUS } from '../utils/voidUtils';
+import { getReceiptReturns, getPendingReturns, getReturnTotals } from '../utils/returnUtils';
+import { INVOICE_TEMPLATES } from '../utils/invoiceUtils';
+import { PERMISSIONS } from '../utils/staffUtils';
 import Translate from '../components/Translate';
+import ReceiptHistory from '../components/ReceiptHistory';
 import './ViewReceipt.css';
 
 const ViewReceipt = () => {
   const { id } = useParams();
-  const { currentUser } = useAuth();
+  const { shopId, shopData, hasPermission } = useAuth();
   const [receipt, setReceipt] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [printError, setPrintError] = useState('');
   const pdfRef = useRef();
   const navigate = useNavigate();
   const [receiptWidth, setReceiptWidth] = useState(100);
@@ -23,11 +31,11 @@ const ViewReceipt = () => {
   useEffect(() => {
     // Create a non-async function for useEffect
     const fetchReceipt = () => {
-      if (currentUser && id) {
+      if (shopId && id) {
         getReceiptById(id)
           .then(receiptData => {
             // Check if receipt belongs to current user
-            if (receiptData.shopId !== currentUser.uid) {
+            if (receiptData.shopId !== shopId) {
               throw new Error('You do not have permission to view this receipt');
             }
             
@@ -44,51 +52,45 @@ const ViewReceipt = () => {
     };
 
     fetchReceipt();
-  }, [id, currentUser]);
+  }, [id, shopId]);
 
-  // Updated downloadPdf function to consider custom size
+  // Download the receipt as a PDF
   const downloadPdf = () => {
-    const input = pdfRef.current;
-    
-    // Make sure all images are loaded before converting to canvas
-    const images = input.querySelectorAll('img');
-    const imagesLoaded = Array.from(images).map(img => {
-      if (img.complete) {
-        return Promise.resolve();
-      } else {
-        return new Promise(resolve => {
-          img.onload = resolve;
-          img.onerror = resolve; // Continue even if image fails
-        });
-      }
+    setPrintError('');
+    downloadReceiptPdf(receipt).catch(error => {
+      setPrintError('Failed to create PDF: ' + error.message);
     });
-    
-    // Wait for all images to load then create PDF
-    Promise.all(imagesLoaded).then(() => {
-      html2canvas(input, {
-        useCORS: true,
-        allowTaint: true,
-        logging: false,
-        scale: 2 // Higher quality
-      }).then((canvas) => {
-        const imgData = canvas.toDataURL('image/png');
-        const pdf = new jsPDF('p', 'mm', 'a4');
-        const pdfWidth = pdf.internal.pageSize.getWidth();
-        const pdfHeight = pdf.internal.pageSize.getHeight();
-        const imgWidth = canvas.width;
-        const imgHeight = canvas.height;
-        const ratio = Math.min(pdfWidth / imgWidth, pdfHeight / imgHeight);
-        const imgX = (pdfWidth - imgWidth * ratio) / 2;
-        const imgY = 30;
+  };
 
-        pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth * ratio, imgHeight * ratio);
-        pdf.save(`receipt-${receipt.transactionId}.pdf`);
+  // Download the credit note that reversed this receipt
+  const downloadCreditNote = () => {
+    setPrintError('');
+    getCreditNoteById(receipt.creditNoteInfo.creditNoteId)
+      .then(downloadCreditNotePdf)
+      .catch(error => {
+        setPrintError('Failed to create credit note PDF: ' + error.message);
       });
+  };
+  
+  // Download the slip for one of the receipt's returns
+  const downloadReturnSlip = (returnEvent) => {
+    setPrintError('');
+    downloadReturnSlipPdf(receipt, returnEvent).catch(error => {
+      setPrintError('Failed to create return slip: ' + error.message);
     });
   };
-
+  
   // Function to print the receipt
   const printReceipt = () => {
+    const printerSettings = getPrinterSettings(shopData);
+    if (isThermalFormat(printerSettings.receiptFormat)) {
+      setPrintError('');
+      printThermalReceipt(receipt, printerSettings).catch(error => {
+        setPrintError('Failed to print receipt: ' + error.message);
+      });
+      return;
+    }
+    
     const content = pdfRef.current;
     const originalContents = document.body.innerHTML;
     
@@ -154,6 +156,23 @@ const ViewReceipt = () => {
     );
   }
 
+  const isInvoice = receipt.template === INVOICE_TEMPLATES.INVOICE;
+  const cancellation = getReceiptCancellation(receipt);
+  const returns = getReceiptReturns(receipt);
+  const returnTotals = getReturnTotals(receipt);
+  // Only show the tax column on receipts that charged tax; tax invoices always show it
+  const showTax = isInvoice || receipt.items.some(item => parseFloat(item.taxRate) > 0);
+  
+  // Mark a stock conflict from an offline sale as dealt with
+  const handleResolveConflict = async () => {
+    try {
+      await resolveSyncConflict(id);
+      setReceipt(prev => ({ ...prev, syncStatus: SYNC_STATUS.SYNCED }));
+    } catch (error) {
+      setError('Failed to update receipt: ' + error.message);
+    }
+  };
+  
   return (
     <>
       <MainNavbar />
@@ -182,19 +201,36 @@ const ViewReceipt = () => {
               {showSizeControls ? 'Hide Size Controls' : 'Adjust Size'}
             </Button>
             
-            <Button 
-              variant="warning" 
-              onClick={() => navigate(`/edit-receipt/${id}`)} 
-            >
-              <Translate textKey="edit" fallback="Edit" />
-            </Button>
-            
-            <Button 
-              variant="danger" 
-              onClick={() => navigate(`/return-products/${id}`)} 
-            >
-              <Translate textKey="returnProducts" fallback="Return Products" />
-            </Button>
+            {cancellation ? (
+              cancellation.status === RECEIPT_STATUS.CREDITED && (
+                <Button 
+                  variant="warning" 
+                  onClick={downloadCreditNote} 
+                >
+                  <Translate textKey="creditNote" fallback="Credit Note" /> PDF
+                </Button>
+              )
+            ) : (
+              <>
+                {hasPermission(PERMISSIONS.EDIT_RECEIPTS) && (
+                  <Button 
+                    variant="warning" 
+                    onClick={() => navigate(`/edit-receipt/${id}`)} 
+                  >
+                    <Translate textKey="edit" fallback="Edit" />
+                  </Button>
+                )}
+                
+                {hasPermission(PERMISSIONS.PROCESS_RETURNS) && (
+                  <Button 
+                    variant="danger" 
+                    onClick={() => navigate(`/return-products/${id}`)} 
+                  >
+                    <Translate textKey="returnProducts" fallback="Return Products" />
+                  </Button>
+                )}
+              </>
+            )}
             
             <Button 
               variant="outline-secondary" 
@@ -205,6 +241,52 @@ const ViewReceipt = () => {
           </div>
         </div>
         
+        {printError && (
+          <Alert variant="danger" dismissible onClose={() => setPrintError('')}>
+            {printError}
+          </Alert>
+        )}
+        
+        {cancellation && (
+          <Alert variant="secondary">
+            <strong>
+              {cancellation.status === RECEIPT_STATUS.VOID
+                ? 'This receipt was voided'
+                : `This sale was reversed by credit note ${cancellation.creditNoteNumber}`}
+            </strong>
+            {' '}on {formatDate(cancellation.date)} at {formatTime(cancellation.date)} by {cancellation.by || 'unknown'}.
+            <div>Reason: {cancellation.reason}</div>
+          </Alert>
+        )}
+        {receipt.syncStatus === SYNC_STATUS.PENDING && (
+          <Alert variant="warning">
+            This sale was made offline and is waiting to sync. Its stock will be deducted once it does.
+          </Alert>
+        )}
+        {getPendingReturns(receipt).length > 0 && (
+          <Alert variant="warning">
+            A return on this sale was made offline and is waiting to sync.
+          </Alert>
+        )}
+        {receipt.syncStatus === SYNC_STATUS.CONFLICT && (
+          <Alert variant="danger">
+            <p>This sale was made offline and sold more than was left in stock by the time it synced:</p>
+            <ul>
+              {(receipt.stockConflicts || []).map(conflict => (
+                <li key={conflict.stockItemId}>
+                  {conflict.name}: {conflict.deleted
+                    ? 'the item has since been deleted from stock'
+                    : `short by ${conflict.shortfall}, so its stock is now negative`}
+                </li>
+              ))}
+            </ul>
+            <p>Count the stock and correct it, then mark this as resolved.</p>
+            <Button variant="outline-danger" size="sm" onClick={handleResolveConflict}>
+              Mark Resolved
+            </Button>
+          </Alert>
+        )}
+        
         {showSizeControls && (
           <Card className="mb-3">
             <Card.Body>
@@ -235,124 +317,288 @@ const ViewReceipt = () => {
           </Card>
         )}
         
-        <div style={{ maxWidth: `${receiptWidth}%`, margin: '0 auto' }}>
-          <Card>
-            <Card.Body ref={pdfRef} className="p-4">
-              <div className="receipt-container">
-                <div className="text-center mb-4">
-                  {receipt.shopDetails.logoUrl && (
-                    <div className="mb-3" style={{ maxWidth: '150px', margin: '0 auto' }}>
-                      <img 
-                        src={receipt.shopDetails.logoUrl} 
-                        alt={receipt.shopDetails.name} 
-                        style={{ maxWidth: '100%', maxHeight: '100px' }}
-                        crossOrigin="anonymous"
-                        onError={(e) => {
-                          e.target.onerror = null;
-                          console.log('Logo failed to load');
-                          // Set a fallback or just hide the image
-                          e.target.style.display = 'none';
-                        }}
-                      />
+        <Tabs defaultActiveKey="receipt" className="mb-3">
+          <Tab eventKey="receipt" title="Receipt">
+            <div style={{ maxWidth: `${receiptWidth}%`, margin: '0 auto' }}>
+              <Card>
+                <Card.Body ref={pdfRef} className="p-4">
+                  <div className="receipt-container">
+                    <div className="text-center mb-4">
+                      {receipt.shopDetails.logoUrl && (
+                        <div className="mb-3" style={{ maxWidth: '150px', margin: '0 auto' }}>
+                          <img 
+                            src={receipt.shopDetails.logoUrl} 
+                            alt={receipt.shopDetails.name} 
+                            style={{ maxWidth: '100%', maxHeight: '100px' }}
+                            crossOrigin="anonymous"
+                            onError={(e) => {
+                              e.target.onerror = null;
+                              console.log('Logo failed to load');
+                              // Set a fallback or just hide the image
+                              e.target.style.display = 'none';
+                            }}
+                          />
+                        </div>
+                      )}
+                      <h3>{receipt.shopDetails.name}</h3>
+                      <p className="mb-0">{receipt.shopDetails.address}</p>
+                      <p>Tel: {receipt.shopDetails.phone}</p>
+                      {isInvoice && (
+                        <>
+                          <h5 className="mb-1">Sales Tax Invoice</h5>
+                          <p className="small mb-0">
+                            {receipt.shopDetails.ntn && `NTN: ${receipt.shopDetails.ntn}`}
+                            {receipt.shopDetails.ntn && receipt.shopDetails.strn && ' · '}
+                            {receipt.shopDetails.strn && `STRN: ${receipt.shopDetails.strn}`}
+                          </p>
+                        </>
+                      )}
                     </div>
-                  )}
-                  <h3>{receipt.shopDetails.name}</h3>
-                  <p className="mb-0">{receipt.shopDetails.address}</p>
-                  <p>Tel: {receipt.shopDetails.phone}</p>
-                </div>
                 
-                <Row className="mb-3">
-                  <Col xs={12} sm={6}>
-                    <p className="mb-1"><strong>Receipt #:</strong> {receipt.transactionId}</p>
-                    <p className="mb-1"><strong>Date:</strong> {formatDate(receipt.timestamp)}</p>
-                    <p className="mb-1"><strong>Time:</strong> {formatTime(receipt.timestamp)}</p>
-                  </Col>
-                  <Col xs={12} sm={6}>
-                    <p className="mb-1"><strong>Cashier:</strong> {receipt.cashierName}</p>
-                    <p className="mb-1"><strong>Manager:</strong> {receipt.managerName || 'N/A'}</p>
-                    <p className="mb-1"><strong>Payment Method:</strong> {receipt.paymentMethod}</p>
-                  </Col>
-                </Row>
+                    <Row className="mb-3">
+                      <Col xs={12} sm={6}>
+                        {receipt.invoiceNumber && (
+                          <p className="mb-1"><strong>Invoice #:</strong> {receipt.invoiceNumber}</p>
+                        )}
+                        <p className="mb-1"><strong>{receipt.invoiceNumber ? 'Transaction ID' : 'Receipt #'}:</strong> {receipt.transactionId}</p>
+                        <p className="mb-1"><strong>Date:</strong> {formatDate(receipt.timestamp)}</p>
+                        <p className="mb-1"><strong>Time:</strong> {formatTime(receipt.timestamp)}</p>
+                      </Col>
+                      <Col xs={12} sm={6}>
+                        <p className="mb-1"><strong>Cashier:</strong> {receipt.cashierName}</p>
+                        <p className="mb-1"><strong>Manager:</strong> {receipt.managerName || 'N/A'}</p>
+                        <p className="mb-1"><strong>Payment Method:</strong> {receipt.paymentMethod}</p>
+                        {receipt.customerId && (
+                          <p className="mb-1">
+                            <strong>Customer:</strong> <Link to={`/customer/${receipt.customerId}`}>{receipt.customerName}</Link>
+                          </p>
+                        )}
+                      </Col>
+                    </Row>
+                
+                    {isInvoice && receipt.buyer && (
+                      <div className="mb-3">
+                        <strong>Buyer:</strong> {receipt.buyer.name}
+                        {receipt.buyer.address && <div className="small">{receipt.buyer.address}</div>}
+                        {receipt.buyer.phone && <div className="small">Tel: {receipt.buyer.phone}</div>}
+                        {(receipt.buyer.ntn || receipt.buyer.strn) && (
+                          <div className="small">
+                            {receipt.buyer.ntn && `NTN: ${receipt.buyer.ntn}`}
+                            {receipt.buyer.ntn && receipt.buyer.strn && ' · '}
+                            {receipt.buyer.strn && `STRN: ${receipt.buyer.strn}`}
+                          </div>
+                        )}
+                      </div>
+                    )}
                 
-                <hr />
+                    <hr />
                 
-                <div className="table-responsive">
-                  <Table borderless className="receipt-table">
+                    <div className="table-responsive">
+                      <Table borderless className="receipt-table">
+                        <thead>
+                          <tr>
+                            <th>Item</th>
+                            <th>Category</th>
+                            <th className="text-end">Price</th>
+                            <th className="text-center">Qty</th>
+                            {showTax && <th className="text-end">{receipt.taxName || DEFAULT_TAX_NAME}</th>}
+                            <th className="text-end">Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {receipt.items.map((item, index) => (
+                            <tr key={index}>
+                              <td>{item.name}</td>
+                              <td>{item.category || 'Uncategorized'}</td>
+                              <td className="text-end">{formatCurrency(item.price)}</td>
+                              <td className="text-center">
+                                {item.quantity} {item.quantityUnit === 'kg' ? 'KG' : ''}
+                              </td>
+                              {showTax && (
+                                <td className="text-end">
+                                  {item.taxRate || 0}%
+                                  <div className="small text-muted">{formatCurrency(item.taxAmount || 0)}</div>
+                                </td>
+                              )}
+                              <td className="text-end">
+                                {formatCurrency(parseFloat(item.price) * parseFloat(item.quantity))}
+                                {parseFloat(item.discountAmount) > 0 && (
+                                  <div className="small text-success">-{formatCurrency(item.discountAmount)}</div>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                        <tfoot>
+                          {/* Calculate subtotal from items */}
+                          <tr>
+                            <th colSpan="3" className="text-end">Subtotal:</th>
+                            <th className="text-end">
+                              {formatCurrency(receipt.items.reduce((total, item) => 
+                                total + (parseFloat(item.price) * parseFloat(item.quantity)), 0))}
+                            </th>
+                          </tr>
+                          {/* Show line discounts and promotions if there were any */}
+                          {receipt.lineDiscountTotal > 0 && (
+                            <tr>
+                              <th colSpan="3" className="text-end">Item Discounts:</th>
+                              <th className="text-end">-{formatCurrency(receipt.lineDiscountTotal)}</th>
+                            </tr>
+                          )}
+                          {/* Show discount if it exists */}
+                          {receipt.discount > 0 && (
+                            <tr>
+                              <th colSpan="3" className="text-end">Discount:</th>
+                              <th className="text-end">{formatCurrency(receipt.discount)}</th>
+                            </tr>
+                          )}
+                          {/* Show tax charged at each rate */}
+                          {(receipt.taxBreakdown || []).map(tax => (
+                            <tr key={tax.taxRate}>
+                              <th colSpan="3" className="text-end">
+                                {receipt.pricesIncludeTax ? 'Includes ' : ''}{receipt.taxName || DEFAULT_TAX_NAME} @ {tax.taxRate}%:
+                              </th>
+                              <th className="text-end">{formatCurrency(tax.taxAmount)}</th>
+                            </tr>
+                          ))}
+                          <tr>
+                            <th colSpan="3" className="text-end">Total:</th>
+                            <th className="text-end">{formatCurrency(receipt.totalAmount)}</th>
+                          </tr>
+                          {/* Show each payment when the sale was split or change was given */}
+                          {receipt.payments && (receipt.payments.length > 1 || receipt.change > 0) && receipt.payments.map((payment, index) => (
+                            <tr key={`payment-${index}`}>
+                              <th colSpan="3" className="text-end">
+                                {getPaymentMethod(payment.method).label}{payment.reference ? ` (${payment.reference})` : ''}:
+                              </th>
+                              <th className="text-end">{formatCurrency(payment.amount)}</th>
+                            </tr>
+                          ))}
+                          {receipt.change > 0 && (
+                            <tr>
+                              <th colSpan="3" className="text-end">Change:</th>
+                              <th className="text-end">{formatCurrency(receipt.change)}</th>
+                            </tr>
+                          )}
+                          {/* Show return information if it exists */}
+                          {returns.length > 0 && (
+                            <>
+                              <tr className="text-danger">
+                                <th colSpan="4" className="text-center pt-3">Return Information</th>
+                              </tr>
+                              {returns.map(returnEvent => (
+                                <React.Fragment key={returnEvent.returnNumber}>
+                                  <tr className="text-danger">
+                                    <th colSpan="3" className="text-end">
+                                      Return {returnEvent.returnNumber} ({formatDate(returnEvent.returnDate)}):
+                                    </th>
+                                    <th className="text-end">-{formatCurrency(returnEvent.returnTotal)}</th>
+                                  </tr>
+                                  {parseFloat(returnEvent.exchangeTotal) > 0 && (
+                                    <tr>
+                                      <th colSpan="3" className="text-end">Exchanged For:</th>
+                                      <th className="text-end">{formatCurrency(returnEvent.exchangeTotal)}</th>
+                                    </tr>
+                                  )}
+                                </React.Fragment>
+                              ))}
+                              <tr>
+                                <th colSpan="3" className="text-end">Final Total:</th>
+                                <th className="text-end">{formatCurrency(parseFloat(receipt.totalAmount) - returnTotals.returnTotal + returnTotals.exchangeTotal)}</th>
+                              </tr>
+                            </>
+                          )}
+                        </tfoot>
+                      </Table>
+                    </div>
+                
+                    {receipt.customerId && (receipt.loyaltyPointsEarned > 0 || receipt.loyaltyPointsRedeemed > 0) && (
+                      <div className="small mb-2">
+                        <strong>Loyalty Points:</strong>
+                        {receipt.loyaltyPointsEarned > 0 && ` earned ${receipt.loyaltyPointsEarned},`}
+                        {receipt.loyaltyPointsRedeemed > 0 && ` spent ${receipt.loyaltyPointsRedeemed},`}
+                        {receipt.loyaltyPointsBalance !== undefined && ` balance ${receipt.loyaltyPointsBalance}`}
+                        {returnTotals.loyaltyPointsReversed > 0 && (
+                          <div>{returnTotals.loyaltyPointsReversed} points taken back on return</div>
+                        )}
+                      </div>
+                    )}
+                
+                    {receipt.appliedPromotions && receipt.appliedPromotions.length > 0 && (
+                      <div className="small">
+                        <strong>Promotions applied:</strong>
+                        {receipt.appliedPromotions.map(promotion => (
+                          <div key={promotion.promotionId}>
+                            {promotion.name}{promotion.couponCode ? ` (${promotion.couponCode})` : ''}: {formatCurrency(promotion.amount)}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                
+                    <hr />
+                
+                    <div className="text-center mt-4">
+                      <p>Thank you for your business!</p>
+                      {receipt.shopDetails.receiptDescription && (
+                        <p className="mt-2">{receipt.shopDetails.receiptDescription}</p>
+                      )}
+                      <p className="small text-muted">Receipt ID: {receipt.id}</p>
+                    </div>
+                  </div>
+                </Card.Body>
+              </Card>
+            </div>
+          </Tab>
+          {returns.length > 0 && (
+            <Tab eventKey="returns" title={`Returns (${returns.length})`}>
+              <Card>
+                <Card.Body>
+                  <Table size="sm" bordered>
                     <thead>
                       <tr>
-                        <th>Item</th>
-                        <th>Category</th>
-                        <th className="text-end">Price</th>
-                        <th className="text-center">Qty</th>
-                        <th className="text-end">Total</th>
+                        <th>Return</th>
+                        <th>Date</th>
+                        <th>Items</th>
+                        <th className="text-end">Returned</th>
+                        <th className="text-end">Exchanged For</th>
+                        <th className="text-end">Refunded</th>
+                        <th></th>
                       </tr>
                     </thead>
                     <tbody>
-                      {receipt.items.map((item, index) => (
-                        <tr key={index}>
-                          <td>{item.name}</td>
-                          <td>{item.category || 'Uncategorized'}</td>
-                          <td className="text-end">{formatCurrency(item.price)}</td>
-                          <td className="text-center">
-                            {item.quantity} {item.quantityUnit === 'kg' ? 'KG' : ''}
+                      {returns.map(returnEvent => (
+                        <tr key={returnEvent.returnNumber}>
+                          <td>{returnEvent.returnNumber}</td>
+                          <td>{formatDate(returnEvent.returnDate)} {formatTime(returnEvent.returnDate)}</td>
+                          <td>{returnEvent.returnedItems.map(item => `${item.quantity} × ${item.name}`).join(', ')}</td>
+                          <td className="text-end">{formatCurrency(returnEvent.returnTotal)}</td>
+                          <td className="text-end">{parseFloat(returnEvent.exchangeTotal) > 0 ? formatCurrency(returnEvent.exchangeTotal) : '-'}</td>
+                          <td className="text-end">{parseFloat(returnEvent.refundAmount) > 0 ? formatCurrency(returnEvent.refundAmount) : '-'}</td>
+                          <td>
+                            <Button
+                              variant="outline-primary"
+                              size="sm"
+                              onClick={() => downloadReturnSlip(returnEvent)}
+                            >
+                              Return Slip
+                            </Button>
                           </td>
-                          <td className="text-end">{formatCurrency(parseFloat(item.price) * parseFloat(item.quantity))}</td>
                         </tr>
                       ))}
                     </tbody>
-                    <tfoot>
-                      {/* Calculate subtotal from items */}
-                      <tr>
-                        <th colSpan="3" className="text-end">Subtotal:</th>
-                        <th className="text-end">
-                          {formatCurrency(receipt.items.reduce((total, item) => 
-                            total + (parseFloat(item.price) * parseFloat(item.quantity)), 0))}
-                        </th>
-                      </tr>
-                      {/* Show discount if it exists */}
-                      {receipt.discount > 0 && (
-                        <tr>
-                          <th colSpan="3" className="text-end">Discount:</th>
-                          <th className="text-end">{formatCurrency(receipt.discount)}</th>
-                        </tr>
-                      )}
-                      <tr>
-                        <th colSpan="3" className="text-end">Total:</th>
-                        <th className="text-end">{formatCurrency(receipt.totalAmount)}</th>
-                      </tr>
-                      {/* Show return information if it exists */}
-                      {receipt.returnInfo && receipt.returnInfo.returnedItems && (
-                        <>
-                          <tr className="text-danger">
-                            <th colSpan="4" className="text-center pt-3">Return Information</th>
-                          </tr>
-                          <tr className="text-danger">
-                            <th colSpan="3" className="text-end">Return Amount:</th>
-                            <th className="text-end">-{formatCurrency(receipt.returnInfo.returnTotal)}</th>
-                          </tr>
-                          <tr>
-                            <th colSpan="3" className="text-end">Final Total:</th>
-                            <th className="text-end">{formatCurrency(parseFloat(receipt.totalAmount) - parseFloat(receipt.returnInfo.returnTotal))}</th>
-                          </tr>
-                        </>
-                      )}
-                    </tfoot>
                   </Table>
-                </div>
-                
-                <hr />
-                
-                <div className="text-center mt-4">
-                  <p>Thank you for your business!</p>
-                  {receipt.shopDetails.receiptDescription && (
-                    <p className="mt-2">{receipt.shopDetails.receiptDescription}</p>
-                  )}
-                  <p className="small text-muted">Receipt ID: {receipt.id}</p>
-                </div>
-              </div>
-            </Card.Body>
-          </Card>
-        </div>
+                </Card.Body>
+              </Card>
+            </Tab>
+          )}
+          <Tab eventKey="history" title={`History${receipt.revision > 0 ? ` (${receipt.revision})` : ''}`}>
+            <Card>
+              <Card.Body>
+                <ReceiptHistory receipt={receipt} />
+              </Card.Body>
+            </Card>
+          </Tab>
+        </Tabs>
       </Container>
     </>
   );
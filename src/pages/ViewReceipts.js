@@ -1,25 +1,30 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Table, Button, Card, Form, InputGroup, Row, Col, Modal } from 'react-bootstrap';
+import { Container, Table, Button, Card, Form, InputGroup, Row, Col, Modal, Badge, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { formatCurrency, formatDate, deleteReceipt } from '../utils/receiptUtils';
+import { formatCurrency, formatDate, voidReceipt, issueCreditNote, SYNC_STATUS } from '../utils/receiptUtils';
+import { RECEIPT_STATUS, isReceiptCancelled } from '../utils/voidUtils';
+import { hasReturns, getPendingReturns } from '../utils/returnUtils';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import './ViewReceipts.css'; // Import the custom CSS
 import { Translate, useTranslatedData, useTranslatedAttribute } from '../utils';
+import { PERMISSIONS } from '../utils/staffUtils';
 
 const ViewReceipts = () => {
-  const { currentUser } = useAuth();
+  const { currentUser, shopId, hasPermission } = useAuth();
   const [receipts, setReceipts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortField, setSortField] = useState('timestamp');
   const [sortDirection, setSortDirection] = useState('desc');
   const [dateFilter, setDateFilter] = useState('');
-  const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [receiptToDelete, setReceiptToDelete] = useState(null);
-  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [receiptToCancel, setReceiptToCancel] = useState(null);
+  const [cancelStatus, setCancelStatus] = useState(RECEIPT_STATUS.VOID);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelError, setCancelError] = useState('');
+  const [cancelLoading, setCancelLoading] = useState(false);
   const navigate = useNavigate();
 
   // Translate receipts data
@@ -28,14 +33,14 @@ const ViewReceipts = () => {
   const getTranslatedAttr = useTranslatedAttribute();
 
   const fetchReceipts = useCallback(() => {
-    if (!currentUser) return;
+    if (!shopId) return;
     
     setLoading(true);
     // Create a simple query without ordering
     const receiptRef = collection(db, 'receipts');
     const receiptQuery = query(
       receiptRef,
-      where('shopId', '==', currentUser.uid)
+      where('shopId', '==', shopId)
     );
     
     getDocs(receiptQuery)
@@ -54,7 +59,7 @@ const ViewReceipts = () => {
       .finally(() => {
         setLoading(false);
       });
-  }, [currentUser]);
+  }, [shopId]);
 
   useEffect(() => {
     fetchReceipts();
@@ -65,6 +70,7 @@ const ViewReceipts = () => {
     .filter(receipt => {
       const matchesSearch = 
         receipt.transactionId.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        (receipt.invoiceNumber || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
         receipt.cashierName.toLowerCase().includes(searchTerm.toLowerCase()) ||
         receipt.items.some(item => item.name.toLowerCase().includes(searchTerm.toLowerCase()));
       
@@ -106,25 +112,46 @@ const ViewReceipts = () => {
     navigate(`/edit-receipt/${receiptId}`);
   };
 
-  // Handle delete receipt confirmation
-  const handleDeleteConfirmation = (receipt) => {
-    setReceiptToDelete(receipt);
-    setShowDeleteModal(true);
+  // Receipts can be voided or credited once synced, if nothing has been returned
+  const canCancelReceipt = (receipt) =>
+    hasPermission(PERMISSIONS.VOID_RECEIPTS) &&
+    !isReceiptCancelled(receipt) &&
+    receipt.syncStatus !== SYNC_STATUS.PENDING &&
+    !hasReturns(receipt);
+  
+  // Open the void or credit note confirmation for a receipt
+  const handleCancelConfirmation = (receipt, status) => {
+    setReceiptToCancel(receipt);
+    setCancelStatus(status);
+    setCancelReason('');
+    setCancelError('');
   };
 
-  // Handle delete receipt
-  const handleDeleteReceipt = async () => {
-    if (!receiptToDelete) return;
+  // Void the receipt or issue its credit note, handing any cash back out of the drawer
+  const handleCancelReceipt = async () => {
+    if (!receiptToCancel) return;
+    if (!cancelReason.trim()) {
+      setCancelError('Please give a reason');
+      return;
+    }
     
-    setDeleteLoading(true);
+    setCancelLoading(true);
+    setCancelError('');
     try {
-      await deleteReceipt(receiptToDelete.id);
-      setReceipts(prevReceipts => prevReceipts.filter(r => r.id !== receiptToDelete.id));
-      setShowDeleteModal(false);
+      const details = { reason: cancelReason, cancelledBy: currentUser.email };
+      const isCreditNote = cancelStatus === RECEIPT_STATUS.CREDITED;
+      if (isCreditNote) {
+        await issueCreditNote(receiptToCancel.id, details);
+      } else {
+        await voidReceipt(receiptToCancel.id, details);
+      }
+      
+      setReceiptToCancel(null);
+      fetchReceipts();
     } catch (error) {
-      console.error('Error deleting receipt:', error);
+      setCancelError(error.message);
     } finally {
-      setDeleteLoading(false);
+      setCancelLoading(false);
     }
   };
 
@@ -241,7 +268,27 @@ const ViewReceipts = () => {
                       {filteredReceipts.map(receipt => (
                         <tr key={receipt.id}>
                           <td data-label={getTranslatedAttr("receiptDate")}>{formatDate(receipt.timestamp)}</td>
-                          <td data-label={getTranslatedAttr("receiptTransactionId")} className="text-nowrap">{receipt.transactionId}</td>
+                          <td data-label={getTranslatedAttr("receiptTransactionId")} className="text-nowrap">
+                            {receipt.transactionId}
+                            {receipt.invoiceNumber && (
+                              <div className="small text-muted">{receipt.invoiceNumber}</div>
+                            )}
+                            {receipt.syncStatus === SYNC_STATUS.PENDING && (
+                              <div><Badge bg="warning" text="dark">Pending sync</Badge></div>
+                            )}
+                            {receipt.syncStatus === SYNC_STATUS.CONFLICT && (
+                              <div><Badge bg="danger">Stock conflict</Badge></div>
+                            )}
+                            {getPendingReturns(receipt).length > 0 && (
+                              <div><Badge bg="warning" text="dark">Return pending sync</Badge></div>
+                            )}
+                            {receipt.status === RECEIPT_STATUS.VOID && (
+                              <div><Badge bg="secondary">Void</Badge></div>
+                            )}
+                            {receipt.status === RECEIPT_STATUS.CREDITED && (
+                              <div><Badge bg="secondary">Credited</Badge></div>
+                            )}
+                          </td>
                           <td data-label={getTranslatedAttr("receiptCashier")}>{receipt.cashierName}</td>
                           <td data-label={getTranslatedAttr("receiptItems")} className="item-column">
                             <div className="item-cell-content">
@@ -259,20 +306,33 @@ const ViewReceipts = () => {
                               >
                                 <Translate textKey="receiptView" />
                               </Button>
-                              <Button 
-                                variant="outline-secondary" 
-                                size="sm"
-                                onClick={() => handleEditReceipt(receipt.id)}
-                              >
-                                <Translate textKey="edit" fallback="Edit" />
-                              </Button>
-                              <Button 
-                                variant="outline-danger" 
-                                size="sm"
-                                onClick={() => handleDeleteConfirmation(receipt)}
-                              >
-                                <Translate textKey="delete" fallback="Delete" />
-                              </Button>
+                              {!isReceiptCancelled(receipt) && hasPermission(PERMISSIONS.EDIT_RECEIPTS) && (
+                                <Button 
+                                  variant="outline-secondary" 
+                                  size="sm"
+                                  onClick={() => handleEditReceipt(receipt.id)}
+                                >
+                                  <Translate textKey="edit" fallback="Edit" />
+                                </Button>
+                              )}
+                              {canCancelReceipt(receipt) && (
+                                <>
+                                  <Button 
+                                    variant="outline-danger" 
+                                    size="sm"
+                                    onClick={() => handleCancelConfirmation(receipt, RECEIPT_STATUS.VOID)}
+                                  >
+                                    <Translate textKey="voidReceipt" fallback="Void" />
+                                  </Button>
+                                  <Button 
+                                    variant="outline-warning" 
+                                    size="sm"
+                                    onClick={() => handleCancelConfirmation(receipt, RECEIPT_STATUS.CREDITED)}
+                                  >
+                                    <Translate textKey="creditNote" fallback="Credit Note" />
+                                  </Button>
+                                </>
+                              )}
                             </div>
                           </td>
                         </tr>
@@ -288,57 +348,76 @@ const ViewReceipts = () => {
                 </p>
               )}
               
-              <div className="mt-3">
+              <div className="mt-3 d-flex gap-2">
                 <Button 
                   variant="success" 
                   onClick={() => navigate('/new-receipt')}
                 >
                   <Translate textKey="receiptCreateNew" />
                 </Button>
+                {hasPermission(PERMISSIONS.VIEW_REPORTS) && (
+                  <Button 
+                    variant="outline-secondary" 
+                    onClick={() => navigate('/voids')}
+                  >
+                    <Translate textKey="voidsAndCreditNotes" fallback="Voids & Credit Notes" />
+                  </Button>
+                )}
               </div>
             </Card.Body>
           </Card>
         )}
 
-        {/* Delete Confirmation Modal */}
-        <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)} centered>
+        {/* Void / Credit Note Confirmation Modal */}
+        <Modal show={!!receiptToCancel} onHide={() => setReceiptToCancel(null)} centered>
           <Modal.Header closeButton>
-            <Modal.Title><Translate textKey="confirmDelete" fallback="Confirm Delete" /></Modal.Title>
+            <Modal.Title>
+              {cancelStatus === RECEIPT_STATUS.CREDITED ? (
+                <Translate textKey="issueCreditNote" fallback="Issue Credit Note" />
+              ) : (
+                <Translate textKey="voidReceipt" fallback="Void Receipt" />
+              )}
+            </Modal.Title>
           </Modal.Header>
           <Modal.Body>
-            <p>
-              <Translate 
-                textKey="confirmDeleteReceipt" 
-                fallback="Are you sure you want to delete this receipt?" 
-              />
-            </p>
-            {receiptToDelete && (
+            {cancelError && <Alert variant="danger">{cancelError}</Alert>}
+            {receiptToCancel && (
               <p>
-                <strong><Translate textKey="receiptTransactionId" />:</strong> {receiptToDelete.transactionId}<br />
-                <strong><Translate textKey="receiptDate" />:</strong> {formatDate(receiptToDelete.timestamp)}<br />
-                <strong><Translate textKey="totalAmount" />:</strong> {formatCurrency(receiptToDelete.totalAmount)}
+                <strong><Translate textKey="receiptTransactionId" />:</strong> {receiptToCancel.transactionId}<br />
+                <strong><Translate textKey="receiptDate" />:</strong> {formatDate(receiptToCancel.timestamp)}<br />
+                <strong><Translate textKey="totalAmount" />:</strong> {formatCurrency(receiptToCancel.totalAmount)}
               </p>
             )}
-            <p className="text-danger">
-              <Translate 
-                textKey="deleteWarning" 
-                fallback="This action cannot be undone." 
-              />
+            <p className="text-muted small">
+              {cancelStatus === RECEIPT_STATUS.CREDITED
+                ? 'A numbered credit note will be issued to reverse this sale.'
+                : 'The receipt will be kept but marked void.'}
+              {' '}Its items go back into stock and it no longer counts towards sales.
             </p>
+            <Form.Group>
+              <Form.Label><Translate textKey="reason" fallback="Reason" /></Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                required
+              />
+            </Form.Group>
           </Modal.Body>
           <Modal.Footer>
-            <Button variant="secondary" onClick={() => setShowDeleteModal(false)}>
+            <Button variant="secondary" onClick={() => setReceiptToCancel(null)}>
               <Translate textKey="cancel" fallback="Cancel" />
             </Button>
             <Button 
               variant="danger" 
-              onClick={handleDeleteReceipt}
-              disabled={deleteLoading}
+              onClick={handleCancelReceipt}
+              disabled={cancelLoading}
             >
-              {deleteLoading ? (
-                <Translate textKey="deleting" fallback="Deleting..." />
+              {cancelLoading ? 'Saving...' : cancelStatus === RECEIPT_STATUS.CREDITED ? (
+                <Translate textKey="issueCreditNote" fallback="Issue Credit Note" />
               ) : (
-                <Translate textKey="delete" fallback="Delete" />
+                <Translate textKey="voidReceipt" fallback="Void Receipt" />
               )}
             </Button>
           </Modal.Footer>
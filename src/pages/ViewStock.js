@@ -1,20 +1,25 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Table, Button, Card, Form, InputGroup, Row, Col, Badge, Modal } from 'react-bootstrap';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainNavbar from '../components/Navbar';
-import { getShopStock, deleteStockItem } from '../utils/stockUtils';
+import { getShopStock, deleteStockItem, isLowStock } from '../utils/stockUtils';
 import './ViewStock.css'; // Import the custom CSS
 import { Translate, useTranslatedAttribute } from '../utils';
+import { PERMISSIONS } from '../utils/staffUtils';
 
 const ViewStock = () => {
-  const { currentUser } = useAuth();
+  const { currentUser, shopId, hasPermission } = useAuth();
+  const canEditStock = hasPermission(PERMISSIONS.EDIT_STOCK);
   const [stockItems, setStockItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortField, setSortField] = useState('name');
   const [sortDirection, setSortDirection] = useState('asc');
   const [categoryFilter, setCategoryFilter] = useState('');
+  const location = useLocation();
+  // The Dashboard low-stock panel links here with the filter already set
+  const [stockLevelFilter, setStockLevelFilter] = useState(location.state?.stockLevelFilter || '');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
   const navigate = useNavigate();
@@ -23,12 +28,12 @@ const ViewStock = () => {
   const getTranslatedAttr = useTranslatedAttribute();
 
   const fetchStock = useCallback(() => {
-    if (!currentUser) return;
+    if (!shopId) return;
     
     setLoading(true);
     
     // Create a simple function to fetch stock items
-    getShopStock(currentUser.uid)
+    getShopStock(shopId)
       .then(stockData => {
         console.log('Stock data fetched:', stockData);
         setStockItems(stockData);
@@ -39,7 +44,7 @@ const ViewStock = () => {
       .finally(() => {
         setLoading(false);
       });
-  }, [currentUser]);
+  }, [shopId]);
 
   useEffect(() => {
     // Redirect to login if user is not authenticated
@@ -64,7 +69,14 @@ const ViewStock = () => {
       
       const matchesCategory = categoryFilter ? item.category === categoryFilter : true;
       
-      return matchesSearch && matchesCategory;
+      let matchesStockLevel = true;
+      if (stockLevelFilter === 'low') {
+        matchesStockLevel = isLowStock(item);
+      } else if (stockLevelFilter === 'out') {
+        matchesStockLevel = parseFloat(item.quantity) <= 0;
+      }
+      
+      return matchesSearch && matchesCategory && matchesStockLevel;
     })
     .sort((a, b) => {
       // Handle client-side sorting
@@ -114,10 +126,13 @@ const ViewStock = () => {
       });
   };
 
-  // Determine badge color based on quantity
-  const getQuantityBadgeVariant = (quantity) => {
-    if (quantity <= 0) return 'danger';
-    if (quantity <= 10) return 'warning';
+  // Determine badge color based on quantity, using the item's reorder level when it has one
+  const getQuantityBadgeVariant = (item) => {
+    if (item.quantity <= 0) return 'danger';
+    if (item.reorderLevel !== undefined && item.reorderLevel !== null) {
+      return isLowStock(item) ? 'warning' : 'success';
+    }
+    if (item.quantity <= 10) return 'warning';
     return 'success';
   };
 
@@ -127,12 +142,23 @@ const ViewStock = () => {
       <Container>
         <div className="d-flex justify-content-between align-items-center mb-4">
           <h2><Translate textKey="stockInventory" /></h2>
-          <Button 
-            variant="success" 
-            onClick={() => navigate('/add-stock')}
-          >
-            <Translate textKey="addNewItem" />
-          </Button>
+          {canEditStock && (
+            <div>
+              <Button 
+                variant="outline-primary" 
+                onClick={() => navigate('/reorder-suggestions')}
+                className="me-2"
+              >
+                <Translate textKey="reorderSuggestions" fallback="Reorder Suggestions" />
+              </Button>
+              <Button 
+                variant="success" 
+                onClick={() => navigate('/add-stock')}
+              >
+                <Translate textKey="addNewItem" />
+              </Button>
+            </div>
+          )}
         </div>
         
         <Card className="mb-4">
@@ -176,6 +202,20 @@ const ViewStock = () => {
                   </Form.Select>
                 </Form.Group>
               </Col>
+              
+              <Col md={6} lg={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label><Translate textKey="stockLevel" fallback="Stock Level" /></Form.Label>
+                  <Form.Select
+                    value={stockLevelFilter}
+                    onChange={(e) => setStockLevelFilter(e.target.value)}
+                  >
+                    <option value="">All Items</option>
+                    <option value="low">At or Below Reorder Level</option>
+                    <option value="out">Out of Stock</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
             </Row>
           </Card.Body>
         </Card>
@@ -243,28 +283,40 @@ const ViewStock = () => {
                           <td data-label={getTranslatedAttr("category")}>{item.category || '-'}</td>
                           <td data-label={getTranslatedAttr("price")}>RS{parseFloat(item.price).toFixed(2)}</td>
                           <td data-label={getTranslatedAttr("quantity")}>
-                            <Badge bg={getQuantityBadgeVariant(item.quantity)}>
+                            <Badge bg={getQuantityBadgeVariant(item)}>
                               {item.quantity} {item.quantityUnit === 'kg' ? 'KG' : 'Units'}
                             </Badge>
                           </td>
                           <td data-label={getTranslatedAttr("lastUpdated")}>{new Date(item.updatedAt).toLocaleDateString()}</td>
                           <td data-label={getTranslatedAttr("actions")}>
+                            {canEditStock && (
+                              <Button 
+                                variant="outline-primary" 
+                                size="sm"
+                                onClick={() => navigate(`/edit-stock/${item.id}`)}
+                                className="me-1 mb-1"
+                              >
+                                <Translate textKey="edit" />
+                              </Button>
+                            )}
                             <Button 
-                              variant="outline-primary" 
+                              variant="outline-secondary" 
                               size="sm"
-                              onClick={() => navigate(`/edit-stock/${item.id}`)}
+                              onClick={() => navigate(`/stock/${item.id}/history`)}
                               className="me-1 mb-1"
                             >
-                              <Translate textKey="edit" />
-                            </Button>
-                            <Button 
-                              variant="outline-danger" 
-                              size="sm"
-                              onClick={() => confirmDelete(item)}
-                              className="mb-1"
-                            >
-                              <Translate textKey="delete" />
+                              <Translate textKey="history" fallback="History" />
                             </Button>
+                            {canEditStock && (
+                              <Button 
+                                variant="outline-danger" 
+                                size="sm"
+                                onClick={() => confirmDelete(item)}
+                                className="mb-1"
+                              >
+                                <Translate textKey="delete" />
+                              </Button>
+                            )}
                           </td>
                         </tr>
                       ))}
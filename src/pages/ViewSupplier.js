@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Table, Form, Alert, Badge } from 'react-bootstrap';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { getSupplierById, getSupplierPayments, recordSupplierPayment } from '../utils/supplierUtils';
+import { getShopStock } from '../utils/stockUtils';
+import { getShopPurchaseOrders, PURCHASE_ORDER_STATUS_BADGES } from '../utils/purchaseUtils';
+import { getExpenseCategories } from '../utils/expenseUtils';
+import { formatCurrency, formatDate } from '../utils/receiptUtils';
+
+const ViewSupplier = () => {
+  const { id } = useParams();
+  const { shopId } = useAuth();
+  const navigate = useNavigate();
+  
+  const [supplier, setSupplier] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [expenseCategories, setExpenseCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  
+  // Payment form
+  const [payment, setPayment] = useState({
+    amount: '',
+    expenseDate: new Date().toISOString().split('T')[0],
+    categoryId: '',
+    paymentMethod: 'cash',
+    notes: ''
+  });
+  const [paying, setPaying] = useState(false);
+  
+  const fetchSupplier = useCallback(async () => {
+    if (!shopId || !id) return;
+    
+    try {
+      const supplierData = await getSupplierById(id);
+      if (supplierData.shopId !== shopId) {
+        throw new Error('You do not have permission to view this supplier');
+      }
+      
+      const [stockItems, orders, supplierPayments, categories] = await Promise.all([
+        getShopStock(shopId),
+        getShopPurchaseOrders(shopId),
+        getSupplierPayments(shopId, id),
+        getExpenseCategories(shopId)
+      ]);
+      
+      setSupplier(supplierData);
+      setProducts(stockItems.filter(item => item.supplierId === id));
+      setPurchaseOrders(orders.filter(order => order.supplierId === id));
+      setPayments(supplierPayments);
+      setExpenseCategories(categories);
+    } catch (error) {
+      setError('Failed to load supplier: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, shopId]);
+  
+  useEffect(() => {
+    fetchSupplier();
+  }, [fetchSupplier]);
+  
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  // Pay the supplier; the payment shows up in the expenses module too
+  const handlePayment = async (e) => {
+    e.preventDefault();
+    setError('');
+    setPaying(true);
+    
+    try {
+      await recordSupplierPayment(supplier, payment);
+      setSuccess(`Payment of ${formatCurrency(payment.amount)} recorded as an expense`);
+      setTimeout(() => setSuccess(''), 3000);
+      setPayment(prev => ({ ...prev, amount: '', notes: '' }));
+      await fetchSupplier();
+    } catch (error) {
+      setError('Failed to record payment: ' + error.message);
+    } finally {
+      setPaying(false);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="text-center mt-5">
+          <p>Loading supplier...</p>
+        </Container>
+      </>
+    );
+  }
+  
+  if (!supplier) {
+    return (
+      <>
+        <MainNavbar />
+        <Container className="mt-4">
+          <Alert variant="danger">{error || 'Supplier not found'}</Alert>
+          <Button variant="primary" onClick={() => navigate('/suppliers')}>
+            Back to Suppliers
+          </Button>
+        </Container>
+      </>
+    );
+  }
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container className="pb-4">
+        <div className="d-flex justify-content-between align-items-center my-3">
+          <h2>{supplier.name}</h2>
+          <Button variant="outline-secondary" onClick={() => navigate('/suppliers')}>
+            Back to Suppliers
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        
+        <Row>
+          <Col lg={6}>
+            <Card className="mb-4">
+              <Card.Body>
+                <p className="mb-1"><strong>Contact:</strong> {supplier.contactPerson || '-'}</p>
+                <p className="mb-1"><strong>Phone:</strong> {supplier.phone || '-'}</p>
+                <p className="mb-1"><strong>Email:</strong> {supplier.email || '-'}</p>
+                <p className="mb-1"><strong>Address:</strong> {supplier.address || '-'}</p>
+                <p className="mb-1">
+                  <strong>Payment Terms:</strong> {supplier.paymentTermsDays ? `${supplier.paymentTermsDays} days` : 'On delivery'}
+                </p>
+                {supplier.notes && <p className="mb-1"><strong>Notes:</strong> {supplier.notes}</p>}
+                <h4 className="mt-3 mb-0">
+                  We owe: <Badge bg={supplier.outstandingBalance > 0 ? 'danger' : 'success'}>
+                    {formatCurrency(supplier.outstandingBalance || 0)}
+                  </Badge>
+                </h4>
+              </Card.Body>
+            </Card>
+          </Col>
+          
+          <Col lg={6}>
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">Record Payment</h5>
+              </Card.Header>
+              <Card.Body>
+                <Form onSubmit={handlePayment}>
+                  <Row>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Amount (RS)*</Form.Label>
+                        <Form.Control
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          name="amount"
+                          required
+                          value={payment.amount}
+                          onChange={handlePaymentChange}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Date*</Form.Label>
+                        <Form.Control
+                          type="date"
+                          name="expenseDate"
+                          required
+                          value={payment.expenseDate}
+                          onChange={handlePaymentChange}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  <Row>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Expense Category</Form.Label>
+                        <Form.Select name="categoryId" value={payment.categoryId} onChange={handlePaymentChange}>
+                          <option value="">Uncategorized</option>
+                          {expenseCategories.map(category => (
+                            <option key={category.id} value={category.id}>{category.name}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col sm={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Payment Method</Form.Label>
+                        <Form.Select name="paymentMethod" value={payment.paymentMethod} onChange={handlePaymentChange}>
+                          <option value="cash">Cash</option>
+                          <option value="bank_transfer">Bank Transfer</option>
+                          <option value="check">Check</option>
+                          <option value="other">Other</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Notes</Form.Label>
+                    <Form.Control name="notes" value={payment.notes} onChange={handlePaymentChange} placeholder="Optional" />
+                  </Form.Group>
+                  <Button variant="success" type="submit" disabled={paying}>
+                    {paying ? 'Saving...' : 'Record Payment'}
+                  </Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+        
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">Products Supplied</h5>
+          </Card.Header>
+          <Card.Body>
+            {products.length > 0 ? (
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Category</th>
+                    <th className="text-end">Cost Price</th>
+                    <th className="text-end">In Stock</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map(item => (
+                    <tr key={item.id}>
+                      <td><Link to={`/stock/${item.id}/history`}>{item.name}</Link></td>
+                      <td>{item.category || '-'}</td>
+                      <td className="text-end">{item.costPrice ? formatCurrency(item.costPrice) : '-'}</td>
+                      <td className="text-end">{item.quantity} {item.quantityUnit === 'kg' ? 'KG' : 'Units'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No stock items are linked to this supplier.</p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">Purchase Orders</h5>
+          </Card.Header>
+          <Card.Body>
+            {purchaseOrders.length > 0 ? (
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>PO #</th>
+                    <th>Order Date</th>
+                    <th>Status</th>
+                    <th className="text-end">Total Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {purchaseOrders.map(order => {
+                    const badge = PURCHASE_ORDER_STATUS_BADGES[order.status] || { bg: 'secondary', label: order.status };
+                    return (
+                      <tr key={order.id}>
+                        <td><Link to={`/purchase-order/${order.id}`}>{order.poNumber}</Link></td>
+                        <td>{formatDate(order.orderDate)}</td>
+                        <td><Badge bg={badge.bg}>{badge.label}</Badge></td>
+                        <td className="text-end">{formatCurrency(order.totalCost || 0)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No purchase orders for this supplier.</p>
+            )}
+          </Card.Body>
+        </Card>
+        
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Payments</h5>
+          </Card.Header>
+          <Card.Body>
+            {payments.length > 0 ? (
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Method</th>
+                    <th className="text-end">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payments.map(expense => (
+                    <tr key={expense.id}>
+                      <td>{formatDate(expense.expenseDate)}</td>
+                      <td><Link to={`/edit-expense/${expense.id}`}>{expense.description}</Link></td>
+                      <td>{expense.paymentMethod}</td>
+                      <td className="text-end">{formatCurrency(expense.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-center mb-0">No payments recorded yet.</p>
+            )}
+          </Card.Body>
+        </Card>
+      </Container>
+    </>
+  );
+};
+
+export default ViewSupplier;
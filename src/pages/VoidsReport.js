@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Form, Button, Row, Col, Table, Alert, Spinner, Badge } from 'react-bootstrap';
+import { useNavigate, Link } from 'react-router-dom';
+import { format, startOfMonth, endOfMonth } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import MainNavbar from '../components/Navbar';
+import { formatCurrency, formatDate, formatTime } from '../utils/receiptUtils';
+import { getCancelledReceipts, getReceiptCancellation, getCreditNoteById, RECEIPT_STATUS } from '../utils/voidUtils';
+import { downloadCreditNotePdf } from '../utils/pdfUtils';
+import Translate from '../components/Translate';
+
+const VoidsReport = () => {
+  const { shopId } = useAuth();
+  const [startDate, setStartDate] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [endDate, setEndDate] = useState(format(endOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  
+  useEffect(() => {
+    if (!shopId) return;
+    
+    getCancelledReceipts(shopId)
+      .then(setReceipts)
+      .catch(error => {
+        setError('Failed to load voided receipts: ' + error.message);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [shopId]);
+  
+  // Date inputs are local dates, so compare against each cancellation's local day
+  const entries = receipts
+    .map(receipt => ({ receipt, cancellation: getReceiptCancellation(receipt) }))
+    .filter(({ cancellation }) => {
+      if (!cancellation) return false;
+      const day = format(new Date(cancellation.date), 'yyyy-MM-dd');
+      return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+    });
+  
+  const totals = entries.reduce((sums, { receipt, cancellation }) => {
+    sums[cancellation.status] += parseFloat(receipt.totalAmount || 0);
+    return sums;
+  }, { [RECEIPT_STATUS.VOID]: 0, [RECEIPT_STATUS.CREDITED]: 0 });
+  
+  const downloadCreditNote = (creditNoteId) => {
+    setError('');
+    getCreditNoteById(creditNoteId)
+      .then(downloadCreditNotePdf)
+      .catch(error => {
+        setError('Failed to create credit note PDF: ' + error.message);
+      });
+  };
+  
+  return (
+    <>
+      <MainNavbar />
+      <Container>
+        <div className="d-flex justify-content-between align-items-center mb-4">
+          <h2><Translate textKey="voidsAndCreditNotes" fallback="Voids & Credit Notes" /></h2>
+          <Button
+            variant="outline-secondary"
+            onClick={() => navigate('/receipts')}
+          >
+            Back to Receipts
+          </Button>
+        </div>
+        
+        {error && <Alert variant="danger">{error}</Alert>}
+        
+        <Card className="mb-4">
+          <Card.Body>
+            <Row className="align-items-end">
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>From</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>To</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+        
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : (
+          <Card>
+            <Card.Body>
+              <p className="text-muted">
+                {formatCurrency(totals[RECEIPT_STATUS.VOID])} voided and {formatCurrency(totals[RECEIPT_STATUS.CREDITED])} credited
+                from {startDate} to {endDate}. None of these receipts count towards sales.
+              </p>
+              <Table responsive bordered>
+                <thead>
+                  <tr>
+                    <th>Cancelled</th>
+                    <th>Receipt</th>
+                    <th>Sale Date</th>
+                    <th>Type</th>
+                    <th><Translate textKey="reason" fallback="Reason" /></th>
+                    <th>By</th>
+                    <th className="text-end">Amount</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.length > 0 ? entries.map(({ receipt, cancellation }) => (
+                    <tr key={receipt.id}>
+                      <td>{formatDate(cancellation.date)} {formatTime(cancellation.date)}</td>
+                      <td>
+                        <Link to={`/receipt/${receipt.id}`}>{receipt.invoiceNumber || receipt.transactionId}</Link>
+                      </td>
+                      <td>{formatDate(receipt.timestamp)}</td>
+                      <td>
+                        {cancellation.status === RECEIPT_STATUS.VOID ? (
+                          <Badge bg="secondary">Void</Badge>
+                        ) : (
+                          <Badge bg="warning" text="dark">Credit note {cancellation.creditNoteNumber}</Badge>
+                        )}
+                      </td>
+                      <td>{cancellation.reason}</td>
+                      <td>{cancellation.by || '-'}</td>
+                      <td className="text-end">{formatCurrency(receipt.totalAmount)}</td>
+                      <td>
+                        {cancellation.status === RECEIPT_STATUS.CREDITED && (
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            onClick={() => downloadCreditNote(receipt.creditNoteInfo.creditNoteId)}
+                          >
+                            PDF
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  )) : (
+                    <tr>
+                      <td colSpan="8" className="text-center">No receipts were voided or credited in this period.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </>
+  );
+};
+
+export default VoidsReport;
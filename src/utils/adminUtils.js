@@ -0,0 +1,333 @@
+import { collection, doc, getDoc, getDocs, updateDoc, query, orderBy, limit, runTransaction, writeBatch } from 'firebase/firestore';
+import { createUserWithEmailAndPassword, deleteUser, signOut } from 'firebase/auth';
+import { db, accountsAuth } from '../firebase/config';
+import { validatePassword } from './passwordPolicy';
+
+// Admins are signed-in Firebase accounts that either carry an `adminRole`
+// custom claim, set with the Admin SDK, or have a document in the admins
+// collection under their uid with their role. Every change an admin makes is
+// written to adminAuditLog in the same transaction; the security rules refuse
+// a shop status change that isn't logged.
+
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: 'super-admin',
+  REVIEWER: 'reviewer',
+  SUPPORT: 'support'
+};
+
+export const ADMIN_ROLE_LABELS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: 'Super Admin',
+  [ADMIN_ROLES.REVIEWER]: 'Reviewer',
+  [ADMIN_ROLES.SUPPORT]: 'Support'
+};
+
+export const ADMIN_PERMISSIONS = {
+  APPROVE_SHOPS: 'approve-shops',
+  FREEZE_SHOPS: 'freeze-shops',
+  VIEW_AUDIT_LOG: 'view-audit-log',
+  MANAGE_ADMINS: 'manage-admins'
+};
+
+export const ADMIN_PERMISSION_LABELS = {
+  [ADMIN_PERMISSIONS.APPROVE_SHOPS]: 'Approve and reject registrations',
+  [ADMIN_PERMISSIONS.FREEZE_SHOPS]: 'Freeze and unfreeze shops',
+  [ADMIN_PERMISSIONS.VIEW_AUDIT_LOG]: 'View the audit log',
+  [ADMIN_PERMISSIONS.MANAGE_ADMINS]: 'Manage admins'
+};
+
+// Every admin can see the shops; these are what each role may change
+const ADMIN_ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: Object.values(ADMIN_PERMISSIONS),
+  [ADMIN_ROLES.REVIEWER]: [ADMIN_PERMISSIONS.APPROVE_SHOPS],
+  [ADMIN_ROLES.SUPPORT]: [ADMIN_PERMISSIONS.FREEZE_SHOPS]
+};
+
+export const ADMIN_ACTIONS = {
+  APPROVE_SHOP: 'approve-shop',
+  REJECT_SHOP: 'reject-shop',
+  FREEZE_SHOP: 'freeze-shop',
+  UNFREEZE_SHOP: 'unfreeze-shop',
+  ADD_ADMIN: 'add-admin',
+  UPDATE_ADMIN: 'update-admin'
+};
+
+export const ADMIN_ACTION_LABELS = {
+  [ADMIN_ACTIONS.APPROVE_SHOP]: 'Approved shop',
+  [ADMIN_ACTIONS.REJECT_SHOP]: 'Rejected shop',
+  [ADMIN_ACTIONS.FREEZE_SHOP]: 'Froze shop',
+  [ADMIN_ACTIONS.UNFREEZE_SHOP]: 'Unfroze shop',
+  [ADMIN_ACTIONS.ADD_ADMIN]: 'Added admin',
+  [ADMIN_ACTIONS.UPDATE_ADMIN]: 'Changed admin'
+};
+
+// What each shop action needs, the statuses it applies to and what it changes.
+// Shops registered before approvals existed have no status and count as approved.
+const SHOP_STATUS_CHANGES = {
+  [ADMIN_ACTIONS.APPROVE_SHOP]: {
+    permission: ADMIN_PERMISSIONS.APPROVE_SHOPS, from: ['pending'], to: 'approved', timestampField: 'approvedAt'
+  },
+  [ADMIN_ACTIONS.REJECT_SHOP]: {
+    permission: ADMIN_PERMISSIONS.APPROVE_SHOPS, from: ['pending'], to: 'rejected', timestampField: 'rejectedAt'
+  },
+  [ADMIN_ACTIONS.FREEZE_SHOP]: {
+    permission: ADMIN_PERMISSIONS.FREEZE_SHOPS, from: ['approved'], to: 'frozen', timestampField: 'lastStatusChange'
+  },
+  [ADMIN_ACTIONS.UNFREEZE_SHOP]: {
+    permission: ADMIN_PERMISSIONS.FREEZE_SHOPS, from: ['frozen'], to: 'approved', timestampField: 'lastStatusChange'
+  }
+};
+
+// Get what an admin role may change
+export const getAdminRolePermissions = (role) => ADMIN_ROLE_PERMISSIONS[role] || [];
+
+// Check whether a signed-in admin may do something
+export const hasAdminPermission = (adminUser, permission) => {
+  if (!adminUser) return false;
+  return getAdminRolePermissions(adminUser.role).includes(permission);
+};
+
+/**
+ * Work out whether a signed-in Firebase user is an admin
+ * @param {Object} user - Firebase auth user
+ * @returns {Promise<Object|null>} { uid, email, name, role, fromClaims }, or null
+ */
+export const getAdminUser = async (user) => {
+  try {
+    const tokenResult = await user.getIdTokenResult();
+    const claimedRole = tokenResult.claims.adminRole;
+
+    const adminSnap = await getDoc(doc(db, 'admins', user.uid));
+    const adminData = adminSnap.exists() ? adminSnap.data() : null;
+
+    if (!claimedRole && (!adminData || adminData.active === false)) return null;
+
+    return {
+      uid: user.uid,
+      email: user.email,
+      name: (adminData && adminData.name) || user.displayName || user.email,
+      // Admins added before roles existed could do everything
+      role: claimedRole || adminData.role || ADMIN_ROLES.SUPER_ADMIN,
+      fromClaims: !!claimedRole
+    };
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    throw error;
+  }
+};
+
+// The audit log entry for something an admin did
+const buildAuditEntry = (adminUser, action, details, timestamp) => ({
+  action,
+  adminId: adminUser.uid,
+  adminEmail: adminUser.email,
+  adminRole: adminUser.role,
+  ...details,
+  timestamp
+});
+
+/**
+ * Approve, reject, freeze or unfreeze a shop, logging who did it
+ * @param {string} shopId - Shop ID
+ * @param {string} action - One of the shop actions in ADMIN_ACTIONS
+ * @param {Object} adminUser - The signed-in admin
+ * @returns {Promise<boolean>}
+ */
+export const changeShopStatus = async (shopId, action, adminUser) => {
+  try {
+    const change = SHOP_STATUS_CHANGES[action];
+    if (!change) {
+      throw new Error(`Unknown shop action: ${action}`);
+    }
+    if (!hasAdminPermission(adminUser, change.permission)) {
+      throw new Error('Your admin role doesn\'t allow this. Ask a super admin.');
+    }
+
+    const shopRef = doc(db, 'shops', shopId);
+    const logRef = doc(collection(db, 'adminAuditLog'));
+
+    await runTransaction(db, async (transaction) => {
+      const shopSnap = await transaction.get(shopRef);
+      if (!shopSnap.exists()) {
+        throw new Error('Shop not found');
+      }
+
+      const shop = shopSnap.data();
+      const previousStatus = shop.status || 'approved';
+      if (!change.from.includes(previousStatus)) {
+        throw new Error(`This shop is ${previousStatus}, so it can't be changed that way`);
+      }
+
+      const now = new Date().toISOString();
+      transaction.update(shopRef, {
+        status: change.to,
+        [change.timestampField]: now,
+        statusLogId: logRef.id
+      });
+      transaction.set(logRef, buildAuditEntry(adminUser, action, {
+        shopId,
+        shopName: shop.shopName || '',
+        previousStatus,
+        newStatus: change.to
+      }, now));
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Error changing shop status:', error);
+    throw error;
+  }
+};
+
+// Get the most recent admin actions, newest first
+export const getAdminAuditLog = async (maxEntries = 200) => {
+  try {
+    const logRef = collection(db, 'adminAuditLog');
+    const q = query(logRef, orderBy('timestamp', 'desc'), limit(maxEntries));
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error fetching admin audit log:', error);
+    throw error;
+  }
+};
+
+// Get every admin with a document in the admins collection, by name
+export const getAdmins = async () => {
+  try {
+    const querySnapshot = await getDocs(collection(db, 'admins'));
+    const admins = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    admins.sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || ''));
+
+    return admins;
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a sign-in for a new admin
+ * @param {Object} adminData - { name, email, password, role }
+ * @param {Object} adminUser - The signed-in admin adding them
+ * @returns {Promise<Object>} The new admin
+ */
+export const createAdmin = async ({ name, email, password, role }, adminUser) => {
+  try {
+    if (!hasAdminPermission(adminUser, ADMIN_PERMISSIONS.MANAGE_ADMINS)) {
+      throw new Error('Only super admins can add admins');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Enter the admin\'s name');
+    }
+    if (!Object.values(ADMIN_ROLES).includes(role)) {
+      throw new Error('Choose a role for the admin');
+    }
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      throw new Error(passwordValidation.message);
+    }
+
+    const userCredential = await createUserWithEmailAndPassword(accountsAuth, email.trim(), password);
+    const newAdmin = {
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      role,
+      active: true,
+      createdBy: adminUser.email,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'admins', userCredential.user.uid), newAdmin);
+      batch.set(doc(collection(db, 'adminAuditLog')), buildAuditEntry(adminUser, ADMIN_ACTIONS.ADD_ADMIN, {
+        targetAdminId: userCredential.user.uid,
+        targetAdminEmail: newAdmin.email,
+        newRole: role
+      }, newAdmin.createdAt));
+      await batch.commit();
+    } catch (error) {
+      // A sign-in without its admin document can't be used, and would keep the email taken
+      await deleteUser(userCredential.user).catch(deleteError => {
+        console.error('Error removing admin sign-in:', deleteError);
+      });
+      throw error;
+    } finally {
+      await signOut(accountsAuth);
+    }
+
+    return {
+      id: userCredential.user.uid,
+      ...newAdmin
+    };
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change an admin's name or role, or switch their access off or on
+ * @param {Object} admin - The admin being changed
+ * @param {Object} updatedData - { name, role, active }
+ * @param {Object} adminUser - The signed-in admin making the change
+ * @returns {Promise<boolean>}
+ */
+export const updateAdmin = async (admin, updatedData, adminUser) => {
+  try {
+    if (!hasAdminPermission(adminUser, ADMIN_PERMISSIONS.MANAGE_ADMINS)) {
+      throw new Error('Only super admins can change admins');
+    }
+    if (updatedData.role !== undefined && !Object.values(ADMIN_ROLES).includes(updatedData.role)) {
+      throw new Error('Choose a role for the admin');
+    }
+    // Otherwise the last super admin could lock everyone out
+    if (admin.id === adminUser.uid &&
+        ((updatedData.role !== undefined && updatedData.role !== admin.role) || updatedData.active === false)) {
+      throw new Error('You can\'t change your own role or switch off your own access');
+    }
+
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'admins', admin.id), {
+      ...updatedData,
+      updatedAt: now
+    });
+    batch.set(doc(collection(db, 'adminAuditLog')), buildAuditEntry(adminUser, ADMIN_ACTIONS.UPDATE_ADMIN, {
+      targetAdminId: admin.id,
+      targetAdminEmail: admin.email || '',
+      changes: updatedData
+    }, now));
+    await batch.commit();
+
+    return true;
+  } catch (error) {
+    console.error('Error updating admin:', error);
+    throw error;
+  }
+};
+
+// Note a successful sign-in on the admin's own record, if they have one
+export const recordAdminLogin = async (adminUser) => {
+  try {
+    if (adminUser.fromClaims) {
+      const adminSnap = await getDoc(doc(db, 'admins', adminUser.uid));
+      if (!adminSnap.exists()) return;
+    }
+
+    await updateDoc(doc(db, 'admins', adminUser.uid), {
+      lastLoginAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording admin sign-in:', error);
+    throw error;
+  }
+};
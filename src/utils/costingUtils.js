@@ -0,0 +1,127 @@
+// How the cost of goods sold is worked out when a sale is saved.
+// The cost is stamped on the receipt line at that moment, so editing an item's
+// cost price later never changes the profit of past sales.
+export const COSTING_METHODS = {
+  RECEIPT: 'receipt',
+  WEIGHTED_AVERAGE: 'weighted-average',
+  FIFO: 'fifo'
+};
+
+export const COSTING_METHOD_LABELS = {
+  [COSTING_METHODS.RECEIPT]: 'Cost price at time of sale',
+  [COSTING_METHODS.WEIGHTED_AVERAGE]: 'Weighted average cost',
+  [COSTING_METHODS.FIFO]: 'FIFO (first in, first out)'
+};
+
+export const DEFAULT_COSTING_METHOD = COSTING_METHODS.RECEIPT;
+
+// Remainders smaller than this are rounding noise from decimal (kg) quantities
+const QUANTITY_EPSILON = 0.000001;
+
+// Get the shop's costing method, falling back to the default for shops that never chose one
+export const getCostingMethod = (shopData) => {
+  const method = shopData && shopData.costingMethod;
+  return COSTING_METHOD_LABELS[method] ? method : DEFAULT_COSTING_METHOD;
+};
+
+// Parse a stored cost. Blank, missing and non-positive costs are unknown.
+export const parseCost = (value) => {
+  const cost = parseFloat(value);
+  return isNaN(cost) || cost <= 0 ? null : cost;
+};
+
+// The item's cost batches, oldest first. Items created before batches were
+// tracked start with a single batch holding their quantity at their cost price.
+export const getCostBatches = (stockItem) => {
+  if (Array.isArray(stockItem.costBatches)) {
+    return stockItem.costBatches;
+  }
+
+  const quantity = parseFloat(stockItem.quantity) || 0;
+  return quantity > 0 ? [{ quantity, unitCost: parseCost(stockItem.costPrice) }] : [];
+};
+
+// The item's weighted average cost, or its cost price if no average has been built up yet
+export const getAverageCost = (stockItem) => {
+  const averageCost = parseCost(stockItem.averageCost);
+  return averageCost !== null ? averageCost : parseCost(stockItem.costPrice);
+};
+
+// Cost fields for a stock item after adding stock at a unit cost.
+// Returned goods go back at the front of the FIFO queue since they were bought earlier.
+export const addToCostLayers = (stockItem, quantity, unitCost, options = {}) => {
+  const cost = parseCost(unitCost);
+  const quantityBefore = Math.max(parseFloat(stockItem.quantity) || 0, 0);
+  const averageBefore = getAverageCost(stockItem);
+
+  let averageCost = cost !== null ? cost : averageBefore;
+  if (cost !== null && averageBefore !== null && quantityBefore > 0) {
+    averageCost = (quantityBefore * averageBefore + quantity * cost) / (quantityBefore + quantity);
+  }
+
+  const costBatches = getCostBatches(stockItem);
+  if (quantity <= 0) {
+    return { averageCost, costBatches };
+  }
+
+  const batch = { quantity, unitCost: cost };
+  return {
+    averageCost,
+    costBatches: options.prepend ? [batch, ...costBatches] : [...costBatches, batch]
+  };
+};
+
+// Take stock out of an item's cost layers. Returns the item's new cost fields and
+// the unit cost of the quantity taken under FIFO and weighted average; a cost is
+// null when any of the stock taken has no known cost.
+export const takeFromCostLayers = (stockItem, quantity) => {
+  const averageCost = getAverageCost(stockItem);
+  const costBatches = getCostBatches(stockItem).map(batch => ({ ...batch }));
+
+  let remaining = quantity;
+  let fifoTotal = 0;
+  let fifoKnown = true;
+
+  while (remaining > QUANTITY_EPSILON && costBatches.length > 0) {
+    const batch = costBatches[0];
+    const taken = Math.min(batch.quantity, remaining);
+
+    if (batch.unitCost === null) {
+      fifoKnown = false;
+    } else {
+      fifoTotal += taken * batch.unitCost;
+    }
+
+    batch.quantity -= taken;
+    remaining -= taken;
+    if (batch.quantity <= QUANTITY_EPSILON) {
+      costBatches.shift();
+    }
+  }
+
+  // Batches can fall behind the quantity after manual edits; cost any shortfall at the average
+  if (remaining > QUANTITY_EPSILON) {
+    if (averageCost === null) {
+      fifoKnown = false;
+    } else {
+      fifoTotal += remaining * averageCost;
+    }
+  }
+
+  return {
+    costFields: { averageCost, costBatches },
+    fifoCost: fifoKnown && quantity > 0 ? fifoTotal / quantity : null,
+    averageCost
+  };
+};
+
+// Pick the unit cost to stamp on a sold line for the shop's costing method
+export const getSaleUnitCost = (costingMethod, costs) => {
+  if (costingMethod === COSTING_METHODS.FIFO) {
+    return costs.fifoCost;
+  }
+  if (costingMethod === COSTING_METHODS.WEIGHTED_AVERAGE) {
+    return costs.averageCost;
+  }
+  return costs.costPrice;
+};
@@ -0,0 +1,107 @@
+import {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  getCostingMethod,
+  parseCost,
+  getCostBatches,
+  getAverageCost,
+  addToCostLayers,
+  takeFromCostLayers,
+  getSaleUnitCost
+} from './costingUtils';
+
+describe('costing settings', () => {
+  test('shops that never chose a method cost sales at the cost price', () => {
+    expect(getCostingMethod(null)).toBe(DEFAULT_COSTING_METHOD);
+    expect(getCostingMethod({ costingMethod: 'lifo' })).toBe(COSTING_METHODS.RECEIPT);
+    expect(getCostingMethod({ costingMethod: COSTING_METHODS.FIFO })).toBe(COSTING_METHODS.FIFO);
+  });
+
+  test('blank and non-positive costs are unknown', () => {
+    expect(parseCost('')).toBeNull();
+    expect(parseCost(0)).toBeNull();
+    expect(parseCost('-5')).toBeNull();
+    expect(parseCost('12.5')).toBe(12.5);
+  });
+
+  test('items from before batches were tracked start with one batch at their cost price', () => {
+    expect(getCostBatches({ quantity: '10', costPrice: '100' })).toEqual([{ quantity: 10, unitCost: 100 }]);
+    expect(getCostBatches({ quantity: 0, costPrice: '100' })).toEqual([]);
+    expect(getAverageCost({ costPrice: '100' })).toBe(100);
+    expect(getAverageCost({ averageCost: 90, costPrice: '100' })).toBe(90);
+  });
+});
+
+describe('addToCostLayers', () => {
+  test('new stock is averaged in and queued behind the old', () => {
+    expect(addToCostLayers({ quantity: 10, costPrice: 100 }, 10, 120)).toEqual({
+      averageCost: 110,
+      costBatches: [{ quantity: 10, unitCost: 100 }, { quantity: 10, unitCost: 120 }]
+    });
+  });
+
+  test('returned goods go back at the front of the queue', () => {
+    const { costBatches } = addToCostLayers({ quantity: 10, costPrice: 100 }, 2, 80, { prepend: true });
+    expect(costBatches).toEqual([{ quantity: 2, unitCost: 80 }, { quantity: 10, unitCost: 100 }]);
+  });
+
+  test('stock below zero doesn\'t drag the average down', () => {
+    expect(addToCostLayers({ quantity: -5, averageCost: 100, costBatches: [] }, 10, 120).averageCost).toBe(120);
+  });
+
+  test('stock with no known cost leaves the average as it was', () => {
+    expect(addToCostLayers({ quantity: 10, averageCost: 100, costBatches: [] }, 5, '').averageCost).toBe(100);
+    expect(addToCostLayers({ quantity: 0, costBatches: [] }, 5, '').averageCost).toBeNull();
+  });
+});
+
+describe('takeFromCostLayers', () => {
+  const stockItem = {
+    quantity: 20,
+    averageCost: 110,
+    costBatches: [{ quantity: 10, unitCost: 100 }, { quantity: 10, unitCost: 120 }]
+  };
+
+  test('FIFO takes the oldest stock first', () => {
+    const result = takeFromCostLayers(stockItem, 15);
+    expect(result.fifoCost).toBeCloseTo(106.67, 2);
+    expect(result.averageCost).toBe(110);
+    expect(result.costFields.costBatches).toEqual([{ quantity: 5, unitCost: 120 }]);
+    // The item's own batches are left alone
+    expect(stockItem.costBatches[0].quantity).toBe(10);
+  });
+
+  test('the FIFO cost is unknown if any stock taken has no cost', () => {
+    const result = takeFromCostLayers({
+      quantity: 10,
+      averageCost: 100,
+      costBatches: [{ quantity: 5, unitCost: null }, { quantity: 5, unitCost: 100 }]
+    }, 6);
+    expect(result.fifoCost).toBeNull();
+    expect(result.averageCost).toBe(100);
+  });
+
+  test('stock beyond the batches is costed at the average', () => {
+    const result = takeFromCostLayers({ quantity: 5, averageCost: 90, costBatches: [{ quantity: 2, unitCost: 100 }] }, 5);
+    expect(result.fifoCost).toBe(94);
+    expect(result.costFields.costBatches).toEqual([]);
+  });
+
+  test('weighed stock doesn\'t leave crumbs of a batch behind', () => {
+    let item = { quantity: 1.3, averageCost: 150, costBatches: [{ quantity: 0.3, unitCost: 100 }, { quantity: 1, unitCost: 200 }] };
+    item = { ...item, ...takeFromCostLayers(item, 0.1).costFields };
+    const result = takeFromCostLayers(item, 0.2);
+    expect(result.fifoCost).toBeCloseTo(100, 6);
+    expect(result.costFields.costBatches).toEqual([{ quantity: 1, unitCost: 200 }]);
+  });
+});
+
+describe('getSaleUnitCost', () => {
+  const costs = { costPrice: 100, averageCost: 110, fifoCost: 105 };
+
+  test('picks the cost for the shop\'s method', () => {
+    expect(getSaleUnitCost(COSTING_METHODS.RECEIPT, costs)).toBe(100);
+    expect(getSaleUnitCost(COSTING_METHODS.WEIGHTED_AVERAGE, costs)).toBe(110);
+    expect(getSaleUnitCost(COSTING_METHODS.FIFO, costs)).toBe(105);
+  });
+});
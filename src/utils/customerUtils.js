@@ -0,0 +1,338 @@
+import { collection, addDoc, getDocs, getDoc, updateDoc, deleteDoc, doc, query, where, writeBatch, increment } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getAmountOnAccount, getAmountChargedToAccount } from './paymentUtils';
+import { getReceiptPointsChange, addLoyaltyTransaction, LOYALTY_TRANSACTION_TYPES } from './loyaltyUtils';
+import { getReceiptCancellation } from './voidUtils';
+import { getReceiptReturns } from './returnUtils';
+
+// Get all customers for a shop, sorted by name
+export const getShopCustomers = async (shopId) => {
+  try {
+    const customerRef = collection(db, 'customers');
+    const q = query(customerRef, where('shopId', '==', shopId));
+
+    const querySnapshot = await getDocs(q);
+    const customers = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    customers.sort((a, b) => a.name.localeCompare(b.name));
+
+    return customers;
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    throw error;
+  }
+};
+
+// Get a single customer by ID
+export const getCustomerById = async (customerId) => {
+  try {
+    const customerRef = doc(db, 'customers', customerId);
+    const customerSnap = await getDoc(customerRef);
+
+    if (customerSnap.exists()) {
+      return {
+        id: customerSnap.id,
+        ...customerSnap.data()
+      };
+    } else {
+      throw new Error('Customer not found');
+    }
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    throw error;
+  }
+};
+
+// Add a new customer. Any opening balance becomes the amount the customer owes.
+export const addCustomer = async (customerData) => {
+  try {
+    const openingBalance = parseFloat(customerData.openingBalance) || 0;
+
+    const customerRef = collection(db, 'customers');
+    const docRef = await addDoc(customerRef, {
+      ...customerData,
+      creditLimit: parseFloat(customerData.creditLimit) || 0,
+      openingBalance,
+      balance: openingBalance,
+      loyaltyPoints: 0,
+      createdAt: new Date().toISOString()
+    });
+
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding customer:', error);
+    throw error;
+  }
+};
+
+// Update a customer's details. The balance and loyalty points are only changed
+// by sales, returns and repayments, never edited directly.
+export const updateCustomer = async (customerId, updateData) => {
+  try {
+    const { balance, openingBalance, loyaltyPoints, ...details } = updateData;
+
+    const customerRef = doc(db, 'customers', customerId);
+    await updateDoc(customerRef, {
+      ...details,
+      creditLimit: parseFloat(details.creditLimit) || 0,
+      updatedAt: new Date().toISOString()
+    });
+    return customerId;
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    throw error;
+  }
+};
+
+// Delete a customer. Their receipts keep the customer's name.
+export const deleteCustomer = async (customerId) => {
+  try {
+    const customerRef = doc(db, 'customers', customerId);
+    await deleteDoc(customerRef);
+    return true;
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    throw error;
+  }
+};
+
+// How much more a customer can buy on credit. A credit limit of 0 means no limit.
+export const getAvailableCredit = (customer) => {
+  const creditLimit = parseFloat(customer && customer.creditLimit) || 0;
+  if (creditLimit <= 0) return Infinity;
+  return creditLimit - (parseFloat(customer.balance) || 0);
+};
+
+// Check a credit sale against the customer's credit limit
+export const checkCreditLimit = (customer, amount) => {
+  if (amount > 0 && amount > getAvailableCredit(customer) + 0.005) {
+    throw new Error(
+      `${customer.name} would go over their credit limit of RS ${parseFloat(customer.creditLimit).toFixed(2)}`
+    );
+  }
+};
+
+// Whether a receipt's customer still exists, read inside a Firestore transaction
+// so a deleted customer's old receipts can still be edited and deleted
+export const receiptCustomerExists = async (transaction, receipt) => {
+  if (!receipt || !receipt.customerId) return false;
+  const customerSnap = await transaction.get(doc(db, 'customers', receipt.customerId));
+  return customerSnap.exists();
+};
+
+// Move a customer's balance and loyalty points by the change a receipt makes to
+// them (a new sale has no oldReceipt, a deleted one no newReceipt), inside a
+// Firestore transaction or batch. Nothing is read, so this can be called after
+// the transaction's reads; pass customerExists false to skip deleted customers.
+export const applyReceiptToCustomer = (transaction, oldReceipt, newReceipt, customerExists = true) => {
+  const receipt = newReceipt || oldReceipt;
+  const customerId = receipt && receipt.customerId;
+  if (!customerId || !customerExists) return;
+
+  const balanceChange = Math.round((getAmountOnAccount(newReceipt) - getAmountOnAccount(oldReceipt)) * 100) / 100;
+  const pointsChange = getReceiptPointsChange(newReceipt) - getReceiptPointsChange(oldReceipt);
+  if (balanceChange === 0 && pointsChange === 0) return;
+
+  const customerUpdate = { updatedAt: new Date().toISOString() };
+  if (balanceChange !== 0) {
+    customerUpdate.balance = increment(balanceChange);
+  }
+  if (pointsChange !== 0) {
+    customerUpdate.loyaltyPoints = increment(pointsChange);
+  }
+  transaction.update(doc(db, 'customers', customerId), customerUpdate);
+  
+  // Record where the points came from and went
+  const entry = { shopId: receipt.shopId, customerId, receiptId: receipt.id || null };
+  const expiryDays = parseInt(receipt.loyaltyExpiryDays) || 0;
+  if (!oldReceipt) {
+    if (newReceipt.loyaltyPointsEarned > 0) {
+      addLoyaltyTransaction(transaction, {
+        ...entry,
+        type: LOYALTY_TRANSACTION_TYPES.EARN,
+        points: newReceipt.loyaltyPointsEarned,
+        description: `Earned on receipt ${newReceipt.transactionId}`
+      }, expiryDays);
+    }
+    if (newReceipt.loyaltyPointsRedeemed > 0) {
+      addLoyaltyTransaction(transaction, {
+        ...entry,
+        type: LOYALTY_TRANSACTION_TYPES.REDEEM,
+        points: -newReceipt.loyaltyPointsRedeemed,
+        description: `Spent on receipt ${newReceipt.transactionId}`
+      });
+    }
+  } else if (pointsChange !== 0) {
+    const isReturn = !!newReceipt && getReceiptReturns(newReceipt).length !== getReceiptReturns(oldReceipt).length;
+    addLoyaltyTransaction(transaction, {
+      ...entry,
+      type: isReturn ? LOYALTY_TRANSACTION_TYPES.RETURN : LOYALTY_TRANSACTION_TYPES.ADJUST,
+      points: pointsChange,
+      description: newReceipt
+        ? `${isReturn ? 'Return on' : 'Changed'} receipt ${receipt.transactionId}`
+        : `Receipt ${receipt.transactionId} cancelled`
+    }, expiryDays);
+  }
+};
+
+// Record money a customer paid towards their balance
+export const recordCustomerPayment = async (customer, paymentData) => {
+  try {
+    const amount = parseFloat(paymentData.amount) || 0;
+    if (amount <= 0) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+
+    const paymentRef = doc(collection(db, 'customerPayments'));
+    const batch = writeBatch(db);
+
+    batch.set(paymentRef, {
+      shopId: customer.shopId,
+      customerId: customer.id,
+      customerName: customer.name,
+      amount,
+      paymentMethod: paymentData.paymentMethod || 'Cash',
+      reference: (paymentData.reference || '').trim(),
+      notes: paymentData.notes || '',
+      timestamp: new Date().toISOString()
+    });
+
+    batch.update(doc(db, 'customers', customer.id), {
+      balance: increment(-amount),
+      updatedAt: new Date().toISOString()
+    });
+
+    await batch.commit();
+    return paymentRef.id;
+  } catch (error) {
+    console.error('Error recording customer payment:', error);
+    throw error;
+  }
+};
+
+// Get the payments a customer has made, newest first
+export const getCustomerPayments = async (shopId, customerId) => {
+  try {
+    const paymentRef = collection(db, 'customerPayments');
+    const q = query(
+      paymentRef,
+      where('shopId', '==', shopId),
+      where('customerId', '==', customerId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const payments = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    payments.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return payments;
+  } catch (error) {
+    console.error('Error fetching customer payments:', error);
+    throw error;
+  }
+};
+
+// Get the receipts made out to a customer, newest first
+export const getCustomerReceipts = async (shopId, customerId) => {
+  try {
+    const receiptRef = collection(db, 'receipts');
+    const q = query(
+      receiptRef,
+      where('shopId', '==', shopId),
+      where('customerId', '==', customerId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const receipts = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    receipts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return receipts;
+  } catch (error) {
+    console.error('Error fetching customer receipts:', error);
+    throw error;
+  }
+};
+
+// Build a customer's statement: their opening balance, then every receipt and
+// payment in date order with the balance after each one
+export const buildCustomerStatement = (customer, receipts, payments) => {
+  const entries = [];
+
+  receipts.forEach(receipt => {
+    const charged = getAmountChargedToAccount(receipt);
+
+    entries.push({
+      id: `receipt-${receipt.id}`,
+      type: 'receipt',
+      date: receipt.timestamp,
+      receiptId: receipt.id,
+      description: `Receipt ${receipt.transactionId}`,
+      saleAmount: parseFloat(receipt.totalAmount || 0),
+      charge: charged,
+      credit: 0
+    });
+
+    getReceiptReturns(receipt).forEach(returnEvent => {
+      const credited = parseFloat(returnEvent.creditedToAccount || 0);
+      if (credited <= 0) return;
+      
+      entries.push({
+        id: `return-${receipt.id}-${returnEvent.returnNumber}`,
+        type: 'return',
+        date: returnEvent.returnDate,
+        receiptId: receipt.id,
+        description: `Return ${returnEvent.returnNumber} on receipt ${receipt.transactionId}`,
+        saleAmount: 0,
+        charge: 0,
+        credit: credited
+      });
+    });
+    
+    // A voided or credited sale takes its charge back off the account
+    const cancellation = getReceiptCancellation(receipt);
+    if (cancellation && charged > 0) {
+      entries.push({
+        id: `cancel-${receipt.id}`,
+        type: cancellation.status,
+        date: cancellation.date,
+        receiptId: receipt.id,
+        description: cancellation.creditNoteNumber
+          ? `Credit note ${cancellation.creditNoteNumber} for receipt ${receipt.transactionId}`
+          : `Receipt ${receipt.transactionId} voided`,
+        saleAmount: 0,
+        charge: 0,
+        credit: charged
+      });
+    }
+  });
+
+  payments.forEach(payment => {
+    entries.push({
+      id: `payment-${payment.id}`,
+      type: 'payment',
+      date: payment.timestamp,
+      description: `Payment (${payment.paymentMethod})${payment.reference ? ` ${payment.reference}` : ''}`,
+      saleAmount: 0,
+      charge: 0,
+      credit: parseFloat(payment.amount || 0)
+    });
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = parseFloat(customer.openingBalance) || 0;
+  return entries.map(entry => {
+    balance += entry.charge - entry.credit;
+    return { ...entry, balance: Math.round(balance * 100) / 100 };
+  });
+};
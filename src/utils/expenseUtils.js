@@ -1,4 +1,4 @@
-import { collection, addDoc, getDocs, getDoc, updateDoc, doc, query, where, orderBy, deleteDoc } from 'firebase/firestore';
+import { collection, addDoc, getDocs, getDoc, updateDoc, doc, query, where, orderBy, deleteDoc, runTransaction, increment } from 'firebase/firestore';
 import { db } from '../firebase/config';
 
 // Get all expense records for a shop
@@ -105,13 +105,31 @@ export const getExpenseById = async (expenseId) => {
   }
 };
 
-// Update an expense record
+// Update an expense record.
+// Supplier payments also move the supplier's outstanding balance by the change in amount.
 export const updateExpense = async (expenseId, updateData) => {
   try {
     const expenseRef = doc(db, 'expenses', expenseId);
-    await updateDoc(expenseRef, {
-      ...updateData,
-      updatedAt: new Date().toISOString()
+    await runTransaction(db, async (transaction) => {
+      const expenseSnap = await transaction.get(expenseRef);
+      if (!expenseSnap.exists()) {
+        throw new Error('Expense record not found');
+      }
+      
+      const expense = expenseSnap.data();
+      transaction.update(expenseRef, {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      });
+      
+      if (expense.supplierId && updateData.amount !== undefined) {
+        const amountChange = (parseFloat(updateData.amount) || 0) - (parseFloat(expense.amount) || 0);
+        if (amountChange !== 0) {
+          transaction.update(doc(db, 'suppliers', expense.supplierId), {
+            outstandingBalance: increment(-amountChange)
+          });
+        }
+      }
     });
     return expenseId;
   } catch (error) {
@@ -120,11 +138,23 @@ export const updateExpense = async (expenseId, updateData) => {
   }
 };
 
-// Delete an expense record
+// Delete an expense record.
+// Deleting a supplier payment adds the amount back to what we owe the supplier.
 export const deleteExpense = async (expenseId) => {
   try {
     const expenseRef = doc(db, 'expenses', expenseId);
-    await deleteDoc(expenseRef);
+    await runTransaction(db, async (transaction) => {
+      const expenseSnap = await transaction.get(expenseRef);
+      if (!expenseSnap.exists()) return;
+      
+      const expense = expenseSnap.data();
+      if (expense.supplierId) {
+        transaction.update(doc(db, 'suppliers', expense.supplierId), {
+          outstandingBalance: increment(parseFloat(expense.amount) || 0)
+        });
+      }
+      transaction.delete(expenseRef);
+    });
     return true;
   } catch (error) {
     console.error('Error deleting expense record:', error);
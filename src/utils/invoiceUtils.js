@@ -0,0 +1,95 @@
+import { doc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+// Shops that need formal tax invoices number their sales sequentially, with
+// no gaps, instead of relying on the random transaction ID. The last number
+// used is kept per shop in invoiceCounters/{shopId} and is only ever advanced
+// inside the same transaction that saves the sale, so two tills saving at the
+// same moment can't be given the same number and a failed save doesn't use one up.
+// Sales saved offline are numbered when they sync, in the counter's year if
+// that has moved on since. Credit notes are numbered
+// the same way in a sequence of their own.
+
+export const INVOICE_TEMPLATES = {
+  RECEIPT: 'receipt',
+  INVOICE: 'invoice'
+};
+
+export const DEFAULT_INVOICE_PREFIX = 'INV-';
+export const DEFAULT_CREDIT_NOTE_PREFIX = 'CN-';
+
+// Digits in the running part of the number, e.g. INV-2025-000042
+const INVOICE_NUMBER_DIGITS = 6;
+
+// Get the shop's invoice settings with defaults for shops that never set them
+export const getInvoiceSettings = (shopData) => ({
+  sequentialNumbers: !!(shopData && shopData.sequentialInvoiceNumbers),
+  prefix: shopData && typeof shopData.invoicePrefix === 'string' ? shopData.invoicePrefix : DEFAULT_INVOICE_PREFIX,
+  creditNotePrefix: (shopData && shopData.creditNotePrefix) || DEFAULT_CREDIT_NOTE_PREFIX,
+  yearlyReset: !shopData || shopData.invoiceYearlyReset !== false,
+  defaultTemplate: (shopData && shopData.defaultReceiptTemplate) || INVOICE_TEMPLATES.RECEIPT,
+  ntn: (shopData && shopData.ntn) || '',
+  strn: (shopData && shopData.strn) || ''
+});
+
+// Numbers that restart each year carry the year so they stay unique
+export const formatInvoiceNumber = (settings, year, number) => {
+  const sequence = String(number).padStart(INVOICE_NUMBER_DIGITS, '0');
+  return settings.yearlyReset ? `${settings.prefix}${year}-${sequence}` : `${settings.prefix}${sequence}`;
+};
+
+// Work out the next number from the counter, starting again at 1 in a new year.
+// Numbers never go back to an earlier year than the counter's, so a sale made
+// offline last year that syncs this year takes this year's next number.
+export const getNextInvoiceNumber = (counter, settings, date = new Date()) => {
+  const year = Math.max(date.getFullYear(), (counter && parseInt(counter.year)) || 0);
+  const sameSequence = !settings.yearlyReset || (counter && counter.year === year);
+  const number = (sameSequence && counter ? parseInt(counter.lastNumber) || 0 : 0) + 1;
+
+  return {
+    year,
+    number,
+    invoiceNumber: formatInvoiceNumber(settings, year, number)
+  };
+};
+
+/**
+ * Take the shop's next invoice number inside a transaction. This reads the
+ * counter, so call it before the transaction writes anything, then call the
+ * returned save() with the transaction's other writes.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} shopId - Shop ID
+ * @param {Object} settings - From getInvoiceSettings
+ * @param {Date} date - When the sale was made, for the yearly reset; never
+ *   earlier than the counter's year
+ * @param {string} sequence - Name of a separate sequence, e.g. 'creditNotes'
+ * @returns {Promise<Object>} { invoiceNumber, save }
+ */
+export const reserveInvoiceNumber = async (transaction, shopId, settings, date = new Date(), sequence = '') => {
+  const counterRef = doc(db, 'invoiceCounters', sequence ? `${shopId}_${sequence}` : shopId);
+  const counterSnap = await transaction.get(counterRef);
+  const next = getNextInvoiceNumber(counterSnap.exists() ? counterSnap.data() : null, settings, date);
+
+  return {
+    invoiceNumber: next.invoiceNumber,
+    save: () => transaction.set(counterRef, {
+      shopId,
+      year: next.year,
+      lastNumber: next.number,
+      lastInvoiceNumber: next.invoiceNumber,
+      updatedAt: new Date().toISOString()
+    })
+  };
+};
+
+// The buyer details printed on an invoice, prefilled from the sale's customer
+export const getBuyerFromCustomer = (customer) => ({
+  name: customer ? customer.name || '' : '',
+  address: customer ? customer.address || '' : '',
+  phone: customer ? customer.phone || '' : '',
+  ntn: customer ? customer.ntn || '' : '',
+  strn: customer ? customer.strn || '' : ''
+});
+
+// The number a sale is known by: its invoice number once it has one
+export const getReceiptNumber = (receipt) => receipt.invoiceNumber || receipt.transactionId;
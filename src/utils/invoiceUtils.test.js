@@ -0,0 +1,134 @@
+import {
+  INVOICE_TEMPLATES,
+  DEFAULT_INVOICE_PREFIX,
+  DEFAULT_CREDIT_NOTE_PREFIX,
+  getInvoiceSettings,
+  formatInvoiceNumber,
+  getNextInvoiceNumber,
+  reserveInvoiceNumber,
+  getBuyerFromCustomer,
+  getReceiptNumber
+} from './invoiceUtils';
+
+const settings = getInvoiceSettings({ sequentialInvoiceNumbers: true });
+const date = new Date(2025, 5, 15);
+
+describe('getInvoiceSettings', () => {
+  test('shops that never set invoices up get receipts numbered by transaction', () => {
+    expect(getInvoiceSettings(null)).toEqual({
+      sequentialNumbers: false,
+      prefix: DEFAULT_INVOICE_PREFIX,
+      creditNotePrefix: DEFAULT_CREDIT_NOTE_PREFIX,
+      yearlyReset: true,
+      defaultTemplate: INVOICE_TEMPLATES.RECEIPT,
+      ntn: '',
+      strn: ''
+    });
+  });
+
+  test('an empty prefix is kept', () => {
+    expect(getInvoiceSettings({ invoicePrefix: '' }).prefix).toBe('');
+    expect(getInvoiceSettings({ invoiceYearlyReset: false }).yearlyReset).toBe(false);
+  });
+});
+
+describe('numbering', () => {
+  test('numbers that restart each year carry the year', () => {
+    expect(formatInvoiceNumber(settings, 2025, 42)).toBe('INV-2025-000042');
+    expect(formatInvoiceNumber({ prefix: 'S', yearlyReset: false }, 2025, 42)).toBe('S000042');
+  });
+
+  test('numbers past six digits keep every digit', () => {
+    expect(formatInvoiceNumber(settings, 2025, 1234567)).toBe('INV-2025-1234567');
+  });
+
+  test('the first sale is number 1', () => {
+    expect(getNextInvoiceNumber(null, settings, date)).toEqual({
+      year: 2025,
+      number: 1,
+      invoiceNumber: 'INV-2025-000001'
+    });
+  });
+
+  test('the next number follows on in the same year', () => {
+    expect(getNextInvoiceNumber({ year: 2025, lastNumber: 41 }, settings, date).number).toBe(42);
+    expect(getNextInvoiceNumber({ year: 2025, lastNumber: '41' }, settings, date).number).toBe(42);
+  });
+
+  test('a sale from last year synced this year takes this year\'s next number', () => {
+    const counter = { year: 2026, lastNumber: 5 };
+    expect(getNextInvoiceNumber(counter, settings, date)).toEqual({
+      year: 2026,
+      number: 6,
+      invoiceNumber: 'INV-2026-000006'
+    });
+    expect(getNextInvoiceNumber(counter, { ...settings, yearlyReset: false }, date).year).toBe(2026);
+  });
+
+  test('a new year starts again at 1, unless the shop numbers straight through', () => {
+    const counter = { year: 2024, lastNumber: 980 };
+    expect(getNextInvoiceNumber(counter, settings, date).number).toBe(1);
+    expect(getNextInvoiceNumber(counter, { ...settings, yearlyReset: false }, date)).toEqual({
+      year: 2025,
+      number: 981,
+      invoiceNumber: 'INV-000981'
+    });
+  });
+});
+
+describe('reserveInvoiceNumber', () => {
+  const fakeTransaction = (counter) => ({
+    get: jest.fn(async () => ({ exists: () => !!counter, data: () => counter })),
+    set: jest.fn()
+  });
+
+  test('reads the counter, and only moves it on when saved', async () => {
+    const transaction = fakeTransaction({ shopId: 'shop-1', year: 2025, lastNumber: 7 });
+    const reserved = await reserveInvoiceNumber(transaction, 'shop-1', settings, date);
+
+    expect(reserved.invoiceNumber).toBe('INV-2025-000008');
+    expect(transaction.get.mock.calls[0][0].path).toBe('invoiceCounters/shop-1');
+    expect(transaction.set).not.toHaveBeenCalled();
+
+    reserved.save();
+    expect(transaction.set).toHaveBeenCalledTimes(1);
+    expect(transaction.set.mock.calls[0][1]).toMatchObject({
+      shopId: 'shop-1',
+      year: 2025,
+      lastNumber: 8,
+      lastInvoiceNumber: 'INV-2025-000008'
+    });
+  });
+
+  test('credit notes are numbered in a sequence of their own', async () => {
+    const transaction = fakeTransaction(null);
+    const reserved = await reserveInvoiceNumber(
+      transaction,
+      'shop-1',
+      { ...settings, prefix: settings.creditNotePrefix },
+      date,
+      'creditNotes'
+    );
+
+    expect(reserved.invoiceNumber).toBe('CN-2025-000001');
+    expect(transaction.get.mock.calls[0][0].path).toBe('invoiceCounters/shop-1_creditNotes');
+  });
+});
+
+describe('buyers and receipt numbers', () => {
+  test('the buyer is prefilled from the customer', () => {
+    expect(getBuyerFromCustomer({ name: 'Ali Traders', ntn: '1234567-8' })).toEqual({
+      name: 'Ali Traders',
+      address: '',
+      phone: '',
+      ntn: '1234567-8',
+      strn: ''
+    });
+    expect(getBuyerFromCustomer(null).name).toBe('');
+  });
+
+  test('a sale is known by its invoice number once it has one', () => {
+    expect(getReceiptNumber({ transactionId: 'TXN-1' })).toBe('TXN-1');
+    expect(getReceiptNumber({ transactionId: 'TXN-1', invoiceNumber: 'INV-2025-000001' })).toBe('INV-2025-000001');
+  });
+});
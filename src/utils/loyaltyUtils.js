@@ -0,0 +1,225 @@
+import { collection, doc, getDocs, query, where, runTransaction, increment } from 'firebase/firestore';
+import { addDays } from 'date-fns';
+import { db } from '../firebase/config';
+import { LOYALTY_POINTS } from './paymentUtils';
+import { getReturnTotals } from './returnUtils';
+
+// Loyalty settings live on the shop document. Customers earn points on what
+// they pay (not on points they spend), and can spend points as a tender.
+// Every change to a customer's points is recorded in the loyaltyTransactions
+// collection, which is what expiry and the customer's statement are built from.
+export const LOYALTY_TRANSACTION_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  RETURN: 'return',
+  ADJUST: 'adjust',
+  EXPIRE: 'expire'
+};
+
+// Get the shop's loyalty settings with defaults for shops that never set them
+export const getLoyaltySettings = (shopData) => ({
+  enabled: !!(shopData && shopData.loyaltyEnabled),
+  // Points earned for every RS 100 paid
+  pointsPer100: parseFloat(shopData && shopData.loyaltyPointsPer100) || 0,
+  // What one point is worth when spent, in RS
+  pointValue: parseFloat(shopData && shopData.loyaltyPointValue) || 0,
+  // Days before earned points expire; 0 means they never do
+  expiryDays: parseInt(shopData && shopData.loyaltyExpiryDays) || 0
+});
+
+// Points earned on an amount paid. Only whole points are given.
+export const calculatePointsEarned = (amountPaid, settings) => {
+  if (!settings.enabled || settings.pointsPer100 <= 0 || amountPaid <= 0) return 0;
+  return Math.floor(amountPaid * settings.pointsPer100 / 100);
+};
+
+// Points needed to pay an amount, rounded up to whole points
+export const getPointsForAmount = (amount, settings) => {
+  if (settings.pointValue <= 0 || amount <= 0) return 0;
+  return Math.ceil(Math.round(amount / settings.pointValue * 100) / 100);
+};
+
+// What a number of points is worth in RS
+export const getPointsValue = (points, settings) =>
+  Math.round(points * settings.pointValue * 100) / 100;
+
+// Check a customer has the points they want to spend
+export const checkPointsAvailable = (customer, points) => {
+  const available = parseInt(customer && customer.loyaltyPoints) || 0;
+  if ((parseInt(points) || 0) > available) {
+    throw new Error(`${customer.name} only has ${available} loyalty points`);
+  }
+};
+
+// Work out the points a sale spends and earns. Points are only earned on what
+// is not paid with points.
+export const calculateSaleLoyalty = (payments, total, customer, settings) => {
+  const pointsAmount = payments
+    .filter(payment => payment.method === LOYALTY_POINTS)
+    .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+  const pointsRedeemed = getPointsForAmount(pointsAmount, settings);
+  const available = parseInt(customer && customer.loyaltyPoints) || 0;
+
+  let error = '';
+  if (pointsAmount > 0 && !customer) {
+    error = 'Choose the customer whose loyalty points are being spent';
+  } else if (pointsAmount > 0 && (!settings.enabled || settings.pointValue <= 0)) {
+    error = 'Loyalty points are not turned on in Settings';
+  } else if (pointsRedeemed > available) {
+    error = `${customer.name} only has ${available} loyalty points (worth RS ${getPointsValue(available, settings).toFixed(2)})`;
+  }
+
+  const pointsEarned = customer ? calculatePointsEarned((parseFloat(total) || 0) - pointsAmount, settings) : 0;
+
+  return {
+    pointsAmount,
+    pointsRedeemed,
+    pointsEarned,
+    // The customer's points once this sale goes through
+    pointsBalance: available + pointsEarned - pointsRedeemed,
+    error
+  };
+};
+
+// The points a return takes back: its share of the points the sale earned, and
+// its share of the points spent, which are refunded as points rather than money.
+// Earlier returns on the same receipt are allowed for, so rounding can never
+// take back more than the sale earned or refund more than it spent.
+export const calculateReturnPoints = (receipt, returnAmount) => {
+  const totalAmount = parseFloat(receipt.totalAmount) || 0;
+  if (!receipt.customerId || totalAmount <= 0 || returnAmount <= 0) {
+    return { pointsReversed: 0, pointsRestored: 0, refundedAsPoints: 0 };
+  }
+
+  const share = Math.min(returnAmount / totalAmount, 1);
+  const pointsAmount = (receipt.payments || [])
+    .filter(payment => payment.method === LOYALTY_POINTS)
+    .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+
+  const earlierReturns = getReturnTotals(receipt);
+  const pointsEarned = parseInt(receipt.loyaltyPointsEarned) || 0;
+  const pointsRedeemed = parseInt(receipt.loyaltyPointsRedeemed) || 0;
+  
+  return {
+    pointsReversed: Math.min(Math.round(pointsEarned * share), Math.max(pointsEarned - earlierReturns.loyaltyPointsReversed, 0)),
+    pointsRestored: Math.min(Math.round(pointsRedeemed * share), Math.max(pointsRedeemed - earlierReturns.loyaltyPointsRestored, 0)),
+    refundedAsPoints: Math.round(Math.min(pointsAmount * share, returnAmount,
+      Math.max(pointsAmount - earlierReturns.refundedAsPoints, 0)) * 100) / 100
+  };
+};
+
+// A receipt's net effect on its customer's points: earned and refunded points
+// in, spent and clawed-back points out
+export const getReceiptPointsChange = (receipt) => {
+  if (!receipt || !receipt.customerId) return 0;
+
+  const returnTotals = getReturnTotals(receipt);
+  return (parseInt(receipt.loyaltyPointsEarned) || 0)
+    - (parseInt(receipt.loyaltyPointsRedeemed) || 0)
+    - returnTotals.loyaltyPointsReversed
+    + returnTotals.loyaltyPointsRestored;
+};
+
+// Add a points entry to the ledger inside a Firestore transaction or batch,
+// under entryId if it must only be added once
+export const addLoyaltyTransaction = (transaction, entry, expiryDays = 0, entryId = null) => {
+  const now = new Date();
+  const entryRef = entryId ? doc(db, 'loyaltyTransactions', entryId) : doc(collection(db, 'loyaltyTransactions'));
+  transaction.set(entryRef, {
+    ...entry,
+    // Only points coming in can expire
+    expiresAt: entry.points > 0 && expiryDays > 0 ? addDays(now, expiryDays).toISOString() : null,
+    timestamp: now.toISOString()
+  });
+};
+
+// Get a customer's points ledger, newest first
+export const getLoyaltyTransactions = async (shopId, customerId) => {
+  try {
+    const ledgerRef = collection(db, 'loyaltyTransactions');
+    const q = query(
+      ledgerRef,
+      where('shopId', '==', shopId),
+      where('customerId', '==', customerId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const entries = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return entries;
+  } catch (error) {
+    console.error('Error fetching loyalty transactions:', error);
+    throw error;
+  }
+};
+
+// Points that have passed their expiry date and not been used. Points are
+// used oldest first, so anything taken out counts against the oldest points.
+export const getExpiredPoints = (entries, date = new Date()) => {
+  const expiredIn = entries
+    .filter(entry => entry.points > 0 && entry.expiresAt && new Date(entry.expiresAt) <= date)
+    .reduce((total, entry) => total + entry.points, 0);
+  const takenOut = entries
+    .filter(entry => entry.points < 0)
+    .reduce((total, entry) => total - entry.points, 0);
+
+  return Math.max(0, expiredIn - takenOut);
+};
+
+// The ledger ID of the entry expiring a customer's points, named after the
+// last of their points to expire, so the same points are only expired once
+// however many tills look at the customer. Null if nothing has expired.
+export const getExpiryEntryId = (customerId, entries, date = new Date()) => {
+  const expiredLots = entries
+    .filter(entry => entry.points > 0 && entry.expiresAt && new Date(entry.expiresAt) <= date)
+    .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt) || a.id.localeCompare(b.id));
+  if (expiredLots.length === 0) return null;
+
+  return `${customerId}_expired_${expiredLots[expiredLots.length - 1].id}`;
+};
+
+// Expire a customer's out-of-date points and return how many were expired.
+// The ledger can't be queried inside a transaction, so it is read first and the
+// transaction checks no other till has expired the same points since.
+export const expireLoyaltyPoints = async (customer) => {
+  try {
+    const date = new Date();
+    const entries = await getLoyaltyTransactions(customer.shopId, customer.id);
+    const expiryId = getExpiryEntryId(customer.id, entries, date);
+    if (!expiryId || getExpiredPoints(entries, date) <= 0) return 0;
+
+    const customerRef = doc(db, 'customers', customer.id);
+    const expiryRef = doc(db, 'loyaltyTransactions', expiryId);
+    return await runTransaction(db, async (transaction) => {
+      const expirySnap = await transaction.get(expiryRef);
+      const customerSnap = await transaction.get(customerRef);
+      if (expirySnap.exists() || !customerSnap.exists()) return 0;
+
+      const balance = Math.max(parseInt(customerSnap.data().loyaltyPoints) || 0, 0);
+      const expired = Math.min(getExpiredPoints(entries, date), balance);
+      if (expired <= 0) return 0;
+
+      addLoyaltyTransaction(transaction, {
+        shopId: customer.shopId,
+        customerId: customer.id,
+        type: LOYALTY_TRANSACTION_TYPES.EXPIRE,
+        points: -expired,
+        description: 'Points expired'
+      }, 0, expiryId);
+      transaction.update(customerRef, {
+        loyaltyPoints: increment(-expired),
+        updatedAt: new Date().toISOString()
+      });
+
+      return expired;
+    });
+  } catch (error) {
+    console.error('Error expiring loyalty points:', error);
+    throw error;
+  }
+};
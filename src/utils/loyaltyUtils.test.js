@@ -0,0 +1,168 @@
+import {
+  getLoyaltySettings,
+  calculatePointsEarned,
+  getPointsForAmount,
+  getPointsValue,
+  checkPointsAvailable,
+  calculateSaleLoyalty,
+  calculateReturnPoints,
+  getReceiptPointsChange,
+  getExpiredPoints,
+  getExpiryEntryId
+} from './loyaltyUtils';
+import { CASH, LOYALTY_POINTS } from './paymentUtils';
+
+// 5 points per RS 100, each worth RS 0.50
+const settings = getLoyaltySettings({
+  loyaltyEnabled: true,
+  loyaltyPointsPer100: '5',
+  loyaltyPointValue: '0.5',
+  loyaltyExpiryDays: '365'
+});
+
+const customer = { id: 'customer-1', name: 'Ali', loyaltyPoints: 100 };
+
+describe('earning and spending points', () => {
+  test('shops that never set loyalty up earn nothing', () => {
+    const defaults = getLoyaltySettings(null);
+    expect(defaults).toEqual({ enabled: false, pointsPer100: 0, pointValue: 0, expiryDays: 0 });
+    expect(calculatePointsEarned(1000, defaults)).toBe(0);
+  });
+
+  test('only whole points are earned', () => {
+    expect(calculatePointsEarned(999, settings)).toBe(49);
+    expect(calculatePointsEarned(-100, settings)).toBe(0);
+  });
+
+  test('paying an amount takes whole points, rounded up', () => {
+    expect(getPointsForAmount(10.25, settings)).toBe(21);
+    expect(getPointsValue(21, settings)).toBe(10.5);
+  });
+
+  test('floating point error doesn\'t cost an extra point', () => {
+    expect(getPointsForAmount(0.9, { pointValue: 0.3 })).toBe(3);
+    expect(getPointsForAmount(10, { pointValue: 0.3 })).toBe(34);
+  });
+
+  test('a customer can\'t spend points they don\'t have', () => {
+    expect(() => checkPointsAvailable(customer, 100)).not.toThrow();
+    expect(() => checkPointsAvailable(customer, 101)).toThrow('Ali only has 100 loyalty points');
+  });
+});
+
+describe('calculateSaleLoyalty', () => {
+  test('points are only earned on what isn\'t paid with points', () => {
+    const result = calculateSaleLoyalty([
+      { method: LOYALTY_POINTS, amount: '10' },
+      { method: CASH, amount: '190' }
+    ], 200, customer, settings);
+    expect(result).toEqual({
+      pointsAmount: 10,
+      pointsRedeemed: 20,
+      pointsEarned: 9,
+      pointsBalance: 89,
+      error: ''
+    });
+  });
+
+  test('spending more points than the customer has is refused', () => {
+    const result = calculateSaleLoyalty([{ method: LOYALTY_POINTS, amount: '10' }], 100,
+      { ...customer, loyaltyPoints: 10 }, settings);
+    expect(result.error).toBe('Ali only has 10 loyalty points (worth RS 5.00)');
+  });
+
+  test('points need a customer and loyalty turned on', () => {
+    const payments = [{ method: LOYALTY_POINTS, amount: '10' }];
+    expect(calculateSaleLoyalty(payments, 10, null, settings).error)
+      .toBe('Choose the customer whose loyalty points are being spent');
+    expect(calculateSaleLoyalty(payments, 10, customer, { ...settings, enabled: false }).error)
+      .toBe('Loyalty points are not turned on in Settings');
+  });
+
+  test('sales without a customer earn nothing', () => {
+    expect(calculateSaleLoyalty([{ method: CASH, amount: '500' }], 500, null, settings).pointsEarned).toBe(0);
+  });
+});
+
+describe('calculateReturnPoints', () => {
+  const receipt = {
+    customerId: 'customer-1',
+    totalAmount: 200,
+    payments: [{ method: LOYALTY_POINTS, amount: 10 }, { method: CASH, amount: 190 }],
+    loyaltyPointsEarned: 9,
+    loyaltyPointsRedeemed: 20
+  };
+
+  test('a return takes back its share of the points earned and refunds its share of those spent', () => {
+    expect(calculateReturnPoints(receipt, 100)).toEqual({
+      pointsReversed: 5,
+      pointsRestored: 10,
+      refundedAsPoints: 5
+    });
+  });
+
+  test('later returns can\'t take back more than the sale earned', () => {
+    const returned = { ...receipt, returns: [{ loyaltyPointsReversed: 5, loyaltyPointsRestored: 10, refundedAsPoints: 5 }] };
+    expect(calculateReturnPoints(returned, 100)).toEqual({
+      pointsReversed: 4,
+      pointsRestored: 10,
+      refundedAsPoints: 5
+    });
+  });
+
+  test('returning more than was sold is capped at the whole sale', () => {
+    expect(calculateReturnPoints(receipt, 300)).toEqual({
+      pointsReversed: 9,
+      pointsRestored: 20,
+      refundedAsPoints: 10
+    });
+  });
+
+  test('sales without a customer have no points to move', () => {
+    expect(calculateReturnPoints({ ...receipt, customerId: null }, 100))
+      .toEqual({ pointsReversed: 0, pointsRestored: 0, refundedAsPoints: 0 });
+  });
+
+  test('a receipt\'s net change to its customer\'s points', () => {
+    expect(getReceiptPointsChange({
+      ...receipt,
+      returns: [{ loyaltyPointsReversed: 5, loyaltyPointsRestored: 10 }]
+    })).toBe(-6);
+    expect(getReceiptPointsChange({ ...receipt, customerId: null })).toBe(0);
+  });
+});
+
+describe('getExpiredPoints', () => {
+  const date = new Date('2025-06-01T00:00:00.000Z');
+
+  test('points spent count against the oldest points first', () => {
+    expect(getExpiredPoints([
+      { points: 50, expiresAt: '2025-01-01T00:00:00.000Z' },
+      { points: 30, expiresAt: '2026-01-01T00:00:00.000Z' },
+      { points: -20 }
+    ], date)).toBe(30);
+  });
+
+  test('nothing expires once the old points have all been spent', () => {
+    expect(getExpiredPoints([
+      { points: 50, expiresAt: '2025-01-01T00:00:00.000Z' },
+      { points: -60 }
+    ], date)).toBe(0);
+  });
+
+  test('points without an expiry date never expire', () => {
+    expect(getExpiredPoints([{ points: 50, expiresAt: null }], date)).toBe(0);
+  });
+
+  test('an expiry is named after the last points to expire, so tills expire them once', () => {
+    const entries = [
+      { id: 'lot-b', points: 30, expiresAt: '2025-03-01T00:00:00.000Z' },
+      { id: 'lot-a', points: 50, expiresAt: '2025-01-01T00:00:00.000Z' },
+      { id: 'lot-c', points: 10, expiresAt: '2026-01-01T00:00:00.000Z' }
+    ];
+    expect(getExpiryEntryId('customer-1', entries, date)).toBe('customer-1_expired_lot-b');
+    expect(getExpiryEntryId('customer-1', entries, new Date('2026-06-01T00:00:00.000Z')))
+      .toBe('customer-1_expired_lot-c');
+    expect(getExpiryEntryId('customer-1', [{ id: 'lot-c', points: 10, expiresAt: null }], date)).toBeNull();
+  });
+});
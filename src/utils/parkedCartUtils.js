@@ -0,0 +1,71 @@
+import { collection, setDoc, getDocs, deleteDoc, doc, query, where } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { recordRejectedOfflineWrite } from './receiptUtils';
+
+// Parked carts are sales put on hold part way through checkout, so the cashier
+// can serve the next customer and pick the sale up again later. They are kept
+// in Firestore so they survive a page reload and can be resumed on any till.
+// Nothing is taken from stock until the sale is resumed and saved.
+// Offline, writes only resolve once the server has them, so parking and
+// removing carts doesn't wait for them; any the server refuses are reported
+// with the other refused offline changes.
+
+// Park a cart under a label, e.g. the customer's name
+export const parkCart = async (cartData) => {
+  try {
+    const label = (cartData.label || '').trim();
+    if (!label) {
+      throw new Error('Give the parked sale a label so it can be found again');
+    }
+
+    const cartRef = doc(collection(db, 'parkedCarts'));
+    setDoc(cartRef, {
+      ...cartData,
+      label,
+      parkedAt: new Date().toISOString()
+    }).catch(error => recordRejectedOfflineWrite({
+      description: `Parked sale "${label}"`,
+      data: cartData
+    }, error));
+
+    return cartRef.id;
+  } catch (error) {
+    console.error('Error parking cart:', error);
+    throw error;
+  }
+};
+
+// Get a shop's parked carts, oldest first
+export const getParkedCarts = async (shopId) => {
+  try {
+    const cartRef = collection(db, 'parkedCarts');
+    const q = query(cartRef, where('shopId', '==', shopId));
+
+    const querySnapshot = await getDocs(q);
+    const carts = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    carts.sort((a, b) => new Date(a.parkedAt) - new Date(b.parkedAt));
+
+    return carts;
+  } catch (error) {
+    console.error('Error fetching parked carts:', error);
+    throw error;
+  }
+};
+
+// Remove a parked cart once its sale has been saved, or it has been abandoned
+export const deleteParkedCart = async (cartId) => {
+  try {
+    deleteDoc(doc(db, 'parkedCarts', cartId)).catch(error => recordRejectedOfflineWrite({
+      description: `Removing parked sale ${cartId}`,
+      data: { cartId }
+    }, error));
+    return true;
+  } catch (error) {
+    console.error('Error deleting parked cart:', error);
+    throw error;
+  }
+};
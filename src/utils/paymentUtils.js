@@ -0,0 +1,114 @@
+import { getReturnTotals } from './returnUtils';
+
+// Ways a customer can pay at checkout. The value is what is stored on the
+// receipt; older receipts use the same values in their single paymentMethod.
+export const CASH = 'Cash';
+
+// Sold on credit: the amount is added to the customer's balance instead of being paid
+export const ON_ACCOUNT = 'On Account';
+
+// Paid with the customer's loyalty points; the amount is the points' value in RS
+export const LOYALTY_POINTS = 'Loyalty Points';
+
+export const PAYMENT_METHODS = [
+  { value: CASH, textKey: 'cash', label: 'Cash' },
+  { value: 'Credit Card', textKey: 'creditCard', label: 'Credit Card' },
+  { value: 'Debit Card', textKey: 'debitCard', label: 'Debit Card' },
+  { value: 'JazzCash', textKey: 'jazzCash', label: 'JazzCash' },
+  { value: 'Easypaisa', textKey: 'easypaisa', label: 'Easypaisa' },
+  { value: 'Bank Transfer', textKey: 'bankTransfer', label: 'Bank Transfer' },
+  { value: 'Mobile Payment', textKey: 'mobilePayment', label: 'Mobile Payment' },
+  { value: ON_ACCOUNT, textKey: 'onAccount', label: 'On Account (Credit)' },
+  { value: LOYALTY_POINTS, textKey: 'loyaltyPoints', label: 'Loyalty Points' }
+];
+
+// Round to paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Find a payment method's details, e.g. for its label
+export const getPaymentMethod = (value) =>
+  PAYMENT_METHODS.find(method => method.value === value) || { value, textKey: '', label: value || 'Unknown' };
+
+// Card and wallet payments carry a reference (slip number or transaction ID); cash, credit and points don't
+export const needsPaymentReference = (method) => method !== CASH && method !== ON_ACCOUNT && method !== LOYALTY_POINTS;
+
+// A blank tender line for the checkout form
+export const createPayment = (method = CASH, amount = '') => ({ method, amount, reference: '' });
+
+// Work out a sale's tenders. Change is only ever given from cash, so card and
+// wallet payments can't add up to more than the total.
+export const calculatePayments = (payments, total) => {
+  const amountDue = roundAmount(parseFloat(total) || 0);
+  const tenders = payments
+    .map(payment => ({
+      method: payment.method || CASH,
+      amount: roundAmount(parseFloat(payment.amount) || 0),
+      reference: (payment.reference || '').trim()
+    }))
+    .filter(payment => payment.amount > 0);
+  
+  const paidTotal = roundAmount(tenders.reduce((sum, payment) => sum + payment.amount, 0));
+  const cashTotal = roundAmount(tenders
+    .filter(payment => payment.method === CASH)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  const nonCashTotal = roundAmount(paidTotal - cashTotal);
+  const change = roundAmount(Math.min(Math.max(paidTotal - amountDue, 0), cashTotal));
+  
+  let error = '';
+  if (nonCashTotal > amountDue) {
+    error = 'Card and wallet payments cannot be more than the total; change can only be given from cash';
+  } else if (paidTotal < amountDue) {
+    error = `RS ${(amountDue - paidTotal).toFixed(2)} is still to be paid`;
+  }
+  
+  return {
+    payments: tenders,
+    paidTotal,
+    cashTotal,
+    nonCashTotal,
+    change,
+    balanceDue: roundAmount(Math.max(amountDue - paidTotal, 0)),
+    error
+  };
+};
+
+// What the receipt's payments come to once change is handed back: the amount
+// each method actually took. Receipts from before split payments were paid in
+// full by their single paymentMethod.
+export const getReceiptPayments = (receipt) => {
+  if (!Array.isArray(receipt.payments) || receipt.payments.length === 0) {
+    return [{ method: receipt.paymentMethod || CASH, amount: parseFloat(receipt.totalAmount || 0), reference: '' }];
+  }
+  
+  let change = parseFloat(receipt.change || 0);
+  return receipt.payments.map(payment => {
+    let amount = parseFloat(payment.amount || 0);
+    if (payment.method === CASH && change > 0) {
+      const fromThis = Math.min(change, amount);
+      amount -= fromThis;
+      change -= fromThis;
+    }
+    return { ...payment, amount: roundAmount(amount) };
+  });
+};
+
+// One label for a receipt's payment, e.g. "Cash + JazzCash" for a split payment
+export const describePaymentMethods = (payments) =>
+  [...new Set(payments.map(payment => payment.method))].join(' + ') || CASH;
+
+// The amount of a sale that was put on the customer's account when it was made
+export const getAmountChargedToAccount = (receipt) => {
+  if (!receipt || !receipt.customerId || !Array.isArray(receipt.payments)) return 0;
+  
+  return roundAmount(receipt.payments
+    .filter(payment => payment.method === ON_ACCOUNT)
+    .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0));
+};
+
+// The amount of a receipt still on the customer's account: what was sold on
+// credit, less anything returned and credited back to the account
+export const getAmountOnAccount = (receipt) => {
+  if (!receipt || !receipt.customerId || !Array.isArray(receipt.payments)) return 0;
+  
+  return roundAmount(getAmountChargedToAccount(receipt) - getReturnTotals(receipt).creditedToAccount);
+};
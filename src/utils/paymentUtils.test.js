@@ -0,0 +1,113 @@
+import {
+  CASH,
+  ON_ACCOUNT,
+  LOYALTY_POINTS,
+  getPaymentMethod,
+  needsPaymentReference,
+  calculatePayments,
+  getReceiptPayments,
+  describePaymentMethods,
+  getAmountChargedToAccount,
+  getAmountOnAccount
+} from './paymentUtils';
+
+describe('calculatePayments', () => {
+  test('cash over the total is given back as change', () => {
+    const result = calculatePayments([{ method: CASH, amount: '500' }], 347.5);
+    expect(result.change).toBe(152.5);
+    expect(result.balanceDue).toBe(0);
+    expect(result.error).toBe('');
+  });
+
+  test('a split payment adds up its tenders and takes change from the cash', () => {
+    const result = calculatePayments([
+      { method: 'JazzCash', amount: '200', reference: ' TX-1 ' },
+      { method: CASH, amount: '200' }
+    ], 350);
+    expect(result.paidTotal).toBe(400);
+    expect(result.cashTotal).toBe(200);
+    expect(result.nonCashTotal).toBe(200);
+    expect(result.change).toBe(50);
+    expect(result.payments[0].reference).toBe('TX-1');
+  });
+
+  test('card and wallet payments can\'t be more than the total', () => {
+    const result = calculatePayments([{ method: 'Credit Card', amount: '400' }], 350);
+    expect(result.change).toBe(0);
+    expect(result.error).toMatch(/change can only be given from cash/);
+  });
+
+  test('an underpaid sale says what is still to be paid', () => {
+    const result = calculatePayments([{ method: CASH, amount: '100' }, { method: 'Easypaisa', amount: '' }], 150.25);
+    expect(result.payments).toHaveLength(1);
+    expect(result.balanceDue).toBe(50.25);
+    expect(result.error).toBe('RS 50.25 is still to be paid');
+  });
+
+  test('amounts are rounded to paisa before they are added up', () => {
+    const result = calculatePayments([{ method: CASH, amount: '33.333' }, { method: CASH, amount: '66.667' }], 100);
+    expect(result.paidTotal).toBe(100);
+    expect(result.error).toBe('');
+  });
+});
+
+describe('getReceiptPayments', () => {
+  test('receipts from before split payments were paid in full by their one method', () => {
+    expect(getReceiptPayments({ paymentMethod: 'Credit Card', totalAmount: '250' }))
+      .toEqual([{ method: 'Credit Card', amount: 250, reference: '' }]);
+    expect(getReceiptPayments({ totalAmount: 100 })[0].method).toBe(CASH);
+  });
+
+  test('change comes off the cash tendered', () => {
+    const payments = getReceiptPayments({
+      payments: [
+        { method: 'JazzCash', amount: 200 },
+        { method: CASH, amount: 30 },
+        { method: CASH, amount: 100 }
+      ],
+      change: 80
+    });
+    expect(payments.map(payment => payment.amount)).toEqual([200, 0, 50]);
+  });
+});
+
+describe('payment methods', () => {
+  test('only card and wallet payments need a reference', () => {
+    expect(needsPaymentReference('JazzCash')).toBe(true);
+    expect(needsPaymentReference(CASH)).toBe(false);
+    expect(needsPaymentReference(ON_ACCOUNT)).toBe(false);
+    expect(needsPaymentReference(LOYALTY_POINTS)).toBe(false);
+  });
+
+  test('unknown methods are labelled with their value', () => {
+    expect(getPaymentMethod('Easypaisa').label).toBe('Easypaisa');
+    expect(getPaymentMethod('Cheque').label).toBe('Cheque');
+    expect(getPaymentMethod(undefined).label).toBe('Unknown');
+  });
+
+  test('a split payment is described by each method once', () => {
+    expect(describePaymentMethods([
+      { method: CASH },
+      { method: 'JazzCash' },
+      { method: CASH }
+    ])).toBe('Cash + JazzCash');
+    expect(describePaymentMethods([])).toBe(CASH);
+  });
+});
+
+describe('amounts on account', () => {
+  const receipt = {
+    customerId: 'customer-1',
+    payments: [{ method: CASH, amount: 100 }, { method: ON_ACCOUNT, amount: '250.5' }],
+    returns: [{ creditedToAccount: 50 }]
+  };
+
+  test('only sales to a customer go on account', () => {
+    expect(getAmountChargedToAccount(receipt)).toBe(250.5);
+    expect(getAmountChargedToAccount({ ...receipt, customerId: null })).toBe(0);
+  });
+
+  test('returns credited to the account come off what is owed', () => {
+    expect(getAmountOnAccount(receipt)).toBe(200.5);
+  });
+});
@@ -0,0 +1,569 @@
+import jsPDF from 'jspdf';
+import { formatCurrency, formatDate, formatTime } from './receiptUtils';
+import { DEFAULT_TAX_NAME } from './taxUtils';
+import { getPaymentMethod } from './paymentUtils';
+import { INVOICE_TEMPLATES, getReceiptNumber } from './invoiceUtils';
+import { getReceiptCancellation, RECEIPT_STATUS } from './voidUtils';
+import { getReceiptReturns, getReturnTotals } from './returnUtils';
+
+// PDFs are written as text with jsPDF rather than screenshots of the page, so
+// they stay sharp, small and searchable and long receipts and reports run
+// over as many A4 pages as they need, each with a header, footer and page number.
+//
+// The PDF's built-in fonts only cover Latin text. For Urdu, the app ships Noto
+// Naskh Arabic (public/fonts, under the SIL Open Font License in OFL.txt); jsPDF
+// joins the letters and lays the text out right to left. If the font can't be
+// loaded, Urdu text is drawn by the browser and placed in the PDF as an image.
+
+const URDU_FONT_FILE = 'NotoNaskhArabic-Regular.ttf';
+const URDU_FONT = 'NotoNaskhArabic';
+// Fonts the browser is asked for when Urdu has to be drawn as an image
+const URDU_CANVAS_FONTS = '"Noto Nastaliq Urdu", "Jameel Noori Nastaleeq", "Noto Naskh Arabic", serif';
+const URDU_PATTERN = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+const MARGIN = 15; // mm
+const HEADER_HEIGHT = 12;
+const FOOTER_HEIGHT = 10;
+const PT_TO_MM = 0.3528;
+
+// undefined until the first PDF asks for it, then the font as base64, or null
+// if there is no font file
+let urduFontData;
+
+const loadUrduFont = async () => {
+  if (urduFontData !== undefined) return urduFontData;
+
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/fonts/${URDU_FONT_FILE}`);
+    // The development server answers missing files with the app's index.html
+    if (!response.ok || (response.headers.get('content-type') || '').includes('text/html')) {
+      throw new Error(`${URDU_FONT_FILE} not found in public/fonts`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    urduFontData = btoa(binary);
+  } catch (error) {
+    console.warn('Urdu font not available, Urdu text in PDFs will be drawn as images:', error.message);
+    urduFontData = null;
+  }
+
+  return urduFontData;
+};
+
+// Load an image (e.g. the shop logo) as a data URL the PDF can embed.
+// Resolves to null if it can't be loaded.
+export const loadPdfImage = (url) => new Promise(resolve => {
+  if (!url) {
+    resolve(null);
+    return;
+  }
+
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      resolve({ dataUrl: canvas.toDataURL('image/png'), width: image.width, height: image.height });
+    } catch (error) {
+      // The image host doesn't allow reading its pixels
+      console.error('Error preparing image for PDF:', error);
+      resolve(null);
+    }
+  };
+  image.onerror = () => resolve(null);
+  image.src = url;
+});
+
+/**
+ * Start an A4 PDF document. Content is added top to bottom and a new page is
+ * started whenever the next piece doesn't fit.
+ * @param {Object} options - { title, shopName, orientation ('p' or 'l') }
+ * @returns {Promise<Object>} Functions to add content to the document and save it
+ */
+export const createPdfDocument = async ({ title = '', shopName = '', orientation = 'p' } = {}) => {
+  const pdf = new jsPDF({ orientation, unit: 'mm', format: 'a4' });
+  const fontData = await loadUrduFont();
+  if (fontData) {
+    pdf.addFileToVFS(URDU_FONT_FILE, fontData);
+    pdf.addFont(URDU_FONT_FILE, URDU_FONT, 'normal');
+  }
+
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+  let y;
+
+  const lineHeight = (size) => size * PT_TO_MM * 1.45;
+
+  const setFont = (text, { bold = false, size = 10 }) => {
+    pdf.setFontSize(size);
+    if (fontData && URDU_PATTERN.test(text)) {
+      pdf.setFont(URDU_FONT, 'normal');
+    } else {
+      pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    }
+  };
+
+  // Urdu without the font: let the browser draw it, then place it as an image
+  const drawTextImage = (text, x, baseline, { bold = false, size = 10, align = 'left', maxWidth }) => {
+    const scale = 4;
+    const px = size * scale;
+    const font = `${bold ? 'bold ' : ''}${px}px ${URDU_CANVAS_FONTS}`;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 2;
+    canvas.height = Math.ceil(px * 1.6);
+    context.font = font;
+    context.direction = 'rtl';
+    context.textAlign = 'right';
+    context.fillStyle = '#000';
+    context.fillText(text, canvas.width - 1, px * 1.15);
+
+    let width = canvas.width / scale * PT_TO_MM;
+    let height = canvas.height / scale * PT_TO_MM;
+    if (maxWidth && width > maxWidth) {
+      height = height * maxWidth / width;
+      width = maxWidth;
+    }
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', left, baseline - height * 0.72, width, height);
+  };
+
+  const drawText = (value, x, baseline, options = {}) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (!text) return;
+
+    if (URDU_PATTERN.test(text) && !fontData) {
+      drawTextImage(text, x, baseline, options);
+      return;
+    }
+    setFont(text, options);
+    pdf.text(text, x, baseline, { align: options.align || 'left' });
+  };
+
+  // Break text into lines that fit the width
+  const splitText = (value, width, options = {}) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    // Urdu drawn as an image is shrunk to fit instead
+    if (URDU_PATTERN.test(text) && !fontData) return [text];
+    setFont(text, options);
+    return pdf.splitTextToSize(text, width);
+  };
+
+  const drawHeader = () => {
+    pdf.setDrawColor(180);
+    drawText(shopName, MARGIN, MARGIN + 4, { bold: true, size: 9 });
+    drawText(title, pageWidth - MARGIN, MARGIN + 4, { size: 9, align: 'right' });
+    pdf.line(MARGIN, MARGIN + 6, pageWidth - MARGIN, MARGIN + 6);
+    y = MARGIN + HEADER_HEIGHT;
+  };
+
+  const addPage = () => {
+    pdf.addPage();
+    drawHeader();
+  };
+
+  // Start a new page unless there is room for height more millimetres
+  const ensureSpace = (height) => {
+    if (y + height > bottom) addPage();
+  };
+
+  const xFor = (align, left = MARGIN, width = contentWidth) =>
+    align === 'right' ? left + width : align === 'center' ? left + width / 2 : left;
+
+  // A paragraph of text, wrapped to the page width
+  const addText = (value, { align = 'left', bold = false, size = 10 } = {}) => {
+    const options = { align, bold, size };
+    splitText(value, contentWidth, options).forEach(line => {
+      ensureSpace(lineHeight(size));
+      y += lineHeight(size);
+      drawText(line, xFor(align), y - lineHeight(size) * 0.3, { ...options, maxWidth: contentWidth });
+    });
+  };
+
+  drawHeader();
+
+  return {
+    pdf,
+    contentWidth,
+    text: addText,
+
+    heading(value, { align = 'center', size = 16 } = {}) {
+      addText(value, { align, size, bold: true });
+      y += 1;
+    },
+
+    // A label and value on one line, the value right-aligned. labelWidth moves
+    // the label next to the value, for totals under a table.
+    pair(label, value, { bold = false, size = 10, labelWidth } = {}) {
+      const options = { bold, size };
+      ensureSpace(lineHeight(size));
+      y += lineHeight(size);
+      const baseline = y - lineHeight(size) * 0.3;
+      if (labelWidth) {
+        drawText(label, pageWidth - MARGIN - 35, baseline, { ...options, align: 'right', maxWidth: labelWidth });
+      } else {
+        drawText(label, MARGIN, baseline, { ...options, maxWidth: contentWidth / 2 });
+      }
+      drawText(value, pageWidth - MARGIN, baseline, { ...options, align: 'right', maxWidth: 35 });
+    },
+
+    /**
+     * A table that carries on over pages, repeating its header row.
+     * @param {Array} columns - [{ header, width (share of the page width), align }]
+     * @param {Array} rows - Arrays of cell values
+     * @param {Object} options - { footer: rows printed in bold after the body }
+     */
+    table(columns, rows, { footer = [], size = 9 } = {}) {
+      const totalShare = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+      const widths = columns.map(column => contentWidth * (column.width || 1) / totalShare);
+      const padding = 1.5;
+
+      const drawRow = (cells, bold, shade) => {
+        const cellLines = cells.map((cell, index) => splitText(cell, widths[index] - padding * 2, { bold, size }));
+        const height = Math.max(...cellLines.map(lines => lines.length)) * lineHeight(size) + padding * 2;
+        if (y + height > bottom) {
+          addPage();
+          if (!shade) drawRow(columns.map(column => column.header), true, true);
+        }
+
+        if (shade) {
+          pdf.setFillColor(235);
+          pdf.rect(MARGIN, y, contentWidth, height, 'F');
+        }
+        let left = MARGIN;
+        cellLines.forEach((lines, index) => {
+          const align = columns[index].align || 'left';
+          lines.forEach((line, lineIndex) => {
+            const baseline = y + padding + lineHeight(size) * (lineIndex + 1) - lineHeight(size) * 0.3;
+            drawText(line, xFor(align, left + padding, widths[index] - padding * 2), baseline,
+              { bold, size, align, maxWidth: widths[index] - padding * 2 });
+          });
+          left += widths[index];
+        });
+        y += height;
+        pdf.setDrawColor(210);
+        pdf.line(MARGIN, y, pageWidth - MARGIN, y);
+      };
+
+      ensureSpace(lineHeight(size) * 2 + 6);
+      drawRow(columns.map(column => column.header), true, true);
+      rows.forEach(row => drawRow(row, false, false));
+      footer.forEach(row => drawRow(row, true, false));
+      y += 2;
+    },
+
+    // An image scaled to width millimetres
+    image(image, width, { align = 'center' } = {}) {
+      if (!image) return;
+      const height = image.height * width / image.width;
+      ensureSpace(height + 2);
+      const left = align === 'center' ? (pageWidth - width) / 2 : align === 'right' ? pageWidth - MARGIN - width : MARGIN;
+      pdf.addImage(image.dataUrl, 'PNG', left, y, width, height);
+      y += height + 2;
+    },
+
+    divider() {
+      ensureSpace(4);
+      y += 2;
+      pdf.setDrawColor(180);
+      pdf.line(MARGIN, y, pageWidth - MARGIN, y);
+      y += 2;
+    },
+
+    space(height = 4) {
+      y += height;
+    },
+
+    // Add the footer to every page and download the file
+    save(fileName) {
+      const pageCount = pdf.internal.getNumberOfPages();
+      const generated = `Generated ${formatDate(new Date())} ${formatTime(new Date())}`;
+      for (let page = 1; page <= pageCount; page++) {
+        pdf.setPage(page);
+        pdf.setDrawColor(180);
+        pdf.line(MARGIN, pageHeight - MARGIN - 5, pageWidth - MARGIN, pageHeight - MARGIN - 5);
+        drawText(generated, MARGIN, pageHeight - MARGIN, { size: 8 });
+        drawText(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, pageHeight - MARGIN, { size: 8, align: 'right' });
+      }
+      pdf.save(fileName);
+    }
+  };
+};
+
+// Download a receipt as a PDF laid out like the receipt page
+export const downloadReceiptPdf = async (receipt) => {
+  const shop = receipt.shopDetails || {};
+  const isInvoice = receipt.template === INVOICE_TEMPLATES.INVOICE;
+  const doc = await createPdfDocument({
+    title: `${isInvoice ? 'Invoice' : 'Receipt'} ${getReceiptNumber(receipt)}`,
+    shopName: shop.name
+  });
+
+  doc.image(await loadPdfImage(shop.logoUrl), 30);
+  doc.heading(shop.name);
+  doc.text(shop.address, { align: 'center' });
+  if (shop.phone) doc.text(`Tel: ${shop.phone}`, { align: 'center' });
+  if (isInvoice) {
+    doc.text('Sales Tax Invoice', { align: 'center', bold: true, size: 13 });
+    const registration = [shop.ntn && `NTN: ${shop.ntn}`, shop.strn && `STRN: ${shop.strn}`].filter(Boolean).join('   ');
+    if (registration) doc.text(registration, { align: 'center', size: 9 });
+  }
+  const cancellation = getReceiptCancellation(receipt);
+  if (cancellation) {
+    doc.space(2);
+    doc.text(cancellation.status === RECEIPT_STATUS.VOID
+      ? 'VOID'
+      : `CREDITED - see credit note ${cancellation.creditNoteNumber}`, { align: 'center', bold: true, size: 13 });
+  }
+  doc.space();
+
+  if (receipt.invoiceNumber) doc.pair('Invoice #', receipt.invoiceNumber, { bold: true });
+  doc.pair(receipt.invoiceNumber ? 'Transaction ID' : 'Receipt #', receipt.transactionId);
+  doc.pair('Date', `${formatDate(receipt.timestamp)} ${formatTime(receipt.timestamp)}`);
+  doc.pair('Cashier', receipt.cashierName);
+  doc.pair('Manager', receipt.managerName || 'N/A');
+  doc.pair('Payment Method', receipt.paymentMethod);
+  if (receipt.customerId) doc.pair('Customer', receipt.customerName);
+  if (isInvoice && receipt.buyer) {
+    doc.space(2);
+    doc.text(`Buyer: ${receipt.buyer.name}`, { bold: true });
+    if (receipt.buyer.address) doc.text(receipt.buyer.address);
+    if (receipt.buyer.phone) doc.text(`Tel: ${receipt.buyer.phone}`);
+    const registration = [receipt.buyer.ntn && `NTN: ${receipt.buyer.ntn}`, receipt.buyer.strn && `STRN: ${receipt.buyer.strn}`].filter(Boolean).join('   ');
+    if (registration) doc.text(registration);
+  }
+  doc.space();
+
+  const showTax = isInvoice || (receipt.items || []).some(item => item.taxRate > 0);
+  const columns = [
+    { header: 'Item', width: 4 },
+    { header: 'Category', width: 2.5 },
+    { header: 'Price', width: 2, align: 'right' },
+    { header: 'Qty', width: 1.2, align: 'center' },
+    ...(showTax ? [{ header: receipt.taxName || DEFAULT_TAX_NAME, width: 2, align: 'right' }] : []),
+    { header: 'Total', width: 2.3, align: 'right' }
+  ];
+  const rows = (receipt.items || []).map(item => {
+    const lineTotal = parseFloat(item.price) * parseFloat(item.quantity);
+    return [
+      item.name,
+      item.category || 'Uncategorized',
+      formatCurrency(item.price),
+      `${item.quantity}${item.quantityUnit === 'kg' ? ' KG' : ''}`,
+      ...(showTax ? [`${item.taxRate || 0}% ${formatCurrency(item.taxAmount || 0)}`] : []),
+      parseFloat(item.discountAmount) > 0
+        ? `${formatCurrency(lineTotal)} -${formatCurrency(item.discountAmount)}`
+        : formatCurrency(lineTotal)
+    ];
+  });
+  doc.table(columns, rows);
+
+  const totalsOptions = { labelWidth: 70 };
+  const subtotal = (receipt.items || []).reduce((total, item) =>
+    total + (parseFloat(item.price) * parseFloat(item.quantity)), 0);
+  doc.pair('Subtotal:', formatCurrency(subtotal), totalsOptions);
+  if (receipt.lineDiscountTotal > 0) {
+    doc.pair('Item Discounts:', `-${formatCurrency(receipt.lineDiscountTotal)}`, totalsOptions);
+  }
+  if (receipt.discount > 0) {
+    doc.pair('Discount:', formatCurrency(receipt.discount), totalsOptions);
+  }
+  (receipt.taxBreakdown || []).forEach(tax => {
+    doc.pair(`${receipt.pricesIncludeTax ? 'Includes ' : ''}${receipt.taxName || DEFAULT_TAX_NAME} @ ${tax.taxRate}%:`,
+      formatCurrency(tax.taxAmount), totalsOptions);
+  });
+  doc.pair('Total:', formatCurrency(receipt.totalAmount), { ...totalsOptions, bold: true, size: 11 });
+  if (receipt.payments && (receipt.payments.length > 1 || receipt.change > 0)) {
+    receipt.payments.forEach(payment => {
+      doc.pair(`${getPaymentMethod(payment.method).label}${payment.reference ? ` (${payment.reference})` : ''}:`,
+        formatCurrency(payment.amount), totalsOptions);
+    });
+  }
+  if (receipt.change > 0) {
+    doc.pair('Change:', formatCurrency(receipt.change), totalsOptions);
+  }
+  if (getReceiptReturns(receipt).length > 0) {
+    const returnTotals = getReturnTotals(receipt);
+    doc.pair('Return Amount:', `-${formatCurrency(returnTotals.returnTotal)}`, totalsOptions);
+    if (returnTotals.exchangeTotal > 0) {
+      doc.pair('Exchanged For:', formatCurrency(returnTotals.exchangeTotal), totalsOptions);
+    }
+    doc.pair('Final Total:', formatCurrency(parseFloat(receipt.totalAmount) - returnTotals.returnTotal + returnTotals.exchangeTotal),
+      { ...totalsOptions, bold: true });
+  }
+
+  if (receipt.customerId && (receipt.loyaltyPointsEarned > 0 || receipt.loyaltyPointsRedeemed > 0)) {
+    doc.space(2);
+    doc.text([
+      'Loyalty Points:',
+      receipt.loyaltyPointsEarned > 0 && `earned ${receipt.loyaltyPointsEarned}`,
+      receipt.loyaltyPointsRedeemed > 0 && `spent ${receipt.loyaltyPointsRedeemed}`,
+      receipt.loyaltyPointsBalance !== undefined && `balance ${receipt.loyaltyPointsBalance}`
+    ].filter(Boolean).join(' '), { size: 9 });
+  }
+  if (receipt.appliedPromotions && receipt.appliedPromotions.length > 0) {
+    doc.space(2);
+    doc.text('Promotions applied:', { size: 9, bold: true });
+    receipt.appliedPromotions.forEach(promotion => {
+      doc.text(`${promotion.name}${promotion.couponCode ? ` (${promotion.couponCode})` : ''}: ${formatCurrency(promotion.amount)}`, { size: 9 });
+    });
+  }
+
+  doc.divider();
+  doc.text('Thank you for your business!', { align: 'center' });
+  if (shop.receiptDescription) doc.text(shop.receiptDescription, { align: 'center' });
+  if (receipt.id) doc.text(`Receipt ID: ${receipt.id}`, { align: 'center', size: 8 });
+
+  doc.save(`${isInvoice ? 'invoice' : 'receipt'}-${getReceiptNumber(receipt)}.pdf`);
+};
+
+// Download a credit note as a PDF. It lists the items of the sale it reverses
+// with the amounts credited back.
+export const downloadCreditNotePdf = async (creditNote) => {
+  const shop = creditNote.shopDetails || {};
+  const doc = await createPdfDocument({
+    title: `Credit Note ${creditNote.creditNoteNumber}`,
+    shopName: shop.name
+  });
+  
+  doc.image(await loadPdfImage(shop.logoUrl), 30);
+  doc.heading(shop.name);
+  doc.text(shop.address, { align: 'center' });
+  if (shop.phone) doc.text(`Tel: ${shop.phone}`, { align: 'center' });
+  doc.text('Credit Note', { align: 'center', bold: true, size: 13 });
+  const registration = [shop.ntn && `NTN: ${shop.ntn}`, shop.strn && `STRN: ${shop.strn}`].filter(Boolean).join('   ');
+  if (registration) doc.text(registration, { align: 'center', size: 9 });
+  doc.space();
+  
+  doc.pair('Credit Note #', creditNote.creditNoteNumber, { bold: true });
+  doc.pair('Date', `${formatDate(creditNote.timestamp)} ${formatTime(creditNote.timestamp)}`);
+  doc.pair('Against', creditNote.invoiceNumber || creditNote.transactionId);
+  if (creditNote.saleDate) doc.pair('Sale Date', formatDate(creditNote.saleDate));
+  doc.pair('Issued By', creditNote.issuedBy || 'N/A');
+  doc.pair('Reason', creditNote.reason);
+  if (creditNote.customerId) doc.pair('Customer', creditNote.customerName);
+  if (creditNote.buyer) {
+    doc.space(2);
+    doc.text(`Buyer: ${creditNote.buyer.name}`, { bold: true });
+    if (creditNote.buyer.address) doc.text(creditNote.buyer.address);
+    const buyerRegistration = [creditNote.buyer.ntn && `NTN: ${creditNote.buyer.ntn}`, creditNote.buyer.strn && `STRN: ${creditNote.buyer.strn}`].filter(Boolean).join('   ');
+    if (buyerRegistration) doc.text(buyerRegistration);
+  }
+  doc.space();
+  
+  const taxName = creditNote.taxName || DEFAULT_TAX_NAME;
+  doc.table([
+    { header: 'Item', width: 4 },
+    { header: 'Price', width: 2, align: 'right' },
+    { header: 'Qty', width: 1.2, align: 'center' },
+    { header: taxName, width: 2, align: 'right' },
+    { header: 'Total', width: 2.3, align: 'right' }
+  ], (creditNote.items || []).map(item => [
+    item.name,
+    formatCurrency(item.price),
+    `${item.quantity}${item.quantityUnit === 'kg' ? ' KG' : ''}`,
+    `${item.taxRate || 0}% ${formatCurrency(item.taxAmount || 0)}`,
+    formatCurrency(parseFloat(item.price) * parseFloat(item.quantity) - (parseFloat(item.discountAmount) || 0))
+  ]));
+  
+  const totalsOptions = { labelWidth: 70 };
+  if (creditNote.discount > 0) {
+    doc.pair('Discount:', formatCurrency(creditNote.discount), totalsOptions);
+  }
+  (creditNote.taxBreakdown || []).forEach(tax => {
+    doc.pair(`${creditNote.pricesIncludeTax ? 'Includes ' : ''}${taxName} @ ${tax.taxRate}%:`,
+      formatCurrency(tax.taxAmount), totalsOptions);
+  });
+  doc.pair('Amount Credited:', formatCurrency(creditNote.totalAmount), { ...totalsOptions, bold: true, size: 11 });
+  (creditNote.payments || []).forEach(payment => {
+    doc.pair(`${getPaymentMethod(payment.method).label}:`, formatCurrency(payment.amount), totalsOptions);
+  });
+  
+  doc.save(`credit-note-${creditNote.creditNoteNumber}.pdf`);
+};
+
+// Download the slip for one return on a receipt: what came back, what was given
+// in exchange, and how the difference was refunded or paid
+export const downloadReturnSlipPdf = async (receipt, returnEvent) => {
+  const shop = receipt.shopDetails || {};
+  const receiptNumber = getReceiptNumber(receipt);
+  const doc = await createPdfDocument({
+    title: `Return Slip ${receiptNumber}-R${returnEvent.returnNumber}`,
+    shopName: shop.name
+  });
+  
+  doc.image(await loadPdfImage(shop.logoUrl), 30);
+  doc.heading(shop.name);
+  doc.text(shop.address, { align: 'center' });
+  if (shop.phone) doc.text(`Tel: ${shop.phone}`, { align: 'center' });
+  doc.text((returnEvent.exchangeItems || []).length > 0 ? 'Exchange Slip' : 'Return Slip', { align: 'center', bold: true, size: 13 });
+  doc.space();
+  
+  doc.pair('Return #', `${receiptNumber}-R${returnEvent.returnNumber}`, { bold: true });
+  doc.pair('Date', `${formatDate(returnEvent.returnDate)} ${formatTime(returnEvent.returnDate)}`);
+  doc.pair('Against', receiptNumber);
+  doc.pair('Sale Date', formatDate(receipt.timestamp));
+  doc.pair('Processed By', returnEvent.processedBy || 'N/A');
+  if (returnEvent.returnReason) doc.pair('Reason', returnEvent.returnReason);
+  if (receipt.customerId) doc.pair('Customer', receipt.customerName);
+  doc.space();
+  
+  const columns = [
+    { header: 'Item', width: 4 },
+    { header: 'Price', width: 2, align: 'right' },
+    { header: 'Qty', width: 1.2, align: 'center' },
+    { header: 'Total', width: 2.3, align: 'right' }
+  ];
+  const toRow = (item) => [
+    item.name,
+    formatCurrency(item.price),
+    `${item.quantity}${item.quantityUnit === 'kg' ? ' KG' : ''}`,
+    formatCurrency(item.total)
+  ];
+  
+  doc.text('Returned', { bold: true });
+  doc.table(columns, (returnEvent.returnedItems || []).map(toRow));
+  if ((returnEvent.exchangeItems || []).length > 0) {
+    doc.text('Given in Exchange', { bold: true });
+    doc.table(columns, returnEvent.exchangeItems.map(toRow));
+  }
+  
+  const totalsOptions = { labelWidth: 70 };
+  doc.pair('Return Amount:', formatCurrency(returnEvent.returnTotal), totalsOptions);
+  if (parseFloat(returnEvent.exchangeTotal) > 0) {
+    doc.pair('Exchange Amount:', formatCurrency(returnEvent.exchangeTotal), totalsOptions);
+  }
+  if (returnEvent.settlement) {
+    const { settlement } = returnEvent;
+    doc.pair(`Paid by ${getPaymentMethod(settlement.method).label}${settlement.reference ? ` (${settlement.reference})` : ''}:`,
+      formatCurrency(settlement.amount), { ...totalsOptions, bold: true });
+  }
+  if (parseFloat(returnEvent.refundedAsPoints) > 0) {
+    doc.pair('Refunded as Points:', `${formatCurrency(returnEvent.refundedAsPoints)} (${returnEvent.loyaltyPointsRestored || 0} pts)`, totalsOptions);
+  }
+  if (parseFloat(returnEvent.creditedToAccount) > 0) {
+    doc.pair('Taken off Account:', formatCurrency(returnEvent.creditedToAccount), totalsOptions);
+  }
+  if (parseFloat(returnEvent.refundAmount) > 0) {
+    doc.pair('Refunded:', formatCurrency(returnEvent.refundAmount), { ...totalsOptions, bold: true });
+  }
+  if (returnEvent.loyaltyPointsReversed > 0) {
+    doc.space(2);
+    doc.text(`Loyalty points taken back: ${returnEvent.loyaltyPointsReversed}`, { size: 9 });
+  }
+  
+  doc.divider();
+  doc.text('Please keep this slip with your receipt.', { align: 'center' });
+  
+  doc.save(`return-${receiptNumber}-${returnEvent.returnNumber}.pdf`);
+};
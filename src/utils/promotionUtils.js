@@ -0,0 +1,277 @@
+import { collection, addDoc, getDocs, updateDoc, deleteDoc, doc, query, where } from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../firebase/config';
+
+export const PROMOTION_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buy-x-get-y'
+};
+
+export const PROMOTION_TYPE_LABELS = {
+  [PROMOTION_TYPES.PERCENTAGE]: 'Percentage off',
+  [PROMOTION_TYPES.FIXED]: 'Fixed amount off',
+  [PROMOTION_TYPES.BUY_X_GET_Y]: 'Buy X get Y free'
+};
+
+// What a promotion applies to. Buy X get Y always applies to a single item.
+export const PROMOTION_SCOPES = {
+  RECEIPT: 'receipt',
+  CATEGORY: 'category',
+  ITEM: 'item'
+};
+
+export const PROMOTION_SCOPE_LABELS = {
+  [PROMOTION_SCOPES.RECEIPT]: 'Whole receipt',
+  [PROMOTION_SCOPES.CATEGORY]: 'A category',
+  [PROMOTION_SCOPES.ITEM]: 'A stock item'
+};
+
+// How a cashier's discount on a line is entered
+export const DISCOUNT_TYPES = {
+  AMOUNT: 'amount',
+  PERCENT: 'percent'
+};
+
+// Round to paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Coupon codes are matched without regard to case or surrounding spaces
+export const normalizeCouponCode = (code) => (code || '').trim().toUpperCase();
+
+// Get all promotions for a shop, newest first
+export const getShopPromotions = async (shopId) => {
+  try {
+    const promotionsRef = collection(db, 'promotions');
+    const q = query(promotionsRef, where('shopId', '==', shopId));
+    
+    const querySnapshot = await getDocs(q);
+    const promotions = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    promotions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    return promotions;
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    throw error;
+  }
+};
+
+// Add a new promotion
+export const addPromotion = async (promotionData) => {
+  try {
+    const promotionsRef = collection(db, 'promotions');
+    const docRef = await addDoc(promotionsRef, {
+      ...promotionData,
+      couponCode: normalizeCouponCode(promotionData.couponCode),
+      createdAt: new Date().toISOString()
+    });
+    
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding promotion:', error);
+    throw error;
+  }
+};
+
+// Update a promotion. Receipts keep the name and amount of the promotion as it was applied.
+export const updatePromotion = async (promotionId, updateData) => {
+  try {
+    const promotionRef = doc(db, 'promotions', promotionId);
+    await updateDoc(promotionRef, {
+      ...updateData,
+      couponCode: normalizeCouponCode(updateData.couponCode),
+      updatedAt: new Date().toISOString()
+    });
+    return promotionId;
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    throw error;
+  }
+};
+
+// Delete a promotion
+export const deletePromotion = async (promotionId) => {
+  try {
+    await deleteDoc(doc(db, 'promotions', promotionId));
+    return true;
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    throw error;
+  }
+};
+
+// Whether a promotion can be used on a date. Start and end dates are whole days.
+export const isPromotionActive = (promotion, date = new Date()) => {
+  if (!promotion.active) return false;
+  
+  const day = format(date, 'yyyy-MM-dd');
+  if (promotion.startDate && day < promotion.startDate) return false;
+  if (promotion.endDate && day > promotion.endDate) return false;
+  
+  return true;
+};
+
+// Find an active promotion by its coupon code
+export const findCouponPromotion = (promotions, couponCode, date = new Date()) => {
+  const code = normalizeCouponCode(couponCode);
+  if (!code) return null;
+  
+  return promotions.find(promotion =>
+    promotion.couponCode === code && isPromotionActive(promotion, date)
+  ) || null;
+};
+
+// The cashier's own discount on a line, as an amount
+export const getManualLineDiscount = (item) => {
+  const gross = parseFloat(item.price || 0) * parseFloat(item.quantity || 0);
+  const value = parseFloat(item.discountValue) || 0;
+  if (value <= 0 || gross <= 0) return 0;
+  
+  const discount = item.discountType === DISCOUNT_TYPES.PERCENT
+    ? gross * Math.min(value, 100) / 100
+    : value;
+  return roundAmount(Math.min(discount, gross));
+};
+
+// Whether a line is covered by an item or category promotion
+const promotionMatchesLine = (promotion, item) => {
+  if (promotion.scope === PROMOTION_SCOPES.ITEM || promotion.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    return !!item.stockItemId && item.stockItemId === promotion.stockItemId;
+  }
+  if (promotion.scope === PROMOTION_SCOPES.CATEGORY) {
+    return (item.category || 'Uncategorized') === promotion.category;
+  }
+  return false;
+};
+
+// The discount an item or category promotion gives on a line worth `amount`
+const getLinePromotionDiscount = (promotion, item, amount) => {
+  const quantity = parseFloat(item.quantity || 0);
+  const price = parseFloat(item.price || 0);
+  const value = parseFloat(promotion.value) || 0;
+  
+  if (promotion.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    const buyQuantity = parseInt(promotion.buyQuantity) || 0;
+    const getQuantity = parseInt(promotion.getQuantity) || 0;
+    if (buyQuantity <= 0 || getQuantity <= 0) return 0;
+    
+    const freeQuantity = Math.floor(quantity / (buyQuantity + getQuantity)) * getQuantity;
+    return Math.min(freeQuantity * price, amount);
+  }
+  if (promotion.type === PROMOTION_TYPES.PERCENTAGE) {
+    return amount * Math.min(value, 100) / 100;
+  }
+  // Fixed promotions on items take the amount off each unit
+  return Math.min(value * quantity, amount);
+};
+
+// Work out every discount on a sale: the cashier's line discounts, the shop's
+// automatic promotions, the coupon entered at checkout and the cashier's
+// receipt discount (an amount, or a percentage when receiptDiscountType is percent).
+// Each line gets its total discountAmount; receipt-wide discounts come back as
+// receiptDiscount and are shared across the lines when tax is worked out.
+export const applyDiscounts = (items, promotions = [], options = {}) => {
+  const { couponCode = '', receiptDiscount = 0, receiptDiscountType = DISCOUNT_TYPES.AMOUNT, date = new Date() } = options;
+  
+  const coupon = findCouponPromotion(promotions, couponCode, date);
+  // Promotions without a coupon code apply automatically; coupon promotions only when entered
+  const applicable = promotions.filter(promotion =>
+    isPromotionActive(promotion, date) && (!promotion.couponCode || (coupon && promotion.id === coupon.id))
+  );
+  
+  const applied = {};
+  const recordPromotion = (promotion, amount) => {
+    if (amount <= 0) return;
+    if (!applied[promotion.id]) {
+      applied[promotion.id] = {
+        promotionId: promotion.id,
+        name: promotion.name,
+        type: promotion.type,
+        couponCode: promotion.couponCode || '',
+        amount: 0
+      };
+    }
+    applied[promotion.id].amount = roundAmount(applied[promotion.id].amount + amount);
+  };
+  
+  // Line discounts: the cashier's first, then the best matching promotion on what is left
+  const lines = items.map(item => {
+    const gross = parseFloat(item.price || 0) * parseFloat(item.quantity || 0);
+    const manualDiscount = getManualLineDiscount(item);
+    const remaining = gross - manualDiscount;
+    
+    let best = null;
+    let bestAmount = 0;
+    applicable
+      .filter(promotion => promotion.scope !== PROMOTION_SCOPES.RECEIPT || promotion.type === PROMOTION_TYPES.BUY_X_GET_Y)
+      .filter(promotion => promotionMatchesLine(promotion, item))
+      .forEach(promotion => {
+        const amount = roundAmount(getLinePromotionDiscount(promotion, item, remaining));
+        if (amount > bestAmount) {
+          best = promotion;
+          bestAmount = amount;
+        }
+      });
+    
+    if (best) {
+      recordPromotion(best, bestAmount);
+    }
+    
+    return {
+      ...item,
+      promotionId: best ? best.id : null,
+      promotionDiscount: bestAmount,
+      discountAmount: roundAmount(manualDiscount + bestAmount)
+    };
+  });
+  
+  const netSubtotal = lines.reduce((total, line) =>
+    total + parseFloat(line.price || 0) * parseFloat(line.quantity || 0) - line.discountAmount, 0);
+  
+  // Receipt promotions: the best one whose minimum spend is met
+  let receiptPromotion = null;
+  let receiptPromotionAmount = 0;
+  applicable
+    .filter(promotion => promotion.scope === PROMOTION_SCOPES.RECEIPT && promotion.type !== PROMOTION_TYPES.BUY_X_GET_Y)
+    .filter(promotion => netSubtotal >= (parseFloat(promotion.minimumSpend) || 0))
+    .forEach(promotion => {
+      const value = parseFloat(promotion.value) || 0;
+      const amount = roundAmount(Math.min(
+        promotion.type === PROMOTION_TYPES.PERCENTAGE ? netSubtotal * Math.min(value, 100) / 100 : value,
+        netSubtotal
+      ));
+      if (amount > receiptPromotionAmount) {
+        receiptPromotion = promotion;
+        receiptPromotionAmount = amount;
+      }
+    });
+  
+  if (receiptPromotion) {
+    recordPromotion(receiptPromotion, receiptPromotionAmount);
+  }
+  
+  // The cashier's receipt discount comes off what is left
+  const afterPromotions = netSubtotal - receiptPromotionAmount;
+  const discountValue = parseFloat(receiptDiscount) || 0;
+  const manualReceiptDiscount = roundAmount(Math.max(0, Math.min(
+    receiptDiscountType === DISCOUNT_TYPES.PERCENT ? afterPromotions * Math.min(discountValue, 100) / 100 : discountValue,
+    afterPromotions
+  )));
+  
+  const lineDiscountTotal = roundAmount(lines.reduce((total, line) => total + line.discountAmount, 0));
+  const receiptDiscountAmount = roundAmount(receiptPromotionAmount + manualReceiptDiscount);
+  
+  return {
+    lines,
+    coupon,
+    appliedPromotions: Object.values(applied),
+    lineDiscountTotal,
+    manualReceiptDiscount,
+    receiptDiscount: receiptDiscountAmount,
+    discountTotal: roundAmount(lineDiscountTotal + receiptDiscountAmount)
+  };
+};
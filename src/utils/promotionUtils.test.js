@@ -0,0 +1,170 @@
+import {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  DISCOUNT_TYPES,
+  normalizeCouponCode,
+  isPromotionActive,
+  findCouponPromotion,
+  getManualLineDiscount,
+  applyDiscounts
+} from './promotionUtils';
+
+const date = new Date(2025, 5, 15);
+
+const soapPercent = {
+  id: 'soap-10',
+  name: '10% off soap',
+  type: PROMOTION_TYPES.PERCENTAGE,
+  scope: PROMOTION_SCOPES.ITEM,
+  stockItemId: 'soap',
+  value: 10,
+  active: true
+};
+const bathFixed = {
+  id: 'bath-15',
+  name: 'Rs 15 off bath',
+  type: PROMOTION_TYPES.FIXED,
+  scope: PROMOTION_SCOPES.CATEGORY,
+  category: 'Bath',
+  value: 15,
+  active: true
+};
+const breadThreeForTwo = {
+  id: 'bread-3-for-2',
+  name: 'Bread 3 for 2',
+  type: PROMOTION_TYPES.BUY_X_GET_Y,
+  stockItemId: 'bread',
+  buyQuantity: 2,
+  getQuantity: 1,
+  active: true
+};
+const spendThreeHundred = {
+  id: 'spend-300',
+  name: '5% off Rs 300',
+  type: PROMOTION_TYPES.PERCENTAGE,
+  scope: PROMOTION_SCOPES.RECEIPT,
+  value: 5,
+  minimumSpend: 300,
+  active: true
+};
+const coupon = {
+  id: 'save-50',
+  name: 'Rs 50 coupon',
+  type: PROMOTION_TYPES.FIXED,
+  scope: PROMOTION_SCOPES.RECEIPT,
+  value: 50,
+  couponCode: 'SAVE50',
+  active: true
+};
+const promotions = [soapPercent, bathFixed, breadThreeForTwo, spendThreeHundred, coupon];
+
+const items = [
+  {
+    stockItemId: 'soap',
+    name: 'Soap',
+    category: 'Bath',
+    price: 100,
+    quantity: 2,
+    discountType: DISCOUNT_TYPES.AMOUNT,
+    discountValue: 20
+  },
+  { stockItemId: 'bread', name: 'Bread', category: 'Food', price: 50, quantity: 4 }
+];
+
+describe('promotion dates and coupons', () => {
+  test('coupon codes ignore case and spaces', () => {
+    expect(normalizeCouponCode(' save50 ')).toBe('SAVE50');
+    expect(normalizeCouponCode(null)).toBe('');
+    expect(findCouponPromotion(promotions, 'save50', date)).toBe(coupon);
+    expect(findCouponPromotion(promotions, '', date)).toBeNull();
+  });
+
+  test('start and end dates are whole days', () => {
+    expect(isPromotionActive({ ...coupon, startDate: '2025-06-15', endDate: '2025-06-15' }, date)).toBe(true);
+    expect(isPromotionActive({ ...coupon, startDate: '2025-06-16' }, date)).toBe(false);
+    expect(isPromotionActive({ ...coupon, endDate: '2025-06-14' }, date)).toBe(false);
+    expect(isPromotionActive({ ...coupon, active: false }, date)).toBe(false);
+  });
+
+  test('expired coupons aren\'t found', () => {
+    expect(findCouponPromotion([{ ...coupon, endDate: '2025-01-31' }], 'SAVE50', date)).toBeNull();
+  });
+});
+
+describe('getManualLineDiscount', () => {
+  test('a percentage is taken off the line', () => {
+    expect(getManualLineDiscount({ price: 33.33, quantity: 3, discountType: DISCOUNT_TYPES.PERCENT, discountValue: 10 }))
+      .toBe(10);
+  });
+
+  test('a discount can\'t be more than the line', () => {
+    expect(getManualLineDiscount({ price: 50, quantity: 1, discountType: DISCOUNT_TYPES.PERCENT, discountValue: 150 }))
+      .toBe(50);
+    expect(getManualLineDiscount({ price: 50, quantity: 1, discountType: DISCOUNT_TYPES.AMOUNT, discountValue: 80 }))
+      .toBe(50);
+  });
+
+  test('negative and missing discounts are none', () => {
+    expect(getManualLineDiscount({ price: 50, quantity: 1, discountValue: -10 })).toBe(0);
+    expect(getManualLineDiscount({ price: 50, quantity: 1 })).toBe(0);
+  });
+});
+
+describe('applyDiscounts', () => {
+  test('a line gets the cashier\'s discount, then the best promotion on what is left', () => {
+    const result = applyDiscounts(items, promotions, { date });
+    // Rs 15 a unit beats 10% of the Rs 180 left after the cashier's Rs 20
+    expect(result.lines[0]).toMatchObject({ promotionId: 'bath-15', promotionDiscount: 30, discountAmount: 50 });
+    expect(result.lines[1]).toMatchObject({ promotionId: 'bread-3-for-2', promotionDiscount: 50, discountAmount: 50 });
+    expect(result.lineDiscountTotal).toBe(100);
+  });
+
+  test('buy X get Y only gives whole sets free', () => {
+    const result = applyDiscounts([{ stockItemId: 'bread', price: 10, quantity: 7 }], [breadThreeForTwo], { date });
+    expect(result.lines[0].promotionDiscount).toBe(20);
+  });
+
+  test('a receipt promotion needs its minimum spend, after line discounts', () => {
+    const result = applyDiscounts(items, promotions, { date });
+    expect(result.receiptDiscount).toBe(15);
+    expect(result.discountTotal).toBe(115);
+    expect(result.appliedPromotions.map(promotion => promotion.promotionId))
+      .toEqual(['bath-15', 'bread-3-for-2', 'spend-300']);
+
+    const smallSale = applyDiscounts([items[1]], promotions, { date });
+    expect(smallSale.receiptDiscount).toBe(0);
+  });
+
+  test('coupons only apply when entered, and only the best receipt promotion is used', () => {
+    expect(applyDiscounts(items, [coupon], { date }).receiptDiscount).toBe(0);
+
+    const result = applyDiscounts(items, promotions, { couponCode: 'save50', date });
+    expect(result.coupon).toBe(coupon);
+    expect(result.receiptDiscount).toBe(50);
+    expect(result.appliedPromotions.map(promotion => promotion.promotionId)).not.toContain('spend-300');
+  });
+
+  test('the cashier\'s receipt discount comes off what the promotions leave', () => {
+    const result = applyDiscounts(items, promotions, {
+      couponCode: 'SAVE50',
+      receiptDiscount: 10,
+      receiptDiscountType: DISCOUNT_TYPES.PERCENT,
+      date
+    });
+    expect(result.manualReceiptDiscount).toBe(25);
+    expect(result.receiptDiscount).toBe(75);
+    expect(result.discountTotal).toBe(175);
+  });
+
+  test('discounts never take a sale below zero', () => {
+    const result = applyDiscounts(items, promotions, { couponCode: 'SAVE50', receiptDiscount: 1000, date });
+    expect(result.manualReceiptDiscount).toBe(250);
+    expect(result.discountTotal).toBe(400);
+  });
+
+  test('expired promotions are left out', () => {
+    const result = applyDiscounts(items, [{ ...bathFixed, endDate: '2025-06-01' }], { date });
+    expect(result.lines[0]).toMatchObject({ promotionId: null, discountAmount: 20 });
+    expect(result.appliedPromotions).toEqual([]);
+  });
+});
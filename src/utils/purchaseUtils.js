@@ -0,0 +1,263 @@
+import { v4 as uuidv4 } from 'uuid';
+import { collection, addDoc, getDocs, getDoc, updateDoc, doc, query, where, runTransaction, increment } from 'firebase/firestore';
+import { db, auth } from '../firebase/config';
+import { receiveStockInTransaction, STOCK_TRANSACTION_ATTEMPTS } from './stockUtils';
+import { STOCK_MOVEMENT_TYPES } from './stockMovementUtils';
+
+// Lifecycle of a purchase order
+export const PURCHASE_ORDER_STATUS = {
+  ORDERED: 'ordered',
+  PARTIALLY_RECEIVED: 'partially-received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Badge colour and label for each purchase order status
+export const PURCHASE_ORDER_STATUS_BADGES = {
+  [PURCHASE_ORDER_STATUS.ORDERED]: { bg: 'primary', label: 'Ordered' },
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: { bg: 'warning', label: 'Partially Received' },
+  [PURCHASE_ORDER_STATUS.RECEIVED]: { bg: 'success', label: 'Received' },
+  [PURCHASE_ORDER_STATUS.CANCELLED]: { bg: 'secondary', label: 'Cancelled' }
+};
+
+// Generate a purchase order number
+export const generatePurchaseOrderNumber = () => {
+  return `PO-${uuidv4().substring(0, 8).toUpperCase()}`;
+};
+
+// Total cost of a list of lines with a quantity field and unitCost
+export const calculateLinesCost = (lines, quantityField = 'quantity') => {
+  return lines.reduce(
+    (total, line) => total + (parseFloat(line[quantityField]) || 0) * (parseFloat(line.unitCost) || 0),
+    0
+  );
+};
+
+// Quantity of a purchase order line still waiting to be delivered
+export const getOutstandingQuantity = (line) => {
+  return Math.max(0, (parseFloat(line.quantityOrdered) || 0) - (parseFloat(line.quantityReceived) || 0));
+};
+
+// Work out the status of a purchase order from how much of each line has arrived
+const getReceivedStatus = (lines) => {
+  const anyReceived = lines.some(line => (parseFloat(line.quantityReceived) || 0) > 0);
+  const allReceived = lines.every(line => getOutstandingQuantity(line) === 0);
+  
+  if (allReceived) return PURCHASE_ORDER_STATUS.RECEIVED;
+  if (anyReceived) return PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+  return PURCHASE_ORDER_STATUS.ORDERED;
+};
+
+// Get all purchase orders for a shop, newest first
+export const getShopPurchaseOrders = async (shopId) => {
+  try {
+    const orderRef = collection(db, 'purchaseOrders');
+    const q = query(orderRef, where('shopId', '==', shopId));
+    
+    const querySnapshot = await getDocs(q);
+    const orders = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    // Sort client-side so no composite index is needed
+    orders.sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+    
+    return orders;
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    throw error;
+  }
+};
+
+// Get a single purchase order by ID
+export const getPurchaseOrderById = async (orderId) => {
+  try {
+    const orderRef = doc(db, 'purchaseOrders', orderId);
+    const orderSnap = await getDoc(orderRef);
+    
+    if (orderSnap.exists()) {
+      return {
+        id: orderSnap.id,
+        ...orderSnap.data()
+      };
+    } else {
+      throw new Error('Purchase order not found');
+    }
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    throw error;
+  }
+};
+
+// Add a new purchase order
+export const addPurchaseOrder = async (orderData) => {
+  try {
+    const items = orderData.items.map(line => ({
+      ...line,
+      quantityOrdered: parseFloat(line.quantityOrdered) || 0,
+      quantityReceived: 0,
+      unitCost: parseFloat(line.unitCost) || 0
+    }));
+    
+    const orderRef = collection(db, 'purchaseOrders');
+    const docRef = await addDoc(orderRef, {
+      ...orderData,
+      items,
+      totalCost: calculateLinesCost(items, 'quantityOrdered'),
+      status: PURCHASE_ORDER_STATUS.ORDERED,
+      createdAt: new Date().toISOString()
+    });
+    
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding purchase order:', error);
+    throw error;
+  }
+};
+
+// Cancel a purchase order that has not had any goods received against it
+export const cancelPurchaseOrder = async (orderId) => {
+  try {
+    const order = await getPurchaseOrderById(orderId);
+    if (order.status !== PURCHASE_ORDER_STATUS.ORDERED) {
+      throw new Error('Only purchase orders with no goods received can be cancelled');
+    }
+    
+    await updateDoc(doc(db, 'purchaseOrders', orderId), {
+      status: PURCHASE_ORDER_STATUS.CANCELLED,
+      updatedAt: new Date().toISOString()
+    });
+    return orderId;
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    throw error;
+  }
+};
+
+// Get the goods received notes booked against a purchase order, oldest first
+export const getGoodsReceivedNotes = async (shopId, purchaseOrderId) => {
+  try {
+    const grnRef = collection(db, 'goodsReceivedNotes');
+    const q = query(
+      grnRef,
+      where('shopId', '==', shopId),
+      where('purchaseOrderId', '==', purchaseOrderId)
+    );
+    
+    const querySnapshot = await getDocs(q);
+    const notes = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    notes.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    
+    return notes;
+  } catch (error) {
+    console.error('Error fetching goods received notes:', error);
+    throw error;
+  }
+};
+
+// Book a goods received note against a purchase order.
+// In one transaction this adds the delivered quantities to stock, updates each
+// item's cost price from the supplier invoice, records restock movements,
+// advances the purchase order, adds the invoice to what we owe the supplier
+// and stores the note itself.
+export const receiveGoods = async (purchaseOrderId, receiptData) => {
+  try {
+    const orderRef = doc(db, 'purchaseOrders', purchaseOrderId);
+    const grnRef = doc(collection(db, 'goodsReceivedNotes'));
+    const user = auth.currentUser;
+    
+    const receivedLines = receiptData.items
+      .map(line => ({
+        ...line,
+        quantity: parseFloat(line.quantity) || 0,
+        unitCost: parseFloat(line.unitCost) || 0
+      }))
+      .filter(line => line.quantity > 0);
+    
+    if (receivedLines.length === 0) {
+      throw new Error('Enter a received quantity for at least one item');
+    }
+    
+    await runTransaction(db, async (transaction) => {
+      const orderSnap = await transaction.get(orderRef);
+      if (!orderSnap.exists()) {
+        throw new Error('Purchase order not found');
+      }
+      
+      const order = orderSnap.data();
+      if (order.status === PURCHASE_ORDER_STATUS.CANCELLED || order.status === PURCHASE_ORDER_STATUS.RECEIVED) {
+        throw new Error('This purchase order is already closed');
+      }
+      
+      // Suppliers deleted before their orders arrived have no balance to add to
+      const supplierRef = order.supplierId ? doc(db, 'suppliers', order.supplierId) : null;
+      const supplierSnap = supplierRef ? await transaction.get(supplierRef) : null;
+      
+      // Check every delivered quantity against what is still outstanding
+      const orderLines = order.items.map(line => ({ ...line }));
+      receivedLines.forEach(received => {
+        const orderLine = orderLines.find(line => line.stockItemId === received.stockItemId);
+        if (!orderLine) {
+          throw new Error(`"${received.name}" is not on this purchase order`);
+        }
+        if (received.quantity > getOutstandingQuantity(orderLine)) {
+          throw new Error(
+            `Received quantity for "${orderLine.name}" is more than the ${getOutstandingQuantity(orderLine)} outstanding`
+          );
+        }
+        orderLine.quantityReceived = (parseFloat(orderLine.quantityReceived) || 0) + received.quantity;
+      });
+      
+      await receiveStockInTransaction(transaction, receivedLines.map(line => ({
+        stockItemId: line.stockItemId,
+        name: line.name,
+        quantity: line.quantity,
+        costPrice: line.unitCost
+      })), {
+        shopId: order.shopId,
+        type: STOCK_MOVEMENT_TYPES.RESTOCK,
+        reason: `${order.poNumber}${receiptData.invoiceNumber ? ` / invoice ${receiptData.invoiceNumber}` : ''}`,
+        sourceType: 'goodsReceivedNote',
+        sourceId: grnRef.id
+      });
+      
+      transaction.update(orderRef, {
+        items: orderLines,
+        status: getReceivedStatus(orderLines),
+        updatedAt: new Date().toISOString()
+      });
+      
+      if (supplierSnap && supplierSnap.exists()) {
+        transaction.update(supplierRef, {
+          outstandingBalance: increment(calculateLinesCost(receivedLines)),
+          updatedAt: new Date().toISOString()
+        });
+      }
+      
+      transaction.set(grnRef, {
+        shopId: order.shopId,
+        purchaseOrderId,
+        poNumber: order.poNumber,
+        supplierId: order.supplierId || null,
+        supplier: order.supplier || '',
+        invoiceNumber: receiptData.invoiceNumber || '',
+        receivedDate: receiptData.receivedDate,
+        notes: receiptData.notes || '',
+        items: receivedLines,
+        totalCost: calculateLinesCost(receivedLines),
+        receivedBy: user ? user.email : null,
+        createdAt: new Date().toISOString()
+      });
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+    
+    return grnRef.id;
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,156 @@
+import { collection, doc, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+// Every edit to a saved receipt is kept as a numbered revision in the
+// receiptRevisions collection: who made it, when, why, which fields and lines
+// changed, and the values the edited fields had before. The receipt carries the
+// number of its latest revision in `revision`; a receipt that was never edited
+// is revision 0, so the original can always be rebuilt from revision 1's before.
+
+// Receipt fields shown in the history, with their labels
+export const RECEIPT_REVISION_FIELDS = {
+  cashierName: 'Cashier',
+  managerName: 'Manager',
+  paymentMethod: 'Payment Method',
+  discount: 'Discount',
+  taxTotal: 'Tax',
+  totalAmount: 'Total'
+};
+
+export const LINE_CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+// Line values compared between revisions
+const LINE_FIELDS = ['quantity', 'price', 'discountAmount'];
+
+// The ID of a receipt's revision, so each number can only be saved once
+export const getReceiptRevisionId = (receiptId, revision) => `${receiptId}_${revision}`;
+
+const pickLineValues = (line) => LINE_FIELDS.reduce((values, field) => {
+  values[field] = parseFloat(line[field]) || 0;
+  return values;
+}, {});
+
+// Lines are matched by stock item, or by name for lines without one, in order
+const getLineKey = (line) => line.stockItemId || `name:${(line.name || '').toLowerCase()}`;
+
+// Work out which lines were added, removed or changed between two versions of a receipt
+export const diffReceiptLines = (oldItems = [], newItems = []) => {
+  const unmatched = newItems.map((line, index) => ({ line, index }));
+  const changes = [];
+
+  oldItems.forEach(oldLine => {
+    const matchIndex = unmatched.findIndex(({ line }) => getLineKey(line) === getLineKey(oldLine));
+    if (matchIndex === -1) {
+      changes.push({
+        type: LINE_CHANGE_TYPES.REMOVED,
+        name: oldLine.name,
+        stockItemId: oldLine.stockItemId || null,
+        before: pickLineValues(oldLine),
+        after: null
+      });
+      return;
+    }
+
+    const [{ line: newLine }] = unmatched.splice(matchIndex, 1);
+    const before = pickLineValues(oldLine);
+    const after = pickLineValues(newLine);
+    if (LINE_FIELDS.some(field => Math.abs(before[field] - after[field]) >= 0.001)) {
+      changes.push({
+        type: LINE_CHANGE_TYPES.CHANGED,
+        name: newLine.name,
+        stockItemId: newLine.stockItemId || null,
+        before,
+        after
+      });
+    }
+  });
+
+  unmatched.forEach(({ line }) => {
+    changes.push({
+      type: LINE_CHANGE_TYPES.ADDED,
+      name: line.name,
+      stockItemId: line.stockItemId || null,
+      before: null,
+      after: pickLineValues(line)
+    });
+  });
+
+  return changes;
+};
+
+// Work out which of the shown fields an edit changed
+export const diffReceiptFields = (oldReceipt, updatedData) => {
+  return Object.keys(RECEIPT_REVISION_FIELDS)
+    .filter(field => updatedData[field] !== undefined)
+    .filter(field => String(oldReceipt[field] ?? '') !== String(updatedData[field] ?? ''))
+    .map(field => ({
+      field,
+      from: oldReceipt[field] ?? null,
+      to: updatedData[field] ?? null
+    }));
+};
+
+/**
+ * Build the revision document for an edit
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} oldReceipt - The receipt as it was before the edit
+ * @param {Object} updatedData - The fields the edit changes
+ * @param {Object} details - { editedBy, reason }
+ * @returns {Object} The revision, numbered after the receipt's current one
+ */
+export const buildReceiptRevision = (receiptId, oldReceipt, updatedData, { editedBy, reason } = {}) => {
+  // Keep what every edited field held before, so nothing is lost
+  const before = {};
+  Object.keys(updatedData).forEach(field => {
+    before[field] = oldReceipt[field] === undefined ? null : oldReceipt[field];
+  });
+
+  return {
+    shopId: oldReceipt.shopId,
+    receiptId,
+    transactionId: oldReceipt.transactionId,
+    revision: (parseInt(oldReceipt.revision) || 0) + 1,
+    editedBy: editedBy || null,
+    editedAt: new Date().toISOString(),
+    reason: (reason || '').trim(),
+    fieldChanges: diffReceiptFields(oldReceipt, updatedData),
+    lineChanges: updatedData.items ? diffReceiptLines(oldReceipt.items, updatedData.items) : [],
+    before
+  };
+};
+
+// Get a receipt's revisions, newest first
+export const getReceiptRevisions = async (shopId, receiptId) => {
+  try {
+    const revisionRef = collection(db, 'receiptRevisions');
+    const q = query(
+      revisionRef,
+      where('shopId', '==', shopId),
+      where('receiptId', '==', receiptId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const revisions = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    revisions.sort((a, b) => b.revision - a.revision);
+
+    return revisions;
+  } catch (error) {
+    console.error('Error fetching receipt revisions:', error);
+    throw error;
+  }
+};
+
+// Save a revision as part of the transaction that applies the edit
+export const saveReceiptRevisionInTransaction = (transaction, revision) => {
+  const revisionRef = doc(db, 'receiptRevisions', getReceiptRevisionId(revision.receiptId, revision.revision));
+  transaction.set(revisionRef, revision);
+  return revisionRef.id;
+};
@@ -1,36 +1,177 @@
 import { v4 as uuidv4 } from 'uuid';
-import { addDoc, collection, doc, getDoc, deleteDoc, updateDoc } from 'firebase/firestore';
+import { collection, doc, getDoc, getDocs, getCountFromServer, runTransaction, query, where, orderBy, limit, writeBatch, setDoc, updateDoc, deleteField, arrayUnion } from 'firebase/firestore';
 import { db } from '../firebase/config';
-import { restoreStockQuantity } from './stockUtils';
+import {
+  getShopStock,
+  findStockItemForLine,
+  getStockLinesForItems,
+  deductStockInTransaction,
+  restoreStockInTransaction,
+  adjustStockInTransaction,
+  STOCK_TRANSACTION_ATTEMPTS
+} from './stockUtils';
+import { STOCK_MOVEMENT_TYPES } from './stockMovementUtils';
+import { getCostingMethod, getSaleUnitCost } from './costingUtils';
+import { applyReceiptToSummaries } from './salesSummaryUtils';
+import { calculateReceiptTax } from './taxUtils';
+import { CASH, getAmountOnAccount, getReceiptPayments } from './paymentUtils';
+import { getOpenShift, prepareCashMovementInTransaction, getReturnCashMovement, CASH_MOVEMENT_TYPES } from './shiftUtils';
+import { applyReceiptToCustomer, receiptCustomerExists, checkCreditLimit } from './customerUtils';
+import { checkPointsAvailable, getReceiptPointsChange } from './loyaltyUtils';
+import { getInvoiceSettings, reserveInvoiceNumber } from './invoiceUtils';
+import { RECEIPT_STATUS, isReceiptCancelled, checkReceiptCancellable } from './voidUtils';
+import { getReceiptReturns, getPendingReturns, hasReturns, checkReturnQuantities } from './returnUtils';
+import { buildReceiptRevision, saveReceiptRevisionInTransaction, diffReceiptLines, LINE_CHANGE_TYPES } from './receiptRevisionUtils';
+
+// Receipts saved while offline are marked pending until their stock, summaries
+// and customer have been applied. A conflict means the sale took more stock than
+// was left by the time it synced, so some stock went negative and needs checking.
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict'
+};
+
+// Whether the browser has lost its connection
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Whether a Firestore error means the server couldn't be reached
+export const isOfflineError = (error) => !!error && error.code === 'unavailable';
+
+// Writes saved offline that the server refused once they were sent, e.g. by the
+// security rules. Firestore drops them from its cache, so they are kept in this
+// device's storage, with what they would have saved, until someone has seen them.
+const REJECTED_WRITES_KEY = 'rejectedOfflineWrites';
+const rejectedWriteListeners = new Set();
+
+export const getRejectedOfflineWrites = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REJECTED_WRITES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Keep a refused write. description says what was lost, data is what it saved.
+export const recordRejectedOfflineWrite = ({ description, data }, error) => {
+  console.error(`Offline change refused by the server: ${description}`, error);
+  
+  const writes = [...getRejectedOfflineWrites(), {
+    description,
+    data,
+    error: error.message,
+    rejectedAt: new Date().toISOString()
+  }];
+  localStorage.setItem(REJECTED_WRITES_KEY, JSON.stringify(writes));
+  rejectedWriteListeners.forEach(listener => listener(writes));
+};
+
+export const clearRejectedOfflineWrites = () => {
+  localStorage.removeItem(REJECTED_WRITES_KEY);
+  rejectedWriteListeners.forEach(listener => listener([]));
+};
+
+// Call listener with the refused writes whenever they change. Returns an unsubscribe function.
+export const subscribeToRejectedOfflineWrites = (listener) => {
+  rejectedWriteListeners.add(listener);
+  return () => rejectedWriteListeners.delete(listener);
+};
+
+// Stop changes to a receipt whose sale or return hasn't synced yet
+const checkReceiptSynced = (receipt) => {
+  if (receipt.syncStatus === SYNC_STATUS.PENDING || getPendingReturns(receipt).length > 0) {
+    throw new Error('This receipt was saved offline and has not synced yet. Try again once you are back online.');
+  }
+};
 
 // Generate a unique transaction ID
 export const generateTransactionId = () => {
   return uuidv4().substring(0, 8).toUpperCase();
 };
 
-// Calculate the total amount of all items with optional discount
-export const calculateTotal = (items, discount = 0) => {
+// Calculate the total amount of all items with optional discount.
+// Lines carry their tax rate; tax is added on top unless prices already include it.
+export const calculateTotal = (items, discount = 0, pricesIncludeTax = false) => {
   if (!items || items.length === 0) return 0;
-  const subtotal = items.reduce((total, item) => total + (parseFloat(item.price) * parseFloat(item.quantity)), 0);
-  const discountAmount = parseFloat(discount) || 0;
-  return (subtotal - discountAmount).toFixed(2);
+  return calculateReceiptTax(items, discount, pricesIncludeTax).total.toFixed(2);
 };
 
-// Save a receipt to Firestore
-export const saveReceipt = async (receiptData) => {
+// Save a receipt and deduct its items from stock as one atomic transaction.
+// Either both the receipt and every stock deduction are written, or nothing is.
+// Lines are stamped with their cost under the shop's costing method as the stock is taken.
+// Anything sold on account is added to the customer's balance, within their credit limit,
+// and loyalty points earned and spent move the customer's points.
+// Shops using sequential invoice numbers get the next one as part of the same transaction.
+export const saveReceiptWithStockDeduction = async (receiptData) => {
   try {
-    const receiptRef = collection(db, 'receipts');
-    const docRef = await addDoc(receiptRef, {
-      ...receiptData,
-      timestamp: new Date().toISOString()
-    });
-    return docRef.id;
+    const stockLines = await getStockLinesForItems(receiptData.shopId, receiptData.items);
+    const receiptRef = doc(collection(db, 'receipts'));
+    
+    await runTransaction(db, async (transaction) => {
+      const shopSnap = await transaction.get(doc(db, 'shops', receiptData.shopId));
+      const shopData = shopSnap.exists() ? shopSnap.data() : null;
+      const costingMethod = getCostingMethod(shopData);
+      const invoiceSettings = getInvoiceSettings(shopData);
+      const invoice = invoiceSettings.sequentialNumbers
+        ? await reserveInvoiceNumber(transaction, receiptData.shopId, invoiceSettings)
+        : null;
+      
+      // The customer must have the credit and the points this sale uses
+      const customerFields = {};
+      if (receiptData.customerId) {
+        const customerSnap = await transaction.get(doc(db, 'customers', receiptData.customerId));
+        if (!customerSnap.exists()) {
+          throw new Error('Customer not found');
+        }
+        const customer = customerSnap.data();
+        checkCreditLimit(customer, getAmountOnAccount(receiptData));
+        checkPointsAvailable(customer, receiptData.loyaltyPointsRedeemed);
+        // Printed on the receipt so the customer can see where they stand
+        customerFields.loyaltyPointsBalance = (parseInt(customer.loyaltyPoints) || 0) + getReceiptPointsChange(receiptData);
+      }
+      
+      const costs = await deductStockInTransaction(transaction, stockLines, {
+        shopId: receiptData.shopId,
+        type: STOCK_MOVEMENT_TYPES.SALE,
+        reason: `Receipt ${receiptData.transactionId}`,
+        sourceType: 'receipt',
+        sourceId: receiptRef.id
+      });
+      const receipt = {
+        ...receiptData,
+        ...customerFields,
+        ...(invoice ? { invoiceNumber: invoice.invoiceNumber } : {}),
+        items: applySaleCosts(receiptData.items, costs, costingMethod),
+        costingMethod,
+        timestamp: new Date().toISOString()
+      };
+      transaction.set(receiptRef, receipt);
+      if (invoice) invoice.save();
+      applyReceiptToSummaries(transaction, receipt);
+      applyReceiptToCustomer(transaction, null, { ...receipt, id: receiptRef.id });
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+    
+    return receiptRef.id;
   } catch (error) {
-    console.error('Error saving receipt:', error);
+    console.error('Error saving receipt with stock deduction:', error);
     throw error;
   }
 };
 
+// Stamp each stock-linked line with its cost under the shop's costing method.
+// Lines whose cost is unknown are saved with a null cost rather than a guess.
+const applySaleCosts = (items, costs, costingMethod) => {
+  return items.map(item => {
+    const itemCosts = item.stockItemId && costs[item.stockItemId];
+    if (!itemCosts) return item;
+    
+    return {
+      ...item,
+      costPrice: getSaleUnitCost(costingMethod, itemCosts)
+    };
+  });
+};
+
 // Fetch a single receipt by ID
 export const getReceiptById = async (receiptId) => {
   try {
@@ -51,36 +192,649 @@ export const getReceiptById = async (receiptId) => {
   }
 };
 
-// Delete a receipt by ID
-export const deleteReceipt = async (receiptId) => {
+// Count a shop's receipts on the server without downloading them
+export const getReceiptCount = async (shopId) => {
+  try {
+    const receiptQuery = query(collection(db, 'receipts'), where('shopId', '==', shopId));
+    const countSnapshot = await getCountFromServer(receiptQuery);
+    return countSnapshot.data().count;
+  } catch (error) {
+    console.error('Error counting receipts:', error);
+    throw error;
+  }
+};
+
+// Fetch a shop's most recent receipts, newest first
+export const getRecentReceipts = async (shopId, count = 5) => {
+  try {
+    const receiptsRef = collection(db, 'receipts');
+    
+    try {
+      const receiptQuery = query(
+        receiptsRef,
+        where('shopId', '==', shopId),
+        orderBy('timestamp', 'desc'),
+        limit(count)
+      );
+      const snapshot = await getDocs(receiptQuery);
+      return snapshot.docs.map(receiptDoc => ({
+        id: receiptDoc.id,
+        ...receiptDoc.data()
+      }));
+    } catch (indexError) {
+      // If the index isn't deployed yet, sort the shop's receipts on the client
+      console.warn('Receipts timestamp index not available, sorting on the client:', indexError);
+      const snapshot = await getDocs(query(receiptsRef, where('shopId', '==', shopId)));
+      return snapshot.docs
+        .map(receiptDoc => ({
+          id: receiptDoc.id,
+          ...receiptDoc.data()
+        }))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, count);
+    }
+  } catch (error) {
+    console.error('Error fetching recent receipts:', error);
+    throw error;
+  }
+};
+
+// Cancel a receipt, by voiding it or issuing a credit note. Its items go back
+// into stock, it comes out of the sales summaries and its customer's balance, and
+// any cash paid is handed back out of the open shift's drawer, all in one
+// transaction. The receipt itself is kept as it was, only marked with its status
+// and who cancelled it, when and why.
+const cancelReceipt = async (receiptId, status, { reason, cancelledBy }) => {
+  const cancelReason = (reason || '').trim();
+  if (!cancelReason) {
+    throw new Error('Give a reason for cancelling the receipt');
+  }
+  
+  const receipt = await getReceiptById(receiptId);
+  checkReceiptSynced(receipt);
+  checkReceiptCancellable(receipt);
+  const stockLines = await getStockLinesForItems(receipt.shopId, receipt.items || []);
+  
+  const openShift = await getOpenShift(receipt.shopId);
+  
+  const isCreditNote = status === RECEIPT_STATUS.CREDITED;
+  const receiptRef = doc(db, 'receipts', receiptId);
+  const creditNoteRef = doc(collection(db, 'creditNotes'));
+  
+  return await runTransaction(db, async (transaction) => {
+    const receiptSnap = await transaction.get(receiptRef);
+    if (!receiptSnap.exists()) {
+      throw new Error('Receipt not found');
+    }
+    const receiptData = receiptSnap.data();
+    checkReceiptSynced(receiptData);
+    checkReceiptCancellable(receiptData);
+    const customerExists = await receiptCustomerExists(transaction, receiptData);
+    const cashRefund = getReceiptPayments(receiptData)
+      .filter(payment => payment.method === CASH)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    const refund = cashRefund > 0
+      ? await prepareCashMovementInTransaction(transaction, openShift, {
+        type: CASH_MOVEMENT_TYPES.OUT,
+        amount: cashRefund.toFixed(2),
+        reason: `${isCreditNote ? 'Credit note for' : 'Voided'} receipt ${receiptData.transactionId}`
+      })
+      : null;
+    
+    // Credit notes are numbered in a sequence of their own
+    let creditNote = null;
+    if (isCreditNote) {
+      const shopSnap = await transaction.get(doc(db, 'shops', receiptData.shopId));
+      const invoiceSettings = getInvoiceSettings(shopSnap.exists() ? shopSnap.data() : null);
+      creditNote = await reserveInvoiceNumber(
+        transaction,
+        receiptData.shopId,
+        { ...invoiceSettings, prefix: invoiceSettings.creditNotePrefix },
+        new Date(),
+        'creditNotes'
+      );
+    }
+    
+    const cancelledAt = new Date().toISOString();
+    await restoreStockInTransaction(transaction, stockLines, {
+      shopId: receiptData.shopId,
+      type: isCreditNote ? STOCK_MOVEMENT_TYPES.CREDIT_NOTE : STOCK_MOVEMENT_TYPES.VOID,
+      reason: isCreditNote
+        ? `Credit note ${creditNote.invoiceNumber} for receipt ${receiptData.transactionId}`
+        : `Receipt ${receiptData.transactionId} voided: ${cancelReason}`,
+      sourceType: 'receipt',
+      sourceId: receiptId
+    });
+    applyReceiptToSummaries(transaction, receiptData, -1);
+    applyReceiptToCustomer(transaction, { ...receiptData, id: receiptId }, null, customerExists);
+    if (refund) refund.save();
+    
+    if (!isCreditNote) {
+      transaction.update(receiptRef, {
+        status,
+        voidInfo: { reason: cancelReason, voidedBy: cancelledBy, voidedAt: cancelledAt }
+      });
+      return receiptId;
+    }
+    
+    // The credit note mirrors the sale it reverses, so it can be printed on its own
+    transaction.set(creditNoteRef, {
+      shopId: receiptData.shopId,
+      receiptId,
+      transactionId: receiptData.transactionId,
+      invoiceNumber: receiptData.invoiceNumber || null,
+      creditNoteNumber: creditNote.invoiceNumber,
+      reason: cancelReason,
+      issuedBy: cancelledBy,
+      timestamp: cancelledAt,
+      saleDate: receiptData.timestamp,
+      shopDetails: receiptData.shopDetails || {},
+      buyer: receiptData.buyer || null,
+      customerId: receiptData.customerId || null,
+      customerName: receiptData.customerName || '',
+      items: receiptData.items || [],
+      discount: receiptData.discount || 0,
+      lineDiscountTotal: receiptData.lineDiscountTotal || 0,
+      taxName: receiptData.taxName || '',
+      pricesIncludeTax: !!receiptData.pricesIncludeTax,
+      taxTotal: receiptData.taxTotal || 0,
+      taxBreakdown: receiptData.taxBreakdown || [],
+      totalAmount: receiptData.totalAmount,
+      payments: getReceiptPayments(receiptData)
+    });
+    creditNote.save();
+    transaction.update(receiptRef, {
+      status,
+      creditNoteInfo: {
+        creditNoteId: creditNoteRef.id,
+        creditNoteNumber: creditNote.invoiceNumber,
+        reason: cancelReason,
+        issuedBy: cancelledBy,
+        issuedAt: cancelledAt
+      }
+    });
+    return creditNoteRef.id;
+  }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+};
+
+// Void a receipt made in error. Returns the receipt ID.
+export const voidReceipt = async (receiptId, details) => {
+  try {
+    return await cancelReceipt(receiptId, RECEIPT_STATUS.VOID, details);
+  } catch (error) {
+    console.error('Error voiding receipt:', error);
+    throw error;
+  }
+};
+
+// Reverse a completed sale with a credit note. Returns the credit note's ID.
+export const issueCreditNote = async (receiptId, details) => {
+  try {
+    return await cancelReceipt(receiptId, RECEIPT_STATUS.CREDITED, details);
+  } catch (error) {
+    console.error('Error issuing credit note:', error);
+    throw error;
+  }
+};
+
+// The stock to deduct (direction -1) or put back (direction 1) when a receipt's
+// lines change from oldLines to newLines, both from getStockLinesForItems
+const getStockLineChanges = (oldLines, newLines) => {
+  const linesById = {};
+  oldLines.forEach(line => {
+    linesById[line.stockItemId] = { ...line, quantity: -line.quantity };
+  });
+  newLines.forEach(line => {
+    const oldLine = linesById[line.stockItemId];
+    linesById[line.stockItemId] = oldLine
+      ? { ...oldLine, quantity: oldLine.quantity + line.quantity }
+      : { ...line };
+  });
+  
+  return Object.values(linesById)
+    .filter(line => Math.abs(line.quantity) >= 0.0001)
+    .map(line => ({
+      ...line,
+      quantity: Math.abs(line.quantity),
+      direction: line.quantity > 0 ? -1 : 1
+    }));
+};
+
+/**
+ * Edit a saved receipt. The edit is kept as a numbered revision with who made
+ * it, when and what changed, and stock moves by the difference between the old
+ * and new lines, all in one transaction with the summaries and customer.
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} updatedData - The receipt fields to change
+ * @param {Object} details - { editedBy, reason }
+ * @returns {Promise<number>} The new revision number
+ */
+export const editReceipt = async (receiptId, updatedData, details = {}) => {
   try {
-    // First get the receipt to access its items
     const receipt = await getReceiptById(receiptId);
+    checkReceiptSynced(receipt);
+    if (isReceiptCancelled(receipt)) {
+      throw new Error('This receipt has been voided or credited and can no longer be changed');
+    }
+    
+    const newItems = updatedData.items || receipt.items || [];
+    const quantitiesChanged = diffReceiptLines(receipt.items, newItems).some(change =>
+      change.type !== LINE_CHANGE_TYPES.CHANGED || change.before.quantity !== change.after.quantity
+    );
+    if (quantitiesChanged && hasReturns(receipt)) {
+      throw new Error('Items on this receipt have been returned, so its quantities can no longer be changed');
+    }
+    
+    const stockLineChanges = quantitiesChanged
+      ? getStockLineChanges(
+        await getStockLinesForItems(receipt.shopId, receipt.items || []),
+        await getStockLinesForItems(receipt.shopId, newItems)
+      )
+      : [];
     
-    // Delete the receipt from Firestore
     const receiptRef = doc(db, 'receipts', receiptId);
-    await deleteDoc(receiptRef);
+    return await runTransaction(db, async (transaction) => {
+      const receiptSnap = await transaction.get(receiptRef);
+      if (!receiptSnap.exists()) {
+        throw new Error('Receipt not found');
+      }
+      
+      // The stock changes were worked out from the receipt as it was read above
+      const receiptData = receiptSnap.data();
+      if ((receiptData.revision || 0) !== (receipt.revision || 0) || isReceiptCancelled(receiptData)) {
+        throw new Error('This receipt was changed while you were editing it. Reload it and try again.');
+      }
+      const customerExists = await receiptCustomerExists(transaction, receiptData);
+      
+      if (stockLineChanges.length > 0) {
+        await adjustStockInTransaction(transaction, stockLineChanges, {
+          shopId: receiptData.shopId,
+          type: STOCK_MOVEMENT_TYPES.RECEIPT_EDIT,
+          reason: `Receipt ${receiptData.transactionId} edited`,
+          sourceType: 'receipt',
+          sourceId: receiptId
+        });
+      }
+      
+      const revision = buildReceiptRevision(receiptId, receiptData, updatedData, details);
+      saveReceiptRevisionInTransaction(transaction, revision);
+      transaction.update(receiptRef, {
+        ...updatedData,
+        revision: revision.revision,
+        lastEditedBy: revision.editedBy,
+        lastEditedAt: revision.editedAt
+      });
+      applyReceiptToSummaries(transaction, receiptData, -1);
+      applyReceiptToSummaries(transaction, { ...receiptData, ...updatedData }, 1);
+      applyReceiptToCustomer(transaction, { ...receiptData, id: receiptId }, { ...receiptData, ...updatedData, id: receiptId }, customerExists);
+      
+      return revision.revision;
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+  } catch (error) {
+    console.error('Error editing receipt:', error);
+    throw error;
+  }
+};
+
+// Save a receipt while offline. Firestore keeps the write in its cache on this
+// device, so the receipt shows straight away, and sends it when the connection
+// is back. Stock, summaries and the customer are applied by syncPendingReceipt.
+export const saveReceiptOffline = async (receiptData) => {
+  try {
+    const receiptRef = doc(collection(db, 'receipts'));
+    const receipt = {
+      ...receiptData,
+      syncStatus: SYNC_STATUS.PENDING,
+      timestamp: new Date().toISOString()
+    };
+    // Offline, the write only resolves once the server has it, so don't wait for it
+    setDoc(receiptRef, receipt).catch(error => {
+      recordRejectedOfflineWrite({
+        description: `Sale ${receipt.transactionId || receiptRef.id} of ${formatCurrency(receipt.totalAmount)}`,
+        data: receipt
+      }, error);
+    });
     
-    // Restore items back to inventory
-    if (receipt && receipt.items && receipt.items.length > 0) {
-      await restoreStockQuantity(receipt.shopId, receipt.items);
+    return receiptRef.id;
+  } catch (error) {
+    console.error('Error saving receipt offline:', error);
+    throw error;
+  }
+};
+
+// Add a return to a receipt in one transaction: put the returned items back into
+// stock, take any items given in exchange out of it, add the return to the
+// receipt's returns and move the summaries, the customer and the open shift's
+// cash. Returns saved offline are applied the same way from pendingReturns when
+// they sync, except for the cash, which moved when they were made.
+const applyReturn = async (receiptId, returnEvent, { fromPending = false } = {}) => {
+  const receipt = await getReceiptById(receiptId);
+  if (!fromPending) {
+    checkReceiptSynced(receipt);
+  }
+  if (isReceiptCancelled(receipt)) {
+    throw new Error('This receipt has been voided or credited, so nothing can be returned from it');
+  }
+  
+  // An item swapped for another of the same only moves stock by the difference
+  const exchangeItems = returnEvent.exchangeItems || [];
+  const stockLineChanges = getStockLineChanges(
+    await getStockLinesForItems(receipt.shopId, returnEvent.returnedItems),
+    await getStockLinesForItems(receipt.shopId, exchangeItems)
+  );
+  const cashMovement = fromPending ? null : getReturnCashMovement(returnEvent, receipt.transactionId);
+  const openShift = cashMovement ? await getOpenShift(receipt.shopId) : null;
+  
+  const receiptRef = doc(db, 'receipts', receiptId);
+  return await runTransaction(db, async (transaction) => {
+    const receiptSnap = await transaction.get(receiptRef);
+    if (!receiptSnap.exists()) {
+      throw new Error('Receipt not found');
     }
     
-    return true;
+    const { pendingReturn, pendingReturns, returnSyncStatus, ...receiptData } = receiptSnap.data();
+    const queuedReturns = getPendingReturns({ pendingReturn, pendingReturns });
+    // Returns from before several could wait have no offlineId
+    const queuedIndex = queuedReturns.findIndex(queued => queued.offlineId === returnEvent.offlineId);
+    // Already synced from another device
+    if (fromPending && queuedIndex === -1) return null;
+    if (!fromPending && queuedReturns.length > 0) {
+      throw new Error('A return on this receipt is waiting to sync. Try again once it has.');
+    }
+    const stillQueued = queuedReturns.filter((queued, index) => index !== queuedIndex);
+    if (isReceiptCancelled(receiptData)) {
+      throw new Error('This receipt has been voided or credited, so nothing can be returned from it');
+    }
+    // Another till may have returned some of the same items since
+    checkReturnQuantities(receiptData, returnEvent.returnedItems);
+    
+    const shopSnap = exchangeItems.length > 0
+      ? await transaction.get(doc(db, 'shops', receiptData.shopId))
+      : null;
+    const costingMethod = getCostingMethod(shopSnap && shopSnap.exists() ? shopSnap.data() : null);
+    const customerExists = await receiptCustomerExists(transaction, receiptData);
+    const cash = cashMovement
+      ? await prepareCashMovementInTransaction(transaction, openShift, cashMovement)
+      : null;
+    
+    const previousReturns = getReceiptReturns(receiptData);
+    const returnNumber = previousReturns.length + 1;
+    const costs = stockLineChanges.length > 0
+      ? await adjustStockInTransaction(transaction, stockLineChanges, {
+        shopId: receiptData.shopId,
+        type: STOCK_MOVEMENT_TYPES.RETURN,
+        reason: returnEvent.returnReason ||
+          `${exchangeItems.length > 0 ? 'Exchange' : 'Return'} ${returnNumber} on receipt ${receiptData.transactionId}`,
+        sourceType: 'receipt',
+        sourceId: receiptId
+      })
+      : {};
+    
+    const returns = [...previousReturns, {
+      ...returnEvent,
+      returnNumber,
+      exchangeItems: applySaleCosts(exchangeItems, costs, costingMethod)
+    }];
+    const updatedReceipt = { ...receiptData, returns };
+    delete updatedReceipt.returnInfo;
+    
+    // Receipts with a single returnInfo move over to the returns list
+    transaction.update(receiptRef, {
+      returns,
+      returnInfo: deleteField(),
+      ...(fromPending ? {
+        pendingReturn: deleteField(),
+        pendingReturns: stillQueued.length > 0 ? stillQueued : deleteField(),
+        returnSyncStatus: stillQueued.length > 0 ? SYNC_STATUS.PENDING : deleteField()
+      } : {})
+    });
+    applyReceiptToSummaries(transaction, receiptData, -1);
+    applyReceiptToSummaries(transaction, updatedReceipt, 1);
+    applyReceiptToCustomer(transaction, { ...receiptData, id: receiptId }, { ...updatedReceipt, id: receiptId }, customerExists);
+    if (cash) cash.save();
+    
+    return returnNumber;
+  }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+};
+
+/**
+ * Return items from a receipt, optionally exchanging them for others. A receipt
+ * can have any number of returns, but never more of a line than was sold.
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} returnEvent - The return's lines, refunds and any exchange
+ * @returns {Promise<number>} The return's number on the receipt
+ */
+export const processReturn = async (receiptId, returnEvent) => {
+  try {
+    return await applyReturn(receiptId, returnEvent);
+  } catch (error) {
+    console.error('Error processing return:', error);
+    throw error;
+  }
+};
+
+// Save a return while offline. It is added to the receipt's pendingReturns, after
+// any others made offline, until syncPendingReturn puts its stock back and adds it
+// to the receipt's returns. Resolves to the return's offlineId.
+export const saveReturnOffline = async (receiptId, returnEvent) => {
+  try {
+    const pendingReturn = { ...returnEvent, offlineId: uuidv4() };
+    // Offline, the write only resolves once the server has it, so don't wait for it
+    updateDoc(doc(db, 'receipts', receiptId), {
+      pendingReturns: arrayUnion(pendingReturn),
+      returnSyncStatus: SYNC_STATUS.PENDING
+    }).catch(error => {
+      const returnedItems = (returnEvent.returnedItems || []).map(item => `${item.quantity} x ${item.name}`).join(', ');
+      recordRejectedOfflineWrite({
+        description: `Return of ${returnedItems} on receipt ${receiptId}, refunding ${formatCurrency(returnEvent.refundAmount)}`,
+        data: { receiptId, returnEvent: pendingReturn }
+      }, error);
+    });
+    return pendingReturn.offlineId;
   } catch (error) {
-    console.error('Error deleting receipt:', error);
+    console.error('Error saving return offline:', error);
     throw error;
   }
 };
 
-// Update a receipt by ID
-export const updateReceipt = async (receiptId, updatedData) => {
+// Apply a receipt saved offline: deduct its stock, stamp its costs and add it to
+// the summaries and its customer, as saveReceiptWithStockDeduction would have.
+// The sale has already happened, so it goes through even if there is no longer
+// enough stock; the items that went short are saved as stockConflicts.
+// Resolves to the receipt's new sync status, or null if it was already synced.
+export const syncPendingReceipt = async (receiptId) => {
   try {
+    const pendingReceipt = await getReceiptById(receiptId);
+    if (pendingReceipt.syncStatus !== SYNC_STATUS.PENDING) return null;
+    const stockLines = await getStockLinesForItems(pendingReceipt.shopId, pendingReceipt.items);
+    
     const receiptRef = doc(db, 'receipts', receiptId);
-    await updateDoc(receiptRef, updatedData);
+    return await runTransaction(db, async (transaction) => {
+      const receiptSnap = await transaction.get(receiptRef);
+      // Another till may have synced it first
+      if (!receiptSnap.exists() || receiptSnap.data().syncStatus !== SYNC_STATUS.PENDING) return null;
+      
+      const receiptData = receiptSnap.data();
+      const shopSnap = await transaction.get(doc(db, 'shops', receiptData.shopId));
+      const shopData = shopSnap.exists() ? shopSnap.data() : null;
+      const costingMethod = getCostingMethod(shopData);
+      const customerExists = await receiptCustomerExists(transaction, receiptData);
+      // Invoice numbers can't be handed out offline, so the sale is numbered now,
+      // in the year it was made unless the counter has already moved past it
+      const invoiceSettings = getInvoiceSettings(shopData);
+      const invoice = invoiceSettings.sequentialNumbers && !receiptData.invoiceNumber
+        ? await reserveInvoiceNumber(transaction, receiptData.shopId, invoiceSettings, new Date(receiptData.timestamp))
+        : null;
+      
+      const costs = await deductStockInTransaction(transaction, stockLines, {
+        shopId: receiptData.shopId,
+        type: STOCK_MOVEMENT_TYPES.SALE,
+        reason: `Receipt ${receiptData.transactionId} (sold offline)`,
+        sourceType: 'receipt',
+        sourceId: receiptId
+      }, { allowShortfall: true });
+      
+      const stockConflicts = stockLines
+        .filter(line => costs[line.stockItemId] && costs[line.stockItemId].shortfall > 0)
+        .map(line => ({
+          stockItemId: line.stockItemId,
+          name: line.name,
+          quantity: line.quantity,
+          shortfall: costs[line.stockItemId].shortfall,
+          deleted: !!costs[line.stockItemId].deleted
+        }));
+      
+      const receipt = {
+        ...receiptData,
+        ...(invoice ? { invoiceNumber: invoice.invoiceNumber } : {}),
+        items: applySaleCosts(receiptData.items, costs, costingMethod),
+        costingMethod,
+        syncStatus: stockConflicts.length > 0 ? SYNC_STATUS.CONFLICT : SYNC_STATUS.SYNCED,
+        stockConflicts,
+        syncedAt: new Date().toISOString()
+      };
+      transaction.set(receiptRef, receipt);
+      if (invoice) invoice.save();
+      applyReceiptToSummaries(transaction, receipt);
+      applyReceiptToCustomer(transaction, null, { ...receipt, id: receiptId }, customerExists);
+      
+      return receipt.syncStatus;
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+  } catch (error) {
+    console.error('Error syncing offline receipt:', error);
+    throw error;
+  }
+};
+
+// Apply the returns saved offline on a receipt, oldest first, as processReturn
+// would have. Resolves to how many were synced.
+export const syncPendingReturn = async (receiptId) => {
+  try {
+    const pendingReceipt = await getReceiptById(receiptId);
+    
+    let synced = 0;
+    for (const returnEvent of getPendingReturns(pendingReceipt)) {
+      const returnNumber = await applyReturn(receiptId, returnEvent, { fromPending: true });
+      if (returnNumber !== null) synced += 1;
+    }
+    return synced;
+  } catch (error) {
+    console.error('Error syncing offline return:', error);
+    throw error;
+  }
+};
+
+// Sync every sale and return a shop saved offline, oldest first so stock is
+// taken in the order it was sold. Each is synced on its own, so one failure
+// doesn't hold up the rest. Resolves to counts of what was synced.
+export const syncPendingChanges = async (shopId) => {
+  const receiptsRef = collection(db, 'receipts');
+  const [pendingSnapshot, returnSnapshot] = await Promise.all([
+    getDocs(query(receiptsRef, where('shopId', '==', shopId), where('syncStatus', '==', SYNC_STATUS.PENDING))),
+    getDocs(query(receiptsRef, where('shopId', '==', shopId), where('returnSyncStatus', '==', SYNC_STATUS.PENDING)))
+  ]);
+  
+  const result = { synced: 0, conflicts: 0, returns: 0, failed: 0 };
+  const pendingReceipts = pendingSnapshot.docs
+    .map(receiptDoc => ({ id: receiptDoc.id, ...receiptDoc.data() }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  for (const receipt of pendingReceipts) {
+    try {
+      const status = await syncPendingReceipt(receipt.id);
+      if (status === SYNC_STATUS.SYNCED) result.synced += 1;
+      if (status === SYNC_STATUS.CONFLICT) result.conflicts += 1;
+    } catch (error) {
+      result.failed += 1;
+    }
+  }
+  
+  // Returns go after sales, since a return can be on a sale made offline
+  for (const returnDoc of returnSnapshot.docs) {
+    try {
+      result.returns += await syncPendingReturn(returnDoc.id);
+    } catch (error) {
+      result.failed += 1;
+    }
+  }
+  
+  return result;
+};
+
+// Mark a receipt's stock conflict as dealt with, once the stock has been counted and corrected
+export const resolveSyncConflict = async (receiptId) => {
+  try {
+    await updateDoc(doc(db, 'receipts', receiptId), {
+      syncStatus: SYNC_STATUS.SYNCED,
+      conflictResolvedAt: new Date().toISOString()
+    });
     return true;
   } catch (error) {
-    console.error('Error updating receipt:', error);
+    console.error('Error resolving sync conflict:', error);
+    throw error;
+  }
+};
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+// Back-fill stockItemId on receipt lines saved before lines were linked to stock by ID.
+// Lines are matched to stock by name, so this should run before any product is renamed.
+// Voided and credited receipts can't be changed, and never move stock again, so
+// they are left as they are.
+export const backfillReceiptStockItemIds = async (shopId) => {
+  try {
+    const receiptsSnapshot = await getDocs(query(collection(db, 'receipts'), where('shopId', '==', shopId)));
+    const stockItems = await getShopStock(shopId);
+    
+    let updatedCount = 0;
+    let batch = writeBatch(db);
+    let batchWrites = 0;
+    
+    for (const receiptDoc of receiptsSnapshot.docs) {
+      const receipt = receiptDoc.data();
+      if (isReceiptCancelled(receipt)) continue;
+      
+      let changed = false;
+      
+      const linkLines = (lines = []) => lines.map(line => {
+        if (line.stockItemId) return line;
+        
+        const stockItem = findStockItemForLine(stockItems, line);
+        if (!stockItem) return line;
+        
+        changed = true;
+        return { ...line, stockItemId: stockItem.id };
+      });
+      
+      const updateData = { items: linkLines(receipt.items) };
+      if (receipt.returnInfo && receipt.returnInfo.returnedItems) {
+        updateData['returnInfo.returnedItems'] = linkLines(receipt.returnInfo.returnedItems);
+      }
+      
+      if (!changed) continue;
+      
+      batch.update(receiptDoc.ref, updateData);
+      batchWrites++;
+      updatedCount++;
+      
+      if (batchWrites === MAX_BATCH_WRITES) {
+        await batch.commit();
+        batch = writeBatch(db);
+        batchWrites = 0;
+      }
+    }
+    
+    if (batchWrites > 0) {
+      await batch.commit();
+    }
+    
+    return {
+      scanned: receiptsSnapshot.docs.length,
+      updated: updatedCount
+    };
+  } catch (error) {
+    console.error('Error back-filling receipt stock item IDs:', error);
     throw error;
   }
 };
@@ -0,0 +1,124 @@
+// A receipt can have any number of returns. Each is saved as an event in the
+// receipt's `returns` array with the lines it took back, what was refunded and
+// how, and for an exchange, the items given in their place and how the price
+// difference was settled. Receipts from before multiple returns have a single
+// `returnInfo` instead, which is read as their only return.
+// Returns made offline wait in `pendingReturns`, oldest first, until they sync.
+// Receipts from before several could wait have a single `pendingReturn`.
+
+// Round to paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// The receipt's returns, oldest first, with the fields every return has
+export const getReceiptReturns = (receipt) => {
+  if (!receipt) return [];
+  if (Array.isArray(receipt.returns)) return receipt.returns;
+  if (!receipt.returnInfo || !receipt.returnInfo.returnedItems) return [];
+
+  const returnInfo = receipt.returnInfo;
+  return [{
+    returnNumber: 1,
+    exchangeItems: [],
+    exchangeTotal: '0.00',
+    exchangeTax: '0.00',
+    settlement: null,
+    // Everything not taken off the account or given back as points was paid out
+    refundAmount: roundAmount(parseFloat(returnInfo.returnTotal || 0)
+      - parseFloat(returnInfo.creditedToAccount || 0)
+      - parseFloat(returnInfo.refundedAsPoints || 0)),
+    ...returnInfo
+  }];
+};
+
+// The receipt's returns made offline that are waiting to sync, oldest first
+export const getPendingReturns = (receipt) => {
+  if (!receipt) return [];
+  return [
+    ...(receipt.pendingReturn ? [receipt.pendingReturn] : []),
+    ...(Array.isArray(receipt.pendingReturns) ? receipt.pendingReturns : [])
+  ];
+};
+
+// Whether anything has been returned from a receipt, or is waiting to sync
+export const hasReturns = (receipt) => getReceiptReturns(receipt).length > 0 || getPendingReturns(receipt).length > 0;
+
+// Add up all of a receipt's returns
+export const getReturnTotals = (receipt) => {
+  const totals = {
+    returnTotal: 0,
+    returnTax: 0,
+    exchangeTotal: 0,
+    exchangeTax: 0,
+    creditedToAccount: 0,
+    refundedAsPoints: 0,
+    refundAmount: 0,
+    loyaltyPointsReversed: 0,
+    loyaltyPointsRestored: 0
+  };
+
+  getReceiptReturns(receipt).forEach(returnEvent => {
+    Object.keys(totals).forEach(field => {
+      totals[field] += parseFloat(returnEvent[field] || 0);
+    });
+  });
+
+  Object.keys(totals).forEach(field => {
+    totals[field] = roundAmount(totals[field]);
+  });
+  return totals;
+};
+
+// Find the receipt line a returned line came from. Returns record it; returns
+// from before multiple returns are matched by stock item or name.
+const findReturnedLineIndex = (items, returnedItem, returned) => {
+  if (returnedItem.lineIndex !== undefined && returnedItem.lineIndex !== null) {
+    return returnedItem.lineIndex;
+  }
+
+  const sameItem = (line) => returnedItem.stockItemId
+    ? line.stockItemId === returnedItem.stockItemId
+    : (line.name || '').toLowerCase() === (returnedItem.name || '').toLowerCase();
+  const withRoom = items.findIndex((line, index) =>
+    sameItem(line) && returned[index] < (parseFloat(line.quantity) || 0));
+  return withRoom !== -1 ? withRoom : items.findIndex(sameItem);
+};
+
+// How much of each receipt line has been returned so far, by line index,
+// counting returns still waiting to sync
+export const getReturnedQuantities = (receipt) => {
+  const items = (receipt && receipt.items) || [];
+  const returned = items.map(() => 0);
+
+  const returnEvents = [...getReceiptReturns(receipt), ...getPendingReturns(receipt)];
+
+  returnEvents.forEach(returnEvent => {
+    (returnEvent.returnedItems || []).forEach(returnedItem => {
+      const index = findReturnedLineIndex(items, returnedItem, returned);
+      if (index >= 0 && index < returned.length) {
+        returned[index] += parseFloat(returnedItem.quantity) || 0;
+      }
+    });
+  });
+
+  return returned;
+};
+
+// Check a return doesn't take back more of any line than is left to return
+export const checkReturnQuantities = (receipt, returnedItems) => {
+  const items = receipt.items || [];
+  const returned = getReturnedQuantities(receipt);
+
+  returnedItems.forEach(returnedItem => {
+    const index = returnedItem.lineIndex;
+    const line = items[index];
+    if (!line) {
+      throw new Error(`"${returnedItem.name}" is not on this receipt`);
+    }
+
+    returned[index] += parseFloat(returnedItem.quantity) || 0;
+    if (returned[index] > (parseFloat(line.quantity) || 0) + 0.0001) {
+      const remaining = Math.max((parseFloat(line.quantity) || 0) - (returned[index] - (parseFloat(returnedItem.quantity) || 0)), 0);
+      throw new Error(`Only ${remaining} of "${line.name}" is left to return on this receipt`);
+    }
+  });
+};
@@ -0,0 +1,130 @@
+import {
+  getReceiptReturns,
+  getPendingReturns,
+  hasReturns,
+  getReturnTotals,
+  getReturnedQuantities,
+  checkReturnQuantities
+} from './returnUtils';
+
+const receipt = {
+  items: [
+    { stockItemId: 'tea', name: 'Tea', quantity: 3, price: 100 },
+    { stockItemId: 'rice', name: 'Rice', quantity: 1.5, quantityUnit: 'kg', price: 300 },
+    { stockItemId: 'tea', name: 'Tea', quantity: 2, price: 90 }
+  ]
+};
+
+describe('getReceiptReturns', () => {
+  test('receipts from before multiple returns read their returnInfo as their only return', () => {
+    const [returnEvent] = getReceiptReturns({
+      returnInfo: {
+        returnedItems: [{ name: 'Tea', quantity: 1 }],
+        returnTotal: '100',
+        creditedToAccount: '30',
+        refundedAsPoints: '20'
+      }
+    });
+    expect(returnEvent).toMatchObject({ returnNumber: 1, exchangeItems: [], settlement: null });
+    expect(returnEvent.refundAmount).toBe(50);
+  });
+
+  test('receipts without returns have none', () => {
+    expect(getReceiptReturns(null)).toEqual([]);
+    expect(getReceiptReturns({ returnInfo: {} })).toEqual([]);
+    expect(hasReturns(receipt)).toBe(false);
+  });
+
+  test('returns waiting to sync come after a single older one', () => {
+    const pending = getPendingReturns({
+      pendingReturn: { returnedItems: [] },
+      pendingReturns: [{ offlineId: 'a' }, { offlineId: 'b' }]
+    });
+    expect(pending.map(returnEvent => returnEvent.offlineId)).toEqual([undefined, 'a', 'b']);
+    expect(hasReturns({ pendingReturns: [{ offlineId: 'a' }] })).toBe(true);
+  });
+});
+
+describe('getReturnTotals', () => {
+  test('adds up every return, rounded to paisa', () => {
+    const totals = getReturnTotals({
+      returns: [
+        { returnTotal: '10.10', refundAmount: 10.1, loyaltyPointsReversed: 1 },
+        { returnTotal: '20.20', refundAmount: 0.1, creditedToAccount: 20.1, loyaltyPointsReversed: 2 }
+      ]
+    });
+    expect(totals.returnTotal).toBe(30.3);
+    expect(totals.refundAmount).toBe(10.2);
+    expect(totals.creditedToAccount).toBe(20.1);
+    expect(totals.loyaltyPointsReversed).toBe(3);
+    expect(totals.exchangeTotal).toBe(0);
+  });
+});
+
+describe('returned quantities', () => {
+  test('returns are counted against the line they came from', () => {
+    const returned = getReturnedQuantities({
+      ...receipt,
+      returns: [{ returnedItems: [{ lineIndex: 2, name: 'Tea', quantity: 1 }] }],
+      pendingReturns: [{ returnedItems: [{ lineIndex: 1, name: 'Rice', quantity: 0.5 }] }]
+    });
+    expect(returned).toEqual([0, 0.5, 1]);
+  });
+
+  test('older returns without a line are matched to the first line with room', () => {
+    const returned = getReturnedQuantities({
+      ...receipt,
+      returnInfo: {
+        returnedItems: [
+          { stockItemId: 'tea', name: 'Tea', quantity: 3 },
+          { stockItemId: 'tea', name: 'Tea', quantity: 1 },
+          { name: 'RICE', quantity: 1 }
+        ]
+      }
+    });
+    expect(returned).toEqual([3, 1, 1]);
+  });
+
+  test('nothing can be returned that wasn\'t sold', () => {
+    expect(() => checkReturnQuantities(receipt, [{ lineIndex: 5, name: 'Sugar', quantity: 1 }]))
+      .toThrow('"Sugar" is not on this receipt');
+  });
+
+  test('returning more than was sold is refused, counting earlier returns', () => {
+    const returnedBefore = {
+      ...receipt,
+      returns: [{ returnedItems: [{ lineIndex: 0, name: 'Tea', quantity: 2 }] }]
+    };
+    expect(() => checkReturnQuantities(returnedBefore, [{ lineIndex: 0, name: 'Tea', quantity: 1 }])).not.toThrow();
+    expect(() => checkReturnQuantities(returnedBefore, [{ lineIndex: 0, name: 'Tea', quantity: 2 }]))
+      .toThrow('Only 1 of "Tea" is left to return on this receipt');
+  });
+
+  test('returns still waiting to sync count too', () => {
+    const pendingReceipt = {
+      ...receipt,
+      pendingReturns: [{ returnedItems: [{ lineIndex: 2, name: 'Tea', quantity: 2 }] }]
+    };
+    expect(() => checkReturnQuantities(pendingReceipt, [{ lineIndex: 2, name: 'Tea', quantity: 1 }]))
+      .toThrow('Only 0 of "Tea" is left to return on this receipt');
+  });
+
+  test('the same line returned twice in one return is added up', () => {
+    expect(() => checkReturnQuantities(receipt, [
+      { lineIndex: 0, name: 'Tea', quantity: 2 },
+      { lineIndex: 0, name: 'Tea', quantity: 2 }
+    ])).toThrow('Only 1 of "Tea" is left to return on this receipt');
+  });
+
+  test('weighed quantities don\'t fail on floating point error', () => {
+    const returnedBefore = {
+      ...receipt,
+      returns: [
+        { returnedItems: [{ lineIndex: 1, name: 'Rice', quantity: 0.1 }] },
+        { returnedItems: [{ lineIndex: 1, name: 'Rice', quantity: 0.2 }] }
+      ]
+    };
+    expect(() => checkReturnQuantities(returnedBefore, [{ lineIndex: 1, name: 'Rice', quantity: 1.2 }])).not.toThrow();
+    expect(() => checkReturnQuantities(returnedBefore, [{ lineIndex: 1, name: 'Rice', quantity: 1.25 }])).toThrow();
+  });
+});
@@ -0,0 +1,384 @@
+import { collection, doc, getDoc, getDocs, query, where, writeBatch, increment, updateDoc } from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../firebase/config';
+import { parseCost } from './costingUtils';
+import { getReceiptPayments } from './paymentUtils';
+import { isReceiptCancelled } from './voidUtils';
+import { getReceiptReturns } from './returnUtils';
+
+// Sales totals are kept per shop per day and per month in the salesSummaries
+// collection, so analytics don't have to read every receipt. Summary IDs are
+// built from the shop and date, which lets them be fetched without an index.
+export const SALES_SUMMARY_PERIODS = {
+  DAY: 'day',
+  MONTH: 'month'
+};
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+// Summary document ID for a shop's day
+export const getDailySummaryId = (shopId, date) => `${shopId}_day_${format(date, 'yyyy-MM-dd')}`;
+
+// Summary document ID for a shop's month
+export const getMonthlySummaryId = (shopId, date) => `${shopId}_month_${format(date, 'yyyy-MM')}`;
+
+// Totals with nothing in them
+export const createEmptyTotals = () => ({
+  sales: 0,
+  tax: 0,
+  discounts: 0,
+  refunds: 0,
+  profit: 0,
+  costedSales: 0,
+  totalItems: 0,
+  transactionCount: 0,
+  missingCost: {
+    lines: 0,
+    items: 0,
+    sales: 0
+  },
+  categories: {},
+  promotions: {},
+  payments: {}
+});
+
+// Work out sales totals for a set of receipts.
+// Profit uses the cost stamped on each receipt line when it was sold, so it
+// never changes when an item's cost price is edited later. Lines sold without a
+// known cost are left out of profit and counted in missingCost instead.
+// Sales exclude the sales tax collected, which is counted separately in tax.
+// Discounts given are counted in discounts, and per promotion in promotions.
+// Money taken is counted per payment method in payments, after change is given;
+// money handed back for returns is counted in refunds.
+// stockItems maps stock item IDs to their current category, which wins over
+// the category saved on the line when given.
+export const summarizeReceipts = (receipts, stockItems = {}) => {
+  const totals = createEmptyTotals();
+  
+  // Add a sold line (sign 1) or a returned line (sign -1) to the totals
+  const addLine = (line, sign, pricesIncludeTax) => {
+    const quantity = parseFloat(line.quantity || (sign > 0 ? 1 : 0));
+    const taxRate = parseFloat(line.taxRate) || 0;
+    // Take the tax back out of tax-inclusive prices
+    const taxFactor = pricesIncludeTax ? 1 + taxRate / 100 : 1;
+    const price = parseFloat(line.price || 0) / taxFactor;
+    const lineDiscount = (parseFloat(line.discountAmount) || 0) / taxFactor;
+    const costPrice = parseCost(line.costPrice);
+    const lineSales = price * quantity - lineDiscount;
+    
+    const stockItem = line.stockItemId ? stockItems[line.stockItemId] : null;
+    const category = (stockItem && stockItem.category) || line.category || 'Uncategorized';
+    
+    if (!totals.categories[category]) {
+      totals.categories[category] = {
+        sales: 0,
+        costedSales: 0,
+        profit: 0,
+        items: 0
+      };
+    }
+    const categoryTotals = totals.categories[category];
+    
+    categoryTotals.sales += sign * lineSales;
+    categoryTotals.items += sign * quantity;
+    totals.totalItems += sign * quantity;
+    
+    if (costPrice === null) {
+      totals.missingCost.lines += sign;
+      totals.missingCost.items += sign * quantity;
+      totals.missingCost.sales += sign * lineSales;
+      return;
+    }
+    
+    const lineProfit = lineSales - costPrice * quantity;
+    totals.profit += sign * lineProfit;
+    totals.costedSales += sign * lineSales;
+    categoryTotals.profit += sign * lineProfit;
+    categoryTotals.costedSales += sign * lineSales;
+  };
+  
+  for (const receipt of receipts) {
+    // Voided and credited sales don't count
+    if (isReceiptCancelled(receipt)) continue;
+    
+    // Add the total amount to sales (we'll subtract returns later if any)
+    const taxTotal = parseFloat(receipt.taxTotal || 0);
+    totals.sales += parseFloat(receipt.totalAmount || 0) - taxTotal;
+    totals.tax += taxTotal;
+    totals.transactionCount += 1;
+    
+    // Receipts from before line discounts only have the receipt discount
+    totals.discounts += parseFloat(receipt.discountTotal !== undefined ? receipt.discountTotal : receipt.discount || 0);
+    for (const promotion of receipt.appliedPromotions || []) {
+      if (!totals.promotions[promotion.promotionId]) {
+        totals.promotions[promotion.promotionId] = { amount: 0, uses: 0 };
+      }
+      totals.promotions[promotion.promotionId].amount += parseFloat(promotion.amount || 0);
+      totals.promotions[promotion.promotionId].uses += 1;
+    }
+    
+    for (const payment of getReceiptPayments(receipt)) {
+      totals.payments[payment.method] = (totals.payments[payment.method] || 0) + payment.amount;
+    }
+    
+    for (const item of receipt.items || []) {
+      addLine(item, 1, receipt.pricesIncludeTax);
+    }
+    
+    // Handle returned products - subtract them from sales and profit analytics.
+    // Items given in exchange are sold, and any difference the customer paid is
+    // counted with the receipt's payments.
+    for (const returnEvent of getReceiptReturns(receipt)) {
+      if (!returnEvent.affectsSalesAnalytics) continue;
+      
+      const returnTax = parseFloat(returnEvent.returnTax || 0);
+      const exchangeTax = parseFloat(returnEvent.exchangeTax || 0);
+      // Returns on credit sales come off the customer's balance rather than being paid out
+      totals.refunds += parseFloat(returnEvent.refundAmount || 0);
+      totals.sales -= parseFloat(returnEvent.returnTotal || 0) - returnTax;
+      totals.sales += parseFloat(returnEvent.exchangeTotal || 0) - exchangeTax;
+      totals.tax += exchangeTax - returnTax;
+      
+      for (const returnedItem of returnEvent.returnedItems || []) {
+        addLine(returnedItem, -1, receipt.pricesIncludeTax);
+      }
+      for (const exchangeItem of returnEvent.exchangeItems || []) {
+        addLine(exchangeItem, 1, receipt.pricesIncludeTax);
+      }
+      if (returnEvent.settlement && returnEvent.settlement.amount > 0) {
+        const { method, amount } = returnEvent.settlement;
+        totals.payments[method] = (totals.payments[method] || 0) + parseFloat(amount);
+      }
+    }
+  }
+  
+  return totals;
+};
+
+// Add one set of totals into another
+export const mergeTotals = (target, totals) => {
+  ['sales', 'tax', 'discounts', 'refunds', 'profit', 'costedSales', 'totalItems', 'transactionCount'].forEach(field => {
+    target[field] += totals[field] || 0;
+  });
+  ['lines', 'items', 'sales'].forEach(field => {
+    target.missingCost[field] += (totals.missingCost && totals.missingCost[field]) || 0;
+  });
+  Object.keys(totals.categories || {}).forEach(category => {
+    if (!target.categories[category]) {
+      target.categories[category] = { sales: 0, costedSales: 0, profit: 0, items: 0 };
+    }
+    Object.keys(target.categories[category]).forEach(field => {
+      target.categories[category][field] += totals.categories[category][field] || 0;
+    });
+  });
+  Object.keys(totals.promotions || {}).forEach(promotionId => {
+    if (!target.promotions[promotionId]) {
+      target.promotions[promotionId] = { amount: 0, uses: 0 };
+    }
+    target.promotions[promotionId].amount += totals.promotions[promotionId].amount || 0;
+    target.promotions[promotionId].uses += totals.promotions[promotionId].uses || 0;
+  });
+  Object.keys(totals.payments || {}).forEach(method => {
+    target.payments[method] = (target.payments[method] || 0) + (totals.payments[method] || 0);
+  });
+  return target;
+};
+
+// Turn totals into the shape the analytics screens use
+export const toSalesAnalytics = (totals) => {
+  const summary = mergeTotals(createEmptyTotals(), totals || {});
+  
+  // Convert category data to array for easier processing
+  const categoryData = Object.keys(summary.categories).map(category => {
+    const categoryTotals = summary.categories[category];
+    return {
+      category,
+      sales: categoryTotals.sales,
+      profit: categoryTotals.profit,
+      items: categoryTotals.items,
+      profitMargin: categoryTotals.costedSales > 0
+        ? (categoryTotals.profit / categoryTotals.costedSales * 100).toFixed(2)
+        : 0
+    };
+  });
+  
+  // Sort categories by sales (highest first)
+  categoryData.sort((a, b) => b.sales - a.sales);
+  
+  // Discount cost of each promotion, largest first
+  const promotionData = Object.keys(summary.promotions)
+    .map(promotionId => ({ promotionId, ...summary.promotions[promotionId] }))
+    .filter(promotion => promotion.uses !== 0)
+    .sort((a, b) => b.amount - a.amount);
+  
+  // Money taken by each payment method, largest first
+  const paymentData = Object.keys(summary.payments)
+    .map(method => ({ method, amount: summary.payments[method] }))
+    .filter(payment => Math.abs(payment.amount) >= 0.005)
+    .sort((a, b) => b.amount - a.amount);
+  
+  return {
+    sales: summary.sales,
+    tax: summary.tax,
+    discounts: summary.discounts,
+    promotionData,
+    refunds: summary.refunds,
+    paymentData,
+    profit: summary.profit,
+    costedSales: summary.costedSales,
+    missingCost: summary.missingCost,
+    totalItems: summary.totalItems,
+    transactionCount: summary.transactionCount,
+    categoryData
+  };
+};
+
+// Turn totals into Firestore increments, negated when removing a receipt
+const toIncrements = (totals, sign) => {
+  const increments = {};
+  Object.keys(totals).forEach(field => {
+    const value = totals[field];
+    increments[field] = typeof value === 'object'
+      ? toIncrements(value, sign)
+      : increment(sign * value);
+  });
+  return increments;
+};
+
+// Add (sign 1) or take away (sign -1) a receipt's totals from its day and month
+// summaries inside a Firestore transaction or batch. Nothing is read, so this can
+// be called after the transaction's reads.
+export const applyReceiptToSummaries = (transaction, receipt, sign = 1) => {
+  const date = new Date(receipt.timestamp);
+  const totals = toIncrements(summarizeReceipts([receipt]), sign);
+  
+  const summaries = [
+    { id: getDailySummaryId(receipt.shopId, date), period: SALES_SUMMARY_PERIODS.DAY, key: format(date, 'yyyy-MM-dd') },
+    { id: getMonthlySummaryId(receipt.shopId, date), period: SALES_SUMMARY_PERIODS.MONTH, key: format(date, 'yyyy-MM') }
+  ];
+  
+  summaries.forEach(({ id, period, key }) => {
+    transaction.set(doc(db, 'salesSummaries', id), {
+      shopId: receipt.shopId,
+      period,
+      key,
+      ...totals,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  });
+};
+
+// Whether the shop's summaries have been built from its existing receipts.
+// Until then analytics fall back to reading receipts directly.
+export const hasSalesSummaries = async (shopId) => {
+  try {
+    const shopSnap = await getDoc(doc(db, 'shops', shopId));
+    return shopSnap.exists() && !!shopSnap.data().salesSummariesRebuiltAt;
+  } catch (error) {
+    console.error('Error checking sales summaries:', error);
+    return false;
+  }
+};
+
+// Fetch summaries by ID. Periods with no sales have no document and come back empty.
+export const getSalesSummaries = async (summaryIds) => {
+  try {
+    const summarySnaps = await Promise.all(
+      summaryIds.map(summaryId => getDoc(doc(db, 'salesSummaries', summaryId)))
+    );
+    
+    return summarySnaps.map(summarySnap => (
+      summarySnap.exists() ? mergeTotals(createEmptyTotals(), summarySnap.data()) : createEmptyTotals()
+    ));
+  } catch (error) {
+    console.error('Error fetching sales summaries:', error);
+    throw error;
+  }
+};
+
+// Rebuild every daily and monthly summary for a shop from its receipts and mark
+// the shop as ready to use them. Run it once for shops that have sales from before
+// summaries existed, or whenever the totals look wrong; sales made while it runs
+// may be missed, so run it when the shop is closed. Sales saved offline that
+// haven't synced yet are left out, since syncPendingReceipt adds them when they do.
+export const rebuildSalesSummaries = async (shopId) => {
+  try {
+    const [receiptsSnapshot, stockSnapshot, existingSnapshot] = await Promise.all([
+      getDocs(query(collection(db, 'receipts'), where('shopId', '==', shopId))),
+      getDocs(query(collection(db, 'stock'), where('shopId', '==', shopId))),
+      getDocs(query(collection(db, 'salesSummaries'), where('shopId', '==', shopId)))
+    ]);
+    
+    // Older receipt lines have no category, so use the stock item's
+    const stockItems = {};
+    stockSnapshot.docs.forEach(stockDoc => {
+      stockItems[stockDoc.id] = { category: stockDoc.data().category };
+    });
+    
+    // Group receipts by day and month
+    const groups = {};
+    receiptsSnapshot.docs.forEach(receiptDoc => {
+      const receipt = receiptDoc.data();
+      if (!receipt.timestamp || receipt.syncStatus === 'pending') return;
+      
+      const date = new Date(receipt.timestamp);
+      [
+        { id: getDailySummaryId(shopId, date), period: SALES_SUMMARY_PERIODS.DAY, key: format(date, 'yyyy-MM-dd') },
+        { id: getMonthlySummaryId(shopId, date), period: SALES_SUMMARY_PERIODS.MONTH, key: format(date, 'yyyy-MM') }
+      ].forEach(({ id, period, key }) => {
+        if (!groups[id]) {
+          groups[id] = { period, key, receipts: [] };
+        }
+        groups[id].receipts.push(receipt);
+      });
+    });
+    
+    let batch = writeBatch(db);
+    let batchWrites = 0;
+    const commitIfFull = async () => {
+      batchWrites++;
+      if (batchWrites >= MAX_BATCH_WRITES) {
+        await batch.commit();
+        batch = writeBatch(db);
+        batchWrites = 0;
+      }
+    };
+    
+    // Remove summaries for periods that no longer have any receipts
+    for (const summaryDoc of existingSnapshot.docs) {
+      if (!groups[summaryDoc.id]) {
+        batch.delete(summaryDoc.ref);
+        await commitIfFull();
+      }
+    }
+    
+    for (const id of Object.keys(groups)) {
+      const { period, key, receipts } = groups[id];
+      batch.set(doc(db, 'salesSummaries', id), {
+        shopId,
+        period,
+        key,
+        ...summarizeReceipts(receipts, stockItems),
+        updatedAt: new Date().toISOString()
+      });
+      await commitIfFull();
+    }
+    
+    if (batchWrites > 0) {
+      await batch.commit();
+    }
+    
+    await updateDoc(doc(db, 'shops', shopId), {
+      salesSummariesRebuiltAt: new Date().toISOString()
+    });
+    
+    return {
+      receipts: receiptsSnapshot.size,
+      summaries: Object.keys(groups).length
+    };
+  } catch (error) {
+    console.error('Error rebuilding sales summaries:', error);
+    throw error;
+  }
+};
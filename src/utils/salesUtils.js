@@ -1,41 +1,70 @@
-import { collection, query, where, getDocs, doc, getDoc, Timestamp } from 'firebase/firestore';
+import { collection, query, where, getDocs, orderBy } from 'firebase/firestore';
 import { db } from '../firebase/config';
-import { startOfDay, endOfDay, startOfMonth, endOfMonth, startOfYear, endOfYear, format } from 'date-fns';
+import { startOfDay, endOfDay, startOfMonth, endOfMonth, startOfYear, endOfYear, format, subDays, eachDayOfInterval, eachMonthOfInterval } from 'date-fns';
+import { isLowStock } from './stockUtils';
+import { isReceiptCancelled } from './voidUtils';
+import { getReceiptReturns } from './returnUtils';
+import {
+  summarizeReceipts,
+  createEmptyTotals,
+  toSalesAnalytics,
+  mergeTotals,
+  hasSalesSummaries,
+  getSalesSummaries,
+  getDailySummaryId,
+  getMonthlySummaryId
+} from './salesSummaryUtils';
 
 // Cache for stock items to avoid repeated queries
 const stockItemsCache = new Map();
 
-// Helper function to query receipts for a specific date range
+// Helper function to query receipts for a specific date range.
+// Receipt timestamps are ISO strings, so they range-query in date order.
 export const getReceiptsForDateRange = async (shopId, startDate, endDate) => {
+  const receiptRef = collection(db, 'receipts');
+  const startTimestamp = startDate.toISOString();
+  const endTimestamp = endDate.toISOString();
+  
   try {
-    const receiptRef = collection(db, 'receipts');
-    
-    // First, query only by shopId which doesn't require a composite index
-    const shopQuery = query(
+    // Needs the composite index on shopId + timestamp from firestore.indexes.json
+    const rangeQuery = query(
       receiptRef,
-      where('shopId', '==', shopId)
+      where('shopId', '==', shopId),
+      where('timestamp', '>=', startTimestamp),
+      where('timestamp', '<=', endTimestamp),
+      orderBy('timestamp')
     );
     
-    // Get all receipts for this shop
-    const receiptsSnapshot = await getDocs(shopQuery);
-    
-    // Then filter by date range in memory
-    const startTimestamp = startDate.toISOString();
-    const endTimestamp = endDate.toISOString();
+    const receiptsSnapshot = await getDocs(rangeQuery);
+    return receiptsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (indexError) {
+    // If the index hasn't been deployed yet, fall back to filtering every receipt in memory
+    console.log('Receipt timestamp index not created yet, falling back to basic query');
     
-    // Filter receipts by timestamp
-    return receiptsSnapshot.docs
-      .map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }))
-      .filter(receipt => 
-        receipt.timestamp >= startTimestamp && 
-        receipt.timestamp <= endTimestamp
+    try {
+      const shopQuery = query(
+        receiptRef,
+        where('shopId', '==', shopId)
       );
-  } catch (error) {
-    console.error('Error fetching receipts:', error);
-    throw error;
+      
+      const receiptsSnapshot = await getDocs(shopQuery);
+      
+      return receiptsSnapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        .filter(receipt => 
+          receipt.timestamp >= startTimestamp && 
+          receipt.timestamp <= endTimestamp
+        );
+    } catch (error) {
+      console.error('Error fetching receipts:', error);
+      throw error;
+    }
   }
 };
 
@@ -55,12 +84,11 @@ const getShopStockItems = async (shopId) => {
     
     const stockSnapshot = await getDocs(stockQuery);
     
-    // Create a map of item name to stock details for quick lookup
+    // Create a map of stock item ID to stock details for quick lookup
     const stockItems = {};
     stockSnapshot.docs.forEach(doc => {
       const item = doc.data();
-      stockItems[item.name.toLowerCase()] = {
-        costPrice: item.costPrice || 0,
+      stockItems[doc.id] = {
         category: item.category || 'Uncategorized'
       };
     });
@@ -77,6 +105,11 @@ const getShopStockItems = async (shopId) => {
 
 // Function to calculate daily sales and profit
 export const getDailySalesAndProfit = async (shopId, date = new Date()) => {
+  if (await hasSalesSummaries(shopId)) {
+    const [dayTotals] = await getSalesSummaries([getDailySummaryId(shopId, date)]);
+    return toSalesAnalytics(dayTotals);
+  }
+  
   const start = startOfDay(date);
   const end = endOfDay(date);
   
@@ -90,6 +123,31 @@ export const getMonthlySalesAndProfit = async (shopId, date = new Date()) => {
   const start = startOfMonth(date);
   const end = endOfMonth(date);
   
+  if (await hasSalesSummaries(shopId)) {
+    const days = eachDayOfInterval({ start, end });
+    const [monthTotals, ...dayTotals] = await getSalesSummaries([
+      getMonthlySummaryId(shopId, date),
+      ...days.map(day => getDailySummaryId(shopId, day))
+    ]);
+    
+    // Only days with sales appear in the chart data
+    const dailyData = [];
+    dayTotals.forEach((totals, index) => {
+      if (totals.transactionCount === 0) return;
+      dailyData.push({
+        day: format(days[index], 'dd'),
+        sales: totals.sales,
+        profit: totals.profit,
+        costedSales: totals.costedSales
+      });
+    });
+    
+    return {
+      ...toSalesAnalytics(monthTotals),
+      dailyData
+    };
+  }
+  
   const receipts = await getReceiptsForDateRange(shopId, start, end);
   
   // Group by day for the chart data
@@ -116,11 +174,12 @@ export const getMonthlySalesAndProfit = async (shopId, date = new Date()) => {
   
   // Calculate sales and profit for each day
   const dailyCalcPromises = Object.keys(daysInMonth).sort().map(async (day) => {
-    const { sales, profit } = await calculateSalesAndProfit(daysInMonth[day].receipts, shopId, stockItems);
+    const { sales, profit, costedSales } = await calculateSalesAndProfit(daysInMonth[day].receipts, shopId, stockItems);
     return {
       day: daysInMonth[day].day,
       sales,
-      profit
+      profit,
+      costedSales
     };
   });
   
@@ -140,6 +199,30 @@ export const getYearlySalesAndProfit = async (shopId, date = new Date()) => {
   const start = startOfYear(date);
   const end = endOfYear(date);
   
+  if (await hasSalesSummaries(shopId)) {
+    const months = eachMonthOfInterval({ start, end });
+    const monthTotals = await getSalesSummaries(months.map(month => getMonthlySummaryId(shopId, month)));
+    
+    // The year is the sum of its months; only months with sales appear in the chart data
+    const yearTotals = createEmptyTotals();
+    const monthlyData = [];
+    monthTotals.forEach((totals, index) => {
+      mergeTotals(yearTotals, totals);
+      if (totals.transactionCount === 0) return;
+      monthlyData.push({
+        month: format(months[index], 'MMM'),
+        sales: totals.sales,
+        profit: totals.profit,
+        costedSales: totals.costedSales
+      });
+    });
+    
+    return {
+      ...toSalesAnalytics(yearTotals),
+      monthlyData
+    };
+  }
+  
   const receipts = await getReceiptsForDateRange(shopId, start, end);
   
   // Group by month for the chart data
@@ -166,11 +249,12 @@ export const getYearlySalesAndProfit = async (shopId, date = new Date()) => {
   
   // Calculate sales and profit for each month
   const monthlyCalcPromises = Object.keys(monthsInYear).sort().map(async (month) => {
-    const { sales, profit } = await calculateSalesAndProfit(monthsInYear[month].receipts, shopId, stockItems);
+    const { sales, profit, costedSales } = await calculateSalesAndProfit(monthsInYear[month].receipts, shopId, stockItems);
     return {
       month: monthsInYear[month].month,
       sales,
-      profit
+      profit,
+      costedSales
     };
   });
   
@@ -185,146 +269,108 @@ export const getYearlySalesAndProfit = async (shopId, date = new Date()) => {
   };
 };
 
-// Helper function to calculate sales and profit from receipt items
+// Helper function to calculate sales and profit from receipt items.
+// See summarizeReceipts for how costs and returns are counted. Voided and
+// credited receipts are left out.
 export const calculateSalesAndProfit = async (receipts, shopId = null, stockItemsData = null) => {
-  let sales = 0;
-  let profit = 0;
-  let totalItems = 0;
-  
-  // Track sales and profit by category
-  const categorySales = {};
-  
   // Get stock items if not provided
   const stockItems = stockItemsData || (shopId ? await getShopStockItems(shopId) : {});
   
-  // Process all receipts
-  for (const receipt of receipts) {
-    // Add the total amount to sales (we'll subtract returns later if any)
-    sales += parseFloat(receipt.totalAmount || 0);
+  return toSalesAnalytics(summarizeReceipts(receipts, stockItems));
+};
+
+// Number of days of sales used to work out how fast each item sells
+export const SALES_VELOCITY_DAYS = 30;
+
+// Number of days of sales a reorder should cover when an item has no reorder quantity
+export const REORDER_COVER_DAYS = 14;
+
+// Average quantity sold per day for each stock item over the last few days,
+// net of returned items. Keyed by stock item ID.
+export const getSalesVelocity = async (shopId, days = SALES_VELOCITY_DAYS) => {
+  const end = endOfDay(new Date());
+  const start = startOfDay(subDays(end, days - 1));
+  
+  const receipts = await getReceiptsForDateRange(shopId, start, end);
+  
+  const quantitySold = {};
+  const addQuantity = (line, sign) => {
+    if (!line.stockItemId) return;
+    quantitySold[line.stockItemId] = (quantitySold[line.stockItemId] || 0) +
+      sign * parseFloat(line.quantity || 0);
+  };
+  
+  receipts.forEach(receipt => {
+    if (isReceiptCancelled(receipt)) return;
+    receipt.items.forEach(item => addQuantity(item, 1));
     
-    // Process all items in this receipt
-    for (const item of receipt.items) {
-      const quantity = parseFloat(item.quantity || 1);
-      const price = parseFloat(item.price || 0);
-      let costPrice = parseFloat(item.costPrice || 0);
-      let category = 'Uncategorized';
-      
-      // If cost price is not available in the receipt, try to get it from cached stock items
-      if (item.name) {
-        const stockItem = stockItems[item.name.toLowerCase()];
-        if (stockItem) {
-          costPrice = stockItem.costPrice || 0;
-          category = stockItem.category || (item.category || 'Uncategorized');
-        } else if (item.category) {
-          // Use the category from the receipt item if available
-          category = item.category;
-        }
-      }
-      
-      // Calculate item profit
-      let itemProfit = 0;
-      if (costPrice > 0) {
-        itemProfit = (price - costPrice) * quantity;
-      } else {
-        // Fallback: Use an estimated profit margin of 30% when no cost price is available
-        itemProfit = (price * 0.3) * quantity;
-      }
-      
-      // Update total profit
-      profit += itemProfit;
-      
-      // Track sales and profit by category
-      if (!categorySales[category]) {
-        categorySales[category] = {
-          sales: 0,
-          profit: 0,
-          items: 0
-        };
-      }
-      
-      // Update category data
-      categorySales[category].sales += price * quantity;
-      categorySales[category].profit += itemProfit;
-      categorySales[category].items += quantity;
-      
-      totalItems += quantity;
-    }
+    // Returned items went back on the shelf, so they don't count as demand;
+    // items given in exchange do
+    getReceiptReturns(receipt).forEach(returnEvent => {
+      (returnEvent.returnedItems || []).forEach(item => addQuantity(item, -1));
+      (returnEvent.exchangeItems || []).forEach(item => addQuantity(item, 1));
+    });
+  });
+  
+  const velocity = {};
+  Object.keys(quantitySold).forEach(stockItemId => {
+    velocity[stockItemId] = Math.max(quantitySold[stockItemId], 0) / days;
+  });
+  
+  return velocity;
+};
+
+// Build the list of items that should be reordered: everything at or below its
+// reorder level, plus anything that will sell out within the cover period at its
+// current rate of sale. The suggested quantity is the item's reorder quantity or,
+// when none is set, enough to cover the period and get back above the reorder level.
+export const getReorderSuggestions = async (shopId, stockItems, options = {}) => {
+  const { days = SALES_VELOCITY_DAYS, coverDays = REORDER_COVER_DAYS } = options;
+  const velocity = await getSalesVelocity(shopId, days);
+  
+  const suggestions = [];
+  
+  stockItems.forEach(item => {
+    const quantity = parseFloat(item.quantity || 0);
+    const dailySales = velocity[item.id] || 0;
+    const daysLeft = dailySales > 0 ? quantity / dailySales : null;
     
-    // Handle returned products - subtract them from sales and profit analytics
-    if (receipt.returnInfo && receipt.returnInfo.affectsSalesAnalytics && receipt.returnInfo.returnedItems) {
-      // Subtract the return total from sales
-      const returnTotal = parseFloat(receipt.returnInfo.returnTotal || 0);
-      sales -= returnTotal;
-      
-      // Process each returned item to adjust profit and category data
-      for (const returnedItem of receipt.returnInfo.returnedItems) {
-        const returnQuantity = parseFloat(returnedItem.quantity || 0);
-        const returnPrice = parseFloat(returnedItem.price || 0);
-        let returnCostPrice = parseFloat(returnedItem.costPrice || 0);
-        // Use category from returned item if available, otherwise default to 'Uncategorized'
-        let returnCategory = returnedItem.category || 'Uncategorized';
-        
-        // If cost price is not available in the returned item, try to get it from cached stock items
-        if (returnedItem.name) {
-          const stockItem = stockItems[returnedItem.name.toLowerCase()];
-          if (stockItem) {
-            returnCostPrice = stockItem.costPrice || 0;
-            // Keep returned item category if stock item category is not available
-            returnCategory = stockItem.category || returnCategory;
-          }
-        }
-        
-        // Calculate returned item profit
-        let returnItemProfit = 0;
-        if (returnCostPrice > 0) {
-          returnItemProfit = (returnPrice - returnCostPrice) * returnQuantity;
-        } else {
-          // Fallback: Use an estimated profit margin of 30% when no cost price is available
-          returnItemProfit = (returnPrice * 0.3) * returnQuantity;
-        }
-        
-        // Subtract from total profit
-        profit -= returnItemProfit;
-        
-        // Ensure category exists in tracking
-        if (!categorySales[returnCategory]) {
-          categorySales[returnCategory] = {
-            sales: 0,
-            profit: 0,
-            items: 0
-          };
-        }
-        
-        // Update category data by subtracting returned items
-        categorySales[returnCategory].sales -= returnPrice * returnQuantity;
-        categorySales[returnCategory].profit -= returnItemProfit;
-        categorySales[returnCategory].items -= returnQuantity;
-        
-        // Subtract from total items
-        totalItems -= returnQuantity;
-      }
+    const lowStock = isLowStock(item);
+    if (!lowStock && (daysLeft === null || daysLeft > coverDays)) return;
+    
+    let suggestedQuantity = parseFloat(item.reorderQuantity) || 0;
+    if (!suggestedQuantity) {
+      const reorderLevel = parseFloat(item.reorderLevel) || 0;
+      suggestedQuantity = dailySales * coverDays + reorderLevel - quantity;
     }
-  }
-  
-  // Convert category data to array for easier processing
-  const categoryData = Object.keys(categorySales).map(category => ({
-    category,
-    sales: categorySales[category].sales,
-    profit: categorySales[category].profit,
-    items: categorySales[category].items,
-    profitMargin: categorySales[category].sales > 0 
-      ? (categorySales[category].profit / categorySales[category].sales * 100).toFixed(2) 
-      : 0
-  }));
+    
+    // Whole units can't be ordered in fractions
+    suggestedQuantity = item.quantityUnit === 'kg'
+      ? Math.ceil(suggestedQuantity * 100) / 100
+      : Math.ceil(suggestedQuantity);
+    
+    suggestions.push({
+      stockItemId: item.id,
+      name: item.name,
+      quantityUnit: item.quantityUnit || 'units',
+      quantity,
+      reorderLevel: item.reorderLevel ?? null,
+      lowStock,
+      dailySales,
+      daysLeft,
+      suggestedQuantity: Math.max(suggestedQuantity, 1),
+      costPrice: item.costPrice || 0,
+      supplierId: item.supplierId || null,
+      supplier: item.supplier || ''
+    });
+  });
   
-  // Sort categories by sales (highest first)
-  categoryData.sort((a, b) => b.sales - a.sales);
+  // Items that will run out soonest come first
+  suggestions.sort((a, b) => {
+    const aDays = a.daysLeft === null ? Infinity : a.daysLeft;
+    const bDays = b.daysLeft === null ? Infinity : b.daysLeft;
+    return aDays - bDays || a.quantity - b.quantity;
+  });
   
-  return {
-    sales,
-    profit,
-    totalItems,
-    transactionCount: receipts.length,
-    categoryData
-  };
+  return suggestions;
 };
@@ -0,0 +1,326 @@
+import { collection, addDoc, getDocs, getDoc, updateDoc, doc, query, where, arrayUnion } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { CASH, getReceiptPayments } from './paymentUtils';
+import { isReceiptCancelled } from './voidUtils';
+
+// A shift is one cashier's time on the cash drawer, from the opening float to
+// the cash counted at close. Receipts record the shift they were made in, so
+// the cash the drawer should hold is worked out from the shift's receipts plus
+// the cash put in and taken out during the shift.
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+export const CASH_MOVEMENT_TYPES = {
+  IN: 'in',
+  OUT: 'out'
+};
+
+// Get the shop's open shift, or null when the drawer is closed
+export const getOpenShift = async (shopId) => {
+  try {
+    const shiftRef = collection(db, 'shifts');
+    const q = query(
+      shiftRef,
+      where('shopId', '==', shopId),
+      where('status', '==', SHIFT_STATUS.OPEN)
+    );
+
+    const querySnapshot = await getDocs(q);
+    if (querySnapshot.empty) return null;
+
+    const shiftDoc = querySnapshot.docs[0];
+    return {
+      id: shiftDoc.id,
+      ...shiftDoc.data()
+    };
+  } catch (error) {
+    console.error('Error fetching open shift:', error);
+    throw error;
+  }
+};
+
+// Get all of a shop's shifts, newest first
+export const getShopShifts = async (shopId) => {
+  try {
+    const shiftRef = collection(db, 'shifts');
+    const q = query(shiftRef, where('shopId', '==', shopId));
+
+    const querySnapshot = await getDocs(q);
+    const shifts = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    shifts.sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+
+    return shifts;
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    throw error;
+  }
+};
+
+// Get a single shift by ID
+export const getShiftById = async (shiftId) => {
+  try {
+    const shiftRef = doc(db, 'shifts', shiftId);
+    const shiftSnap = await getDoc(shiftRef);
+
+    if (shiftSnap.exists()) {
+      return {
+        id: shiftSnap.id,
+        ...shiftSnap.data()
+      };
+    } else {
+      throw new Error('Shift not found');
+    }
+  } catch (error) {
+    console.error('Error fetching shift:', error);
+    throw error;
+  }
+};
+
+// Open a shift with the cash put in the drawer to start with. A shop has one
+// drawer, so only one shift can be open at a time.
+export const openShift = async (shiftData) => {
+  try {
+    const openingFloat = parseFloat(shiftData.openingFloat) || 0;
+    if (openingFloat < 0) {
+      throw new Error('The opening float cannot be negative');
+    }
+
+    const openShiftData = await getOpenShift(shiftData.shopId);
+    if (openShiftData) {
+      throw new Error(`${openShiftData.cashierName || 'Another cashier'}'s shift is still open. Close it first.`);
+    }
+
+    const shiftRef = collection(db, 'shifts');
+    const docRef = await addDoc(shiftRef, {
+      shopId: shiftData.shopId,
+      cashierId: shiftData.cashierId || null,
+      cashierName: (shiftData.cashierName || '').trim(),
+      openedBy: shiftData.openedBy || '',
+      openingFloat,
+      cashMovements: [],
+      status: SHIFT_STATUS.OPEN,
+      openedAt: new Date().toISOString()
+    });
+
+    return docRef.id;
+  } catch (error) {
+    console.error('Error opening shift:', error);
+    throw error;
+  }
+};
+
+// Check a cash movement's amount and stamp it with the time
+const buildCashMovement = (movement) => {
+  const amount = parseFloat(movement.amount) || 0;
+  if (amount <= 0) {
+    throw new Error('Amount must be greater than zero');
+  }
+
+  return {
+    type: movement.type === CASH_MOVEMENT_TYPES.OUT ? CASH_MOVEMENT_TYPES.OUT : CASH_MOVEMENT_TYPES.IN,
+    amount,
+    reason: (movement.reason || '').trim(),
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Record cash put into or taken out of the drawer during a shift
+export const addCashMovement = async (shiftId, movement) => {
+  try {
+    const cashMovement = buildCashMovement(movement);
+
+    await updateDoc(doc(db, 'shifts', shiftId), {
+      cashMovements: arrayUnion(cashMovement)
+    });
+
+    return cashMovement;
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+    throw error;
+  }
+};
+
+// Record cash movement on the shop's open shift, if there is one. Used for
+// cash that changes hands outside a sale, like refunds and repayments.
+export const addCashMovementToOpenShift = async (shopId, movement) => {
+  const shift = await getOpenShift(shopId);
+  if (!shift) return null;
+  return addCashMovement(shift.id, movement);
+};
+
+// The cash a return hands back from the drawer or, for an exchange paid for
+// in cash, takes into it. Null if no cash changes hands.
+export const getReturnCashMovement = (returnEvent, transactionId) => {
+  const refundAmount = parseFloat(returnEvent.refundAmount) || 0;
+  const settlement = returnEvent.settlement;
+  if (refundAmount > 0) {
+    return { type: CASH_MOVEMENT_TYPES.OUT, amount: refundAmount.toFixed(2), reason: `Refund on receipt ${transactionId}` };
+  }
+  if (settlement && settlement.method === CASH && parseFloat(settlement.amount) > 0) {
+    return {
+      type: CASH_MOVEMENT_TYPES.IN,
+      amount: parseFloat(settlement.amount).toFixed(2),
+      reason: `Exchange on receipt ${transactionId}`
+    };
+  }
+  return null;
+};
+
+/**
+ * Record a cash movement on a shift inside a transaction, so the cash only
+ * moves if the rest of the transaction is saved. Find the shift with
+ * getOpenShift first, since queries can't run in a transaction. This reads the
+ * shift, so call it before the transaction writes anything, then call the
+ * returned save() with the transaction's other writes. Nothing is recorded if
+ * the shift has closed since.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object|null} shift - The open shift, or null when the drawer is closed
+ * @param {Object} movement - { type, amount, reason }
+ * @returns {Promise<Object>} { cashMovement, save }, cashMovement null if none is recorded
+ */
+export const prepareCashMovementInTransaction = async (transaction, shift, movement) => {
+  const cashMovement = buildCashMovement(movement);
+  const shiftRef = shift ? doc(db, 'shifts', shift.id) : null;
+  const shiftSnap = shiftRef ? await transaction.get(shiftRef) : null;
+  const isOpen = !!shiftSnap && shiftSnap.exists() && shiftSnap.data().status === SHIFT_STATUS.OPEN;
+
+  return {
+    cashMovement: isOpen ? cashMovement : null,
+    save: () => {
+      if (isOpen) {
+        transaction.update(shiftRef, { cashMovements: arrayUnion(cashMovement) });
+      }
+    }
+  };
+};
+
+// Get the receipts made during a shift, oldest first
+export const getShiftReceipts = async (shopId, shiftId) => {
+  try {
+    const receiptRef = collection(db, 'receipts');
+    const q = query(
+      receiptRef,
+      where('shopId', '==', shopId),
+      where('shiftId', '==', shiftId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const receipts = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    receipts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return receipts;
+  } catch (error) {
+    console.error('Error fetching shift receipts:', error);
+    throw error;
+  }
+};
+
+// Round to paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Work out a shift's Z-report totals from its receipts and cash movements.
+// Voided and credited receipts don't count towards sales, tax or discounts, and
+// are reported on their own. The cash taken on them stays in the drawer until
+// their refund is paid out, which is a cash out movement of its own, so expected
+// cash is the opening float, plus cash taken on every sale after change, plus
+// cash put in, less cash taken out.
+export const calculateShiftTotals = (shift, receipts) => {
+  const payments = {};
+  let transactionCount = 0;
+  let sales = 0;
+  let tax = 0;
+  let discounts = 0;
+  let voidCount = 0;
+  let voids = 0;
+  let voidCash = 0;
+
+  receipts.forEach(receipt => {
+    const receiptPayments = getReceiptPayments(receipt);
+    if (isReceiptCancelled(receipt)) {
+      voidCount += 1;
+      voids += parseFloat(receipt.totalAmount || 0);
+      voidCash += receiptPayments
+        .filter(payment => payment.method === CASH)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+      return;
+    }
+
+    transactionCount += 1;
+    sales += parseFloat(receipt.totalAmount || 0);
+    tax += parseFloat(receipt.taxTotal || 0);
+    discounts += parseFloat(receipt.discountTotal || 0);
+    receiptPayments.forEach(payment => {
+      payments[payment.method] = (payments[payment.method] || 0) + payment.amount;
+    });
+  });
+
+  const movements = shift.cashMovements || [];
+  const cashIn = movements
+    .filter(movement => movement.type === CASH_MOVEMENT_TYPES.IN)
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const cashOut = movements
+    .filter(movement => movement.type === CASH_MOVEMENT_TYPES.OUT)
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const cashSales = payments[CASH] || 0;
+  const openingFloat = parseFloat(shift.openingFloat) || 0;
+
+  Object.keys(payments).forEach(method => {
+    payments[method] = roundAmount(payments[method]);
+  });
+
+  return {
+    transactionCount,
+    sales: roundAmount(sales),
+    tax: roundAmount(tax),
+    discounts: roundAmount(discounts),
+    voidCount,
+    voids: roundAmount(voids),
+    payments,
+    openingFloat,
+    cashSales: roundAmount(cashSales),
+    voidCash: roundAmount(voidCash),
+    cashIn: roundAmount(cashIn),
+    cashOut: roundAmount(cashOut),
+    expectedCash: roundAmount(openingFloat + cashSales + voidCash + cashIn - cashOut)
+  };
+};
+
+// Close a shift with the cash counted in the drawer. The totals are saved on
+// the shift so its Z-report doesn't change if its receipts are edited later.
+export const closeShift = async (shift, closeData) => {
+  try {
+    if (closeData.countedCash === '' || isNaN(parseFloat(closeData.countedCash))) {
+      throw new Error('Enter the cash counted in the drawer');
+    }
+    const countedCash = roundAmount(parseFloat(closeData.countedCash));
+
+    const receipts = await getShiftReceipts(shift.shopId, shift.id);
+    const totals = calculateShiftTotals(shift, receipts);
+
+    await updateDoc(doc(db, 'shifts', shift.id), {
+      status: SHIFT_STATUS.CLOSED,
+      closedAt: new Date().toISOString(),
+      closedBy: closeData.closedBy || '',
+      countedCash,
+      // Positive when the drawer is over, negative when it is short
+      variance: roundAmount(countedCash - totals.expectedCash),
+      totals,
+      closingNotes: (closeData.notes || '').trim()
+    });
+
+    return shift.id;
+  } catch (error) {
+    console.error('Error closing shift:', error);
+    throw error;
+  }
+};
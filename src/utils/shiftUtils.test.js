@@ -0,0 +1,99 @@
+import {
+  CASH_MOVEMENT_TYPES,
+  SHIFT_STATUS,
+  calculateShiftTotals,
+  getReturnCashMovement,
+  prepareCashMovementInTransaction
+} from './shiftUtils';
+import { CASH } from './paymentUtils';
+
+describe('calculateShiftTotals', () => {
+  const shift = {
+    openingFloat: '1000',
+    cashMovements: [
+      { type: CASH_MOVEMENT_TYPES.IN, amount: 200 },
+      { type: CASH_MOVEMENT_TYPES.OUT, amount: 150 }
+    ]
+  };
+
+  test('voided and credited sales are left out of sales and shown on their own', () => {
+    const totals = calculateShiftTotals(shift, [
+      { totalAmount: 500, taxTotal: 50, payments: [{ method: CASH, amount: 500 }] },
+      { totalAmount: 300, payments: [{ method: 'Credit Card', amount: 300 }] },
+      { totalAmount: 150, status: 'void', payments: [{ method: CASH, amount: 150 }] }
+    ]);
+    expect(totals).toMatchObject({
+      transactionCount: 2,
+      sales: 800,
+      tax: 50,
+      voidCount: 1,
+      voids: 150,
+      payments: { [CASH]: 500, 'Credit Card': 300 },
+      cashSales: 500,
+      voidCash: 150
+    });
+  });
+
+  test('a voided sale\'s cash is in the drawer until its refund is paid out', () => {
+    const totals = calculateShiftTotals(shift, [
+      { totalAmount: 150, status: 'credited', payments: [{ method: CASH, amount: 150 }] }
+    ]);
+    // 1000 float + 150 taken + 200 in - 150 refunded
+    expect(totals.expectedCash).toBe(1200);
+  });
+});
+
+describe('getReturnCashMovement', () => {
+  test('money handed back is taken out of the drawer', () => {
+    expect(getReturnCashMovement({ refundAmount: 120.5 }, 'TXN-1')).toEqual({
+      type: CASH_MOVEMENT_TYPES.OUT,
+      amount: '120.50',
+      reason: 'Refund on receipt TXN-1'
+    });
+  });
+
+  test('cash paid towards an exchange goes into the drawer', () => {
+    expect(getReturnCashMovement({ refundAmount: 0, settlement: { method: CASH, amount: 40 } }, 'TXN-1')).toEqual({
+      type: CASH_MOVEMENT_TYPES.IN,
+      amount: '40.00',
+      reason: 'Exchange on receipt TXN-1'
+    });
+  });
+
+  test('no cash moves for returns credited to the account or exchanges paid by card', () => {
+    expect(getReturnCashMovement({ refundAmount: 0, creditedToAccount: 100 }, 'TXN-1')).toBeNull();
+    expect(getReturnCashMovement({ settlement: { method: 'Credit Card', amount: 40 } }, 'TXN-1')).toBeNull();
+  });
+});
+
+describe('prepareCashMovementInTransaction', () => {
+  const fakeTransaction = (shift) => ({
+    get: jest.fn(async () => ({ exists: () => !!shift, data: () => shift })),
+    update: jest.fn()
+  });
+  const refund = { type: CASH_MOVEMENT_TYPES.OUT, amount: '50', reason: 'Refund on receipt TXN-1' };
+
+  test('reads the shift, and only records the cash when saved', async () => {
+    const transaction = fakeTransaction({ status: SHIFT_STATUS.OPEN });
+    const prepared = await prepareCashMovementInTransaction(transaction, { id: 'shift-1' }, refund);
+
+    expect(prepared.cashMovement).toMatchObject({ type: CASH_MOVEMENT_TYPES.OUT, amount: 50 });
+    expect(transaction.get.mock.calls[0][0].path).toBe('shifts/shift-1');
+    expect(transaction.update).not.toHaveBeenCalled();
+
+    prepared.save();
+    expect(transaction.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('nothing is recorded once the shift has closed, or with no shift open', async () => {
+    const transaction = fakeTransaction({ status: SHIFT_STATUS.CLOSED });
+    const prepared = await prepareCashMovementInTransaction(transaction, { id: 'shift-1' }, refund);
+    prepared.save();
+    expect(prepared.cashMovement).toBeNull();
+    expect(transaction.update).not.toHaveBeenCalled();
+
+    const noShift = fakeTransaction(null);
+    expect((await prepareCashMovementInTransaction(noShift, null, refund)).cashMovement).toBeNull();
+    expect(noShift.get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,209 @@
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, query, where } from 'firebase/firestore';
+import { createUserWithEmailAndPassword, deleteUser, signOut } from 'firebase/auth';
+import { db, accountsAuth } from '../firebase/config';
+import { validatePassword } from './passwordPolicy';
+
+// A shop is owned by the account that registered it, and its ID is that
+// account's uid. Staff sign in with accounts of their own, kept in the staff
+// collection under their uid with the shop they work for and their role. What
+// each role may do is set per shop in shopData.rolePermissions, falling back to
+// the defaults below; the owner can always do everything.
+
+export const STAFF_ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  CASHIER: 'cashier',
+  STOCK_CLERK: 'stock-clerk'
+};
+
+export const ROLE_LABELS = {
+  [STAFF_ROLES.OWNER]: 'Owner',
+  [STAFF_ROLES.MANAGER]: 'Manager',
+  [STAFF_ROLES.CASHIER]: 'Cashier',
+  [STAFF_ROLES.STOCK_CLERK]: 'Stock Clerk'
+};
+
+// Roles that can be given to staff accounts
+export const STAFF_ACCOUNT_ROLES = [STAFF_ROLES.MANAGER, STAFF_ROLES.CASHIER, STAFF_ROLES.STOCK_CLERK];
+
+export const PERMISSIONS = {
+  MAKE_SALES: 'make-sales',
+  PROCESS_RETURNS: 'process-returns',
+  EDIT_RECEIPTS: 'edit-receipts',
+  VOID_RECEIPTS: 'void-receipts',
+  VIEW_STOCK: 'view-stock',
+  EDIT_STOCK: 'edit-stock',
+  VIEW_PROFIT: 'view-profit',
+  VIEW_REPORTS: 'view-reports',
+  MANAGE_CUSTOMERS: 'manage-customers',
+  MANAGE_PROMOTIONS: 'manage-promotions',
+  MANAGE_EMPLOYEES: 'manage-employees',
+  MANAGE_EXPENSES: 'manage-expenses',
+  MANAGE_SETTINGS: 'manage-settings',
+  MANAGE_STAFF: 'manage-staff'
+};
+
+export const PERMISSION_LABELS = {
+  [PERMISSIONS.MAKE_SALES]: 'Make sales, view receipts and run shifts',
+  [PERMISSIONS.PROCESS_RETURNS]: 'Process returns and exchanges',
+  [PERMISSIONS.EDIT_RECEIPTS]: 'Edit receipts',
+  [PERMISSIONS.VOID_RECEIPTS]: 'Void receipts and issue credit notes',
+  [PERMISSIONS.VIEW_STOCK]: 'View stock',
+  [PERMISSIONS.EDIT_STOCK]: 'Add, edit and delete stock, suppliers and purchase orders',
+  [PERMISSIONS.VIEW_PROFIT]: 'View profit and sales analytics',
+  [PERMISSIONS.VIEW_REPORTS]: 'View tax and void reports',
+  [PERMISSIONS.MANAGE_CUSTOMERS]: 'Manage customers and their payments',
+  [PERMISSIONS.MANAGE_PROMOTIONS]: 'Manage promotions',
+  [PERMISSIONS.MANAGE_EMPLOYEES]: 'Manage employees, attendance and salaries',
+  [PERMISSIONS.MANAGE_EXPENSES]: 'Manage expenses',
+  [PERMISSIONS.MANAGE_SETTINGS]: 'Change shop settings',
+  [PERMISSIONS.MANAGE_STAFF]: 'Manage staff accounts and roles'
+};
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [STAFF_ROLES.MANAGER]: Object.values(PERMISSIONS)
+    .filter(permission => permission !== PERMISSIONS.MANAGE_SETTINGS && permission !== PERMISSIONS.MANAGE_STAFF),
+  [STAFF_ROLES.CASHIER]: [PERMISSIONS.MAKE_SALES, PERMISSIONS.PROCESS_RETURNS, PERMISSIONS.VIEW_STOCK],
+  [STAFF_ROLES.STOCK_CLERK]: [PERMISSIONS.VIEW_STOCK, PERMISSIONS.EDIT_STOCK]
+};
+
+// Only the owner manages staff, so nobody can give themselves more access
+const OWNER_ONLY_PERMISSIONS = [PERMISSIONS.MANAGE_STAFF];
+
+// Get what a role may do in a shop
+export const getRolePermissions = (role, shopData) => {
+  if (role === STAFF_ROLES.OWNER) return Object.values(PERMISSIONS);
+
+  const shopPermissions = shopData && shopData.rolePermissions && shopData.rolePermissions[role];
+  const permissions = Array.isArray(shopPermissions) ? shopPermissions : DEFAULT_ROLE_PERMISSIONS[role] || [];
+  return permissions.filter(permission => !OWNER_ONLY_PERMISSIONS.includes(permission));
+};
+
+// Check whether a signed-in staff member may do something
+export const hasPermission = (staffMember, permission, shopData) => {
+  if (!staffMember || staffMember.active === false) return false;
+  return getRolePermissions(staffMember.role, shopData).includes(permission);
+};
+
+// Staff can only work in a shop an admin has approved. Shops registered before
+// approvals existed have no status and count as approved.
+export const isShopApproved = (shopData) => !!shopData && (shopData.status || 'approved') === 'approved';
+
+// The shop's owner, described like a staff member
+export const getOwnerStaffMember = (user, shopData) => ({
+  id: user.uid,
+  shopId: user.uid,
+  name: (shopData && (shopData.ownerName || shopData.displayName)) || user.displayName || user.email,
+  email: user.email,
+  role: STAFF_ROLES.OWNER,
+  active: true
+});
+
+// Get a staff account by its uid, or null if the account isn't staff
+export const getStaffMember = async (uid) => {
+  try {
+    const staffSnap = await getDoc(doc(db, 'staff', uid));
+    if (!staffSnap.exists()) return null;
+
+    return {
+      id: staffSnap.id,
+      ...staffSnap.data()
+    };
+  } catch (error) {
+    console.error('Error fetching staff member:', error);
+    throw error;
+  }
+};
+
+// Get all of a shop's staff accounts, by name
+export const getShopStaff = async (shopId) => {
+  try {
+    const staffRef = collection(db, 'staff');
+    const q = query(staffRef, where('shopId', '==', shopId));
+
+    const querySnapshot = await getDocs(q);
+    const staff = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    staff.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    return staff;
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a sign-in for a member of staff
+ * @param {string} shopId - Shop the staff member works for
+ * @param {Object} staffData - { name, email, password, role }
+ * @param {string} createdBy - Email of the owner creating the account
+ * @returns {Promise<Object>} The new staff member
+ */
+export const createStaffMember = async (shopId, { name, email, password, role }, createdBy) => {
+  try {
+    if (!name || !name.trim()) {
+      throw new Error('Enter the staff member\'s name');
+    }
+    if (!STAFF_ACCOUNT_ROLES.includes(role)) {
+      throw new Error('Choose a role for the staff member');
+    }
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      throw new Error(passwordValidation.message);
+    }
+
+    const userCredential = await createUserWithEmailAndPassword(accountsAuth, email.trim(), password);
+    const staffMember = {
+      shopId,
+      name: name.trim(),
+      email: email.trim(),
+      role,
+      active: true,
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await setDoc(doc(db, 'staff', userCredential.user.uid), staffMember);
+    } catch (error) {
+      // A sign-in without its staff document can't be used, and would keep the email taken
+      await deleteUser(userCredential.user).catch(deleteError => {
+        console.error('Error removing staff sign-in:', deleteError);
+      });
+      throw error;
+    } finally {
+      await signOut(accountsAuth);
+    }
+
+    return {
+      id: userCredential.user.uid,
+      ...staffMember
+    };
+  } catch (error) {
+    console.error('Error creating staff member:', error);
+    throw error;
+  }
+};
+
+// Change a staff member's name or role, or switch their sign-in off or on.
+// Accounts are deactivated rather than deleted so their receipts keep a name.
+export const updateStaffMember = async (staffId, updatedData) => {
+  try {
+    if (updatedData.role !== undefined && !STAFF_ACCOUNT_ROLES.includes(updatedData.role)) {
+      throw new Error('Choose a role for the staff member');
+    }
+
+    await updateDoc(doc(db, 'staff', staffId), {
+      ...updatedData,
+      updatedAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error updating staff member:', error);
+    throw error;
+  }
+};
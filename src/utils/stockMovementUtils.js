@@ -0,0 +1,107 @@
+import { collection, doc, getDocs, query, where, orderBy } from 'firebase/firestore';
+import { db, auth } from '../firebase/config';
+
+// Reasons a stock quantity can change
+export const STOCK_MOVEMENT_TYPES = {
+  INITIAL: 'initial',
+  SALE: 'sale',
+  RETURN: 'return',
+  RECEIPT_DELETE: 'receipt-delete',
+  VOID: 'void',
+  CREDIT_NOTE: 'credit-note',
+  RECEIPT_EDIT: 'receipt-edit',
+  ADJUSTMENT: 'adjustment',
+  RESTOCK: 'restock',
+  DELETE: 'delete'
+};
+
+// Labels shown in the stock history view
+export const STOCK_MOVEMENT_LABELS = {
+  [STOCK_MOVEMENT_TYPES.INITIAL]: 'Opening Stock',
+  [STOCK_MOVEMENT_TYPES.SALE]: 'Sale',
+  [STOCK_MOVEMENT_TYPES.RETURN]: 'Return',
+  [STOCK_MOVEMENT_TYPES.RECEIPT_DELETE]: 'Receipt Deleted',
+  [STOCK_MOVEMENT_TYPES.VOID]: 'Receipt Voided',
+  [STOCK_MOVEMENT_TYPES.CREDIT_NOTE]: 'Credit Note',
+  [STOCK_MOVEMENT_TYPES.RECEIPT_EDIT]: 'Receipt Edited',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'Manual Edit',
+  [STOCK_MOVEMENT_TYPES.RESTOCK]: 'Restock',
+  [STOCK_MOVEMENT_TYPES.DELETE]: 'Item Deleted'
+};
+
+// Build a stock movement document from the change and the signed-in user
+const buildStockMovement = (movementData) => {
+  const user = auth.currentUser;
+  const quantityBefore = parseFloat(movementData.quantityBefore) || 0;
+  const quantityAfter = parseFloat(movementData.quantityAfter) || 0;
+  
+  return {
+    shopId: movementData.shopId,
+    stockItemId: movementData.stockItemId,
+    itemName: movementData.itemName || '',
+    type: movementData.type,
+    quantityBefore,
+    quantityAfter,
+    change: quantityAfter - quantityBefore,
+    reason: movementData.reason || '',
+    sourceType: movementData.sourceType || null,
+    sourceId: movementData.sourceId || null,
+    userId: user ? user.uid : null,
+    userEmail: user ? user.email : null,
+    createdAt: new Date().toISOString()
+  };
+};
+
+// Record a stock movement as part of a transaction or write batch,
+// so the movement is only stored if the quantity change itself commits
+export const recordStockMovementInTransaction = (transaction, movementData) => {
+  const movementRef = doc(collection(db, 'stockMovements'));
+  transaction.set(movementRef, buildStockMovement(movementData));
+  return movementRef.id;
+};
+
+// Get the movement history of a single stock item, newest first
+export const getStockItemMovements = async (shopId, stockItemId) => {
+  try {
+    const movementRef = collection(db, 'stockMovements');
+    
+    try {
+      // First attempt with orderBy
+      const q = query(
+        movementRef,
+        where('shopId', '==', shopId),
+        where('stockItemId', '==', stockItemId),
+        orderBy('createdAt', 'desc')
+      );
+      
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (indexError) {
+      // If index error occurs, fallback to simpler query without orderBy
+      console.log('Index not created yet, falling back to basic query');
+      
+      const q = query(
+        movementRef,
+        where('shopId', '==', shopId),
+        where('stockItemId', '==', stockItemId)
+      );
+      
+      const querySnapshot = await getDocs(q);
+      const movements = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      
+      // Sort movements client-side instead
+      movements.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      
+      return movements;
+    }
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    throw error;
+  }
+};
@@ -1,5 +1,14 @@
-import { collection, addDoc, getDocs, doc, getDoc, updateDoc, deleteDoc, query, where } from 'firebase/firestore';
+import { collection, getDocs, doc, getDoc, updateDoc, query, where, runTransaction, writeBatch } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { STOCK_MOVEMENT_TYPES, recordStockMovementInTransaction } from './stockMovementUtils';
+import { addToCostLayers, takeFromCostLayers, getAverageCost, parseCost } from './costingUtils';
+
+// How many times Firestore retries a stock transaction when another
+// cashier writes to the same stock documents at the same time
+export const STOCK_TRANSACTION_ATTEMPTS = 5;
+
+// Error code used when stock no longer covers a sale at commit time
+export const STOCK_CHANGED_ERROR = 'stock/changed';
 
 // Mock data for testing/fallback
 const MOCK_STOCK = [
@@ -39,14 +48,30 @@ export const addStockItem = async (shopId, itemData) => {
       throw new Error('Shop ID is required to add stock item');
     }
     
-    const stockRef = collection(db, 'stock');
-    const docRef = await addDoc(stockRef, {
+    // Write the item and its opening stock movement together
+    const docRef = doc(collection(db, 'stock'));
+    const batch = writeBatch(db);
+    batch.set(docRef, {
       shopId,
       ...itemData,
+      ...addToCostLayers({ quantity: 0 }, parseFloat(itemData.quantity) || 0, itemData.costPrice),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
     
+    if (parseFloat(itemData.quantity) > 0) {
+      recordStockMovementInTransaction(batch, {
+        shopId,
+        stockItemId: docRef.id,
+        itemName: itemData.name,
+        type: STOCK_MOVEMENT_TYPES.INITIAL,
+        quantityBefore: 0,
+        quantityAfter: itemData.quantity
+      });
+    }
+    
+    await batch.commit();
+    
     console.log('Stock item added with ID:', docRef.id);
     return docRef.id;
   } catch (error) {
@@ -107,14 +132,75 @@ export const getStockItemById = async (itemId) => {
   }
 };
 
-// Update a stock item
-export const updateStockItem = async (itemId, updateData) => {
+// Whether an item has fallen to its reorder level. Items without a
+// reorder level are never flagged.
+export const isLowStock = (item) => {
+  const reorderLevel = parseFloat(item.reorderLevel);
+  if (isNaN(reorderLevel)) return false;
+  
+  return parseFloat(item.quantity || 0) <= reorderLevel;
+};
+
+// Items at or below their reorder level, emptiest first
+export const getLowStockItems = (stockItems) => {
+  return stockItems
+    .filter(isLowStock)
+    .sort((a, b) => (a.quantity - a.reorderLevel) - (b.quantity - b.reorderLevel));
+};
+
+// Update a stock item.
+// When the quantity changes, the edit and a stock movement (a manual adjustment
+// unless movement.type says otherwise) are written in one transaction.
+export const updateStockItem = async (itemId, updateData, movement = {}) => {
   try {
     const stockRef = doc(db, 'stock', itemId);
-    await updateDoc(stockRef, {
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    });
+    
+    if (updateData.quantity === undefined) {
+      await updateDoc(stockRef, {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      });
+      return itemId;
+    }
+    
+    await runTransaction(db, async (transaction) => {
+      const stockSnap = await transaction.get(stockRef);
+      if (!stockSnap.exists()) {
+        throw new Error('Stock item not found');
+      }
+      
+      const currentItem = stockSnap.data();
+      const quantityBefore = parseFloat(currentItem.quantity) || 0;
+      const quantityAfter = parseFloat(updateData.quantity) || 0;
+      
+      // Stock counted in by hand is costed at the item's cost price
+      let costFields = {};
+      if (quantityAfter > quantityBefore) {
+        const costPrice = updateData.costPrice !== undefined ? updateData.costPrice : currentItem.costPrice;
+        costFields = addToCostLayers(currentItem, quantityAfter - quantityBefore, costPrice);
+      } else if (quantityAfter < quantityBefore) {
+        costFields = takeFromCostLayers(currentItem, quantityBefore - quantityAfter).costFields;
+      }
+      
+      transaction.update(stockRef, {
+        ...updateData,
+        ...costFields,
+        updatedAt: new Date().toISOString()
+      });
+      
+      if (quantityBefore !== quantityAfter) {
+        recordStockMovementInTransaction(transaction, {
+          ...movement,
+          shopId: currentItem.shopId,
+          stockItemId: itemId,
+          itemName: updateData.name || currentItem.name,
+          type: movement.type || STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+          quantityBefore,
+          quantityAfter
+        });
+      }
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
+    
     return itemId;
   } catch (error) {
     console.error('Error updating stock item:', error);
@@ -122,11 +208,27 @@ export const updateStockItem = async (itemId, updateData) => {
   }
 };
 
-// Delete a stock item
-export const deleteStockItem = async (itemId) => {
+// Delete a stock item, recording whatever was left of it in the stock ledger
+export const deleteStockItem = async (itemId, movement = {}) => {
   try {
     const stockRef = doc(db, 'stock', itemId);
-    await deleteDoc(stockRef);
+    
+    await runTransaction(db, async (transaction) => {
+      const stockSnap = await transaction.get(stockRef);
+      if (!stockSnap.exists()) return;
+      
+      const stockItem = stockSnap.data();
+      transaction.delete(stockRef);
+      recordStockMovementInTransaction(transaction, {
+        ...movement,
+        shopId: stockItem.shopId,
+        stockItemId: itemId,
+        itemName: stockItem.name,
+        type: STOCK_MOVEMENT_TYPES.DELETE,
+        quantityBefore: stockItem.quantity,
+        quantityAfter: 0
+      });
+    });
     return true;
   } catch (error) {
     console.error('Error deleting stock item:', error);
@@ -134,73 +236,236 @@ export const deleteStockItem = async (itemId) => {
   }
 };
 
-// Update stock quantity when a sale is made
-export const updateStockQuantity = async (shopId, items) => {
-  try {
-    const stockRef = collection(db, 'stock');
-    const q = query(stockRef, where('shopId', '==', shopId));
-    const querySnapshot = await getDocs(q);
+// Build the error thrown when stock changed underneath the cashier
+const createStockChangedError = (itemName, available) => {
+  const error = new Error(
+    `Stock for "${itemName}" changed while this sale was being saved. Only ${available} left in inventory.`
+  );
+  error.code = STOCK_CHANGED_ERROR;
+  return error;
+};
+
+// Find the stock item a receipt line refers to.
+// Lines are linked by stockItemId so renaming a product doesn't break the link;
+// receipts saved before IDs were recorded fall back to a case-insensitive name match
+// until backfillReceiptStockItemIds has been run for the shop.
+export const findStockItemForLine = (stockItems, line) => {
+  if (line.stockItemId) {
+    return stockItems.find(item => item.id === line.stockItemId);
+  }
+  
+  if (!line.name) return undefined;
+  return stockItems.find(item => item.name && item.name.toLowerCase() === line.name.toLowerCase());
+};
+
+// Match sold items to the shop's stock items, merging repeated lines of the same item
+export const matchStockLines = (stockItems, items) => {
+  const linesById = {};
+  items.forEach(soldItem => {
+    const stockItem = findStockItemForLine(stockItems, soldItem);
     
-    const stockItems = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    // Make sure units match before deducting (both should be in the same unit)
+    // If units don't match, we can't properly deduct
+    if (!stockItem || (soldItem.quantityUnit && soldItem.quantityUnit !== (stockItem.quantityUnit || 'units'))) {
+      return;
+    }
     
-    // Process each sold item
-    const updates = items.map(soldItem => {
-      const stockItem = stockItems.find(item => item.name === soldItem.name);
-      
-      if (stockItem) {
-        // Make sure units match before deducting (both should be in the same unit)
-        // If units don't match, we can't properly deduct
-        if (!soldItem.quantityUnit || soldItem.quantityUnit === stockItem.quantityUnit) {
-          const newQuantity = Math.max(0, stockItem.quantity - soldItem.quantity);
-          return updateStockItem(stockItem.id, { quantity: newQuantity });
-        }
+    if (!linesById[stockItem.id]) {
+      linesById[stockItem.id] = {
+        stockItemId: stockItem.id,
+        name: stockItem.name,
+        quantity: 0,
+        costTotal: 0,
+        costKnown: true
+      };
+    }
+    
+    const line = linesById[stockItem.id];
+    const quantity = parseFloat(soldItem.quantity) || 0;
+    const unitCost = parseCost(soldItem.costPrice);
+    line.quantity += quantity;
+    if (unitCost === null) {
+      line.costKnown = false;
+    } else {
+      line.costTotal += unitCost * quantity;
+    }
+  });
+  
+  // unitCost is what the lines were sold at cost, used when they go back into stock
+  return Object.values(linesById).map(({ costTotal, costKnown, ...line }) => ({
+    ...line,
+    unitCost: costKnown && line.quantity > 0 ? costTotal / line.quantity : null
+  }));
+};
+
+// Match sold items to their stock documents, merging repeated lines of the same item
+export const getStockLinesForItems = async (shopId, items) => {
+  const stockRef = collection(db, 'stock');
+  const q = query(stockRef, where('shopId', '==', shopId));
+  const querySnapshot = await getDocs(q);
+  
+  const stockItems = querySnapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+  
+  return matchStockLines(stockItems, items);
+};
+
+// Apply quantity changes to stock lines inside a Firestore transaction and record
+// a stock movement for each. Every stock document is read before any write, as
+// transactions require. Deductions are rejected if another sale already took the
+// stock they need; restores skip items that have since been deleted. A line's
+// costPrice, when given, replaces the item's cost price.
+// Each item's FIFO batches and average cost are kept up to date. Resolves to the
+// costs of deducted stock keyed by stock item ID, for stamping on receipt lines.
+// With allowShortfall, deductions go through even when there isn't enough stock
+// (for sales that already happened offline), and the shortfall is returned with
+// the item's costs. A line's own direction, when given, wins over the direction
+// for the whole call.
+const applyStockChangesInTransaction = async (transaction, stockLines, defaultDirection, movement, options = {}) => {
+  const stockRefs = stockLines.map(line => doc(db, 'stock', line.stockItemId));
+  const stockSnaps = await Promise.all(stockRefs.map(stockRef => transaction.get(stockRef)));
+  
+  const changes = [];
+  const costs = {};
+  stockSnaps.forEach((stockSnap, index) => {
+    const line = stockLines[index];
+    const direction = line.direction || defaultDirection;
+    
+    if (!stockSnap.exists()) {
+      if (direction < 0 && options.allowShortfall) {
+        costs[line.stockItemId] = { costPrice: null, averageCost: null, fifoCost: null, shortfall: line.quantity, deleted: true };
+        return;
       }
-      
-      return Promise.resolve();
+      if (direction < 0) {
+        throw createStockChangedError(line.name, 0);
+      }
+      if (movement.type === STOCK_MOVEMENT_TYPES.RESTOCK) {
+        throw new Error(`Stock item "${line.name}" no longer exists`);
+      }
+      return;
+    }
+    
+    const stockItem = stockSnap.data();
+    const quantityBefore = parseFloat(stockItem.quantity) || 0;
+    if (direction < 0 && quantityBefore < line.quantity && !options.allowShortfall) {
+      throw createStockChangedError(line.name, quantityBefore);
+    }
+    
+    let costFields;
+    if (direction < 0) {
+      const { costFields: remainingLayers, fifoCost, averageCost } = takeFromCostLayers(stockItem, line.quantity);
+      costFields = remainingLayers;
+      costs[line.stockItemId] = {
+        costPrice: parseCost(stockItem.costPrice),
+        averageCost,
+        fifoCost
+      };
+      if (quantityBefore < line.quantity) {
+        costs[line.stockItemId].shortfall = line.quantity - Math.max(quantityBefore, 0);
+      }
+    } else if (line.costPrice !== undefined) {
+      costFields = addToCostLayers(stockItem, line.quantity, line.costPrice);
+    } else {
+      const unitCost = line.unitCost !== undefined && line.unitCost !== null
+        ? line.unitCost
+        : getAverageCost(stockItem);
+      costFields = addToCostLayers(stockItem, line.quantity, unitCost, { prepend: true });
+    }
+    
+    changes.push({
+      line,
+      stockRef: stockRefs[index],
+      costFields,
+      quantityBefore,
+      quantityAfter: quantityBefore + direction * line.quantity
     });
+  });
+  
+  changes.forEach(({ line, stockRef, costFields, quantityBefore, quantityAfter }) => {
+    const stockUpdate = {
+      quantity: quantityAfter,
+      ...costFields,
+      updatedAt: new Date().toISOString()
+    };
+    if (line.costPrice !== undefined) {
+      stockUpdate.costPrice = line.costPrice;
+    }
+    transaction.update(stockRef, stockUpdate);
     
-    await Promise.all(updates);
-    return true;
-  } catch (error) {
-    console.error('Error updating stock quantities:', error);
-    throw error;
-  }
+    recordStockMovementInTransaction(transaction, {
+      ...movement,
+      stockItemId: line.stockItemId,
+      itemName: line.name,
+      quantityBefore,
+      quantityAfter
+    });
+  });
+  
+  return costs;
 };
 
-// Restore stock quantity when a receipt is deleted
-export const restoreStockQuantity = async (shopId, items) => {
+// Deduct sold stock lines inside a Firestore transaction
+export const deductStockInTransaction = (transaction, stockLines, movement, options = {}) => {
+  return applyStockChangesInTransaction(transaction, stockLines, -1, movement, options);
+};
+
+// Put stock lines back into inventory inside a Firestore transaction
+export const restoreStockInTransaction = (transaction, stockLines, movement) => {
+  return applyStockChangesInTransaction(transaction, stockLines, 1, movement);
+};
+
+// Deduct and restore stock lines together inside a Firestore transaction, e.g.
+// for an edited receipt that sold more of one item and less of another. Each
+// line says which way it goes with direction: -1 to deduct, 1 to restore.
+export const adjustStockInTransaction = (transaction, stockLines, movement) => {
+  return applyStockChangesInTransaction(transaction, stockLines, 1, movement);
+};
+
+// Add delivered stock lines to inventory inside a Firestore transaction
+export const receiveStockInTransaction = (transaction, stockLines, movement) => {
+  return applyStockChangesInTransaction(transaction, stockLines, 1, {
+    ...movement,
+    type: STOCK_MOVEMENT_TYPES.RESTOCK
+  });
+};
+
+// Add received stock to an item
+export const restockStockItem = async (itemId, quantity, movement = {}) => {
   try {
-    const stockRef = collection(db, 'stock');
-    const q = query(stockRef, where('shopId', '==', shopId));
-    const querySnapshot = await getDocs(q);
-    
-    const stockItems = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const stockRef = doc(db, 'stock', itemId);
     
-    // Process each item to restore
-    const updates = items.map(receiptItem => {
-      const stockItem = stockItems.find(item => item.name === receiptItem.name);
-      
-      if (stockItem) {
-        // Make sure units match before adding (both should be in the same unit)
-        if (!receiptItem.quantityUnit || receiptItem.quantityUnit === stockItem.quantityUnit) {
-          const newQuantity = stockItem.quantity + parseFloat(receiptItem.quantity);
-          return updateStockItem(stockItem.id, { quantity: newQuantity });
-        }
+    await runTransaction(db, async (transaction) => {
+      const stockSnap = await transaction.get(stockRef);
+      if (!stockSnap.exists()) {
+        throw new Error('Stock item not found');
       }
       
-      return Promise.resolve();
-    });
+      const stockItem = stockSnap.data();
+      const quantityBefore = parseFloat(stockItem.quantity) || 0;
+      const quantityAfter = quantityBefore + (parseFloat(quantity) || 0);
+      
+      transaction.update(stockRef, {
+        quantity: quantityAfter,
+        ...addToCostLayers(stockItem, parseFloat(quantity) || 0, stockItem.costPrice),
+        updatedAt: new Date().toISOString()
+      });
+      
+      recordStockMovementInTransaction(transaction, {
+        ...movement,
+        shopId: stockItem.shopId,
+        stockItemId: itemId,
+        itemName: stockItem.name,
+        type: STOCK_MOVEMENT_TYPES.RESTOCK,
+        quantityBefore,
+        quantityAfter
+      });
+    }, { maxAttempts: STOCK_TRANSACTION_ATTEMPTS });
     
-    await Promise.all(updates);
-    return true;
+    return itemId;
   } catch (error) {
-    console.error('Error restoring stock quantities:', error);
+    console.error('Error restocking item:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
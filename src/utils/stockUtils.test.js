@@ -0,0 +1,54 @@
+import { findStockItemForLine, matchStockLines } from './stockUtils';
+
+const stockItems = [
+  { id: 'tea', name: 'Tea', quantityUnit: 'units' },
+  { id: 'rice', name: 'Basmati Rice', quantityUnit: 'kg' },
+  { id: 'soap', name: 'Soap' }
+];
+
+describe('findStockItemForLine', () => {
+  test('lines are linked by stock item ID, even after a rename', () => {
+    expect(findStockItemForLine(stockItems, { stockItemId: 'tea', name: 'Green Tea' }).id).toBe('tea');
+    expect(findStockItemForLine(stockItems, { stockItemId: 'gone', name: 'Tea' })).toBeUndefined();
+  });
+
+  test('older lines without an ID are matched by name, ignoring case', () => {
+    expect(findStockItemForLine(stockItems, { name: 'basmati rice' }).id).toBe('rice');
+    expect(findStockItemForLine(stockItems, {})).toBeUndefined();
+  });
+});
+
+describe('matchStockLines', () => {
+  test('repeated lines of the same item are merged', () => {
+    expect(matchStockLines(stockItems, [
+      { stockItemId: 'tea', name: 'Tea', quantity: 2, quantityUnit: 'units', costPrice: 80 },
+      { stockItemId: 'tea', name: 'Tea', quantity: '1', quantityUnit: 'units', costPrice: 110 }
+    ])).toEqual([{ stockItemId: 'tea', name: 'Tea', quantity: 3, unitCost: 90 }]);
+  });
+
+  test('a line in a different unit from its stock is left alone', () => {
+    expect(matchStockLines(stockItems, [
+      { stockItemId: 'rice', name: 'Basmati Rice', quantity: 500, quantityUnit: 'g' },
+      { stockItemId: 'tea', name: 'Tea', quantity: 1, quantityUnit: 'kg' }
+    ])).toEqual([]);
+  });
+
+  test('stock without a unit counts in units', () => {
+    expect(matchStockLines(stockItems, [{ name: 'SOAP', quantity: 2, quantityUnit: 'units' }]))
+      .toEqual([{ stockItemId: 'soap', name: 'Soap', quantity: 2, unitCost: null }]);
+    expect(matchStockLines(stockItems, [{ name: 'Soap', quantity: 2, quantityUnit: 'kg' }])).toEqual([]);
+  });
+
+  test('lines for items no longer in stock are skipped', () => {
+    expect(matchStockLines(stockItems, [{ name: 'Sugar', quantity: 1 }])).toEqual([]);
+  });
+
+  test('the cost is unknown if any merged line has no cost', () => {
+    const [line] = matchStockLines(stockItems, [
+      { stockItemId: 'rice', quantity: 1.5, quantityUnit: 'kg', costPrice: 200 },
+      { stockItemId: 'rice', quantity: 0.5, quantityUnit: 'kg' }
+    ]);
+    expect(line.quantity).toBe(2);
+    expect(line.unitCost).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+import { collection, addDoc, getDocs, getDoc, updateDoc, deleteDoc, doc, query, where, writeBatch, increment } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { PURCHASE_ORDER_STATUS } from './purchaseUtils';
+
+// Get all suppliers for a shop, sorted by name
+export const getShopSuppliers = async (shopId) => {
+  try {
+    const supplierRef = collection(db, 'suppliers');
+    const q = query(supplierRef, where('shopId', '==', shopId));
+
+    const querySnapshot = await getDocs(q);
+    const suppliers = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    suppliers.sort((a, b) => a.name.localeCompare(b.name));
+
+    return suppliers;
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    throw error;
+  }
+};
+
+// Get a single supplier by ID
+export const getSupplierById = async (supplierId) => {
+  try {
+    const supplierRef = doc(db, 'suppliers', supplierId);
+    const supplierSnap = await getDoc(supplierRef);
+
+    if (supplierSnap.exists()) {
+      return {
+        id: supplierSnap.id,
+        ...supplierSnap.data()
+      };
+    } else {
+      throw new Error('Supplier not found');
+    }
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    throw error;
+  }
+};
+
+// Add a new supplier. Any opening balance becomes the amount currently owed.
+export const addSupplier = async (supplierData) => {
+  try {
+    const openingBalance = parseFloat(supplierData.openingBalance) || 0;
+
+    const supplierRef = collection(db, 'suppliers');
+    const docRef = await addDoc(supplierRef, {
+      ...supplierData,
+      paymentTermsDays: parseInt(supplierData.paymentTermsDays) || 0,
+      openingBalance,
+      outstandingBalance: openingBalance,
+      createdAt: new Date().toISOString()
+    });
+
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding supplier:', error);
+    throw error;
+  }
+};
+
+// Update a supplier's details. The outstanding balance is only changed by
+// goods received and payments, never edited directly.
+export const updateSupplier = async (supplierId, updateData) => {
+  try {
+    const { outstandingBalance, openingBalance, ...details } = updateData;
+
+    const supplierRef = doc(db, 'suppliers', supplierId);
+    await updateDoc(supplierRef, {
+      ...details,
+      paymentTermsDays: parseInt(details.paymentTermsDays) || 0,
+      updatedAt: new Date().toISOString()
+    });
+    return supplierId;
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    throw error;
+  }
+};
+
+// Delete a supplier. Suppliers we still owe, or who have orders still to
+// arrive, are kept so the balance isn't lost and the orders can be received.
+export const deleteSupplier = async (supplierId) => {
+  try {
+    const supplier = await getSupplierById(supplierId);
+    const outstandingBalance = parseFloat(supplier.outstandingBalance) || 0;
+    if (Math.abs(outstandingBalance) >= 0.005) {
+      throw new Error(
+        `${supplier.name} has an outstanding balance of RS ${outstandingBalance.toFixed(2)}. Settle it before deleting them.`
+      );
+    }
+
+    const ordersSnapshot = await getDocs(query(
+      collection(db, 'purchaseOrders'),
+      where('shopId', '==', supplier.shopId),
+      where('supplierId', '==', supplierId)
+    ));
+    const openOrders = ordersSnapshot.docs.filter(orderDoc =>
+      [PURCHASE_ORDER_STATUS.ORDERED, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED].includes(orderDoc.data().status)
+    );
+    if (openOrders.length > 0) {
+      throw new Error(
+        `${supplier.name} has ${openOrders.length} purchase order(s) still to be received. Receive or cancel them before deleting them.`
+      );
+    }
+
+    await deleteDoc(doc(db, 'suppliers', supplierId));
+    return true;
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    throw error;
+  }
+};
+
+// Pay a supplier. The payment is booked as an expense linked to the supplier
+// and taken off what we owe them in the same batch.
+export const recordSupplierPayment = async (supplier, paymentData) => {
+  try {
+    const amount = parseFloat(paymentData.amount) || 0;
+    if (amount <= 0) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+
+    const expenseRef = doc(collection(db, 'expenses'));
+    const batch = writeBatch(db);
+
+    batch.set(expenseRef, {
+      shopId: supplier.shopId,
+      description: paymentData.description || `Payment to ${supplier.name}`,
+      amount,
+      expenseDate: paymentData.expenseDate,
+      categoryId: paymentData.categoryId || '',
+      paymentMethod: paymentData.paymentMethod || 'cash',
+      notes: paymentData.notes || '',
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      timestamp: new Date().toISOString(),
+      createdAt: new Date().toISOString()
+    });
+
+    batch.update(doc(db, 'suppliers', supplier.id), {
+      outstandingBalance: increment(-amount),
+      updatedAt: new Date().toISOString()
+    });
+
+    await batch.commit();
+    return expenseRef.id;
+  } catch (error) {
+    console.error('Error recording supplier payment:', error);
+    throw error;
+  }
+};
+
+// Get the payments made to a supplier, newest first
+export const getSupplierPayments = async (shopId, supplierId) => {
+  try {
+    const expenseRef = collection(db, 'expenses');
+    const q = query(
+      expenseRef,
+      where('shopId', '==', shopId),
+      where('supplierId', '==', supplierId)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const payments = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    payments.sort((a, b) => new Date(b.expenseDate) - new Date(a.expenseDate));
+
+    return payments;
+  } catch (error) {
+    console.error('Error fetching supplier payments:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,189 @@
+import { isReceiptCancelled } from './voidUtils';
+import { getReceiptReturns } from './returnUtils';
+
+// Sales tax (GST) settings live on the shop document. Each stock item can carry
+// its own rate; otherwise the rate set for its category is used, then the shop's
+// default rate. The rate is copied onto the receipt line when the sale is made,
+// so changing a rate later never changes the tax on past receipts.
+export const DEFAULT_TAX_NAME = 'Sales Tax';
+
+// Parse a tax rate percentage. Blank and invalid rates are unset (null).
+export const parseTaxRate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const rate = parseFloat(value);
+  return isNaN(rate) || rate < 0 ? null : rate;
+};
+
+// Get the shop's tax settings with defaults for shops that never set them
+export const getTaxSettings = (shopData) => ({
+  taxName: (shopData && shopData.taxName) || DEFAULT_TAX_NAME,
+  pricesIncludeTax: !!(shopData && shopData.pricesIncludeTax),
+  defaultTaxRate: parseTaxRate(shopData && shopData.defaultTaxRate) || 0,
+  categoryTaxRates: (shopData && shopData.categoryTaxRates) || {}
+});
+
+// The tax rate that applies to a stock item: its own rate, then its category's, then the default
+export const getTaxRate = (stockItem, taxSettings) => {
+  const itemRate = parseTaxRate(stockItem && stockItem.taxRate);
+  if (itemRate !== null) return itemRate;
+  
+  const category = (stockItem && stockItem.category) || 'Uncategorized';
+  const categoryRate = parseTaxRate(taxSettings.categoryTaxRates[category]);
+  if (categoryRate !== null) return categoryRate;
+  
+  return taxSettings.defaultTaxRate;
+};
+
+// Round to paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Split an amount charged at a tax rate into its taxable (net) part and its tax
+export const splitTax = (amount, taxRate, pricesIncludeTax) => {
+  const rate = parseTaxRate(taxRate) || 0;
+  
+  if (pricesIncludeTax) {
+    const taxAmount = roundAmount(amount * rate / (100 + rate));
+    return { taxableAmount: roundAmount(amount - taxAmount), taxAmount };
+  }
+  
+  return { taxableAmount: roundAmount(amount), taxAmount: roundAmount(amount * rate / 100) };
+};
+
+// Work out the tax on each line of a receipt and the receipt's totals.
+// Line discounts (discountAmount) come off their own line. A receipt-level
+// discount is shared across the lines in proportion to their amounts, so it
+// lowers the tax as well as the price.
+export const calculateReceiptTax = (items, discount = 0, pricesIncludeTax = false) => {
+  const lineAmount = (item) => Math.max(
+    parseFloat(item.price || 0) * parseFloat(item.quantity || 0) - (parseFloat(item.discountAmount) || 0),
+    0
+  );
+  const subtotal = items.reduce((total, item) =>
+    total + (parseFloat(item.price || 0) * parseFloat(item.quantity || 0)), 0);
+  const discountedSubtotal = items.reduce((total, item) => total + lineAmount(item), 0);
+  const lineDiscountTotal = subtotal - discountedSubtotal;
+  const discountAmount = Math.min(parseFloat(discount) || 0, discountedSubtotal);
+  const discountFactor = discountedSubtotal > 0 ? (discountedSubtotal - discountAmount) / discountedSubtotal : 0;
+  
+  let taxTotal = 0;
+  const breakdown = {};
+  
+  const lines = items.map(item => {
+    const taxRate = parseTaxRate(item.taxRate) || 0;
+    const amount = lineAmount(item) * discountFactor;
+    const { taxableAmount, taxAmount } = splitTax(amount, taxRate, pricesIncludeTax);
+    
+    taxTotal += taxAmount;
+    if (taxRate > 0) {
+      if (!breakdown[taxRate]) {
+        breakdown[taxRate] = { taxRate, taxableAmount: 0, taxAmount: 0 };
+      }
+      breakdown[taxRate].taxableAmount += taxableAmount;
+      breakdown[taxRate].taxAmount += taxAmount;
+    }
+    
+    return { ...item, taxRate, taxableAmount, taxAmount };
+  });
+  
+  taxTotal = roundAmount(taxTotal);
+  const total = pricesIncludeTax
+    ? discountedSubtotal - discountAmount
+    : discountedSubtotal - discountAmount + taxTotal;
+  
+  return {
+    lines,
+    subtotal: roundAmount(subtotal),
+    lineDiscountTotal: roundAmount(lineDiscountTotal),
+    discount: discountAmount,
+    taxTotal,
+    taxBreakdown: Object.values(breakdown)
+      .map(entry => ({
+        taxRate: entry.taxRate,
+        taxableAmount: roundAmount(entry.taxableAmount),
+        taxAmount: roundAmount(entry.taxAmount)
+      }))
+      .sort((a, b) => a.taxRate - b.taxRate),
+    total: roundAmount(total)
+  };
+};
+
+// The tax on part of a sold line, e.g. when some of it is returned
+export const getLineTaxShare = (line, quantity) => {
+  const lineQuantity = parseFloat(line.quantity) || 0;
+  if (lineQuantity <= 0) {
+    return { taxableAmount: 0, taxAmount: 0 };
+  }
+  
+  const share = parseFloat(quantity) / lineQuantity;
+  return {
+    taxableAmount: roundAmount((parseFloat(line.taxableAmount) || 0) * share),
+    taxAmount: roundAmount((parseFloat(line.taxAmount) || 0) * share)
+  };
+};
+
+// Add up the tax charged and refunded on a set of receipts, by rate, for filing
+export const summarizeTax = (receipts) => {
+  const rates = {};
+  const totals = { taxableAmount: 0, taxAmount: 0, returnedTaxableAmount: 0, returnedTaxAmount: 0 };
+  
+  const getRate = (taxRate) => {
+    if (!rates[taxRate]) {
+      rates[taxRate] = {
+        taxRate,
+        taxableAmount: 0,
+        taxAmount: 0,
+        returnedTaxableAmount: 0,
+        returnedTaxAmount: 0,
+        lines: 0
+      };
+    }
+    return rates[taxRate];
+  };
+  
+  // Receipts from before tax was recorded count as untaxed sales
+  const getLineAmounts = (item) => ({
+    taxableAmount: item.taxableAmount !== undefined
+      ? parseFloat(item.taxableAmount) || 0
+      : parseFloat(item.price || 0) * parseFloat(item.quantity || 0),
+    taxAmount: parseFloat(item.taxAmount) || 0
+  });
+  
+  const addSoldLine = (item) => {
+    const entry = getRate(parseTaxRate(item.taxRate) || 0);
+    const { taxableAmount, taxAmount } = getLineAmounts(item);
+    
+    entry.taxableAmount += taxableAmount;
+    entry.taxAmount += taxAmount;
+    entry.lines += 1;
+    totals.taxableAmount += taxableAmount;
+    totals.taxAmount += taxAmount;
+  };
+  
+  const addReturnedLine = (item) => {
+    const entry = getRate(parseTaxRate(item.taxRate) || 0);
+    const { taxableAmount, taxAmount } = getLineAmounts(item);
+    
+    entry.returnedTaxableAmount += taxableAmount;
+    entry.returnedTaxAmount += taxAmount;
+    totals.returnedTaxableAmount += taxableAmount;
+    totals.returnedTaxAmount += taxAmount;
+  };
+  
+  receipts.forEach(receipt => {
+    // Tax on voided and credited sales was never owed
+    if (isReceiptCancelled(receipt)) return;
+    
+    (receipt.items || []).forEach(addSoldLine);
+    
+    // Items given in exchange are sales of their own
+    getReceiptReturns(receipt).forEach(returnEvent => {
+      (returnEvent.returnedItems || []).forEach(addReturnedLine);
+      (returnEvent.exchangeItems || []).forEach(addSoldLine);
+    });
+  });
+  
+  return {
+    rates: Object.values(rates).sort((a, b) => a.taxRate - b.taxRate),
+    totals
+  };
+};
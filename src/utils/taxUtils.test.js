@@ -0,0 +1,184 @@
+import {
+  DEFAULT_TAX_NAME,
+  parseTaxRate,
+  getTaxSettings,
+  getTaxRate,
+  splitTax,
+  calculateReceiptTax,
+  getLineTaxShare,
+  summarizeTax
+} from './taxUtils';
+
+describe('parseTaxRate', () => {
+  test('blank, invalid and negative rates are unset', () => {
+    expect(parseTaxRate('')).toBeNull();
+    expect(parseTaxRate(null)).toBeNull();
+    expect(parseTaxRate(undefined)).toBeNull();
+    expect(parseTaxRate('abc')).toBeNull();
+    expect(parseTaxRate('-5')).toBeNull();
+  });
+
+  test('a rate of zero is a rate', () => {
+    expect(parseTaxRate(0)).toBe(0);
+    expect(parseTaxRate('17.5')).toBe(17.5);
+  });
+});
+
+describe('getTaxRate', () => {
+  const taxSettings = getTaxSettings({ defaultTaxRate: '17', categoryTaxRates: { Food: 5, Uncategorized: 10 } });
+
+  test('shops that never set tax get the defaults', () => {
+    expect(getTaxSettings(null)).toEqual({
+      taxName: DEFAULT_TAX_NAME,
+      pricesIncludeTax: false,
+      defaultTaxRate: 0,
+      categoryTaxRates: {}
+    });
+  });
+
+  test('the item\'s own rate comes first, even when it is zero', () => {
+    expect(getTaxRate({ taxRate: 0, category: 'Food' }, taxSettings)).toBe(0);
+    expect(getTaxRate({ taxRate: '12', category: 'Food' }, taxSettings)).toBe(12);
+  });
+
+  test('then its category\'s rate, then the shop\'s default', () => {
+    expect(getTaxRate({ taxRate: '', category: 'Food' }, taxSettings)).toBe(5);
+    expect(getTaxRate({}, taxSettings)).toBe(10);
+    expect(getTaxRate({ category: 'Toys' }, taxSettings)).toBe(17);
+  });
+});
+
+describe('splitTax', () => {
+  test('tax is added on top of prices that exclude it', () => {
+    expect(splitTax(100, 18, false)).toEqual({ taxableAmount: 100, taxAmount: 18 });
+  });
+
+  test('tax is taken out of prices that include it', () => {
+    expect(splitTax(118, 18, true)).toEqual({ taxableAmount: 100, taxAmount: 18 });
+  });
+
+  test('amounts are rounded to paisa, and the parts still add up', () => {
+    const { taxableAmount, taxAmount } = splitTax(10, 17, true);
+    expect(taxAmount).toBe(1.45);
+    expect(taxableAmount).toBe(8.55);
+    expect(splitTax(0.05, 17, false).taxAmount).toBe(0.01);
+  });
+
+  test('a missing rate is no tax', () => {
+    expect(splitTax(50, null, false)).toEqual({ taxableAmount: 50, taxAmount: 0 });
+  });
+});
+
+describe('calculateReceiptTax', () => {
+  const items = [
+    { name: 'Soap', price: 100, quantity: 2, taxRate: 17 },
+    { name: 'Bread', price: 50, quantity: 1, taxRate: 0 }
+  ];
+
+  test('tax exclusive prices have the tax added to the total', () => {
+    const result = calculateReceiptTax(items);
+    expect(result.subtotal).toBe(250);
+    expect(result.taxTotal).toBe(34);
+    expect(result.total).toBe(284);
+    expect(result.lines[0]).toMatchObject({ taxableAmount: 200, taxAmount: 34 });
+    // Untaxed lines are left out of the breakdown
+    expect(result.taxBreakdown).toEqual([{ taxRate: 17, taxableAmount: 200, taxAmount: 34 }]);
+  });
+
+  test('tax inclusive prices are the total', () => {
+    const result = calculateReceiptTax([{ name: 'Soap', price: 117, quantity: 1, taxRate: 17 }], 0, true);
+    expect(result.taxTotal).toBe(17);
+    expect(result.lines[0].taxableAmount).toBe(100);
+    expect(result.total).toBe(117);
+  });
+
+  test('a receipt discount is shared across the lines and lowers the tax', () => {
+    const result = calculateReceiptTax(items, 25);
+    expect(result.discount).toBe(25);
+    expect(result.lines[0].taxableAmount).toBe(180);
+    expect(result.lines[1].taxableAmount).toBe(45);
+    expect(result.taxTotal).toBe(30.6);
+    expect(result.total).toBe(255.6);
+  });
+
+  test('a line discount only comes off its own line', () => {
+    const result = calculateReceiptTax([
+      { name: 'Soap', price: 100, quantity: 1, discountAmount: 10, taxRate: 10 },
+      { name: 'Bread', price: 50, quantity: 1, taxRate: 10 }
+    ]);
+    expect(result.lineDiscountTotal).toBe(10);
+    expect(result.lines[0]).toMatchObject({ taxableAmount: 90, taxAmount: 9 });
+    expect(result.lines[1]).toMatchObject({ taxableAmount: 50, taxAmount: 5 });
+    expect(result.total).toBe(154);
+  });
+
+  test('a discount can\'t take the total below zero', () => {
+    const result = calculateReceiptTax(items, 500);
+    expect(result.discount).toBe(250);
+    expect(result.taxTotal).toBe(0);
+    expect(result.total).toBe(0);
+  });
+
+  test('rates are rounded per line, and the breakdown matches the lines', () => {
+    const result = calculateReceiptTax([
+      { name: 'Pen', price: 9.99, quantity: 3, taxRate: 17 },
+      { name: 'Ink', price: 0.33, quantity: 1, taxRate: 17 }
+    ]);
+    expect(result.lines[0].taxAmount).toBe(5.09);
+    expect(result.lines[1].taxAmount).toBe(0.06);
+    expect(result.taxTotal).toBe(5.15);
+    expect(result.taxBreakdown[0].taxAmount).toBe(result.taxTotal);
+  });
+});
+
+describe('getLineTaxShare', () => {
+  test('part of a line carries its share of the tax', () => {
+    expect(getLineTaxShare({ quantity: 3, taxableAmount: 100, taxAmount: 17 }, 1))
+      .toEqual({ taxableAmount: 33.33, taxAmount: 5.67 });
+  });
+
+  test('a line with nothing sold has no tax to share', () => {
+    expect(getLineTaxShare({ quantity: 0, taxableAmount: 100, taxAmount: 17 }, 1))
+      .toEqual({ taxableAmount: 0, taxAmount: 0 });
+  });
+});
+
+describe('summarizeTax', () => {
+  test('adds up sales and returns by rate, leaving out cancelled receipts', () => {
+    const receipts = [
+      {
+        items: [{ name: 'Soap', price: 117, quantity: 1, taxRate: 17, taxableAmount: 100, taxAmount: 17 }],
+        returns: [{ returnedItems: [{ name: 'Soap', quantity: 0.5, taxRate: 17, taxableAmount: 50, taxAmount: 8.5 }] }]
+      },
+      {
+        status: 'void',
+        items: [{ name: 'Soap', price: 117, quantity: 1, taxRate: 17, taxableAmount: 100, taxAmount: 17 }]
+      },
+      // From before tax was recorded
+      { items: [{ name: 'Bread', price: 50, quantity: 2 }] }
+    ];
+
+    const { rates, totals } = summarizeTax(receipts);
+    expect(totals).toEqual({
+      taxableAmount: 200,
+      taxAmount: 17,
+      returnedTaxableAmount: 50,
+      returnedTaxAmount: 8.5
+    });
+    expect(rates.map(rate => rate.taxRate)).toEqual([0, 17]);
+    expect(rates[0]).toMatchObject({ taxableAmount: 100, taxAmount: 0, lines: 1 });
+    expect(rates[1]).toMatchObject({ taxableAmount: 100, taxAmount: 17, returnedTaxAmount: 8.5, lines: 1 });
+  });
+
+  test('items given in exchange count as sales', () => {
+    const { totals } = summarizeTax([{
+      items: [{ name: 'Shirt', taxRate: 10, taxableAmount: 100, taxAmount: 10 }],
+      returns: [{
+        returnedItems: [{ name: 'Shirt', taxRate: 10, taxableAmount: 100, taxAmount: 10 }],
+        exchangeItems: [{ name: 'Shirt (L)', taxRate: 10, taxableAmount: 120, taxAmount: 12 }]
+      }]
+    }]);
+    expect(totals.taxAmount).toBe(22);
+    expect(totals.returnedTaxAmount).toBe(10);
+  });
+});
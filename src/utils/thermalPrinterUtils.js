@@ -0,0 +1,419 @@
+import { DEFAULT_TAX_NAME } from './taxUtils';
+import { CASH, getPaymentMethod, getReceiptPayments } from './paymentUtils';
+import { INVOICE_TEMPLATES } from './invoiceUtils';
+
+// Receipt printing on 58mm and 80mm thermal printers. A receipt is first laid
+// out as lines of fixed-width text, which are then either printed through the
+// browser as a narrow page or encoded as ESC/POS commands and sent straight to
+// the printer, which also lets us print the logo, a barcode or QR code of the
+// transaction ID and kick the cash drawer open.
+
+export const RECEIPT_FORMATS = {
+  A4: 'a4',
+  THERMAL_58: '58mm',
+  THERMAL_80: '80mm'
+};
+
+export const PRINTER_OUTPUTS = {
+  // Print the narrow layout through the browser's print dialog
+  BROWSER: 'browser',
+  // Send ESC/POS commands to a printer connected over USB/serial (Chrome and Edge)
+  SERIAL: 'serial',
+  // Save the ESC/POS commands as a file for the printer's own utility
+  DOWNLOAD: 'download'
+};
+
+export const RECEIPT_CODE_TYPES = {
+  QR: 'qr',
+  BARCODE: 'barcode',
+  NONE: 'none'
+};
+
+// Characters per line in the printer's standard font, and the width of the
+// printable area in dots, for each paper width
+const PAPER_SIZES = {
+  [RECEIPT_FORMATS.THERMAL_58]: { chars: 32, dots: 384, widthMm: 58 },
+  [RECEIPT_FORMATS.THERMAL_80]: { chars: 48, dots: 576, widthMm: 80 }
+};
+
+// Get the shop's receipt printer settings with defaults for shops that never set them
+export const getPrinterSettings = (shopData) => ({
+  receiptFormat: (shopData && shopData.receiptFormat) || RECEIPT_FORMATS.A4,
+  printerOutput: (shopData && shopData.printerOutput) || PRINTER_OUTPUTS.BROWSER,
+  receiptCodeType: (shopData && shopData.receiptCodeType) || RECEIPT_CODE_TYPES.QR,
+  printLogo: !!(shopData && shopData.printLogo),
+  openCashDrawer: !!(shopData && shopData.openCashDrawer),
+  printerBaudRate: parseInt(shopData && shopData.printerBaudRate) || 9600
+});
+
+// Whether the shop prints receipts on a thermal printer
+export const isThermalFormat = (receiptFormat) => !!PAPER_SIZES[receiptFormat];
+
+const money = (amount) => (parseFloat(amount) || 0).toFixed(2);
+
+// Text on the left, text on the right, spaces between
+const padLine = (left, right, width) => {
+  if (!right) return wrapText(left, width).join('\n');
+  const space = width - left.length - right.length;
+  if (space >= 1) return left + ' '.repeat(space) + right;
+  // Too long for one line: left on its own line(s), right-aligned amount below
+  return `${wrapText(left, width).join('\n')}\n${right.padStart(width)}`;
+};
+
+// Break text into lines no longer than width, at spaces where possible
+const wrapText = (text, width) => {
+  const lines = [];
+  let line = '';
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Lay a receipt out as lines for a thermal printer. Each line is
+// { text, align, bold, large }, or { divider } for a rule across the paper.
+export const buildReceiptLines = (receipt, receiptFormat) => {
+  const width = PAPER_SIZES[receiptFormat].chars;
+  const lines = [];
+  const add = (text, options = {}) => {
+    String(text).split('\n').forEach(part => lines.push({ text: part, align: 'left', ...options }));
+  };
+  const addPair = (left, right, options = {}) => add(padLine(left, right, width), options);
+  const divider = () => lines.push({ divider: true, text: '-'.repeat(width) });
+
+  const shop = receipt.shopDetails || {};
+  // Large text is double width, so only half as many characters fit
+  wrapText(shop.name, Math.floor(width / 2)).forEach(text => add(text, { align: 'center', bold: true, large: true }));
+  wrapText(shop.address, width).forEach(text => add(text, { align: 'center' }));
+  if (shop.phone) wrapText(`Tel: ${shop.phone}`, width).forEach(text => add(text, { align: 'center' }));
+  const isInvoice = receipt.template === INVOICE_TEMPLATES.INVOICE;
+  if (isInvoice) {
+    add('SALES TAX INVOICE', { align: 'center', bold: true });
+    if (shop.ntn) add(`NTN: ${shop.ntn}`, { align: 'center' });
+    if (shop.strn) add(`STRN: ${shop.strn}`, { align: 'center' });
+  }
+  divider();
+
+  const timestamp = new Date(receipt.timestamp || Date.now());
+  if (receipt.invoiceNumber) wrapText(`Invoice: ${receipt.invoiceNumber}`, width).forEach(text => add(text, { bold: true }));
+  wrapText(`${receipt.invoiceNumber ? 'Txn' : 'Receipt'}: ${receipt.transactionId}`, width).forEach(text => add(text));
+  addPair(timestamp.toLocaleDateString(), timestamp.toLocaleTimeString());
+  if (receipt.cashierName) add(`Cashier: ${receipt.cashierName}`);
+  if (isInvoice && receipt.buyer) {
+    wrapText(`Buyer: ${receipt.buyer.name}`, width).forEach(text => add(text));
+    wrapText(receipt.buyer.address, width).forEach(text => add(text));
+    if (receipt.buyer.ntn) add(`Buyer NTN: ${receipt.buyer.ntn}`);
+    if (receipt.buyer.strn) add(`Buyer STRN: ${receipt.buyer.strn}`);
+  } else if (receipt.customerName) {
+    add(`Customer: ${receipt.customerName}`);
+  }
+  divider();
+
+  (receipt.items || []).forEach(item => {
+    const quantity = parseFloat(item.quantity) || 1;
+    const lineTotal = (parseFloat(item.price) || 0) * quantity;
+    wrapText(item.name, width).forEach(text => add(text));
+    addPair(`  ${quantity} x ${money(item.price)}`, money(lineTotal));
+    if (parseFloat(item.discountAmount) > 0) {
+      addPair('  Discount', `-${money(item.discountAmount)}`);
+    }
+  });
+  divider();
+
+  const subtotal = (receipt.items || []).reduce((total, item) =>
+    total + (parseFloat(item.price) || 0) * (parseFloat(item.quantity) || 0), 0);
+  addPair('Subtotal', money(subtotal));
+  if (parseFloat(receipt.lineDiscountTotal) > 0) {
+    addPair('Item Discounts', `-${money(receipt.lineDiscountTotal)}`);
+  }
+  if (parseFloat(receipt.discount) > 0) {
+    addPair('Discount', `-${money(receipt.discount)}`);
+  }
+  (receipt.taxBreakdown || []).forEach(tax => {
+    addPair(`${receipt.pricesIncludeTax ? 'Incl. ' : ''}${receipt.taxName || DEFAULT_TAX_NAME} @ ${tax.taxRate}%`, money(tax.taxAmount));
+  });
+  add(padLine('TOTAL', `RS ${money(receipt.totalAmount)}`, Math.floor(width / 2)), { bold: true, large: true });
+
+  const payments = receipt.payments && receipt.payments.length > 0
+    ? receipt.payments
+    : getReceiptPayments(receipt);
+  payments.forEach(payment => {
+    addPair(getPaymentMethod(payment.method).label, money(payment.amount));
+  });
+  if (parseFloat(receipt.change) > 0) {
+    addPair('Change', money(receipt.change));
+  }
+
+  if (receipt.customerId && receipt.loyaltyPointsBalance !== undefined) {
+    divider();
+    if (receipt.loyaltyPointsEarned > 0) addPair('Points earned', String(receipt.loyaltyPointsEarned));
+    if (receipt.loyaltyPointsRedeemed > 0) addPair('Points spent', String(receipt.loyaltyPointsRedeemed));
+    addPair('Points balance', String(receipt.loyaltyPointsBalance));
+  }
+
+  divider();
+  add('Thank you for your business!', { align: 'center' });
+  wrapText(shop.receiptDescription, width).forEach(text => add(text, { align: 'center' }));
+
+  return lines;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The narrow layout as a standalone HTML page sized to the paper
+export const buildReceiptHtml = (receipt, receiptFormat) => {
+  const paper = PAPER_SIZES[receiptFormat];
+  const body = buildReceiptLines(receipt, receiptFormat).map(line => {
+    const style = [
+      `text-align:${line.align || 'left'}`,
+      line.bold ? 'font-weight:bold' : '',
+      line.large ? 'font-size:1.4em' : ''
+    ].filter(Boolean).join(';');
+    return `<div style="${style}">${escapeHtml(line.text) || '&nbsp;'}</div>`;
+  }).join('');
+  const logo = receipt.shopDetails && receipt.shopDetails.logoUrl
+    ? `<div style="text-align:center"><img src="${escapeHtml(receipt.shopDetails.logoUrl)}" style="max-width:60%;max-height:25mm" alt="" /></div>`
+    : '';
+
+  return `<!DOCTYPE html><html><head><title>Receipt ${escapeHtml(receipt.transactionId)}</title><style>
+    @page { size: ${paper.widthMm}mm auto; margin: 0; }
+    body { width: ${paper.widthMm - 6}mm; margin: 0 3mm; font-family: 'Courier New', monospace; font-size: 11px; white-space: pre; }
+  </style></head><body>${logo}${body}<div style="text-align:center;margin-top:2mm">${escapeHtml(receipt.transactionId)}</div></body></html>`;
+};
+
+// Print the narrow layout through the browser, from a hidden frame so the page
+// the cashier is on is left alone
+export const printReceiptInBrowser = (receipt, receiptFormat) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  const frameDocument = frame.contentWindow.document;
+  frameDocument.open();
+  frameDocument.write(buildReceiptHtml(receipt, receiptFormat));
+  frameDocument.close();
+
+  const print = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => document.body.removeChild(frame), 1000);
+  };
+  const logo = frameDocument.querySelector('img');
+  if (logo && !logo.complete) {
+    logo.onload = print;
+    logo.onerror = print;
+  } else {
+    print();
+  }
+};
+
+// ESC/POS command bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  alignRight: [ESC, 0x61, 2],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  sizeLarge: [GS, 0x21, 0x11],
+  sizeNormal: [GS, 0x21, 0x00],
+  feed: (lines) => [ESC, 0x64, lines],
+  cut: [GS, 0x56, 66, 0],
+  // Pulse the cash drawer connected to the printer's drawer port
+  openDrawer: [ESC, 0x70, 0, 25, 250]
+};
+
+// Printers print text in their built-in code page, so anything outside plain
+// ASCII (Urdu, accented letters) is printed as '?'
+const encodeText = (text) => Array.from(String(text)).map(char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code < 0x7f ? code : 0x3f;
+});
+
+// CODE128 barcode with the text printed underneath
+const barcodeCommand = (data) => {
+  const bytes = [0x7b, 0x42, ...encodeText(data)]; // {B selects code set B
+  return [
+    GS, 0x68, 80, // height in dots
+    GS, 0x77, 2, // module width
+    GS, 0x48, 2, // text below the bars
+    GS, 0x6b, 73, bytes.length, ...bytes
+  ];
+};
+
+// QR code: select model 2, set the module size and error correction, store the data, print it
+const qrCommand = (data) => {
+  const bytes = encodeText(data);
+  const storeLength = bytes.length + 3;
+  return [
+    GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31,
+    GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30, ...bytes,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30
+  ];
+};
+
+// Raster image command for a 1-bit logo from loadLogoRaster
+const rasterCommand = ({ widthBytes, height, data }) => [
+  GS, 0x76, 0x30, 0,
+  widthBytes % 256, Math.floor(widthBytes / 256),
+  height % 256, Math.floor(height / 256),
+  ...data
+];
+
+// Load an image and turn it into the 1-bit raster a thermal printer prints,
+// no wider than maxDots. Resolves to null if the image can't be loaded.
+export const loadLogoRaster = (url, maxDots) => new Promise(resolve => {
+  if (!url) {
+    resolve(null);
+    return;
+  }
+
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    try {
+      // Logos are printed at up to half the paper width
+      const width = Math.min(image.width, Math.floor(maxDots / 2 / 8) * 8);
+      const height = Math.round(image.height * width / image.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+      context.drawImage(image, 0, 0, width, height);
+      const pixels = context.getImageData(0, 0, width, height).data;
+
+      const widthBytes = Math.ceil(width / 8);
+      const data = new Array(widthBytes * height).fill(0);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const offset = (y * width + x) * 4;
+          const luminance = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+          if (luminance < 128) {
+            data[y * widthBytes + Math.floor(x / 8)] |= 0x80 >> (x % 8);
+          }
+        }
+      }
+      resolve({ widthBytes, height, data });
+    } catch (error) {
+      // The image host doesn't allow reading its pixels
+      console.error('Error preparing logo for printing:', error);
+      resolve(null);
+    }
+  };
+  image.onerror = () => resolve(null);
+  image.src = url;
+});
+
+// Encode a receipt as ESC/POS commands. logo is a raster from loadLogoRaster.
+export const buildEscPosReceipt = (receipt, settings, logo = null) => {
+  const bytes = [...COMMANDS.init];
+  const push = (...commands) => commands.forEach(command => bytes.push(...command));
+
+  if (logo) {
+    push(COMMANDS.alignCenter, rasterCommand(logo), [0x0a]);
+  }
+
+  buildReceiptLines(receipt, settings.receiptFormat).forEach(line => {
+    push(
+      line.align === 'center' ? COMMANDS.alignCenter : line.align === 'right' ? COMMANDS.alignRight : COMMANDS.alignLeft,
+      line.bold ? COMMANDS.boldOn : COMMANDS.boldOff,
+      line.large ? COMMANDS.sizeLarge : COMMANDS.sizeNormal,
+      encodeText(line.text),
+      [0x0a]
+    );
+  });
+  push(COMMANDS.boldOff, COMMANDS.sizeNormal);
+
+  if (settings.receiptCodeType === RECEIPT_CODE_TYPES.BARCODE) {
+    push(COMMANDS.alignCenter, barcodeCommand(receipt.transactionId), [0x0a]);
+  } else if (settings.receiptCodeType === RECEIPT_CODE_TYPES.QR) {
+    push(COMMANDS.alignCenter, qrCommand(receipt.transactionId), [0x0a]);
+  }
+
+  push(COMMANDS.feed(4), COMMANDS.cut);
+
+  // Only cash sales need the drawer
+  const paidCash = getReceiptPayments(receipt).some(payment => payment.method === CASH);
+  if (settings.openCashDrawer && paidCash) {
+    push(COMMANDS.openDrawer);
+  }
+
+  return new Uint8Array(bytes);
+};
+
+// Send ESC/POS bytes to a printer on a serial or USB-serial port. The browser
+// asks the cashier to pick the printer the first time.
+export const sendToSerialPrinter = async (bytes, baudRate = 9600) => {
+  if (!navigator.serial) {
+    throw new Error('This browser cannot talk to printers directly. Use Chrome or Edge, or choose another printer output in Settings.');
+  }
+
+  const ports = await navigator.serial.getPorts();
+  const port = ports.length > 0 ? ports[0] : await navigator.serial.requestPort();
+  await port.open({ baudRate });
+  try {
+    const writer = port.writable.getWriter();
+    await writer.write(bytes);
+    writer.releaseLock();
+  } finally {
+    await port.close();
+  }
+};
+
+// Save ESC/POS bytes as a file
+export const downloadEscPos = (bytes, fileName) => {
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Print a receipt on the shop's thermal printer the way Settings says to
+export const printThermalReceipt = async (receipt, settings) => {
+  if (settings.printerOutput === PRINTER_OUTPUTS.BROWSER) {
+    printReceiptInBrowser(receipt, settings.receiptFormat);
+    return;
+  }
+
+  const logo = settings.printLogo && receipt.shopDetails
+    ? await loadLogoRaster(receipt.shopDetails.logoUrl, PAPER_SIZES[settings.receiptFormat].dots)
+    : null;
+  const bytes = buildEscPosReceipt(receipt, settings, logo);
+
+  if (settings.printerOutput === PRINTER_OUTPUTS.SERIAL) {
+    await sendToSerialPrinter(bytes, settings.printerBaudRate);
+  } else {
+    downloadEscPos(bytes, `receipt-${receipt.transactionId}.bin`);
+  }
+};
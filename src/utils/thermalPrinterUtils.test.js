@@ -0,0 +1,129 @@
+import {
+  RECEIPT_FORMATS,
+  RECEIPT_CODE_TYPES,
+  getPrinterSettings,
+  isThermalFormat,
+  buildReceiptLines,
+  buildEscPosReceipt
+} from './thermalPrinterUtils';
+import { CASH } from './paymentUtils';
+
+const receipt = {
+  transactionId: 'TXN-123',
+  timestamp: '2025-06-15T10:00:00.000Z',
+  shopDetails: { name: 'Corner Store', address: '12 Mall Road, Lahore', phone: '0300-1234567' },
+  items: [
+    { name: 'Tea', price: 100, quantity: 2 },
+    { name: 'A very long item name that cannot fit on one line of paper', price: 1234567.5, quantity: 1000 }
+  ],
+  totalAmount: 200,
+  payments: [{ method: CASH, amount: 300 }],
+  change: 100
+};
+
+const settings = {
+  ...getPrinterSettings({ receiptFormat: RECEIPT_FORMATS.THERMAL_58 }),
+  receiptCodeType: RECEIPT_CODE_TYPES.NONE
+};
+
+// Where a run of bytes starts in the printer output, or -1
+const indexOfBytes = (bytes, run) => {
+  for (let start = 0; start <= bytes.length - run.length; start++) {
+    if (run.every((byte, offset) => bytes[start + offset] === byte)) return start;
+  }
+  return -1;
+};
+
+const textBytes = (text) => Array.from(text).map(char => char.charCodeAt(0));
+
+describe('printer settings', () => {
+  test('shops that never set a printer print A4 through the browser', () => {
+    expect(getPrinterSettings(null)).toEqual({
+      receiptFormat: RECEIPT_FORMATS.A4,
+      printerOutput: 'browser',
+      receiptCodeType: RECEIPT_CODE_TYPES.QR,
+      printLogo: false,
+      openCashDrawer: false,
+      printerBaudRate: 9600
+    });
+    expect(isThermalFormat(RECEIPT_FORMATS.A4)).toBe(false);
+    expect(isThermalFormat(RECEIPT_FORMATS.THERMAL_80)).toBe(true);
+  });
+});
+
+describe('buildReceiptLines', () => {
+  test.each([
+    [RECEIPT_FORMATS.THERMAL_58, 32],
+    [RECEIPT_FORMATS.THERMAL_80, 48]
+  ])('every line fits %s paper', (receiptFormat, width) => {
+    buildReceiptLines(receipt, receiptFormat).forEach(line => {
+      // Large text is double width
+      expect(line.text.length).toBeLessThanOrEqual(line.large ? width / 2 : width);
+    });
+  });
+
+  test('an amount too wide to share a line goes right-aligned under it', () => {
+    const texts = buildReceiptLines(receipt, RECEIPT_FORMATS.THERMAL_58).map(line => line.text);
+    const quantityLine = texts.indexOf('1000 x 1234567.50');
+    expect(quantityLine).toBeGreaterThan(-1);
+    expect(texts[quantityLine + 1]).toBe('1234567500.00'.padStart(32));
+  });
+
+  test('long names wrap at spaces', () => {
+    const texts = buildReceiptLines(receipt, RECEIPT_FORMATS.THERMAL_58).map(line => line.text);
+    expect(texts).toContain('A very long item name that');
+    expect(texts).toContain('cannot fit on one line of paper');
+  });
+
+  test('payments are shown as tendered, with the change', () => {
+    const texts = buildReceiptLines(receipt, RECEIPT_FORMATS.THERMAL_58).map(line => line.text);
+    expect(texts).toContain(`Cash${' '.repeat(22)}300.00`);
+    expect(texts).toContain(`Change${' '.repeat(20)}100.00`);
+  });
+});
+
+describe('buildEscPosReceipt', () => {
+  test('starts by resetting the printer and ends by cutting the paper', () => {
+    const bytes = Array.from(buildEscPosReceipt(receipt, settings));
+    expect(bytes.slice(0, 2)).toEqual([0x1b, 0x40]);
+    expect(bytes.slice(-4)).toEqual([0x1d, 0x56, 66, 0]);
+  });
+
+  test('text the printer can\'t print is sent as question marks', () => {
+    const bytes = Array.from(buildEscPosReceipt({ ...receipt, customerName: 'علی Khan' }, settings));
+    expect(indexOfBytes(bytes, textBytes('Customer: ??? Khan'))).toBeGreaterThan(-1);
+    expect(bytes.every(byte => byte >= 0 && byte <= 0xff)).toBe(true);
+  });
+
+  test('the cash drawer only opens for cash sales', () => {
+    const drawerKick = [0x1b, 0x70, 0, 25, 250];
+    const drawerSettings = { ...settings, openCashDrawer: true };
+    expect(Array.from(buildEscPosReceipt(receipt, drawerSettings)).slice(-5)).toEqual(drawerKick);
+
+    const cardSale = { ...receipt, payments: [{ method: 'Credit Card', amount: 200 }], change: 0 };
+    expect(indexOfBytes(Array.from(buildEscPosReceipt(cardSale, drawerSettings)), drawerKick)).toBe(-1);
+    expect(indexOfBytes(Array.from(buildEscPosReceipt(receipt, settings)), drawerKick)).toBe(-1);
+  });
+
+  test('a barcode carries the transaction ID in code set B', () => {
+    const bytes = Array.from(buildEscPosReceipt(receipt, { ...settings, receiptCodeType: RECEIPT_CODE_TYPES.BARCODE }));
+    expect(indexOfBytes(bytes, [0x1d, 0x6b, 73, 9, 0x7b, 0x42, ...textBytes('TXN-123')])).toBeGreaterThan(-1);
+  });
+
+  test('a QR code stores the data length in two bytes, low byte first', () => {
+    const qrSettings = { ...settings, receiptCodeType: RECEIPT_CODE_TYPES.QR };
+    const bytes = Array.from(buildEscPosReceipt(receipt, qrSettings));
+    expect(indexOfBytes(bytes, [0x1d, 0x28, 0x6b, 10, 0, 0x31, 0x50, 0x30, ...textBytes('TXN-123')]))
+      .toBeGreaterThan(-1);
+
+    const longId = 'X'.repeat(300);
+    const longBytes = Array.from(buildEscPosReceipt({ ...receipt, transactionId: longId }, qrSettings));
+    expect(indexOfBytes(longBytes, [0x1d, 0x28, 0x6b, 303 % 256, 1, 0x31, 0x50, 0x30])).toBeGreaterThan(-1);
+  });
+
+  test('a logo is printed as a raster image first', () => {
+    const logo = { widthBytes: 2, height: 1, data: [0xff, 0x00] };
+    const bytes = Array.from(buildEscPosReceipt(receipt, settings, logo));
+    expect(indexOfBytes(bytes, [0x1d, 0x76, 0x30, 0, 2, 0, 1, 0, 0xff, 0x00])).toBe(5);
+  });
+});
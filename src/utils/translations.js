@@ -42,6 +42,8 @@ const translations = {
     adminPanel: "Admin Panel",
     pendingApprovals: "Pending Approvals",
     manageUsers: "Manage Users",
+    admins: "Admins",
+    auditLog: "Audit Log",
     menu: "Menu",
     
     // Data related translations
@@ -111,6 +113,21 @@ const translations = {
     debitCard: "Debit Card",
     bankTransfer: "Bank Transfer",
     mobilePayment: "Mobile Payment",
+    jazzCash: "JazzCash",
+    easypaisa: "Easypaisa",
+    onAccount: "On Account (Credit)",
+    loyaltyPoints: "Loyalty Points",
+    template: "Template",
+    buyerDetails: "Buyer Details",
+    taxInvoices: "Tax Invoices",
+    receiptPrinter: "Receipt Printer",
+    staff: "Staff",
+    addStaffMember: "Add Staff Member",
+    voidReceipt: "Void Receipt",
+    creditNote: "Credit Note",
+    issueCreditNote: "Issue Credit Note",
+    voidsAndCreditNotes: "Voids & Credit Notes",
+    reason: "Reason",
     transactionId: "Transaction ID",
     barcodeScanner: "Barcode Scanner",
     barcodeScannerHelp: "Scan product barcodes to automatically add items to the receipt. Items with registered barcodes will be added automatically.",
@@ -121,6 +138,7 @@ const translations = {
     addItem: "+ Add Item",
     generateReceipt: "Generate Receipt",
     downloadPDF: "Download PDF",
+    printReceipt: "Print Receipt",
     viewReceipt: "View Receipt",
     receiptNumber: "Receipt #:",
     time: "Time:",
@@ -436,6 +454,8 @@ const translations = {
     adminPanel: "ایڈمن پینل",
     pendingApprovals: "زیر التواء منظوریاں",
     manageUsers: "صارفین کا انتظام کریں",
+    admins: "ایڈمنز",
+    auditLog: "آڈٹ لاگ",
     menu: "مینو"
   }
 };
@@ -0,0 +1,97 @@
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { hasReturns } from './returnUtils';
+
+// Receipts are never deleted. A sale made in error is voided, and a completed
+// sale is reversed with a credit note, a numbered document of its own in the
+// creditNotes collection. Either way the receipt stays as it was saved, marked
+// with its status, and its stock, sales totals and customer balance are reversed.
+// Cancelled receipts don't count towards sales, tax or profit.
+
+export const RECEIPT_STATUS = {
+  VOID: 'void',
+  CREDITED: 'credited'
+};
+
+// Whether a receipt has been voided or reversed by a credit note
+export const isReceiptCancelled = (receipt) =>
+  !!receipt && (receipt.status === RECEIPT_STATUS.VOID || receipt.status === RECEIPT_STATUS.CREDITED);
+
+// Who cancelled a receipt, when and why, whichever way it was done
+export const getReceiptCancellation = (receipt) => {
+  if (!receipt) return null;
+
+  if (receipt.status === RECEIPT_STATUS.VOID && receipt.voidInfo) {
+    return {
+      status: RECEIPT_STATUS.VOID,
+      reason: receipt.voidInfo.reason,
+      by: receipt.voidInfo.voidedBy,
+      date: receipt.voidInfo.voidedAt,
+      creditNoteNumber: ''
+    };
+  }
+  if (receipt.status === RECEIPT_STATUS.CREDITED && receipt.creditNoteInfo) {
+    return {
+      status: RECEIPT_STATUS.CREDITED,
+      reason: receipt.creditNoteInfo.reason,
+      by: receipt.creditNoteInfo.issuedBy,
+      date: receipt.creditNoteInfo.issuedAt,
+      creditNoteNumber: receipt.creditNoteInfo.creditNoteNumber
+    };
+  }
+
+  return null;
+};
+
+// Check a receipt can be voided or credited
+export const checkReceiptCancellable = (receipt) => {
+  if (isReceiptCancelled(receipt)) {
+    throw new Error('This receipt has already been voided or credited');
+  }
+  if (hasReturns(receipt)) {
+    throw new Error('This receipt has a return on it. Return the remaining items instead.');
+  }
+};
+
+// Get a shop's voided and credited receipts, most recently cancelled first
+export const getCancelledReceipts = async (shopId) => {
+  try {
+    const receiptRef = collection(db, 'receipts');
+    const q = query(
+      receiptRef,
+      where('shopId', '==', shopId),
+      where('status', 'in', [RECEIPT_STATUS.VOID, RECEIPT_STATUS.CREDITED])
+    );
+
+    const querySnapshot = await getDocs(q);
+    const receipts = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    receipts.sort((a, b) => new Date(getReceiptCancellation(b).date) - new Date(getReceiptCancellation(a).date));
+
+    return receipts;
+  } catch (error) {
+    console.error('Error fetching cancelled receipts:', error);
+    throw error;
+  }
+};
+
+// Fetch a single credit note by ID
+export const getCreditNoteById = async (creditNoteId) => {
+  try {
+    const creditNoteSnap = await getDoc(doc(db, 'creditNotes', creditNoteId));
+    if (!creditNoteSnap.exists()) {
+      throw new Error('Credit note not found');
+    }
+
+    return {
+      id: creditNoteSnap.id,
+      ...creditNoteSnap.data()
+    };
+  } catch (error) {
+    console.error('Error fetching credit note:', error);
+    throw error;
+  }
+};